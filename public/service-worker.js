@@ -1,3 +1,195 @@
-self.addEventListener('fetch', function () {
-    return;
-});
\ No newline at end of file
+// Offline support for the installed app.
+// The built app shell is precached on install; the build fills in the list of files
+// (see precacheManifest in vite.config.js). The recipe list and photos from
+// the worker are served stale-while-revalidate and single recipes network-first, so
+// whatever was last seen is still there without signal. Links and images shared to the app arrive here too (share_target
+// in manifest.json) and are handed over to the app through a cache.
+
+const PRECACHE = self.__PRECACHE_MANIFEST || { version: 'dev', urls: [] };
+const SHELL_CACHE_PREFIX = 'jessipes-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${PRECACHE.version}`;
+// Must match RECIPE_CACHE in src/offline.js, which clears it on sign out
+const RECIPE_CACHE = 'jessipes-recipes';
+// Must match SYNC_TAG in src/mutationQueue.js
+const SYNC_TAG = 'replay-mutations';
+// Must match src/shareTarget.js
+const SHARE_CACHE = 'jessipes-share';
+const SHARE_TARGET_PATH = 'share-target';
+// The worker's origin, passed when the app registers this script
+const API_ORIGIN = new URL(self.location.href).searchParams.get('api');
+
+function scopeUrl(path) {
+    return new URL(path, self.registration.scope).href;
+}
+
+// Single recipes; not history, photo changes or anything else below a recipe.
+// Delta syncs (/recipes/changes) aren't cached: the app keeps its own copy of those.
+function isSingleRecipePath(pathname) {
+    return pathname !== '/recipes/changes' && /^\/recipes\/[^/]+$/.test(pathname);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE.urls.map(scopeUrl)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages: the network when there is one, otherwise the cached shell
+async function shellPage(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(scopeUrl('index.html'));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Built assets have hashed names, so a cached copy never goes out of date
+async function shellAsset(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function notifyRecipesUpdated() {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'recipes-updated' }));
+}
+
+// Answer from the cache straight away and refresh it in the background. When a
+// refreshed recipe list differs from what was shown, open pages are told to reload it.
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(RECIPE_CACHE);
+    const cached = await cache.match(request);
+    const isList = new URL(request.url).pathname === '/recipes';
+    const shown = cached && isList ? await cached.clone().text() : null;
+
+    const refreshed = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (shown !== null && shown !== await response.clone().text()) {
+                await notifyRecipesUpdated();
+            }
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refreshed.catch(() => {}));
+        return cached;
+    }
+    return refreshed;
+}
+
+// A single recipe is edited against its ETag, so a cached copy would turn changes made
+// on another device into a spurious conflict. Use the network, and the cache only offline.
+async function networkFirst(request) {
+    const cache = await caches.open(RECIPE_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// After a successful change to a recipe, drop its cached copy so it isn't shown stale
+async function forgetChangedRecipe(request) {
+    const response = await fetch(request);
+    const match = new URL(request.url).pathname.match(/^\/recipes\/([^/]+)/);
+    if (response.ok && match) {
+        const cache = await caches.open(RECIPE_CACHE);
+        await cache.delete(`${API_ORIGIN}/recipes/${match[1]}`, { ignoreSearch: true });
+    }
+    return response;
+}
+
+// The share sheet posts the shared title, text, link and image here. Keep them for the
+// app, which opens with "?shared" and takes them (src/shareTarget.js).
+async function receiveShare(request) {
+    const form = await request.formData();
+    // Every image is kept, in order: a recipe spread over several pages becomes one recipe
+    const photos = form.getAll('photo').filter(file => file instanceof File && file.size > 0);
+    const shared = {
+        title: form.get('title') || '',
+        text: form.get('text') || '',
+        url: form.get('url') || '',
+        photoCount: photos.length,
+    };
+
+    // Start from an empty cache so no image from an earlier share is left behind
+    await caches.delete(SHARE_CACHE);
+    const cache = await caches.open(SHARE_CACHE);
+    await cache.put(scopeUrl('shared-data'), new Response(JSON.stringify(shared)));
+    await Promise.all(photos.map((photo, index) => cache.put(scopeUrl(`shared-photo-${index}`), new Response(photo, {
+        headers: { 'Content-Type': photo.type, 'X-Filename': encodeURIComponent(photo.name) },
+    }))));
+    return Response.redirect(scopeUrl('?shared'), 303);
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.href === scopeUrl(SHARE_TARGET_PATH)) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+
+    if (API_ORIGIN && url.origin === API_ORIGIN) {
+        if (request.method === 'GET' && url.pathname.startsWith('/photos/')) {
+            // Images load without CORS; fetching with it keeps the cached copy readable
+            event.respondWith(staleWhileRevalidate(event, new Request(request.url, { mode: 'cors', credentials: 'omit' })));
+        } else if (request.method === 'GET' && url.pathname === '/recipes') {
+            event.respondWith(staleWhileRevalidate(event, request));
+        } else if (request.method === 'GET' && isSingleRecipePath(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        } else if (request.method !== 'GET' && url.pathname.startsWith('/recipes/')) {
+            event.respondWith(forgetChangedRecipe(request));
+        }
+        return;
+    }
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(shellPage(request));
+    } else {
+        event.respondWith(shellAsset(request));
+    }
+});
+
+// Background Sync fires once there's a connection again. The app holds the session and
+// sends its queued changes itself (src/mutationQueue.js), so wake any open window; with
+// none open the sync fails and the browser tries again later.
+self.addEventListener('sync', event => {
+    if (event.tag !== SYNC_TAG) return;
+    event.waitUntil(self.clients.matchAll({ type: 'window' }).then(clients => {
+        if (clients.length === 0) throw new Error('No window open to send queued changes');
+        clients.forEach(client => client.postMessage({ type: SYNC_TAG }));
+    }));
+});
@@ -1,46 +1,229 @@
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
-import { fetchRecipes, addRecipe, softDeleteRecipe, undeleteRecipe, updateRecipe, extractTitleFromUrl } from './api';
+import {
+  fetchRecipes,
+  fetchRecipe,
+  fetchCurrentUser,
+  fetchTags,
+  addRecipe,
+  addRecipePhoto,
+  softDeleteRecipe,
+  undeleteRecipe,
+  purgeRecipe,
+  emptyTrash,
+  updateRecipe,
+  extractTitleFromUrl,
+  login,
+  logout,
+  refreshSession,
+  sessionExpiry,
+  onSessionExpired,
+  SessionExpiredError,
+  InvalidSecretError,
+  RecipeConflictError,
+  ValidationError,
+  replayMutations,
+} from './api';
+import { recipePhotos, toIngredientPayload, upgradeRecipe } from './recipeSchema';
+import { IngredientEditor, IngredientPreview, RecipeDetails, StepEditor } from './StructuredRecipe';
+import { UNIT_SYSTEMS, convertText } from './conversion';
+import { countTags, matchesTags } from './tags';
+import { TagFilter, TagInput, TagList } from './TagControls';
+import { CollectionsPanel } from './CollectionView';
+import { RecipePage } from './RecipePage';
+import { MergeDialog } from './MergeDialog';
+import { PhotoGallery } from './PhotoGallery';
+import { FieldErrors } from './FieldErrors';
+import { compareRecipeUpdates, mergeRecipeUpdates, resolveConflicts, undoUpdates } from './recipeMerge';
+import { ToastRegion } from './ToastRegion';
+import { dismissToast, showError, showToast } from './toasts';
+import { createActionQueue } from './actionQueue';
+import { clearRecipeCache, onRecipesUpdated, onReplayRequested, supportsBackgroundSync, useOnlineStatus } from './offline';
+import {
+  PENDING_ID_PREFIX,
+  applyPendingMutations,
+  clearMutations,
+  discardMutation,
+  pendingMutations,
+  retryMutation,
+} from './mutationQueue';
+import { canMirrorRecipes, clearRecipeMirror, loadMirroredRecipes, syncRecipeMirror } from './recipeMirror';
+import { LIST_PATH, parseRoute, recipePath } from './routes';
+import { sharedRecipeForm, takeSharedItem, wasOpenedByShare } from './shareTarget';
 
-const LOCAL_SECRET_KEY = 'jessipes_cloudflare_secret';
+const LOCAL_SESSION_KEY = 'jessipes_session';
+// Older versions kept the secret itself here; it is removed on load
+const LEGACY_SECRET_KEY = 'jessipes_cloudflare_secret';
+// Sessions last a week; refresh once less than this is left
+const SESSION_REFRESH_MARGIN_MS = 3 * 24 * 60 * 60 * 1000;
+const LOCAL_UNIT_SYSTEM_KEY = 'jessipes_unit_system';
+const EMPTY_EDIT_DATA = { title: '', text: '', ingredients: [], steps: [], tags: [] };
+
+// A change made offline comes back as just the fields it changes, marked pending
+function withChange(recipe, change) {
+  return change.pending ? { ...recipe, ...change } : change;
+}
+
+// What the zoom overlay shows from a recipe card: the image on the card, then the photos
+function cardImages(recipe) {
+  return [...new Set([recipe.previewImage, ...recipePhotos(recipe)])].filter(Boolean);
+}
+
+// Whoever signs in next mustn't see this person's recipes or send their queued changes
+function clearDeviceData() {
+  return Promise.all([clearRecipeCache(), clearMutations(), clearRecipeMirror()])
+    .catch(error => console.warn('Failed to clear offline data:', error));
+}
+
+// A recipe was added without some of its photos. Retry sends them again, in order,
+// passing each updated recipe to `onAdded`.
+function reportUnsentPhotos(token, recipe, photos, onAdded) {
+  const count = photos.length === 1 ? 'a photo' : `${photos.length} photos`;
+  showError(`Couldn’t add ${count} to “${recipe.title || 'Untitled'}”.`, async () => {
+    for (const [index, photo] of photos.entries()) {
+      try {
+        onAdded(await addRecipePhoto(token, recipe.id, photo));
+      } catch {
+        reportUnsentPhotos(token, recipe, photos.slice(index), onAdded);
+        return;
+      }
+    }
+  });
+}
+
+// The recipe a queued change is to, for reporting it
+function queuedTitle(entry) {
+  return entry.recipe?.title || entry.updates?.title || entry.failure.current?.title || 'Untitled';
+}
 
 function App() {
-  const [secret, setSecret] = useState(localStorage.getItem(LOCAL_SECRET_KEY) || '');
+  const [token, setToken] = useState(localStorage.getItem(LOCAL_SESSION_KEY) || '');
   const [inputSecret, setInputSecret] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [loginError, setLoginError] = useState('');
   const [recipes, setRecipes] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+  const listScrollRef = useRef(0);
   const [showAdd, setShowAdd] = useState(false);
   const [newRecipe, setNewRecipe] = useState({ url: '', photo: null, title: '', text: '' });
+  const [ingredientsText, setIngredientsText] = useState('');
+  const [newTags, setNewTags] = useState([]);
   const [addType, setAddType] = useState('url');
+  const [addErrors, setAddErrors] = useState([]);
   const [editingRecipe, setEditingRecipe] = useState(null);
-  const [editData, setEditData] = useState({ title: '', text: '' });
+  const [editData, setEditData] = useState(EMPTY_EDIT_DATA);
+  const [conflict, setConflict] = useState(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [editErrors, setEditErrors] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState('and');
+  const [serverTagCounts, setServerTagCounts] = useState(null);
   const [zoomedImage, setZoomedImage] = useState(null);
   const [scrollPosition, setScrollPosition] = useState(0);
-  const [showConfirmDelete, setShowConfirmDelete] = useState(null);
   const [showDeleted, setShowDeleted] = useState(false);
+  // { recipe } to delete one recipe forever, { all: true } to empty the trash
+  const [confirmPurge, setConfirmPurge] = useState(null);
+  const [purging, setPurging] = useState(false);
+  const [showCollections, setShowCollections] = useState(false);
   const [undeletingIds, setUndeletingIds] = useState(new Set());
+  // Saves, deletes, restores and their undos reach the worker in order, per recipe
+  const [enqueueAction] = useState(() => createActionQueue());
+  const [reloadCount, setReloadCount] = useState(0);
+  // Bumped to send the changes queued offline again
+  const [syncCount, setSyncCount] = useState(0);
+  // Refused queued changes already reported this visit
+  const reportedSyncFailures = useRef(new Set());
+  const online = useOnlineStatus();
+  const [loadingRecipeId, setLoadingRecipeId] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
   const [titleManuallyEdited, setTitleManuallyEdited] = useState(false);
   const [fetchingTitle, setFetchingTitle] = useState(false);
   const [titleFetchedForUrl, setTitleFetchedForUrl] = useState('');
+  const [unitSystem, setUnitSystem] = useState(() => {
+    const saved = localStorage.getItem(LOCAL_UNIT_SYSTEM_KEY);
+    return UNIT_SYSTEMS.includes(saved) ? saved : 'original';
+  });
+
+
+  useEffect(() => {
+    localStorage.removeItem(LEGACY_SECRET_KEY);
 
+    // Back to the secret screen as soon as the worker rejects the token
+    return onSessionExpired(() => {
+      localStorage.removeItem(LOCAL_SESSION_KEY);
+      setToken('');
+      setCurrentUser(null);
+      setRecipes([]);
+      setNextCursor(null);
+      setLoginError('Your session has expired. Enter your secret code to sign in again.');
+      clearDeviceData();
+    });
+  }, []);
+
+  // Swap the token for a fresh one before it runs out
+  useEffect(() => {
+    const expires = token ? sessionExpiry(token) : null;
+    if (!expires) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const session = await refreshSession(token);
+        localStorage.setItem(LOCAL_SESSION_KEY, session.token);
+        setToken(session.token);
+      } catch (error) {
+        console.warn('Failed to refresh session:', error);
+      }
+    }, Math.max(0, expires - SESSION_REFRESH_MARGIN_MS - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [token]);
 
   useEffect(() => {
     let mounted = true;
 
+    // Show the local copy straight away, then bring it up to date with a delta sync
+    async function syncMirror() {
+      const local = await loadMirroredRecipes();
+      if (mounted && local.length > 0) {
+        setRecipes(applyPendingMutations(local, await pendingMutations()));
+        setLoading(false);
+      }
+      try {
+        const synced = await syncRecipeMirror(token);
+        if (mounted) {
+          setRecipes(applyPendingMutations(synced, await pendingMutations()));
+          setNextCursor(null);
+        }
+      } catch (error) {
+        // Offline, the local copy is as good as it gets
+        if (local.length === 0 || navigator.onLine) throw error;
+      }
+    }
+
     async function fetchData() {
-      if (secret) {
+      if (token) {
         setLoading(true);
         try {
-          const data = await fetchRecipes(secret);
-          if (mounted) {
-            setRecipes(data);
+          if (canMirrorRecipes()) {
+            await syncMirror();
+          } else {
+            const page = await fetchRecipes(token);
+            const queued = await pendingMutations();
+            if (mounted) {
+              setRecipes(applyPendingMutations(page.recipes, queued));
+              setNextCursor(page.cursor);
+            }
           }
         } catch (error) {
-          if (mounted) {
+          if (mounted && !(error instanceof SessionExpiredError)) {
             console.error('Failed to fetch recipes:', error);
-            alert('Failed to fetch recipes. Please check your secret code and try again.');
+            showError('Failed to fetch recipes.', () => setReloadCount(count => count + 1));
           }
         } finally {
           if (mounted) {
@@ -55,26 +238,287 @@ function App() {
     return () => {
       mounted = false;
     };
-  }, [secret]);
+  }, [token, reloadCount]);
+
+  // The service worker answers from its cache first; fetch again when it has newer recipes
+  useEffect(() => onRecipesUpdated(() => setReloadCount(count => count + 1)), []);
+
+  // Send the changes made offline: now, and again when Background Sync says the
+  // connection is back or, without it, whenever the app is back online or in focus
+  useEffect(() => {
+    if (!token) return;
+    let replaying = false;
+
+    function replaceRecipe(updated) {
+      setRecipes(prev => prev.map(r => r.id === updated.id ? updated : r));
+    }
+
+    function reportFailure(entry) {
+      const title = queuedTitle(entry);
+      const { failure } = entry;
+      if (failure.type === 'conflict') {
+        showToast(`Someone else changed “${title}” before your offline edit was sent.`, {
+          type: 'error',
+          action: 'Review',
+          duration: 10000,
+          onAction: async () => {
+            await discardMutation(entry.seq);
+            setRecipes(prev => prev.map(r => r.id === entry.recipeId ? failure.current : r));
+            const merge = compareRecipeUpdates(entry.updates, failure.current);
+            if (merge.conflicts.length > 0) {
+              setConflict({ id: entry.recipeId, current: failure.current, ...merge });
+            }
+          },
+        });
+      } else if (failure.type === 'invalid') {
+        showToast(`Couldn’t sync “${title}”: ${failure.message}`, {
+          type: 'error',
+          action: 'Discard',
+          duration: 10000,
+          onAction: async () => {
+            await discardMutation(entry.seq);
+            setReloadCount(count => count + 1);
+          },
+        });
+      } else {
+        showError(`Couldn’t sync “${title}”.`, async () => {
+          await retryMutation(entry);
+          reportedSyncFailures.current.delete(entry.seq);
+          setSyncCount(count => count + 1);
+        });
+      }
+    }
+
+    async function replay() {
+      if (replaying || !navigator.onLine) return;
+      replaying = true;
+      try {
+        const { synced, failed, unsentPhotos } = await replayMutations(token);
+        if (synced > 0) {
+          setReloadCount(count => count + 1);
+        }
+        unsentPhotos.forEach(({ recipe, photos }) => reportUnsentPhotos(token, recipe, photos, replaceRecipe));
+        failed.filter(entry => !reportedSyncFailures.current.has(entry.seq)).forEach(entry => {
+          reportedSyncFailures.current.add(entry.seq);
+          reportFailure(entry);
+        });
+      } catch (error) {
+        console.error('Failed to sync offline changes:', error);
+      } finally {
+        replaying = false;
+      }
+    }
+
+    replay();
+    if (supportsBackgroundSync()) {
+      return onReplayRequested(replay);
+    }
+    window.addEventListener('online', replay);
+    window.addEventListener('focus', replay);
+    return () => {
+      window.removeEventListener('online', replay);
+      window.removeEventListener('focus', replay);
+    };
+  }, [token, syncCount]);
+
+  useEffect(() => {
+    let mounted = true;
+
+    async function fetchUser() {
+      if (!token) return;
+      try {
+        const user = await fetchCurrentUser(token);
+        if (mounted) {
+          setCurrentUser(user || null);
+        }
+      } catch (error) {
+        console.warn('Failed to fetch user:', error);
+      }
+    }
 
+    fetchUser();
 
-  function handleSaveSecret() {
-    localStorage.setItem(LOCAL_SECRET_KEY, inputSecret);
-    setSecret(inputSecret);
+    return () => {
+      mounted = false;
+    };
+  }, [token]);
+
+  // Follow "#/recipe/<id>" links, returning to the same place in the list afterwards
+  useEffect(() => {
+    function handleHashChange() {
+      const nextRoute = parseRoute(window.location.hash);
+      if (nextRoute.recipeId) {
+        listScrollRef.current = window.scrollY;
+        window.scrollTo(0, 0);
+      } else {
+        setTimeout(() => window.scrollTo(0, listScrollRef.current), 0);
+      }
+      setRoute(nextRoute);
+    }
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  // Opened from the share sheet: once signed in, start adding what was shared.
+  // takeSharedItem drops "?shared" straight away, so this runs once.
+  useEffect(() => {
+    if (!token || !wasOpenedByShare()) return;
+
+    async function openSharedItem() {
+      const shared = await takeSharedItem();
+      if (!shared) return;
+
+      const { addType: sharedType, recipe } = sharedRecipeForm(shared);
+      setAddType(sharedType);
+      setNewRecipe(recipe);
+      setAddErrors([]);
+      setTitleManuallyEdited(false);
+      setShowAdd(true);
+      if (!recipe.url) return;
+
+      // Look up the title as for a link pasted into the form
+      setFetchingTitle(true);
+      setTitleFetchedForUrl(recipe.url);
+      try {
+        const title = await extractTitleFromUrl(token, recipe.url);
+        if (title) {
+          setNewRecipe(prev => prev.url === recipe.url ? { ...prev, title } : prev);
+        }
+      } finally {
+        setFetchingTitle(false);
+      }
+    }
+
+    openSharedItem().catch(error => console.error('Failed to open shared item:', error));
+  }, [token]);
+
+  const handleLoadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await fetchRecipes(token, { cursor: nextCursor });
+      const queued = await pendingMutations();
+      setRecipes(prev => {
+        const seen = new Set(prev.map(r => r.id));
+        const more = page.recipes.filter(r => !seen.has(r.id));
+        return [...prev, ...applyPendingMutations(more, queued, { includeAdded: false })];
+      });
+      setNextCursor(page.cursor);
+    } catch (error) {
+      console.error('Failed to fetch more recipes:', error);
+      showError('Failed to load more recipes.', handleLoadMore);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [token, nextCursor, loadingMore]);
+
+  // Infinite scroll: load the next page as the end of the list comes into view.
+  // The observer is recreated after each page, so it keeps loading while the end stays visible.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loadingMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        handleLoadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, handleLoadMore]);
+
+  // Tags on the recipes loaded so far. While pages remain, the worker counts every
+  // recipe instead; asking again whenever the loaded tags change covers saves too.
+  const loadedTagCounts = countTags(recipes.filter(recipe => !recipe.deleted));
+  const loadedTagsKey = loadedTagCounts.map(({ tag, count }) => `${tag}:${count}`).join(',');
+  const hasMorePages = Boolean(nextCursor);
+
+  useEffect(() => {
+    if (!token || !hasMorePages) return;
+    let mounted = true;
+
+    async function loadTags() {
+      try {
+        const tags = await fetchTags(token);
+        if (mounted && tags) {
+          setServerTagCounts(tags);
+        }
+      } catch (error) {
+        console.warn('Failed to fetch tags:', error);
+      }
+    }
+
+    loadTags();
+
+    return () => {
+      mounted = false;
+    };
+  }, [token, hasMorePages, loadedTagsKey]);
+
+  // Only the session token is kept on the device, never the secret
+  async function handleSaveSecret() {
+    setSigningIn(true);
+    setLoginError('');
+    try {
+      const session = await login(inputSecret);
+      localStorage.setItem(LOCAL_SESSION_KEY, session.token);
+      setInputSecret('');
+      setToken(session.token);
+    } catch (error) {
+      console.error('Failed to sign in:', error);
+      setLoginError(error instanceof InvalidSecretError
+        ? 'That secret code did not work. Please check it and try again.'
+        : 'Couldn\'t reach the server. Please check your connection and try again.');
+    } finally {
+      setSigningIn(false);
+    }
+  }
+
+  async function handleSignOut() {
+    try {
+      await logout(token);
+    } catch (error) {
+      console.warn('Failed to end session:', error);
+    }
+    localStorage.removeItem(LOCAL_SESSION_KEY);
+    setToken('');
+    setCurrentUser(null);
+    setRecipes([]);
+    setNextCursor(null);
+    await clearDeviceData();
   }
 
   async function handleAddRecipe(e) {
-    e.preventDefault();
+    e?.preventDefault();
     try {
-      const addedRecipe = await addRecipe(secret, newRecipe);
+      const payload = ingredientsText.trim() ? { ...newRecipe, ingredientsText } : { ...newRecipe };
+      if (newTags.length > 0) {
+        payload.tags = newTags;
+      }
+      const { unsentPhotos, ...addedRecipe } = await addRecipe(token, payload);
       setRecipes(prev => [addedRecipe, ...prev]);
+      if (unsentPhotos) {
+        reportUnsentPhotos(token, addedRecipe, unsentPhotos, updated => {
+          setRecipes(prev => prev.map(r => r.id === updated.id ? updated : r));
+        });
+      }
       setShowAdd(false);
       setNewRecipe({ url: '', photo: null, title: '', text: '' });
+      setIngredientsText('');
+      setNewTags([]);
+      setAddErrors([]);
       setTitleManuallyEdited(false);
       setTitleFetchedForUrl('');
     } catch (error) {
+      if (error instanceof ValidationError) {
+        setAddErrors(error.details);
+        return;
+      }
       console.error('Failed to add recipe:', error);
-      alert('Failed to add recipe. Please try again.');
+      showError('Failed to add recipe.', () => handleAddRecipe());
     }
   }
 
@@ -84,7 +528,7 @@ function App() {
     setFetchingTitle(true);
     setTitleFetchedForUrl(url);
     try {
-      const title = await extractTitleFromUrl(secret, url);
+      const title = await extractTitleFromUrl(token, url);
       if (title && !titleManuallyEdited) {
         setNewRecipe(prev => ({ ...prev, title }));
       }
@@ -109,36 +553,62 @@ function App() {
     }
   }
 
-  function handleDelete(recipe) {
-    setShowConfirmDelete(recipe);
-  }
-
-  async function confirmDelete() {
+  // Deleting moves the recipe to the trash straight away, with Undo on a toast
+  async function handleDelete(recipe, { undoable = true } = {}) {
+    setRecipes(prev => prev.map(r => r.id === recipe.id ? { ...r, deleted: true } : r));
+    const toastId = undoable
+      ? showToast(`Deleted “${recipe.title || 'Untitled'}”`, {
+        action: 'Undo',
+        onAction: () => handleUndelete(recipe, { undoable: false }),
+      })
+      : null;
     try {
-      const updatedRecipe = await softDeleteRecipe(secret, showConfirmDelete.id);
-      setRecipes(prev => prev.map(r => r.id === showConfirmDelete.id ? updatedRecipe : r));
+      const updatedRecipe = await enqueueAction(recipe.id, () => softDeleteRecipe(token, recipe.id));
+      setRecipes(prev => prev.map(r => r.id === recipe.id ? withChange(r, updatedRecipe) : r));
     } catch (error) {
       console.error('Failed to delete recipe:', error);
-      alert('Failed to delete recipe. Please try again.');
-    } finally {
-      setShowConfirmDelete(null);
+      setRecipes(prev => prev.map(r => r.id === recipe.id ? recipe : r));
+      dismissToast(toastId);
+      showError('Failed to delete recipe.', () => handleDelete(recipe, { undoable }));
     }
   }
 
-  function cancelDelete() {
-    setShowConfirmDelete(null);
+  async function handlePurge(target) {
+    setPurging(true);
+    try {
+      if (target.all) {
+        await emptyTrash(token);
+        setRecipes(prev => prev.filter(r => !r.deleted));
+      } else {
+        await enqueueAction(target.recipe.id, () => purgeRecipe(token, target.recipe.id));
+        setRecipes(prev => prev.filter(r => r.id !== target.recipe.id));
+      }
+    } catch (error) {
+      console.error('Failed to delete forever:', error);
+      showError(target.all ? 'Failed to empty the trash.' : 'Failed to delete recipe forever.', () => handlePurge(target));
+    } finally {
+      setPurging(false);
+      setConfirmPurge(null);
+    }
   }
 
-  async function handleUndelete(recipe) {
+  async function handleUndelete(recipe, { undoable = true } = {}) {
     if (undeletingIds.has(recipe.id)) return;
 
     setUndeletingIds(prev => new Set([...prev, recipe.id]));
     try {
-      const updatedRecipe = await undeleteRecipe(secret, recipe.id);
-      setRecipes(prev => prev.map(r => r.id === recipe.id ? updatedRecipe : r));
+      const updatedRecipe = await enqueueAction(recipe.id, () => undeleteRecipe(token, recipe.id));
+      const restored = withChange(recipe, updatedRecipe);
+      setRecipes(prev => prev.map(r => r.id === recipe.id ? withChange(r, updatedRecipe) : r));
+      if (undoable) {
+        showToast(`Restored “${recipe.title || 'Untitled'}”`, {
+          action: 'Undo',
+          onAction: () => handleDelete(restored, { undoable: false }),
+        });
+      }
     } catch (error) {
       console.error('Failed to undelete recipe:', error);
-      alert('Failed to undelete recipe. Please try again.');
+      showError('Failed to restore recipe.', () => handleUndelete(recipe, { undoable }));
     } finally {
       setUndeletingIds(prev => {
         const newSet = new Set(prev);
@@ -148,34 +618,138 @@ function App() {
     }
   }
 
+  // The list holds summaries; swap in the full record when it's needed
+  async function loadFullRecipe(recipe) {
+    setLoadingRecipeId(recipe.id);
+    try {
+      const fullRecipe = await fetchRecipe(token, recipe.id);
+      setRecipes(prev => prev.map(r => r.id === recipe.id ? fullRecipe : r));
+      return fullRecipe;
+    } catch (error) {
+      console.error('Failed to fetch recipe:', error);
+      showError('Failed to load recipe.', () => loadFullRecipe(recipe));
+      return null;
+    } finally {
+      setLoadingRecipeId(null);
+    }
+  }
+
+  async function handleEdit(recipe) {
+    const fullRecipe = recipe.summary ? await loadFullRecipe(recipe) : recipe;
+    if (fullRecipe) {
+      handleStartEdit(fullRecipe);
+    }
+  }
+
   function handleStartEdit(recipe) {
+    const upgraded = upgradeRecipe(recipe);
     setEditingRecipe(recipe.id);
-    setEditData({ title: recipe.title || '', text: recipe.text || '' });
+    setEditErrors([]);
+    setEditData({
+      title: recipe.title || '',
+      text: recipe.text || '',
+      ingredients: upgraded.ingredients || [],
+      steps: upgraded.steps || [],
+      tags: recipe.tags || [],
+    });
   }
 
   function handleCancelEdit() {
     setEditingRecipe(null);
-    setEditData({ title: '', text: '' });
+    setEditData(EMPTY_EDIT_DATA);
+    setEditErrors([]);
   }
 
   async function handleUpdateRecipe(e) {
     e.preventDefault();
+    const original = recipes.find(r => r.id === editingRecipe);
+    const updates = { title: editData.title, text: editData.text };
+    // Only send structured fields when the recipe has (or now gets) them
+    if (editData.ingredients.length > 0 || original?.ingredients) {
+      updates.ingredients = editData.ingredients.map(toIngredientPayload);
+    }
+    if (editData.steps.length > 0 || original?.steps || original?.instructions) {
+      updates.steps = editData.steps;
+    }
+    if (editData.tags.length > 0 || original?.tags) {
+      updates.tags = editData.tags;
+    }
+    await saveEdit(editingRecipe, original, updates);
+  }
+
+  function finishEdit() {
+    setEditingRecipe(null);
+    setEditData(EMPTY_EDIT_DATA);
+    setEditErrors([]);
+    setConflict(null);
+  }
+
+  // Save an edit made to `base`. If someone else saved the recipe in the meantime,
+  // merge their changes in and only ask about fields we both changed.
+  async function saveEdit(id, base, updates) {
+    setSavingEdit(true);
     try {
-      const updatedRecipe = await updateRecipe(secret, editingRecipe, editData);
-      setRecipes(prev => prev.map(r => r.id === editingRecipe ? updatedRecipe : r));
-      setEditingRecipe(null);
-      setEditData({ title: '', text: '' });
+      const change = await enqueueAction(id, () => updateRecipe(token, id, updates, { etag: base?.etag }));
+      const updatedRecipe = withChange(base, change);
+      setRecipes(prev => prev.map(r => r.id === id ? withChange(r, change) : r));
+      finishEdit();
+      const revert = undoUpdates(base, updates);
+      showToast(`Saved “${updatedRecipe.title || 'Untitled'}”`, {
+        action: 'Undo',
+        onAction: () => undoEdit(id, revert, updatedRecipe),
+      });
     } catch (error) {
+      if (error instanceof RecipeConflictError) {
+        const { current } = error;
+        setRecipes(prev => prev.map(r => r.id === id ? current : r));
+        const merge = mergeRecipeUpdates(base, updates, current);
+        if (merge.conflicts.length > 0) {
+          setConflict({ id, current, ...merge });
+        } else if (Object.keys(merge.updates).length > 0) {
+          await saveEdit(id, current, merge.updates);
+        } else {
+          finishEdit();
+        }
+        return;
+      }
+      if (error instanceof ValidationError) {
+        setConflict(null);
+        setEditErrors(error.details);
+        return;
+      }
       console.error('Failed to update recipe:', error);
-      alert('Failed to update recipe. Please try again.');
+      showError('Failed to update recipe.', () => saveEdit(id, base, updates));
+    } finally {
+      setSavingEdit(false);
     }
   }
 
-  if (!secret) {
+  // Put back the fields an edit changed, unless someone has saved the recipe since
+  async function undoEdit(id, revert, saved) {
+    try {
+      const restored = await enqueueAction(id, () => updateRecipe(token, id, revert, { etag: saved.etag }));
+      setRecipes(prev => prev.map(r => r.id === id ? withChange(r, restored) : r));
+    } catch (error) {
+      if (error instanceof RecipeConflictError) {
+        setRecipes(prev => prev.map(r => r.id === id ? error.current : r));
+        showError('Couldn’t undo: someone else has changed this recipe since.');
+        return;
+      }
+      console.error('Failed to undo edit:', error);
+      showError('Failed to undo the edit.', () => undoEdit(id, revert, saved));
+    }
+  }
+
+  function handleResolveConflict(choices) {
+    saveEdit(conflict.id, conflict.current, resolveConflicts(conflict.updates, choices));
+  }
+
+  if (!token) {
     return (
       <div className="container">
         <h1>Jessipes</h1>
         <p>Enter your secret code to get started:</p>
+        {loginError && <p className="login-error" role="alert">{loginError}</p>}
         <input
           type="password"
           value={inputSecret}
@@ -183,7 +757,9 @@ function App() {
           placeholder="Secret code"
           className="secret-input"
         />
-        <button onClick={handleSaveSecret} className="secret-save-button">Save</button>
+        <button onClick={handleSaveSecret} disabled={signingIn || !inputSecret} className="secret-save-button">
+          {signingIn ? 'Signing in...' : 'Save'}
+        </button>
       </div>
     );
   }
@@ -194,21 +770,122 @@ function App() {
       return (
         recipe.title?.toLowerCase().includes(searchLower) ||
         recipe.text?.toLowerCase().includes(searchLower) ||
-        recipe.url?.toLowerCase().includes(searchLower)
+        recipe.url?.toLowerCase().includes(searchLower) ||
+        recipe.tags?.some(tag => tag.includes(searchLower))
       );
     })();
 
     const matchesDeletedFilter = showDeleted ? recipe.deleted : !recipe.deleted;
 
-    return matchesSearch && matchesDeletedFilter;
+    return matchesSearch && matchesDeletedFilter && matchesTags(recipe, selectedTags, tagMode);
   });
 
+  const tagCounts = hasMorePages && serverTagCounts ? serverTagCounts : loadedTagCounts;
+
+  function handleSelectTag(tag) {
+    if (!selectedTags.includes(tag)) {
+      setSelectedTags([...selectedTags, tag]);
+    }
+  }
+
+  // Viewers get a read-only app; the worker enforces this too
+  const canEdit = currentUser?.role !== 'viewer';
+  // Deleting for good is for owners, so editors' deletes can always be restored
+  const canPurge = canEdit && currentUser?.role !== 'editor';
+
+  const unitToggle = (
+    <div className="unit-toggle" role="group" aria-label="Units">
+      {[['original', 'As written'], ['metric', 'Metric'], ['imperial', 'Imperial']].map(([system, label]) => (
+        <button
+          key={system}
+          type="button"
+          aria-pressed={unitSystem === system}
+          className={unitSystem === system ? 'active' : ''}
+          onClick={() => {
+            setUnitSystem(system);
+            localStorage.setItem(LOCAL_UNIT_SYSTEM_KEY, system);
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  function openGallery(images, index, alt) {
+    setScrollPosition(window.scrollY);
+    setZoomedImage({ images, index, alt });
+  }
+
+  function closeGallery() {
+    setZoomedImage(null);
+    setTimeout(() => window.scrollTo(0, scrollPosition), 0);
+  }
+
+  const galleryOverlay = zoomedImage && (
+    <div className="image-zoom-overlay" onClick={(e) => {
+      // Only close if clicking the overlay background, not the image
+      if (e.target === e.currentTarget) {
+        closeGallery();
+      }
+    }}>
+      <div className="image-zoom-container">
+        <button
+          className="back-button"
+          onClick={(e) => {
+            e.stopPropagation();
+            closeGallery();
+          }}
+        >
+          ← Back
+        </button>
+        <PhotoGallery images={zoomedImage.images} startIndex={zoomedImage.index} alt={zoomedImage.alt} />
+      </div>
+    </div>
+  );
+
+  const offlineBanner = !online && (
+    <p className="offline-banner" role="status">Offline — showing cached recipes</p>
+  );
+
+  if (route.recipeId) {
+    return (
+      <div className="container">
+        {offlineBanner}
+        <div className="top-buttons">{unitToggle}</div>
+        <RecipePage
+          key={route.recipeId}
+          token={token}
+          recipeId={route.recipeId}
+          cachedRecipe={recipes.find(r => r.id === route.recipeId)}
+          unitSystem={unitSystem}
+          readOnly={!canEdit}
+          onRecipeChange={updated => setRecipes(prev => prev.map(r => r.id === updated.id ? updated : r))}
+          onSelectTag={tag => {
+            setSelectedTags([tag]);
+            window.location.hash = LIST_PATH;
+          }}
+          onOpenPhotos={openGallery}
+        />
+        {galleryOverlay}
+        <ToastRegion />
+      </div>
+    );
+  }
+
   return (
     <div className="container">
       <h1>Jessipes</h1>
+      {offlineBanner}
+      <div className="session-bar">
+        {currentUser && (
+          <span className="signed-in">Signed in as {currentUser.name} ({currentUser.role})</span>
+        )}
+        <button type="button" onClick={handleSignOut} className="sign-out-button">Sign out</button>
+      </div>
 
       <div className="top-buttons">
-        {!showAdd && (
+        {!showAdd && canEdit && (
           <button onClick={() => setShowAdd(true)} className="primary-button solid add-recipe-button">
             Add Recipe
           </button>
@@ -219,6 +896,18 @@ function App() {
         >
           {showDeleted ? 'Show Active' : 'Show Deleted'}
         </button>
+        {showDeleted && canPurge && (
+          <button onClick={() => setConfirmPurge({ all: true })} className="primary-button outline empty-trash-button">
+            Empty trash
+          </button>
+        )}
+        <button
+          onClick={() => setShowCollections(!showCollections)}
+          className={`primary-button outline ${showCollections ? 'active' : ''}`}
+        >
+          {showCollections ? 'Show Recipes' : 'Collections'}
+        </button>
+        {unitToggle}
       </div>
       {showAdd && (
         <form onSubmit={handleAddRecipe} className="add-form">
@@ -227,6 +916,8 @@ function App() {
             setTitleManuallyEdited(false);
             setTitleFetchedForUrl('');
             setNewRecipe({ url: '', photo: null, title: '', text: '' });
+            setIngredientsText('');
+            setAddErrors([]);
           }}>
             <option value="url">URL</option>
             <option value="photo">Photo</option>
@@ -276,11 +967,20 @@ function App() {
                 onChange={e => setNewRecipe({ ...newRecipe, title: e.target.value })}
                 required
               />
+              {newRecipe.photo && (
+                <p className="shared-photo">
+                  {newRecipe.morePhotos?.length ? 'Photos' : 'Photo'}: {[newRecipe.photo, ...(newRecipe.morePhotos || [])].map(photo => photo.name).join(', ')}
+                </p>
+              )}
               <input
                 type="file"
                 accept="image/*"
-                onChange={e => setNewRecipe({ ...newRecipe, photo: e.target.files[0] })}
-                required
+                multiple
+                onChange={e => {
+                  const [photo, ...morePhotos] = e.target.files;
+                  setNewRecipe({ ...newRecipe, photo, morePhotos });
+                }}
+                required={!newRecipe.photo}
               />
               <textarea
                 placeholder="Additional notes"
@@ -306,6 +1006,14 @@ function App() {
               />
             </>
           )}
+          <textarea
+            placeholder="Ingredients (one per line)"
+            value={ingredientsText}
+            onChange={e => setIngredientsText(e.target.value)}
+          />
+          <IngredientPreview text={ingredientsText} />
+          <TagInput tags={newTags} onChange={setNewTags} knownTags={tagCounts} />
+          <FieldErrors errors={addErrors} />
           <div className="add-buttons">
             <button type="submit">Add Recipe</button>
             <button type="button" onClick={() => {
@@ -313,138 +1021,192 @@ function App() {
               setTitleManuallyEdited(false);
               setTitleFetchedForUrl('');
               setNewRecipe({ url: '', photo: null, title: '', text: '' });
+              setIngredientsText('');
+              setNewTags([]);
+              setAddErrors([]);
             }}>Cancel</button>
           </div>
         </form>
       )}
 
-      <input
-        type="text"
-        placeholder="Search recipes..."
-        value={searchTerm}
-        onChange={e => setSearchTerm(e.target.value)}
-        className="search-input"
-      />
-
-      {loading ? <p>Loading...</p> : (
-        <ul className="recipe-list">
-          {filteredRecipes.map(recipe => (
-            <li key={recipe.id} className={`recipe-item ${recipe.deleted ? 'deleted' : ''}`}>
-              {editingRecipe === recipe.id ? (
-                <form onSubmit={handleUpdateRecipe} className="edit-form">
-                  <input
-                    type="text"
-                    placeholder="Recipe Title"
-                    value={editData.title}
-                    onChange={e => setEditData({ ...editData, title: e.target.value })}
-                    required
-                  />
-                  <textarea
-                    placeholder="Additional notes"
-                    value={editData.text}
-                    onChange={e => setEditData({ ...editData, text: e.target.value })}
-                  />
-                  <div className="edit-buttons">
-                    <button type="submit">Save</button>
-                    <button type="button" onClick={handleCancelEdit}>Cancel</button>
-                  </div>
-                </form>
-              ) : (
-                <>
-                  {recipe.url ? (
-                    <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-title-link">
-                      <strong className="recipe-title">{recipe.title || 'Untitled'}</strong>
-                    </a>
+      {showCollections ? (
+        <CollectionsPanel token={token} recipes={recipes} onRestore={handleUndelete} readOnly={!canEdit} />
+      ) : (
+        <>
+          <input
+            type="text"
+            placeholder="Search recipes..."
+            value={searchTerm}
+            onChange={e => setSearchTerm(e.target.value)}
+            className="search-input"
+          />
+          <TagFilter
+            tags={tagCounts}
+            selected={selectedTags}
+            mode={tagMode}
+            onChange={setSelectedTags}
+            onModeChange={setTagMode}
+          />
+
+          {loading ? <p>Loading...</p> : (
+            <ul className="recipe-list">
+              {filteredRecipes.map(recipe => (
+                <li key={recipe.id} className={`recipe-item ${recipe.deleted ? 'deleted' : ''}`}>
+                  {editingRecipe === recipe.id ? (
+                    <form onSubmit={handleUpdateRecipe} className="edit-form">
+                      <input
+                        type="text"
+                        placeholder="Recipe Title"
+                        value={editData.title}
+                        onChange={e => setEditData({ ...editData, title: e.target.value })}
+                        required
+                      />
+                      <IngredientEditor
+                        ingredients={editData.ingredients}
+                        onChange={ingredients => setEditData({ ...editData, ingredients })}
+                      />
+                      <StepEditor
+                        steps={editData.steps}
+                        onChange={steps => setEditData({ ...editData, steps })}
+                      />
+                      <textarea
+                        placeholder="Additional notes"
+                        value={editData.text}
+                        onChange={e => setEditData({ ...editData, text: e.target.value })}
+                      />
+                      <TagInput
+                        tags={editData.tags}
+                        onChange={tags => setEditData({ ...editData, tags })}
+                        knownTags={tagCounts}
+                        suggestedTags={recipe.suggestedTags}
+                      />
+                      <FieldErrors errors={editErrors} />
+                      <div className="edit-buttons">
+                        <button type="submit">Save</button>
+                        <button type="button" onClick={handleCancelEdit}>Cancel</button>
+                      </div>
+                    </form>
                   ) : (
-                    <strong className="recipe-title">{recipe.title || 'Untitled'}</strong>
+                    <>
+                      {recipe.url ? (
+                        <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-title-link">
+                          <strong className="recipe-title">{recipe.title || 'Untitled'}</strong>
+                        </a>
+                      ) : (
+                        <strong className="recipe-title">{recipe.title || 'Untitled'}</strong>
+                      )}
+                      {recipe.pending && <span className="sync-badge">Not yet synced</span>}
+                      {(recipe.previewImage || recipe.photo) && (
+                        <img
+                          src={recipe.previewImage || recipe.photo}
+                          alt={recipe.title || 'Recipe image'}
+                          className={recipe.previewImage ? "recipe-preview-image" : "recipe-image"}
+                          onError={(e) => {
+                            e.target.style.display = 'none';
+                          }}
+                          onClick={() => openGallery(cardImages(recipe), 0, recipe.title || 'Recipe image')}
+                        />
+                      )}
+                      {recipePhotos(recipe).length > 1 && (
+                        <span className="photo-count">{recipePhotos(recipe).length} photos</span>
+                      )}
+                      {recipe.url && (
+                        <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-url">
+                          {recipe.url}
+                        </a>
+                      )}
+                      <TagList tags={recipe.tags} onSelect={handleSelectTag} />
+                      {recipe.summary ? (
+                        <button
+                          onClick={() => loadFullRecipe(recipe)}
+                          className="show-recipe-btn"
+                          disabled={loadingRecipeId === recipe.id}
+                        >
+                          {loadingRecipeId === recipe.id ? 'Loading...' : 'Show recipe'}
+                        </button>
+                      ) : (
+                        <>
+                          <RecipeDetails recipe={recipe} unitSystem={unitSystem} />
+                          {recipe.text && <p className="recipe-text">{convertText(recipe.text, unitSystem)}</p>}
+                        </>
+                      )}
+                      <div className="recipe-actions">
+                        {!recipe.deleted ? (
+                          <>
+                            {!recipe.id.startsWith(PENDING_ID_PREFIX) && (
+                              <a href={recipePath(recipe.id)} className="edit-btn open-link">Open</a>
+                            )}
+                            {canEdit && (
+                              <>
+                                <button onClick={() => handleEdit(recipe)} className="edit-btn" disabled={loadingRecipeId === recipe.id}>Edit</button>
+                                <button onClick={() => handleDelete(recipe)} className="delete-btn">Delete</button>
+                              </>
+                            )}
+                          </>
+                        ) : canEdit && (
+                          <>
+                            <button
+                              onClick={() => handleUndelete(recipe)}
+                              className="undelete-btn"
+                              disabled={undeletingIds.has(recipe.id)}
+                            >
+                              {undeletingIds.has(recipe.id) ? 'Restoring...' : 'Restore'}
+                            </button>
+                            {canPurge && (
+                              <button onClick={() => setConfirmPurge({ recipe })} className="delete-btn">Delete forever</button>
+                            )}
+                          </>
+                        )}
+                      </div>
+                    </>
                   )}
-                  {(recipe.previewImage || recipe.photo) && (
-                    <img
-                      src={recipe.previewImage || recipe.photo}
-                      alt={recipe.title || 'Recipe image'}
-                      className={recipe.previewImage ? "recipe-preview-image" : "recipe-image"}
-                      onError={(e) => {
-                        e.target.style.display = 'none';
-                      }}
-                      onClick={() => {
-                        setScrollPosition(window.scrollY);
-                        setZoomedImage({
-                          src: recipe.previewImage || recipe.photo,
-                          alt: recipe.title || 'Recipe image'
-                        });
-                      }}
-                    />
-                  )}
-                  {recipe.url && (
-                    <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-url">
-                      {recipe.url}
-                    </a>
-                  )}
-                  {recipe.text && <p className="recipe-text">{recipe.text}</p>}
-                  <div className="recipe-actions">
-                    {!recipe.deleted ? (
-                      <>
-                        <button onClick={() => handleStartEdit(recipe)} className="edit-btn">Edit</button>
-                        <button onClick={() => handleDelete(recipe)} className="delete-btn">Delete</button>
-                      </>
-                    ) : (
-                      <button
-                        onClick={() => handleUndelete(recipe)}
-                        className="undelete-btn"
-                        disabled={undeletingIds.has(recipe.id)}
-                      >
-                        {undeletingIds.has(recipe.id) ? 'Restoring...' : 'Restore'}
-                      </button>
-                    )}
-                  </div>
-                </>
-              )}
-            </li>
-          ))}
-        </ul>
+                </li>
+              ))}
+            </ul>
+          )}
+          {nextCursor && !loading && (
+            <div ref={loadMoreRef} className="load-more">
+              <button type="button" onClick={handleLoadMore} disabled={loadingMore} className="primary-button outline">
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
       )}
 
-      {zoomedImage && (
-        <div className="image-zoom-overlay" onClick={(e) => {
-          // Only close if clicking the overlay background, not the image
-          if (e.target === e.currentTarget) {
-            setZoomedImage(null);
-            setTimeout(() => window.scrollTo(0, scrollPosition), 0);
-          }
-        }}>
-          <div className="image-zoom-container">
-            <button
-              className="back-button"
-              onClick={(e) => {
-                e.stopPropagation();
-                setZoomedImage(null);
-                setTimeout(() => window.scrollTo(0, scrollPosition), 0);
-              }}
-            >
-              ← Back
-            </button>
-            <img
-              src={zoomedImage.src}
-              alt={zoomedImage.alt}
-              className="zoomed-image"
-              onClick={(e) => e.stopPropagation()}
-            />
-          </div>
-        </div>
+      {galleryOverlay}
+
+      {conflict && (
+        <MergeDialog
+          key={conflict.current.etag}
+          conflict={conflict}
+          saving={savingEdit}
+          onSave={handleResolveConflict}
+          onDiscard={finishEdit}
+        />
       )}
 
-      {showConfirmDelete && (
-        <div className="modal-overlay" onClick={cancelDelete}>
+      {confirmPurge && (
+        <div className="modal-overlay" onClick={() => !purging && setConfirmPurge(null)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h3>Confirm Delete</h3>
-            <p>Are you sure you want to delete "{showConfirmDelete.title || 'Untitled'}"?</p>
+            <h3>{confirmPurge.all ? 'Empty Trash' : 'Delete Forever'}</h3>
+            <p>
+              {confirmPurge.all
+                ? 'Permanently delete every recipe in the trash, with their photos and history?'
+                : `Permanently delete "${confirmPurge.recipe.title || 'Untitled'}", with its photo and history?`}
+              {' '}This can&rsquo;t be undone.
+            </p>
             <div className="modal-buttons">
-              <button onClick={confirmDelete} className="delete-confirm-btn">Delete</button>
-              <button onClick={cancelDelete} className="cancel-btn">Cancel</button>
+              <button onClick={() => handlePurge(confirmPurge)} disabled={purging} className="delete-confirm-btn">
+                {purging ? 'Deleting...' : 'Delete forever'}
+              </button>
+              <button onClick={() => setConfirmPurge(null)} disabled={purging} className="cancel-btn">Cancel</button>
             </div>
           </div>
         </div>
       )}
+
+      <ToastRegion />
     </div>
   );
 }
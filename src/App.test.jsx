@@ -1,18 +1,87 @@
-import { render, screen, waitFor } from '@testing-library/react'
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import App from './App'
 import * as api from './api'
+import * as mutationQueue from './mutationQueue'
+import * as recipeMirror from './recipeMirror'
+import * as shareTarget from './shareTarget'
+import { getToasts } from './toasts'
 
 // Mock the API module
 vi.mock('./api', () => ({
   fetchRecipes: vi.fn(),
+  fetchRecipe: vi.fn(),
+  fetchCurrentUser: vi.fn(),
+  fetchTags: vi.fn(),
   addRecipe: vi.fn(),
   softDeleteRecipe: vi.fn(),
   undeleteRecipe: vi.fn(),
+  purgeRecipe: vi.fn(),
+  emptyTrash: vi.fn(),
   updateRecipe: vi.fn(),
   extractTitleFromUrl: vi.fn(),
+  shareRecipe: vi.fn(),
+  fetchRecipeHistory: vi.fn(),
+  revertRecipe: vi.fn(),
+  unshareRecipe: vi.fn(),
+  addRecipePhoto: vi.fn(),
+  removeRecipePhoto: vi.fn(),
+  reorderRecipePhotos: vi.fn(),
+  shareUrl: token => `https://worker.test/share/${token}`,
+  fetchCollections: vi.fn(),
+  fetchCollection: vi.fn(),
+  addCollection: vi.fn(),
+  updateCollection: vi.fn(),
+  login: vi.fn(),
+  logout: vi.fn(),
+  refreshSession: vi.fn(),
+  sessionExpiry: vi.fn(),
+  onSessionExpired: vi.fn(),
+  SessionExpiredError: class SessionExpiredError extends Error {},
+  InvalidSecretError: class InvalidSecretError extends Error {},
+  RecipeNotFoundError: class RecipeNotFoundError extends Error {},
+  RecipeConflictError: class RecipeConflictError extends Error {
+    constructor(current) {
+      super('Recipe has changed since it was loaded')
+      this.current = current
+    }
+  },
+  ValidationError: class ValidationError extends Error {
+    constructor(message, details) {
+      super(message)
+      this.details = details
+    }
+  },
+  replayMutations: vi.fn(async () => ({ synced: 0, failed: [], unsentPhotos: [] })),
+}))
+
+// The queue itself is in IndexedDB, which jsdom doesn't have
+vi.mock('./mutationQueue', async importOriginal => ({
+  ...await importOriginal(),
+  pendingMutations: vi.fn(async () => []),
+  discardMutation: vi.fn(),
+  retryMutation: vi.fn(),
+  clearMutations: vi.fn(),
+}))
+
+// So is the local copy of the recipes; without it the app pages through fetchRecipes
+vi.mock('./recipeMirror', () => ({
+  canMirrorRecipes: vi.fn(() => false),
+  loadMirroredRecipes: vi.fn(async () => []),
+  syncRecipeMirror: vi.fn(),
+  clearRecipeMirror: vi.fn(),
+}))
+
+// Shared items wait in the Cache API, which jsdom doesn't have
+vi.mock('./shareTarget', async importOriginal => ({
+  ...await importOriginal(),
+  wasOpenedByShare: vi.fn(() => false),
+  takeSharedItem: vi.fn(async () => null),
 }))
 
+// fetchRecipes resolves to one page of recipes
+const page = (recipes, cursor = null) => ({ recipes, cursor })
+
 const mockRecipes = [
   {
     id: '1',
@@ -35,7 +104,7 @@ describe('App', () => {
     localStorage.clear()
     vi.clearAllMocks()
     // Set default mock return values
-    api.fetchRecipes.mockResolvedValue([])
+    api.fetchRecipes.mockResolvedValue(page([]))
     api.addRecipe.mockResolvedValue({ id: 'test-id', title: 'Test Recipe' })
     api.softDeleteRecipe.mockResolvedValue({ id: 'test-id', deleted: true })
     api.updateRecipe.mockResolvedValue({ id: 'test-id', title: 'Updated' })
@@ -52,29 +121,110 @@ describe('App', () => {
       expect(screen.getByRole('button', { name: 'Save' })).toBeInTheDocument()
     })
 
-    test('saves secret code to localStorage when Save is clicked', async () => {
+    test('exchanges the secret code for a session token when Save is clicked', async () => {
       const user = userEvent.setup()
+      api.login.mockResolvedValue({ token: 'session-token', expires: '2024-01-08T00:00:00Z', user: { name: 'owner', role: 'owner' } })
+      api.fetchCurrentUser.mockResolvedValue({ name: 'owner', role: 'owner' })
       render(<App />)
-      
+
       const input = screen.getByPlaceholderText('Secret code')
       const saveButton = screen.getByRole('button', { name: 'Save' })
-      
+
       await user.type(input, 'test-secret')
       await user.click(saveButton)
-      
-      expect(localStorage.setItem).toHaveBeenCalledWith('jessipes_cloudflare_secret', 'test-secret')
+
+      expect(api.login).toHaveBeenCalledWith('test-secret')
+      expect(localStorage.setItem).toHaveBeenCalledWith('jessipes_session', 'session-token')
+      expect(localStorage.setItem).not.toHaveBeenCalledWith(expect.anything(), 'test-secret')
+      await waitFor(() => {
+        expect(api.fetchRecipes).toHaveBeenCalledWith('session-token')
+      })
+      expect(await screen.findByText('Signed in as owner (owner)')).toBeInTheDocument()
     })
 
-    test('loads secret from localStorage on mount', async () => {
-      localStorage.getItem.mockReturnValue('existing-secret')
-      api.fetchRecipes.mockResolvedValue([])
-      
+    test('shows an error when the secret code is wrong', async () => {
+      const user = userEvent.setup()
+      api.login.mockRejectedValue(new api.InvalidSecretError('Invalid secret'))
       render(<App />)
-      
-      expect(localStorage.getItem).toHaveBeenCalledWith('jessipes_cloudflare_secret')
+
+      await user.type(screen.getByPlaceholderText('Secret code'), 'wrong')
+      await user.click(screen.getByRole('button', { name: 'Save' }))
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('That secret code did not work')
+      expect(localStorage.setItem).not.toHaveBeenCalled()
+    })
+
+    test('does not blame the secret code when the server can\'t be reached', async () => {
+      const user = userEvent.setup()
+      api.login.mockRejectedValue(new TypeError('Failed to fetch'))
+      render(<App />)
+
+      await user.type(screen.getByPlaceholderText('Secret code'), 'test-secret')
+      await user.click(screen.getByRole('button', { name: 'Save' }))
+
+      const alert = await screen.findByRole('alert')
+      expect(alert).toHaveTextContent('Couldn\'t reach the server')
+      expect(alert).not.toHaveTextContent('did not work')
+    })
+
+    test('loads the session token from localStorage on mount', async () => {
+      localStorage.getItem.mockReturnValue('existing-token')
+      api.fetchRecipes.mockResolvedValue(page([]))
+
+      render(<App />)
+
+      expect(localStorage.getItem).toHaveBeenCalledWith('jessipes_session')
+      expect(localStorage.removeItem).toHaveBeenCalledWith('jessipes_cloudflare_secret')
       await waitFor(() => {
         expect(screen.getByRole('button', { name: 'Add Recipe' })).toBeInTheDocument()
       })
+      expect(api.fetchRecipes).toHaveBeenCalledWith('existing-token')
+    })
+
+    test('asks for the secret code again when the session expires', async () => {
+      localStorage.getItem.mockReturnValue('expired-token')
+      api.fetchRecipes.mockImplementation(async () => {
+        api.onSessionExpired.mock.calls[0][0]()
+        throw new api.SessionExpiredError()
+      })
+
+      render(<App />)
+
+      expect(await screen.findByText('Your session has expired. Enter your secret code to sign in again.')).toBeInTheDocument()
+      expect(screen.getByPlaceholderText('Secret code')).toBeInTheDocument()
+      expect(localStorage.removeItem).toHaveBeenCalledWith('jessipes_session')
+      // Nothing of theirs is left for whoever signs in next
+      expect(mutationQueue.clearMutations).toHaveBeenCalled()
+      expect(recipeMirror.clearRecipeMirror).toHaveBeenCalled()
+      // The expired session isn't also reported as a failed fetch
+      expect(getToasts()).toEqual([])
+    })
+
+    test('refreshes the token before it expires', async () => {
+      localStorage.getItem.mockReturnValue('old-token')
+      api.sessionExpiry.mockReturnValue(Date.now() + 60 * 60 * 1000)
+      api.refreshSession.mockResolvedValue({ token: 'new-token', expires: '2024-01-08T00:00:00Z' })
+
+      render(<App />)
+
+      await waitFor(() => {
+        expect(api.refreshSession).toHaveBeenCalledWith('old-token')
+      })
+      expect(localStorage.setItem).toHaveBeenCalledWith('jessipes_session', 'new-token')
+    })
+
+    test('signs out and forgets the token', async () => {
+      const user = userEvent.setup()
+      localStorage.getItem.mockReturnValue('test-token')
+      api.logout.mockResolvedValue({ revoked: 1 })
+      render(<App />)
+
+      await user.click(await screen.findByRole('button', { name: 'Sign out' }))
+
+      expect(api.logout).toHaveBeenCalledWith('test-token')
+      expect(localStorage.removeItem).toHaveBeenCalledWith('jessipes_session')
+      expect(recipeMirror.clearRecipeMirror).toHaveBeenCalled()
+      expect(screen.getByPlaceholderText('Secret code')).toBeInTheDocument()
     })
   })
 
@@ -84,7 +234,7 @@ describe('App', () => {
     })
 
     test('displays recipes when loaded successfully', async () => {
-      api.fetchRecipes.mockResolvedValue(mockRecipes)
+      api.fetchRecipes.mockResolvedValue(page(mockRecipes))
       
       render(<App />)
       
@@ -106,16 +256,19 @@ describe('App', () => {
     })
 
     test('handles fetch error gracefully', async () => {
-      api.fetchRecipes.mockRejectedValue(new Error('Network error'))
-      const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {})
+      const user = userEvent.setup()
+      api.fetchRecipes.mockRejectedValueOnce(new Error('Network error')).mockResolvedValueOnce(page(mockRecipes))
       
       render(<App />)
       
-      await waitFor(() => {
-        expect(alertSpy).toHaveBeenCalledWith('Failed to fetch recipes. Please check your secret code and try again.')
-      })
+      expect(await screen.findByRole('alert')).toHaveTextContent('Failed to fetch recipes.')
+      
+      // Retry fetches again from the toast
+      await user.click(screen.getByRole('button', { name: 'Retry' }))
       
-      alertSpy.mockRestore()
+      expect(await screen.findByText('Test Recipe 1')).toBeInTheDocument()
+      expect(api.fetchRecipes).toHaveBeenCalledTimes(2)
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument()
     })
 
     test('filters out deleted recipes', async () => {
@@ -123,7 +276,7 @@ describe('App', () => {
         ...mockRecipes,
         { id: '3', title: 'Deleted Recipe', deleted: true },
       ]
-      api.fetchRecipes.mockResolvedValue(recipesWithDeleted)
+      api.fetchRecipes.mockResolvedValue(page(recipesWithDeleted))
       
       render(<App />)
       
@@ -137,7 +290,7 @@ describe('App', () => {
   describe('Add Recipe Form', () => {
     beforeEach(() => {
       localStorage.getItem.mockReturnValue('test-secret')
-      api.fetchRecipes.mockResolvedValue([])
+      api.fetchRecipes.mockResolvedValue(page([]))
     })
 
     test('shows add form when Add Recipe button is clicked', async () => {
@@ -234,8 +387,8 @@ describe('App', () => {
 
     test('handles add recipe error', async () => {
       const user = userEvent.setup()
-      api.addRecipe.mockRejectedValue(new Error('Add failed'))
-      const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {})
+      api.addRecipe.mockRejectedValueOnce(new Error('Add failed'))
+      api.addRecipe.mockResolvedValueOnce({ id: 'new-id', title: 'New Recipe', url: 'https://test.com' })
       
       render(<App />)
       
@@ -246,11 +399,16 @@ describe('App', () => {
       await user.type(screen.getByPlaceholderText('Recipe Title'), 'New Recipe')
       await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
       
+      expect(await screen.findByRole('alert')).toHaveTextContent('Failed to add recipe.')
+      
+      // The form keeps what was typed, and Retry sends it again
+      await user.click(screen.getByRole('button', { name: 'Retry' }))
+      
       await waitFor(() => {
-        expect(alertSpy).toHaveBeenCalledWith('Failed to add recipe. Please try again.')
+        expect(api.addRecipe).toHaveBeenCalledTimes(2)
       })
-      
-      alertSpy.mockRestore()
+      expect(api.addRecipe.mock.calls[1]).toEqual(api.addRecipe.mock.calls[0])
+      expect(await screen.findByText('New Recipe')).toBeInTheDocument()
     })
 
     test('cancels add form when Cancel button is clicked', async () => {
@@ -278,7 +436,7 @@ describe('App', () => {
   describe('URL-First Recipe Entry', () => {
     beforeEach(() => {
       localStorage.getItem.mockReturnValue('test-secret')
-      api.fetchRecipes.mockResolvedValue([])
+      api.fetchRecipes.mockResolvedValue(page([]))
     })
 
     test('URL field appears before title field in form', async () => {
@@ -551,10 +709,10 @@ describe('App', () => {
   describe('Recipe Actions', () => {
     beforeEach(() => {
       localStorage.getItem.mockReturnValue('test-secret')
-      api.fetchRecipes.mockResolvedValue(mockRecipes)
+      api.fetchRecipes.mockResolvedValue(page(mockRecipes))
     })
 
-    test('deletes recipe when Delete button is clicked and confirmed', async () => {
+    test('deletes recipe straight away when Delete button is clicked', async () => {
       const user = userEvent.setup()
       api.softDeleteRecipe.mockResolvedValue({ ...mockRecipes[0], deleted: true })
       
@@ -565,38 +723,56 @@ describe('App', () => {
       const deleteButtons = screen.getAllByText('Delete')
       await user.click(deleteButtons[0])
       
-      // Modal should appear
-      expect(screen.getByText('Confirm Delete')).toBeInTheDocument()
-      expect(screen.getByText('Are you sure you want to delete "Test Recipe 1"?')).toBeInTheDocument()
-      
-      // Click confirm delete in modal
-      const confirmButton = document.querySelector('.delete-confirm-btn')
-      await user.click(confirmButton)
-      
+      // No confirmation; the recipe leaves the list and a toast offers Undo
       expect(api.softDeleteRecipe).toHaveBeenCalledWith('test-secret', '1')
+      expect(screen.queryByText('Test Recipe 1')).not.toBeInTheDocument()
+      expect(screen.getByRole('status')).toHaveTextContent('Deleted “Test Recipe 1”')
     })
 
-    test('does not delete recipe when deletion is cancelled', async () => {
+    test('restores a deleted recipe when Undo is pressed', async () => {
       const user = userEvent.setup()
+      let finishDelete
+      api.softDeleteRecipe.mockReturnValue(new Promise(resolve => { finishDelete = resolve }))
+      api.undeleteRecipe.mockResolvedValue({ ...mockRecipes[0], deleted: false })
       
       render(<App />)
       
       await waitFor(() => screen.getByText('Test Recipe 1'))
+      await user.click(screen.getAllByText('Delete')[0])
       
-      const deleteButtons = screen.getAllByText('Delete')
-      await user.click(deleteButtons[0])
+      // Undo waits for the delete to reach the worker before restoring
+      await user.click(screen.getByRole('button', { name: 'Undo' }))
+      expect(api.undeleteRecipe).not.toHaveBeenCalled()
+      
+      finishDelete({ ...mockRecipes[0], deleted: true })
+      
+      expect(await screen.findByText('Test Recipe 1')).toBeInTheDocument()
+      expect(api.undeleteRecipe).toHaveBeenCalledWith('test-secret', '1')
+      // Undoing doesn't offer another undo
+      expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument()
+    })
+
+    test('puts the recipe back and offers Retry when deleting fails', async () => {
+      const user = userEvent.setup()
+      api.softDeleteRecipe
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce({ ...mockRecipes[0], deleted: true })
+      
+      render(<App />)
       
-      // Modal should appear
-      expect(screen.getByText('Confirm Delete')).toBeInTheDocument()
+      await waitFor(() => screen.getByText('Test Recipe 1'))
+      await user.click(screen.getAllByText('Delete')[0])
       
-      // Click cancel
-      const cancelButton = screen.getByText('Cancel')
-      await user.click(cancelButton)
+      expect(await screen.findByRole('alert')).toHaveTextContent('Failed to delete recipe.')
+      expect(screen.getByText('Test Recipe 1')).toBeInTheDocument()
+      expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument()
       
-      expect(api.softDeleteRecipe).not.toHaveBeenCalled()
+      await user.click(screen.getByRole('button', { name: 'Retry' }))
       
-      // Modal should be gone
-      expect(screen.queryByText('Confirm Delete')).not.toBeInTheDocument()
+      await waitFor(() => {
+        expect(screen.queryByText('Test Recipe 1')).not.toBeInTheDocument()
+      })
+      expect(api.softDeleteRecipe).toHaveBeenCalledTimes(2)
     })
 
     test('should toggle between active and deleted recipes', async () => {
@@ -605,7 +781,7 @@ describe('App', () => {
         mockRecipes[0],
         { ...mockRecipes[1], deleted: true }
       ]
-      api.fetchRecipes.mockResolvedValue(recipesWithDeleted)
+      api.fetchRecipes.mockResolvedValue(page(recipesWithDeleted))
       
       render(<App />)
       
@@ -639,7 +815,7 @@ describe('App', () => {
     test('should restore deleted recipe', async () => {
       const user = userEvent.setup()
       const deletedRecipe = { ...mockRecipes[0], deleted: true }
-      api.fetchRecipes.mockResolvedValue([deletedRecipe])
+      api.fetchRecipes.mockResolvedValue(page([deletedRecipe]))
       api.undeleteRecipe.mockResolvedValue({ ...mockRecipes[0], deleted: false })
       
       render(<App />)
@@ -660,7 +836,7 @@ describe('App', () => {
     test('should prevent multiple undelete requests', async () => {
       const user = userEvent.setup()
       const deletedRecipe = { ...mockRecipes[0], deleted: true }
-      api.fetchRecipes.mockResolvedValue([deletedRecipe])
+      api.fetchRecipes.mockResolvedValue(page([deletedRecipe]))
       
       // Make undelete slow to test race condition
       api.undeleteRecipe.mockImplementation(() => new Promise(resolve => setTimeout(resolve, 100)))
@@ -686,6 +862,76 @@ describe('App', () => {
       expect(api.undeleteRecipe).toHaveBeenCalledTimes(1)
     })
 
+    test('deletes a recipe forever after confirming', async () => {
+      const user = userEvent.setup()
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[0], { ...mockRecipes[1], deleted: true }]))
+      api.purgeRecipe.mockResolvedValue({ id: '2', purged: true })
+
+      render(<App />)
+      await user.click(await screen.findByText('Show Deleted'))
+      await user.click(await screen.findByRole('button', { name: 'Delete forever' }))
+
+      expect(screen.getByText(/Permanently delete "Test Recipe 2"/)).toBeInTheDocument()
+      await user.click(screen.getAllByRole('button', { name: 'Delete forever' }).at(-1))
+
+      expect(api.purgeRecipe).toHaveBeenCalledWith('test-secret', '2')
+      await waitFor(() => {
+        expect(screen.queryByText('Test Recipe 2')).not.toBeInTheDocument()
+      })
+    })
+
+    test('empties the trash from the deleted view', async () => {
+      const user = userEvent.setup()
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[0], { ...mockRecipes[1], deleted: true }]))
+      api.emptyTrash.mockResolvedValue({ purged: 1 })
+
+      render(<App />)
+      await waitFor(() => screen.getByText('Test Recipe 1'))
+      expect(screen.queryByRole('button', { name: 'Empty trash' })).not.toBeInTheDocument()
+
+      await user.click(screen.getByText('Show Deleted'))
+      await user.click(screen.getByRole('button', { name: 'Empty trash' }))
+      expect(screen.getByText(/Permanently delete every recipe in the trash/)).toBeInTheDocument()
+      await user.click(screen.getAllByRole('button', { name: 'Delete forever' }).at(-1))
+
+      expect(api.emptyTrash).toHaveBeenCalledWith('test-secret')
+      await waitFor(() => {
+        expect(screen.queryByText('Test Recipe 2')).not.toBeInTheDocument()
+      })
+      await user.click(screen.getByText('Show Active'))
+      expect(screen.getByText('Test Recipe 1')).toBeInTheDocument()
+    })
+
+    test('offers to empty the trash when no deleted recipe has loaded yet', async () => {
+      const user = userEvent.setup()
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[0]], 'next-page'))
+      api.emptyTrash.mockResolvedValue({ purged: 3 })
+
+      render(<App />)
+      await user.click(await screen.findByText('Show Deleted'))
+      await user.click(screen.getByRole('button', { name: 'Empty trash' }))
+      await user.click(screen.getAllByRole('button', { name: 'Delete forever' }).at(-1))
+
+      expect(api.emptyTrash).toHaveBeenCalledWith('test-secret')
+    })
+
+    test('offers to undo a restore', async () => {
+      const user = userEvent.setup()
+      api.fetchRecipes.mockResolvedValue(page([{ ...mockRecipes[0], deleted: true }]))
+      api.undeleteRecipe.mockResolvedValue({ ...mockRecipes[0], deleted: false })
+      api.softDeleteRecipe.mockResolvedValue({ ...mockRecipes[0], deleted: true })
+
+      render(<App />)
+      await user.click(screen.getByText('Show Deleted'))
+      await user.click(await screen.findByText('Restore'))
+
+      expect(await screen.findByRole('status')).toHaveTextContent('Restored “Test Recipe 1”')
+      await user.click(screen.getByRole('button', { name: 'Undo' }))
+
+      expect(api.softDeleteRecipe).toHaveBeenCalledWith('test-secret', '1')
+      expect(await screen.findByText('Test Recipe 1')).toBeInTheDocument()
+    })
+
     test('enters edit mode when Edit button is clicked', async () => {
       const user = userEvent.setup()
       
@@ -727,7 +973,7 @@ describe('App', () => {
       expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', '1', {
         title: 'Updated Title',
         text: 'Updated notes',
-      })
+      }, { etag: undefined })
     })
 
     test('cancels edit mode', async () => {
@@ -755,7 +1001,7 @@ describe('App', () => {
     })
 
     test('displays URL recipes with clickable links', async () => {
-      api.fetchRecipes.mockResolvedValue([mockRecipes[0]])
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[0]]))
       
       render(<App />)
       
@@ -771,7 +1017,7 @@ describe('App', () => {
     })
 
     test('displays photo recipes with images', async () => {
-      api.fetchRecipes.mockResolvedValue([mockRecipes[1]])
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[1]]))
       
       render(<App />)
       
@@ -783,7 +1029,7 @@ describe('App', () => {
     })
 
     test('displays recipe text content', async () => {
-      api.fetchRecipes.mockResolvedValue(mockRecipes)
+      api.fetchRecipes.mockResolvedValue(page(mockRecipes))
       
       render(<App />)
       
@@ -799,7 +1045,7 @@ describe('App', () => {
         title: 'Multi-line Recipe',
         text: 'Line 1\nLine 2\nLine 3'
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithNewlines])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithNewlines]))
       
       render(<App />)
       
@@ -813,7 +1059,7 @@ describe('App', () => {
 
     test('clicking recipe image opens zoom overlay', async () => {
       const user = userEvent.setup()
-      api.fetchRecipes.mockResolvedValue([mockRecipes[1]]) // Photo recipe
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[1]])) // Photo recipe
       
       render(<App />)
       
@@ -833,7 +1079,7 @@ describe('App', () => {
 
     test('clicking back button closes zoom overlay and restores scroll', async () => {
       const user = userEvent.setup()
-      api.fetchRecipes.mockResolvedValue([mockRecipes[1]])
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[1]]))
       
       // Mock window.scrollY and scrollTo
       Object.defineProperty(window, 'scrollY', { value: 100, writable: true })
@@ -862,7 +1108,7 @@ describe('App', () => {
 
     test('clicking overlay background closes zoom overlay and restores scroll', async () => {
       const user = userEvent.setup()
-      api.fetchRecipes.mockResolvedValue([mockRecipes[1]])
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[1]]))
       
       Object.defineProperty(window, 'scrollY', { value: 200, writable: true })
       const scrollToSpy = vi.spyOn(window, 'scrollTo').mockImplementation(() => {})
@@ -889,7 +1135,7 @@ describe('App', () => {
 
     test('clicking zoomed image does not close overlay', async () => {
       const user = userEvent.setup()
-      api.fetchRecipes.mockResolvedValue([mockRecipes[1]])
+      api.fetchRecipes.mockResolvedValue(page([mockRecipes[1]]))
       
       render(<App />)
       
@@ -912,7 +1158,7 @@ describe('App', () => {
   describe('Search Functionality', () => {
     beforeEach(() => {
       localStorage.getItem.mockReturnValue('test-secret')
-      api.fetchRecipes.mockResolvedValue(mockRecipes)
+      api.fetchRecipes.mockResolvedValue(page(mockRecipes))
     })
 
     test('displays search input', async () => {
@@ -1008,7 +1254,7 @@ describe('App', () => {
         text: 'Recipe notes',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithPreview])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithPreview]))
       
       render(<App />)
       
@@ -1027,7 +1273,7 @@ describe('App', () => {
         previewImage: 'https://example.com/preview.jpg',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithPreview])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithPreview]))
       
       render(<App />)
       
@@ -1054,7 +1300,7 @@ describe('App', () => {
         previewImage: 'https://example.com/preview.jpg',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithPreview])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithPreview]))
       
       render(<App />)
       
@@ -1078,7 +1324,7 @@ describe('App', () => {
         previewImage: 'https://example.com/broken.jpg',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithPreview])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithPreview]))
       
       render(<App />)
       
@@ -1105,7 +1351,7 @@ describe('App', () => {
         text: 'Recipe notes',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithoutPreview])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithoutPreview]))
       
       render(<App />)
       
@@ -1125,7 +1371,7 @@ describe('App', () => {
         photo: 'https://example.com/photo.jpg',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithBoth])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithBoth]))
       
       render(<App />)
       
@@ -1147,7 +1393,7 @@ describe('App', () => {
         photo: 'https://example.com/photo.jpg',
         created: '2024-01-01T00:00:00Z',
       }
-      api.fetchRecipes.mockResolvedValue([recipeWithPhoto])
+      api.fetchRecipes.mockResolvedValue(page([recipeWithPhoto]))
       
       render(<App />)
       
@@ -1160,4 +1406,1247 @@ describe('App', () => {
       expect(images[0]).toHaveClass('recipe-image')
     })
   })
-})
\ No newline at end of file
+})
+describe('Structured Recipes', () => {
+  const structuredRecipe = {
+    id: 's1',
+    title: 'Structured Cake',
+    schemaVersion: 2,
+    yield: '8',
+    prepTime: 'PT15M',
+    ingredients: [
+      { quantity: 200, unit: 'g', item: 'flour', note: 'sifted', group: 'Cake' },
+      { quantity: 2, unit: null, item: 'eggs', note: null, group: 'Cake' },
+      { quantity: 100, unit: 'g', item: 'icing sugar', note: null, group: 'Icing' },
+    ],
+    steps: [
+      { text: 'Mix everything.' },
+      { text: 'Bake.', timer: 1800 },
+    ],
+    created: '2024-01-01T00:00:00Z',
+  }
+
+  beforeEach(() => {
+    localStorage.getItem.mockReturnValue('test-secret')
+  })
+
+  test('renders ingredients grouped and steps in order', async () => {
+    api.fetchRecipes.mockResolvedValue(page([structuredRecipe]))
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Structured Cake'))
+
+    expect(screen.getByText('Serves 8 · Prep 15 min')).toBeInTheDocument()
+    expect(screen.getByRole('heading', { name: 'Cake' })).toBeInTheDocument()
+    expect(screen.getByRole('heading', { name: 'Icing' })).toBeInTheDocument()
+    expect(screen.getByText('200 g flour, sifted')).toBeInTheDocument()
+    const steps = document.querySelectorAll('.recipe-steps li')
+    expect(steps).toHaveLength(2)
+    expect(steps[1]).toHaveTextContent('Bake. ⏱ 30 min')
+  })
+
+  test('rescales ingredients with the servings control without saving', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([structuredRecipe]))
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Structured Cake'))
+
+    expect(screen.getByRole('spinbutton', { name: 'Servings' })).toHaveValue(8)
+
+    await user.clear(screen.getByRole('spinbutton', { name: 'Servings' }))
+    await user.type(screen.getByRole('spinbutton', { name: 'Servings' }), '4')
+
+    expect(screen.getByText('100 g flour, sifted')).toBeInTheDocument()
+    expect(screen.getByText('1 eggs')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Fewer servings' }))
+    expect(screen.getByText('75 g flour, sifted')).toBeInTheDocument()
+    expect(screen.getByText('1 eggs')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Reset to 8' }))
+    expect(screen.getByText('200 g flour, sifted')).toBeInTheDocument()
+    expect(screen.getByRole('spinbutton', { name: 'Servings' })).toHaveValue(8)
+    expect(api.updateRecipe).not.toHaveBeenCalled()
+  })
+
+  test('converts ingredients, steps and notes to the chosen unit system', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([{
+      id: 'us',
+      title: 'American Cookies',
+      schemaVersion: 2,
+      ingredients: [
+        { quantity: 2, unit: 'cup', item: 'plain flour', note: null, group: null },
+        { quantity: 1, unit: 'cup', item: 'milk', note: null, group: null },
+      ],
+      steps: [{ text: 'Bake at 350°F.' }],
+      text: 'Dust with 1 cup icing sugar.',
+    }]))
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('American Cookies'))
+    expect(screen.getByText('2 cups plain flour')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Metric' }))
+
+    expect(localStorage.setItem).toHaveBeenCalledWith('jessipes_unit_system', 'metric')
+    expect(screen.getByText('250 g plain flour')).toBeInTheDocument()
+    expect(screen.getByText('235 ml milk')).toBeInTheDocument()
+    expect(screen.getByText('Bake at 180°C.')).toBeInTheDocument()
+    expect(screen.getByText('Dust with 120 g icing sugar.')).toBeInTheDocument()
+  })
+
+  test('restores the saved unit system', async () => {
+    localStorage.getItem.mockImplementation(key => (key === 'jessipes_unit_system' ? 'imperial' : 'test-secret'))
+    api.fetchRecipes.mockResolvedValue(page([{
+      id: 'uk',
+      title: 'British Bake',
+      schemaVersion: 2,
+      ingredients: [{ quantity: 225, unit: 'g', item: 'butter', note: null, group: null }],
+    }]))
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('British Bake'))
+    expect(screen.getByRole('button', { name: 'Imperial' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByText('1 cup butter')).toBeInTheDocument()
+  })
+
+  test('renders legacy imported string ingredients and instructions', async () => {
+    api.fetchRecipes.mockResolvedValue(page([{
+      id: 'legacy',
+      title: 'Legacy Import',
+      ingredients: ['1 onion'],
+      instructions: ['Chop the onion.'],
+    }]))
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Legacy Import'))
+
+    expect(screen.getByText('1 onion')).toBeInTheDocument()
+    expect(screen.getByText('Chop the onion.')).toBeInTheDocument()
+  })
+
+  test('edits ingredients with add, remove and reorder rows', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([structuredRecipe]))
+    api.updateRecipe.mockResolvedValue(structuredRecipe)
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Structured Cake'))
+    await user.click(screen.getByText('Edit'))
+
+    // Move eggs above flour, drop the icing sugar and add butter
+    await user.click(screen.getByRole('button', { name: 'Move ingredient 2 up' }))
+    await user.click(screen.getByRole('button', { name: 'Remove ingredient 3' }))
+    await user.click(screen.getByRole('button', { name: 'Add ingredient' }))
+    await user.type(screen.getByRole('textbox', { name: 'Ingredient 3 quantity' }), '50')
+    await user.type(screen.getByRole('textbox', { name: 'Ingredient 3 unit' }), 'g')
+    await user.type(screen.getByRole('textbox', { name: 'Ingredient 3 item' }), 'butter')
+
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', 's1', expect.objectContaining({
+      ingredients: [
+        { quantity: 2, unit: null, item: 'eggs', note: null, group: 'Cake' },
+        { quantity: 200, unit: 'g', item: 'flour', note: 'sifted', group: 'Cake' },
+        { quantity: 50, unit: 'g', item: 'butter', note: null, group: 'Cake' },
+      ],
+    }), { etag: undefined })
+  })
+
+  test('edits steps with timers', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([structuredRecipe]))
+    api.updateRecipe.mockResolvedValue(structuredRecipe)
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Structured Cake'))
+    await user.click(screen.getByText('Edit'))
+
+    await user.click(screen.getByRole('button', { name: 'Move step 2 up' }))
+    await user.click(screen.getByRole('button', { name: 'Add step' }))
+    await user.type(screen.getByRole('textbox', { name: 'Step 3 text' }), 'Cool.')
+    await user.type(screen.getByRole('spinbutton', { name: 'Step 3 timer in minutes' }), '10')
+
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', 's1', expect.objectContaining({
+      steps: [
+        { text: 'Bake.', timer: 1800 },
+        { text: 'Mix everything.' },
+        { text: 'Cool.', timer: 600 },
+      ],
+    }), { etag: undefined })
+  })
+})
+
+describe('Ingredient Parsing in Forms', () => {
+  beforeEach(() => {
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([]))
+    api.addRecipe.mockResolvedValue({ id: 'parsed', title: 'Garlic Bread' })
+  })
+
+  test('shows a live preview of parsed ingredient lines', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.selectOptions(screen.getByRole('combobox'), 'text')
+
+    await user.type(screen.getByPlaceholderText('Ingredients (one per line)'), '2-3 cloves garlic, crushed')
+
+    const preview = screen.getByRole('list', { name: 'Ingredient preview' })
+    expect(preview.querySelector('.preview-quantity')).toHaveTextContent('2-3')
+    expect(preview.querySelector('.preview-unit')).toHaveTextContent('cloves')
+    expect(preview.querySelector('.preview-item')).toHaveTextContent('garlic')
+    expect(preview.querySelector('.preview-note')).toHaveTextContent('crushed')
+  })
+
+  test('sends ingredient lines with the new recipe', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.selectOptions(screen.getByRole('combobox'), 'text')
+
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Garlic Bread')
+    await user.type(screen.getByPlaceholderText('Recipe Instructions'), 'Bake it')
+    await user.type(screen.getByPlaceholderText('Ingredients (one per line)'), '1 baguette')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    await waitFor(() => {
+      expect(api.addRecipe).toHaveBeenCalledWith('test-secret', {
+        title: 'Garlic Bread',
+        url: '',
+        text: 'Bake it',
+        photo: null,
+        ingredientsText: '1 baguette',
+      })
+    })
+  })
+
+  test('adds pasted lines as ingredient rows when editing', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([{ id: 't1', title: 'Text Only', text: 'Notes' }]))
+    api.updateRecipe.mockResolvedValue({ id: 't1', title: 'Text Only' })
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Text Only'))
+    await user.click(screen.getByText('Edit'))
+
+    await user.type(screen.getByPlaceholderText('Paste ingredient lines'), '1 1/2 cups milk')
+    await user.click(screen.getByRole('button', { name: 'Add lines' }))
+
+    expect(screen.getByRole('textbox', { name: 'Ingredient 1 quantity' })).toHaveValue('1.5')
+    expect(screen.getByRole('textbox', { name: 'Ingredient 1 unit' })).toHaveValue('cup')
+
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', 't1', {
+      title: 'Text Only',
+      text: 'Notes',
+      ingredients: [{ quantity: 1.5, quantityMax: null, unit: 'cup', item: 'milk', note: null, alternate: null, group: null }],
+    }, { etag: undefined })
+  })
+})
+
+describe('Tags', () => {
+  const taggedRecipes = [
+    { id: 't1', title: 'Quick Pasta', tags: ['dinner', 'quick'], created: '2024-01-03T00:00:00Z' },
+    { id: 't2', title: 'Slow Stew', tags: ['dinner'], created: '2024-01-02T00:00:00Z' },
+    { id: 't3', title: 'Fruit Salad', tags: ['quick', 'dessert'], created: '2024-01-01T00:00:00Z' },
+  ]
+
+  beforeEach(() => {
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page(taggedRecipes))
+  })
+
+  test('filters the list by all or any of the selected tags', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Quick Pasta'))
+
+    await user.click(screen.getByRole('button', { name: 'dinner (2)' }))
+    expect(screen.getByText('Quick Pasta')).toBeInTheDocument()
+    expect(screen.getByText('Slow Stew')).toBeInTheDocument()
+    expect(screen.queryByText('Fruit Salad')).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'quick (2)' }))
+    expect(screen.getByText('Quick Pasta')).toBeInTheDocument()
+    expect(screen.queryByText('Slow Stew')).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Match any' }))
+    expect(screen.getByText('Slow Stew')).toBeInTheDocument()
+    expect(screen.getByText('Fruit Salad')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Clear tags' }))
+    expect(screen.queryByRole('button', { name: 'Match any' })).not.toBeInTheDocument()
+  })
+
+  test('clicking a tag on a recipe filters by it', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Quick Pasta'))
+    await user.click(screen.getAllByRole('button', { name: 'Show recipes tagged dessert' })[0])
+
+    expect(screen.getByRole('button', { name: 'dessert (1)' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.queryByText('Quick Pasta')).not.toBeInTheDocument()
+    expect(screen.getByText('Fruit Salad')).toBeInTheDocument()
+  })
+
+  test('counts tags on every recipe from the worker while more pages remain', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page(taggedRecipes, 'cursor-2'))
+    api.fetchTags
+      .mockResolvedValueOnce([{ tag: 'dinner', count: 5 }, { tag: 'baking', count: 4 }])
+      .mockResolvedValueOnce([{ tag: 'dinner', count: 5 }, { tag: 'baking', count: 4 }, { tag: 'breakfast', count: 1 }])
+    api.addRecipe.mockResolvedValue({ id: 'new', title: 'Pancakes', tags: ['breakfast'] })
+    render(<App />)
+
+    expect(await screen.findByRole('button', { name: 'baking (4)' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'dinner (5)' })).toBeInTheDocument()
+    expect(api.fetchTags).toHaveBeenCalledWith('test-secret')
+
+    // Saving a recipe with a new tag asks again
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.selectOptions(screen.getByRole('combobox'), 'text')
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Pancakes')
+    await user.type(screen.getByPlaceholderText('Recipe Instructions'), 'Fry')
+    await user.type(screen.getByRole('textbox', { name: 'Add tag' }), 'breakfast{Enter}')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    expect(await screen.findByRole('button', { name: 'breakfast (1)' })).toBeInTheDocument()
+    expect(api.fetchTags).toHaveBeenCalledTimes(2)
+  })
+
+  test('counts tags on the loaded recipes once the whole list is loaded', async () => {
+    render(<App />)
+
+    expect(await screen.findByRole('button', { name: 'dinner (2)' })).toBeInTheDocument()
+    expect(api.fetchTags).not.toHaveBeenCalled()
+  })
+
+  test('adds tags with autocomplete when creating a recipe', async () => {
+    const user = userEvent.setup()
+    api.addRecipe.mockResolvedValue({ id: 'new', title: 'Pancakes', tags: ['dessert', 'breakfast'] })
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Quick Pasta'))
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+    await user.selectOptions(screen.getByRole('combobox'), 'text')
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Pancakes')
+    await user.type(screen.getByPlaceholderText('Recipe Instructions'), 'Fry')
+
+    await user.type(screen.getByRole('textbox', { name: 'Add tag' }), 'des')
+    await user.click(screen.getByRole('button', { name: 'Add tag dessert' }))
+    await user.type(screen.getByRole('textbox', { name: 'Add tag' }), 'Breakfast{Enter}')
+
+    expect(screen.getByRole('button', { name: 'Remove tag dessert' })).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    await waitFor(() => {
+      expect(api.addRecipe).toHaveBeenCalledWith('test-secret', expect.objectContaining({
+        title: 'Pancakes',
+        tags: ['dessert', 'breakfast'],
+      }))
+    })
+  })
+
+  test('edits tags and accepts suggested tags', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([
+      { id: 's1', title: 'Imported Tart', tags: ['dessert'], suggestedTags: ['french', 'dessert'] },
+    ]))
+    api.updateRecipe.mockResolvedValue({ id: 's1', title: 'Imported Tart', tags: ['french'] })
+
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Imported Tart'))
+    await user.click(screen.getByText('Edit'))
+
+    expect(screen.queryByRole('button', { name: 'Add suggested tag dessert' })).not.toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Add suggested tag french' }))
+    await user.click(screen.getByRole('button', { name: 'Remove tag dessert' }))
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', 's1', { title: 'Imported Tart', text: '', tags: ['french'] }, { etag: undefined })
+  })
+})
+
+describe('Collections', () => {
+  const recipes = [
+    { id: 'r1', title: 'Soup', created: '2024-01-03T00:00:00Z' },
+    { id: 'r2', title: 'Bread', previewImage: 'https://example.com/bread.jpg', created: '2024-01-02T00:00:00Z' },
+    { id: 'r3', title: 'Old Pie', deleted: true, created: '2024-01-01T00:00:00Z' },
+    { id: 'r4', title: 'Salad', created: '2024-01-01T00:00:00Z' },
+  ]
+  const collection = {
+    id: 'c1',
+    name: 'Sunday Lunch',
+    description: 'Slow food',
+    coverImage: null,
+    recipeIds: ['r1', 'r2', 'r3', 'gone'],
+  }
+  const openCollection = {
+    ...collection,
+    recipes: [recipes[0], recipes[1], recipes[2], { id: 'gone', missing: true }],
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page(recipes))
+    api.fetchCollections.mockResolvedValue([collection])
+    api.fetchCollection.mockResolvedValue(openCollection)
+    api.updateCollection.mockResolvedValue(collection)
+  })
+
+  async function openSundayLunch(user) {
+    render(<App />)
+    await waitFor(() => screen.getByText('Soup'))
+    await user.click(screen.getByRole('button', { name: 'Collections' }))
+    await user.click(await screen.findByRole('button', { name: /Sunday Lunch/ }))
+    await waitFor(() => screen.getByRole('heading', { name: 'Sunday Lunch' }))
+  }
+
+  test('lists collections with their size and creates new ones', async () => {
+    const user = userEvent.setup()
+    api.addCollection.mockResolvedValue({ id: 'c2', name: 'Baking', description: '', coverImage: null, recipeIds: [] })
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Soup'))
+    await user.click(screen.getByRole('button', { name: 'Collections' }))
+
+    expect(await screen.findByText('4 recipes')).toBeInTheDocument()
+    expect(screen.getByText('Slow food')).toBeInTheDocument()
+    expect(screen.queryByPlaceholderText('Search recipes...')).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'New Collection' }))
+    await user.type(screen.getByPlaceholderText('Collection name'), 'Baking')
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(api.addCollection).toHaveBeenCalledWith('test-secret', { name: 'Baking', description: '', coverImage: null })
+    expect(await screen.findByText('0 recipes')).toBeInTheDocument()
+  })
+
+  test('shows members in order with placeholders for deleted and missing recipes', async () => {
+    const user = userEvent.setup()
+    await openSundayLunch(user)
+
+    const items = screen.getAllByRole('listitem')
+    expect(items.map(item => item.textContent)).toEqual([
+      expect.stringContaining('Soup'),
+      expect.stringContaining('Bread'),
+      expect.stringContaining('“Old Pie” was deleted'),
+      expect.stringContaining('This recipe no longer exists'),
+    ])
+    expect(screen.getByRole('img', { name: 'Sunday Lunch' })).toHaveAttribute('src', 'https://example.com/bread.jpg')
+  })
+
+  test('reorders, removes and adds recipes', async () => {
+    const user = userEvent.setup()
+    await openSundayLunch(user)
+
+    await user.click(screen.getByRole('button', { name: 'Move Bread up' }))
+    expect(api.updateCollection).toHaveBeenLastCalledWith('test-secret', 'c1', { recipeIds: ['r2', 'r1', 'r3', 'gone'] })
+
+    await user.click(screen.getByRole('button', { name: 'Remove' }))
+    expect(api.updateCollection).toHaveBeenLastCalledWith('test-secret', 'c1', { removeRecipeIds: ['gone'] })
+
+    await user.type(screen.getByRole('textbox', { name: 'Find a recipe to add' }), 'sal')
+    expect(screen.queryByRole('button', { name: 'Add Soup' })).not.toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Add Salad' }))
+    expect(api.updateCollection).toHaveBeenLastCalledWith('test-secret', 'c1', { addRecipeIds: ['r4'] })
+    expect(api.fetchCollection).toHaveBeenCalledTimes(4)
+  })
+
+  test('restores a deleted member from its placeholder', async () => {
+    const user = userEvent.setup()
+    api.undeleteRecipe.mockResolvedValue({ ...recipes[2], deleted: false })
+    await openSundayLunch(user)
+
+    await user.click(screen.getByRole('button', { name: 'Restore' }))
+
+    expect(api.undeleteRecipe).toHaveBeenCalledWith('test-secret', 'r3')
+    await waitFor(() => expect(api.fetchCollection).toHaveBeenCalledTimes(2))
+  })
+})
+
+describe('Recipe summaries', () => {
+  const summary = { id: 's1', title: 'Summary Soup', tags: ['dinner'], summary: true }
+  const fullRecipe = { id: 's1', title: 'Summary Soup', tags: ['dinner'], text: 'Simmer for an hour' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([summary]))
+    api.fetchRecipe.mockResolvedValue(fullRecipe)
+  })
+
+  test('loads the full recipe on demand', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Summary Soup'))
+    expect(screen.queryByText('Simmer for an hour')).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Show recipe' }))
+
+    expect(api.fetchRecipe).toHaveBeenCalledWith('test-secret', 's1')
+    expect(await screen.findByText('Simmer for an hour')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Show recipe' })).not.toBeInTheDocument()
+  })
+
+  test('fetches the full recipe before editing', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Summary Soup'))
+    await user.click(screen.getByText('Edit'))
+
+    expect(await screen.findByPlaceholderText('Additional notes')).toHaveValue('Simmer for an hour')
+  })
+})
+
+describe('Concurrent edits', () => {
+  const loaded = { id: '1', title: 'Scones', text: 'Original notes', etag: '"v1"' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([loaded]))
+  })
+
+  async function editAndSave(user, changes) {
+    render(<App />)
+    await waitFor(() => screen.getByText('Scones'))
+    await user.click(screen.getByText('Edit'))
+    for (const [from, to] of changes) {
+      const input = screen.getByDisplayValue(from)
+      await user.clear(input)
+      await user.type(input, to)
+    }
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+  }
+
+  test('sends the loaded ETag with an edit', async () => {
+    const user = userEvent.setup()
+    api.updateRecipe.mockResolvedValue({ ...loaded, title: 'Cheese Scones', etag: '"v2"' })
+
+    await editAndSave(user, [['Scones', 'Cheese Scones']])
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', '1', { title: 'Cheese Scones', text: 'Original notes' }, { etag: '"v1"' })
+    expect(await screen.findByText('Cheese Scones')).toBeInTheDocument()
+  })
+
+  test('merges changes to different fields without asking', async () => {
+    const user = userEvent.setup()
+    const theirs = { ...loaded, text: 'Their notes', updatedBy: 'Sam', etag: '"v2"' }
+    api.updateRecipe
+      .mockRejectedValueOnce(new api.RecipeConflictError(theirs))
+      .mockResolvedValueOnce({ ...theirs, title: 'Cheese Scones', etag: '"v3"' })
+
+    await editAndSave(user, [['Scones', 'Cheese Scones']])
+
+    await waitFor(() => {
+      expect(api.updateRecipe).toHaveBeenLastCalledWith('test-secret', '1', { title: 'Cheese Scones' }, { etag: '"v2"' })
+    })
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(await screen.findByText('Cheese Scones')).toBeInTheDocument()
+    expect(screen.getByText('Their notes')).toBeInTheDocument()
+  })
+
+  test('asks which version to keep when both changed the same field', async () => {
+    const user = userEvent.setup()
+    const theirs = { ...loaded, text: 'Their notes', updatedBy: 'Sam', etag: '"v2"' }
+    api.updateRecipe
+      .mockRejectedValueOnce(new api.RecipeConflictError(theirs))
+      .mockResolvedValueOnce({ ...theirs, title: 'Cheese Scones', etag: '"v3"' })
+
+    await editAndSave(user, [['Scones', 'Cheese Scones'], ['Original notes', 'My notes']])
+
+    const dialog = await screen.findByRole('dialog', { name: 'This recipe changed while you were editing' })
+    expect(dialog).toHaveTextContent('Sam saved changes')
+    expect(screen.getByRole('radio', { name: /Yours My notes/ })).toBeChecked()
+
+    await user.click(screen.getByRole('radio', { name: /Sam’s Their notes/ }))
+    await user.click(screen.getByRole('button', { name: 'Save merged recipe' }))
+
+    expect(api.updateRecipe).toHaveBeenLastCalledWith('test-secret', '1', { title: 'Cheese Scones' }, { etag: '"v2"' })
+    await waitFor(() => {
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    })
+  })
+
+  test('undoes a saved edit from the toast', async () => {
+    const user = userEvent.setup()
+    api.updateRecipe
+      .mockResolvedValueOnce({ ...loaded, title: 'Cheese Scones', etag: '"v2"' })
+      .mockResolvedValueOnce({ ...loaded, etag: '"v3"' })
+
+    await editAndSave(user, [['Scones', 'Cheese Scones']])
+    expect(await screen.findByRole('status')).toHaveTextContent('Saved “Cheese Scones”')
+    await user.click(screen.getByRole('button', { name: 'Undo' }))
+
+    expect(api.updateRecipe).toHaveBeenLastCalledWith('test-secret', '1', { title: 'Scones', text: 'Original notes' }, { etag: '"v2"' })
+    expect(await screen.findByText('Scones')).toBeInTheDocument()
+  })
+
+  test('explains when an undo is refused because the recipe changed again', async () => {
+    const user = userEvent.setup()
+    const theirs = { ...loaded, title: 'Sam’s Scones', updatedBy: 'Sam', etag: '"v3"' }
+    api.updateRecipe
+      .mockResolvedValueOnce({ ...loaded, title: 'Cheese Scones', etag: '"v2"' })
+      .mockRejectedValueOnce(new api.RecipeConflictError(theirs))
+
+    await editAndSave(user, [['Scones', 'Cheese Scones']])
+    await user.click(await screen.findByRole('button', { name: 'Undo' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Couldn’t undo: someone else has changed this recipe since.')
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument()
+    expect(screen.getByText('Sam’s Scones')).toBeInTheDocument()
+  })
+
+  test('can discard our changes in favour of theirs', async () => {
+    const user = userEvent.setup()
+    const theirs = { ...loaded, text: 'Their notes', updatedBy: 'Sam', etag: '"v2"' }
+    api.updateRecipe.mockRejectedValueOnce(new api.RecipeConflictError(theirs))
+
+    await editAndSave(user, [['Original notes', 'My notes']])
+    await user.click(await screen.findByRole('button', { name: 'Discard my changes' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledTimes(1)
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(screen.getByText('Their notes')).toBeInTheDocument()
+  })
+})
+
+describe('Validation errors', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([{ id: '1', title: 'Scones', text: 'Notes' }]))
+  })
+
+  test('lists the fields the worker rejected when adding a recipe', async () => {
+    const user = userEvent.setup()
+    api.addRecipe.mockRejectedValue(new api.ValidationError('Invalid recipe data', [
+      { field: 'title', message: 'must be at most 200 characters' },
+    ]))
+
+    render(<App />)
+    await user.click(await screen.findByRole('button', { name: 'Add Recipe' }))
+    await user.selectOptions(screen.getByRole('combobox'), 'text')
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Very long title')
+    await user.type(screen.getByPlaceholderText('Recipe Instructions'), 'Bake')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Title must be at most 200 characters')
+    expect(screen.getByPlaceholderText('Recipe Title')).toHaveValue('Very long title')
+    // Shown in the form rather than as an error toast
+    expect(getToasts()).toEqual([])
+  })
+
+  test('keeps the edit form open with readable errors', async () => {
+    const user = userEvent.setup()
+    api.updateRecipe.mockRejectedValue(new api.ValidationError('Invalid recipe data', [
+      { field: 'ingredients[2].item', message: 'is required' },
+    ]))
+
+    render(<App />)
+    await user.click(await screen.findByText('Edit'))
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Ingredient 3 item is required')
+    expect(screen.getByDisplayValue('Scones')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Cancel' }))
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+})
+
+describe('Recipe page', () => {
+  const fullRecipe = {
+    id: 'r1',
+    title: 'Linked Lasagne',
+    photo: 'https://example.com/lasagne.jpg',
+    text: 'Rest before slicing',
+    schemaVersion: 2,
+    ingredients: [{ quantity: 500, unit: 'g', item: 'beef mince', note: null, group: null }],
+    steps: [{ text: 'Layer and bake.' }],
+    tags: ['dinner'],
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.scrollTo = vi.fn()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([{ id: 'r1', title: 'Linked Lasagne', tags: ['dinner'], summary: true }]))
+    api.fetchRecipe.mockResolvedValue(fullRecipe)
+  })
+
+  afterEach(() => {
+    window.location.hash = ''
+  })
+
+  test('opens a recipe link straight to the full recipe', async () => {
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    expect(await screen.findByRole('heading', { name: 'Linked Lasagne' })).toBeInTheDocument()
+    expect(api.fetchRecipe).toHaveBeenCalledWith('test-secret', 'r1')
+    expect(screen.getByRole('img', { name: 'Linked Lasagne' })).toHaveAttribute('src', 'https://example.com/lasagne.jpg')
+    expect(screen.getByText('500 g beef mince')).toBeInTheDocument()
+    expect(screen.getByText('Layer and bake.')).toBeInTheDocument()
+    expect(screen.getByText('Rest before slicing')).toBeInTheDocument()
+  })
+
+  test('compares an earlier version side by side and restores it', async () => {
+    const user = userEvent.setup()
+    const earlier = { ...fullRecipe, text: 'Gran\'s notes: rest for 20 minutes' }
+    api.fetchRecipeHistory.mockResolvedValue([
+      { id: 'rev1', savedAt: '2024-01-02T10:00:00Z', savedBy: 'Sam', recipe: earlier },
+    ])
+    api.revertRecipe.mockResolvedValue({ ...earlier, updatedBy: 'owner' })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    await user.click(await screen.findByRole('button', { name: 'History' }))
+    await user.click(await screen.findByRole('button', { name: /replaced by Sam/ }))
+
+    const diff = screen.getByRole('table', { name: 'Notes' })
+    expect(diff).toHaveTextContent('Gran\'s notes: rest for 20 minutes')
+    expect(diff).toHaveTextContent('Rest before slicing')
+    expect(screen.queryByRole('table', { name: 'Title' })).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Restore this version' }))
+
+    expect(api.revertRecipe).toHaveBeenCalledWith('test-secret', 'r1', 'rev1')
+    await waitFor(() => {
+      expect(screen.queryByRole('table', { name: 'Notes' })).not.toBeInTheDocument()
+    })
+    expect(screen.getByText('Gran\'s notes: rest for 20 minutes', { selector: '.recipe-text' })).toBeInTheDocument()
+    expect(api.fetchRecipeHistory).toHaveBeenCalledTimes(2)
+  })
+
+  test('opens the linked recipe once the secret is entered', async () => {
+    const user = userEvent.setup()
+    localStorage.getItem.mockReturnValue(null)
+    api.login.mockResolvedValue({ token: 'session-token', expires: '2024-01-08T00:00:00Z', user: { name: 'owner', role: 'owner' } })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    await user.type(screen.getByPlaceholderText('Secret code'), 'family-secret')
+    await user.click(screen.getByText('Save'))
+
+    expect(await screen.findByRole('heading', { name: 'Linked Lasagne' })).toBeInTheDocument()
+    expect(api.fetchRecipe).toHaveBeenCalledWith('session-token', 'r1')
+  })
+
+  test('navigates from the list to a recipe and back', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Linked Lasagne'))
+    await user.click(screen.getByRole('link', { name: 'Open' }))
+    expect(await screen.findByText('Rest before slicing')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('link', { name: '← All recipes' }))
+    expect(await screen.findByPlaceholderText('Search recipes...')).toBeInTheDocument()
+  })
+
+  test('creates and revokes a share link', async () => {
+    const user = userEvent.setup()
+    api.shareRecipe.mockResolvedValue({ token: 'tok123', url: 'https://worker.test/share/tok123' })
+    api.unshareRecipe.mockResolvedValue(fullRecipe)
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    await user.click(await screen.findByRole('button', { name: 'Share link' }))
+
+    expect(api.shareRecipe).toHaveBeenCalledWith('test-secret', 'r1')
+    expect(screen.getByRole('textbox', { name: 'Share link' })).toHaveValue('https://worker.test/share/tok123')
+
+    await user.click(screen.getByRole('button', { name: 'Stop sharing' }))
+
+    expect(api.unshareRecipe).toHaveBeenCalledWith('test-secret', 'r1')
+    expect(screen.queryByRole('textbox', { name: 'Share link' })).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Share link' })).toBeInTheDocument()
+  })
+
+  test('shows a message for a recipe that cannot be found', async () => {
+    api.fetchRecipe.mockRejectedValue(new api.RecipeNotFoundError())
+    window.location.hash = '#/recipe/missing'
+    render(<App />)
+
+    expect(await screen.findByText(/Recipe not found/)).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument()
+  })
+
+  test('offers to retry a recipe that failed to load', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipe.mockRejectedValueOnce(new Error('Failed to fetch recipe'))
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    expect(await screen.findByText('Couldn’t load this recipe.')).toBeInTheDocument()
+    expect(screen.queryByText(/Recipe not found/)).not.toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Retry' }))
+
+    expect(await screen.findByRole('heading', { name: 'Linked Lasagne' })).toBeInTheDocument()
+  })
+})
+
+describe('Photos', () => {
+  const photos = ['https://worker.test/photos/a', 'https://worker.test/photos/b', 'https://worker.test/photos/c']
+  const pie = { id: 'r1', title: 'Gran\'s Pie', photo: photos[0], photos, etag: '"v1"' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.scrollTo = vi.fn()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([pie]))
+    api.fetchRecipe.mockResolvedValue(pie)
+  })
+
+  afterEach(() => {
+    window.location.hash = ''
+  })
+
+  test('moves through a recipe\'s photos in the zoom overlay', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    expect(await screen.findByText('3 photos')).toBeInTheDocument()
+    await user.click(screen.getByRole('img', { name: 'Gran\'s Pie' }))
+    const shown = () => screen.getByRole('img', { name: /^Gran's Pie, photo/ })
+    expect(shown()).toHaveAttribute('src', photos[0])
+    expect(screen.getByText('1 / 3')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Next photo' }))
+    expect(shown()).toHaveAttribute('src', photos[1])
+    await user.keyboard('{ArrowRight}')
+    expect(shown()).toHaveAttribute('src', photos[2])
+    await user.click(screen.getByRole('button', { name: 'Previous photo' }))
+    expect(shown()).toHaveAttribute('src', photos[1])
+
+    // Swiping left shows the next photo, and past the last comes the first
+    fireEvent.touchStart(shown(), { touches: [{ clientX: 300 }] })
+    fireEvent.touchEnd(shown(), { changedTouches: [{ clientX: 100 }] })
+    expect(shown()).toHaveAttribute('src', photos[2])
+    fireEvent.touchStart(shown(), { touches: [{ clientX: 300 }] })
+    fireEvent.touchEnd(shown(), { changedTouches: [{ clientX: 100 }] })
+    expect(shown()).toHaveAttribute('src', photos[0])
+
+    // A tap is not a swipe
+    fireEvent.touchStart(shown(), { touches: [{ clientX: 300 }] })
+    fireEvent.touchEnd(shown(), { changedTouches: [{ clientX: 290 }] })
+    expect(shown()).toHaveAttribute('src', photos[0])
+  })
+
+  test('adds photos on the recipe page, in the order picked', async () => {
+    const user = userEvent.setup()
+    const pages = [new File(['1'], 'page-2.jpg', { type: 'image/jpeg' }), new File(['2'], 'page-3.jpg', { type: 'image/jpeg' })]
+    api.addRecipePhoto
+      .mockResolvedValueOnce({ ...pie, photos: [...photos, 'https://worker.test/photos/d'] })
+      .mockResolvedValueOnce({ ...pie, photos: [...photos, 'https://worker.test/photos/d', 'https://worker.test/photos/e'] })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    await user.upload(await screen.findByLabelText('Add photos'), pages)
+
+    await waitFor(() => expect(screen.getAllByRole('img', { name: /^Photo \d of 5$/ })).toHaveLength(5))
+    expect(api.addRecipePhoto.mock.calls).toEqual([['test-secret', 'r1', pages[0]], ['test-secret', 'r1', pages[1]]])
+  })
+
+  test('reorders and removes photos on the recipe page', async () => {
+    const user = userEvent.setup()
+    api.reorderRecipePhotos.mockResolvedValue({ ...pie, photo: photos[1], photos: [photos[1], photos[0], photos[2]] })
+    api.removeRecipePhoto.mockResolvedValue({ ...pie, photo: photos[1], photos: [photos[1], photos[2]] })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    expect(await screen.findByRole('button', { name: 'Move photo 1 earlier' })).toBeDisabled()
+    await user.click(screen.getByRole('button', { name: 'Move photo 2 earlier' }))
+    expect(api.reorderRecipePhotos).toHaveBeenCalledWith('test-secret', 'r1', [photos[1], photos[0], photos[2]])
+    await waitFor(() => expect(screen.getByRole('img', { name: 'Gran\'s Pie' })).toHaveAttribute('src', photos[1]))
+
+    // Removing deletes the photo for good, so it asks first
+    await user.click(screen.getByRole('button', { name: 'Remove photo 2' }))
+    expect(api.removeRecipePhoto).not.toHaveBeenCalled()
+    await user.click(screen.getByRole('button', { name: 'Delete photo' }))
+
+    expect(api.removeRecipePhoto).toHaveBeenCalledWith('test-secret', 'r1', photos[0])
+    await waitFor(() => expect(screen.getAllByRole('img', { name: /^Photo \d of 2$/ })).toHaveLength(2))
+  })
+
+  test('shows why a photo was refused', async () => {
+    const user = userEvent.setup()
+    api.addRecipePhoto.mockRejectedValue(new api.ValidationError('Invalid photo data', [{ field: 'photos', message: 'must have at most 20 items' }]))
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    await user.upload(await screen.findByLabelText('Add photos'), new File(['1'], 'page-4.jpg', { type: 'image/jpeg' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('must have at most 20 items')
+  })
+
+  test('viewers see the photos but cannot change them', async () => {
+    api.fetchCurrentUser.mockResolvedValue({ name: 'Gran', role: 'viewer' })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    expect(await screen.findByRole('img', { name: 'Photo 3 of 3' })).toBeInTheDocument()
+    await waitFor(() => expect(screen.queryByLabelText('Add photos')).not.toBeInTheDocument())
+    expect(screen.queryByRole('button', { name: 'Remove photo 1' })).not.toBeInTheDocument()
+  })
+})
+
+describe('Roles', () => {
+  const recipe = {
+    id: 'r1',
+    title: 'Family Curry',
+    text: 'Toast the spices',
+    createdBy: 'Sam',
+    updatedBy: 'Alex',
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    window.scrollTo = vi.fn()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([recipe]))
+    api.fetchRecipe.mockResolvedValue(recipe)
+  })
+
+  afterEach(() => {
+    window.location.hash = ''
+  })
+
+  test('viewers get a read-only list', async () => {
+    api.fetchCurrentUser.mockResolvedValue({ name: 'Gran', role: 'viewer' })
+    render(<App />)
+
+    expect(await screen.findByText('Signed in as Gran (viewer)')).toBeInTheDocument()
+    expect(screen.getByText('Family Curry')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Add Recipe' })).not.toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Open' })).toBeInTheDocument()
+  })
+
+  test('editors can change recipes', async () => {
+    api.fetchCurrentUser.mockResolvedValue({ name: 'Sam', role: 'editor' })
+    render(<App />)
+
+    expect(await screen.findByText('Signed in as Sam (editor)')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Add Recipe' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Edit' })).toBeInTheDocument()
+  })
+
+  test('editors can restore deleted recipes but not delete them for good', async () => {
+    const user = userEvent.setup()
+    api.fetchCurrentUser.mockResolvedValue({ name: 'Sam', role: 'editor' })
+    api.fetchRecipes.mockResolvedValue(page([{ ...recipe, deleted: true }]))
+    render(<App />)
+
+    expect(await screen.findByText('Signed in as Sam (editor)')).toBeInTheDocument()
+    await user.click(screen.getByText('Show Deleted'))
+    expect(screen.getByRole('button', { name: 'Restore' })).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Delete forever' })).not.toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Empty trash' })).not.toBeInTheDocument()
+  })
+
+  test('the recipe page shows who added and edited it, without sharing for viewers', async () => {
+    api.fetchCurrentUser.mockResolvedValue({ name: 'Gran', role: 'viewer' })
+    window.location.hash = '#/recipe/r1'
+    render(<App />)
+
+    expect(await screen.findByText('Added by Sam · Last edited by Alex')).toBeInTheDocument()
+    await waitFor(() => expect(api.fetchCurrentUser).toHaveBeenCalled())
+    expect(screen.queryByRole('button', { name: 'Share link' })).not.toBeInTheDocument()
+  })
+})
+
+describe('Pagination', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+  })
+
+  test('loads the next page of recipes until there are no more', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes
+      .mockResolvedValueOnce(page([{ id: 'p1', title: 'Newest Recipe' }], 'cursor-2'))
+      .mockResolvedValueOnce(page([{ id: 'p1', title: 'Newest Recipe' }, { id: 'p2', title: 'Older Recipe' }]))
+    render(<App />)
+
+    await waitFor(() => screen.getByText('Newest Recipe'))
+    await user.click(screen.getByRole('button', { name: 'Load more' }))
+
+    expect(api.fetchRecipes).toHaveBeenLastCalledWith('test-secret', { cursor: 'cursor-2' })
+    expect(await screen.findByText('Older Recipe')).toBeInTheDocument()
+    expect(screen.getAllByText('Newest Recipe')).toHaveLength(1)
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument()
+  })
+})
+
+describe('Offline', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+  })
+
+  test('says the recipes are cached while offline', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    api.fetchRecipes.mockResolvedValue(page([{ id: 'r1', title: 'Cached Recipe' }]))
+    render(<App />)
+
+    expect(await screen.findByText('Cached Recipe')).toBeInTheDocument()
+    expect(screen.getByRole('status')).toHaveTextContent('Offline — showing cached recipes')
+
+    onLine.mockReturnValue(true)
+    act(() => { window.dispatchEvent(new Event('online')) })
+    expect(screen.queryByText('Offline — showing cached recipes')).not.toBeInTheDocument()
+  })
+
+  test('reloads the list when the service worker has newer recipes', async () => {
+    const serviceWorker = new EventTarget()
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+    api.fetchRecipes
+      .mockResolvedValueOnce(page([{ id: 'r1', title: 'Cached Recipe' }]))
+      .mockResolvedValueOnce(page([{ id: 'r1', title: 'Cached Recipe' }, { id: 'r2', title: 'Fresh Recipe' }]))
+    render(<App />)
+
+    await screen.findByText('Cached Recipe')
+    act(() => { serviceWorker.dispatchEvent(new MessageEvent('message', { data: { type: 'recipes-updated' } })) })
+
+    expect(await screen.findByText('Fresh Recipe')).toBeInTheDocument()
+    expect(api.fetchRecipes).toHaveBeenCalledTimes(2)
+    delete navigator.serviceWorker
+  })
+})
+
+describe('Local copy', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    recipeMirror.canMirrorRecipes.mockReturnValue(true)
+  })
+
+  test('shows the local copy first, then the synced one', async () => {
+    let finishSync
+    recipeMirror.loadMirroredRecipes.mockResolvedValue([{ id: 'r1', title: 'Scones' }])
+    recipeMirror.syncRecipeMirror.mockReturnValue(new Promise(resolve => { finishSync = resolve }))
+    render(<App />)
+
+    expect(await screen.findByText('Scones')).toBeInTheDocument()
+    expect(recipeMirror.syncRecipeMirror).toHaveBeenCalledWith('test-secret')
+
+    await act(async () => finishSync([{ id: 'r2', title: 'Bread' }, { id: 'r1', title: 'Cheese Scones' }]))
+    expect(screen.getByText('Bread')).toBeInTheDocument()
+    expect(screen.getByText('Cheese Scones')).toBeInTheDocument()
+    expect(api.fetchRecipes).not.toHaveBeenCalled()
+  })
+
+  test('keeps the local copy when offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    recipeMirror.loadMirroredRecipes.mockResolvedValue([{ id: 'r1', title: 'Scones' }])
+    recipeMirror.syncRecipeMirror.mockRejectedValue(new TypeError('Failed to fetch'))
+    render(<App />)
+
+    expect(await screen.findByText('Scones')).toBeInTheDocument()
+    await waitFor(() => expect(recipeMirror.syncRecipeMirror).toHaveBeenCalled())
+    expect(getToasts()).toEqual([])
+  })
+
+  test('reports a failed sync with nothing stored', async () => {
+    recipeMirror.syncRecipeMirror.mockRejectedValue(new Error('Failed to fetch recipe changes'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    render(<App />)
+
+    await waitFor(() => expect(getToasts()).toEqual([expect.objectContaining({ message: 'Failed to fetch recipes.' })]))
+  })
+})
+
+describe('Share target', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+    api.fetchRecipes.mockResolvedValue(page([]))
+    shareTarget.wasOpenedByShare.mockReturnValue(true)
+  })
+
+  test('opens the URL form for a shared link and looks up its title', async () => {
+    shareTarget.takeSharedItem.mockResolvedValue({ title: '', text: 'Look at this https://example.com/scones', url: '', photos: [] })
+    api.extractTitleFromUrl.mockResolvedValue('Cheese Scones')
+    render(<App />)
+
+    expect(await screen.findByPlaceholderText('Recipe URL')).toHaveValue('https://example.com/scones')
+    await waitFor(() => expect(screen.getByPlaceholderText('Recipe Title')).toHaveValue('Cheese Scones'))
+    expect(api.extractTitleFromUrl).toHaveBeenCalledWith('test-secret', 'https://example.com/scones')
+    expect(screen.getByPlaceholderText('Additional notes')).toHaveValue('Look at this')
+  })
+
+  test('opens the photo form for a shared image', async () => {
+    const user = userEvent.setup()
+    const photo = new File(['image'], 'cake.jpg', { type: 'image/jpeg' })
+    shareTarget.takeSharedItem.mockResolvedValue({ title: '', text: '', url: '', photos: [photo] })
+    api.addRecipe.mockResolvedValue({ id: 'r1', title: 'Cake' })
+    render(<App />)
+
+    expect(await screen.findByText('Photo: cake.jpg')).toBeInTheDocument()
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Cake')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    expect(api.addRecipe).toHaveBeenCalledWith('test-secret', expect.objectContaining({ title: 'Cake', photo }))
+  })
+
+  test('keeps every shared image, the first as the cover', async () => {
+    const user = userEvent.setup()
+    const pages = ['page-1.jpg', 'page-2.jpg', 'page-3.jpg'].map(name => new File(['image'], name, { type: 'image/jpeg' }))
+    shareTarget.takeSharedItem.mockResolvedValue({ title: '', text: '', url: '', photos: pages })
+    api.addRecipe.mockResolvedValue({ id: 'r1', title: 'Cake' })
+    render(<App />)
+
+    expect(await screen.findByText('Photos: page-1.jpg, page-2.jpg, page-3.jpg')).toBeInTheDocument()
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Cake')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    expect(api.addRecipe).toHaveBeenCalledWith('test-secret', expect.objectContaining({ photo: pages[0], morePhotos: pages.slice(1) }))
+  })
+
+  test('offers to send again the shared images a new recipe could not take', async () => {
+    const user = userEvent.setup()
+    const pages = ['page-1.jpg', 'page-2.jpg', 'page-3.jpg'].map(name => new File(['image'], name, { type: 'image/jpeg' }))
+    shareTarget.takeSharedItem.mockResolvedValue({ title: '', text: '', url: '', photos: pages })
+    api.addRecipe.mockResolvedValue({ id: 'r1', title: 'Cake', unsentPhotos: pages.slice(1) })
+    api.addRecipePhoto.mockResolvedValue({ id: 'r1', title: 'Cake', photos: ['a', 'b', 'c'] })
+    render(<App />)
+
+    expect(await screen.findByText('Photos: page-1.jpg, page-2.jpg, page-3.jpg')).toBeInTheDocument()
+    await user.type(screen.getByPlaceholderText('Recipe Title'), 'Cake')
+    await user.click(screen.getByRole('button', { name: 'Add Recipe' }))
+
+    expect(await screen.findByText('Couldn’t add 2 photos to “Cake”.')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Retry' }))
+
+    await waitFor(() => expect(api.addRecipePhoto.mock.calls).toEqual([['test-secret', 'r1', pages[1]], ['test-secret', 'r1', pages[2]]]))
+  })
+
+  test('waits for sign in before opening the form', async () => {
+    localStorage.getItem.mockReturnValue(null)
+    render(<App />)
+
+    expect(await screen.findByPlaceholderText('Secret code')).toBeInTheDocument()
+    expect(shareTarget.takeSharedItem).not.toHaveBeenCalled()
+  })
+})
+
+describe('Offline changes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.getItem.mockReturnValue('test-secret')
+  })
+
+  test('marks recipes with changes not yet synced', async () => {
+    api.fetchRecipes.mockResolvedValue(page([{ id: '1', title: 'Scones' }, { id: '2', title: 'Bread' }]))
+    mutationQueue.pendingMutations.mockResolvedValue([
+      { seq: 1, type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake' }, queuedAt: '2025-01-01T00:00:00.000Z' },
+      { seq: 2, type: 'update', recipeId: '1', updates: { title: 'Cheese Scones' } },
+    ])
+    render(<App />)
+
+    expect(await screen.findByText('Cake')).toBeInTheDocument()
+    expect(screen.getByText('Cheese Scones')).toBeInTheDocument()
+    expect(screen.getAllByText('Not yet synced')).toHaveLength(2)
+    // A recipe added offline has no page until it reaches the worker
+    expect(screen.getAllByRole('link', { name: 'Open' })).toHaveLength(2)
+  })
+
+  test('keeps the rest of the recipe when an edit is queued offline', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([{ id: '1', title: 'Scones', text: 'Bake at 220C' }]))
+    api.updateRecipe.mockResolvedValue({ id: '1', title: 'Cheese Scones', text: 'Bake at 220C', pending: true })
+    render(<App />)
+
+    await user.click(await screen.findByRole('button', { name: 'Edit' }))
+    const titleInput = screen.getByDisplayValue('Scones')
+    await user.clear(titleInput)
+    await user.type(titleInput, 'Cheese Scones')
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(await screen.findByText('Cheese Scones')).toBeInTheDocument()
+    expect(screen.getByText('Bake at 220C')).toBeInTheDocument()
+    expect(screen.getByText('Not yet synced')).toBeInTheDocument()
+  })
+
+  test('sends queued changes when the app comes back into focus and reloads the list', async () => {
+    api.fetchRecipes.mockResolvedValue(page([{ id: '1', title: 'Scones' }]))
+    api.replayMutations
+      .mockResolvedValueOnce({ synced: 0, failed: [] })
+      .mockResolvedValueOnce({ synced: 1, failed: [] })
+    render(<App />)
+
+    await screen.findByText('Scones')
+    expect(api.replayMutations).toHaveBeenCalledWith('test-secret')
+
+    act(() => { window.dispatchEvent(new Event('focus')) })
+
+    await waitFor(() => expect(api.fetchRecipes).toHaveBeenCalledTimes(2))
+    expect(api.replayMutations).toHaveBeenCalledTimes(2)
+  })
+
+  test('reports a queued edit that conflicts and lets it be merged', async () => {
+    const user = userEvent.setup()
+    const current = { id: '1', title: 'Sam’s Scones', text: 'Notes', updatedBy: 'Sam', etag: '"v2"' }
+    api.fetchRecipes.mockResolvedValue(page([{ id: '1', title: 'Scones', text: 'Notes' }]))
+    api.replayMutations.mockResolvedValue({
+      synced: 0,
+      failed: [{ seq: 3, type: 'update', recipeId: '1', updates: { title: 'Cheese Scones', text: 'Notes' }, failure: { type: 'conflict', current } }],
+      unsentPhotos: [],
+    })
+    api.updateRecipe.mockResolvedValue({ ...current, title: 'Cheese Scones', etag: '"v3"' })
+    render(<App />)
+
+    expect(await screen.findByText('Someone else changed “Cheese Scones” before your offline edit was sent.')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Review' }))
+
+    expect(mutationQueue.discardMutation).toHaveBeenCalledWith(3)
+    expect(await screen.findByRole('dialog')).toHaveTextContent('Sam saved changes to “Sam’s Scones”')
+    await user.click(screen.getByRole('button', { name: 'Save merged recipe' }))
+
+    expect(api.updateRecipe).toHaveBeenCalledWith('test-secret', '1', { title: 'Cheese Scones' }, { etag: '"v2"' })
+  })
+
+  test('offers to discard a queued change the worker refused', async () => {
+    const user = userEvent.setup()
+    api.fetchRecipes.mockResolvedValue(page([]))
+    api.replayMutations.mockResolvedValue({
+      synced: 0,
+      failed: [{ seq: 4, type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake' }, failure: { type: 'invalid', message: 'Invalid recipe', details: [] } }],
+      unsentPhotos: [],
+    })
+    render(<App />)
+
+    expect(await screen.findByText('Couldn’t sync “Cake”: Invalid recipe')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Discard' }))
+
+    expect(mutationQueue.discardMutation).toHaveBeenCalledWith(4)
+  })
+})
@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react';
+import { addCollection, fetchCollection, fetchCollections, updateCollection } from './api';
+import { collectionCover } from './collections';
+import { showError } from './toasts';
+
+const MAX_PICKER_RESULTS = 8;
+
+function CollectionForm({ initial = {}, submitLabel, onSubmit, onCancel }) {
+  const [name, setName] = useState(initial.name || '');
+  const [description, setDescription] = useState(initial.description || '');
+  const [coverImage, setCoverImage] = useState(initial.coverImage || '');
+
+  return (
+    <form
+      className="collection-form"
+      onSubmit={e => {
+        e.preventDefault();
+        onSubmit({ name, description, coverImage: coverImage || null });
+      }}
+    >
+      <input type="text" placeholder="Collection name" value={name} onChange={e => setName(e.target.value)} required />
+      <textarea placeholder="Description" value={description} onChange={e => setDescription(e.target.value)} />
+      <input type="url" placeholder="Cover image URL" value={coverImage} onChange={e => setCoverImage(e.target.value)} />
+      <div className="edit-buttons">
+        <button type="submit">{submitLabel}</button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+function CollectionMember({ recipe, index, count, readOnly, onMove, onRemove, onRestore, onSetCover }) {
+  if (recipe.missing) {
+    return (
+      <li className="collection-member placeholder">
+        <span>This recipe no longer exists</span>
+        {!readOnly && <button type="button" onClick={() => onRemove(recipe.id)}>Remove</button>}
+      </li>
+    );
+  }
+
+  const title = recipe.title || 'Untitled';
+  if (recipe.deleted) {
+    return (
+      <li className="collection-member placeholder">
+        <span>“{title}” was deleted</span>
+        {!readOnly && (
+          <>
+            <button type="button" onClick={() => onRestore(recipe)}>Restore</button>
+            <button type="button" onClick={() => onRemove(recipe.id)} aria-label={`Remove ${title}`}>Remove</button>
+          </>
+        )}
+      </li>
+    );
+  }
+
+  const image = recipe.photo || recipe.previewImage;
+  return (
+    <li className="collection-member">
+      {image && <img src={image} alt="" className="collection-member-image" />}
+      {recipe.url ? (
+        <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-title-link">{title}</a>
+      ) : (
+        <span className="recipe-title">{title}</span>
+      )}
+      {!readOnly && (
+        <div className="row-controls">
+          {image && <button type="button" onClick={() => onSetCover(image)} aria-label={`Use ${title} as cover`}>🖼</button>}
+          <button type="button" onClick={() => onMove(index, -1)} disabled={index === 0} aria-label={`Move ${title} up`}>↑</button>
+          <button type="button" onClick={() => onMove(index, 1)} disabled={index === count - 1} aria-label={`Move ${title} down`}>↓</button>
+          <button type="button" onClick={() => onRemove(recipe.id)} aria-label={`Remove ${title}`}>✕</button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+// One collection with its ordered members and controls to add, remove and reorder them
+export function CollectionView({ collection, recipes, readOnly = false, onBack, onUpdate, onRestore, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [query, setQuery] = useState('');
+  const members = collection.recipes || [];
+  const cover = collectionCover(collection, members);
+
+  const memberIds = new Set(collection.recipeIds);
+  const search = query.trim().toLowerCase();
+  const candidates = search
+    ? recipes
+      .filter(recipe => !recipe.deleted && !memberIds.has(recipe.id) && recipe.title?.toLowerCase().includes(search))
+      .slice(0, MAX_PICKER_RESULTS)
+    : [];
+
+  function handleMove(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= members.length) return;
+    const recipeIds = members.map(member => member.id);
+    [recipeIds[index], recipeIds[target]] = [recipeIds[target], recipeIds[index]];
+    onUpdate({ recipeIds });
+  }
+
+  return (
+    <div className="collection-view">
+      <button type="button" onClick={onBack} className="primary-button outline">← All collections</button>
+      {editing ? (
+        <CollectionForm
+          initial={collection}
+          submitLabel="Save"
+          onSubmit={async details => {
+            await onUpdate(details);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <div className="collection-header">
+          {cover && <img src={cover} alt={collection.name} className="collection-cover" />}
+          <h2>{collection.name}</h2>
+          {collection.description && <p className="collection-description">{collection.description}</p>}
+          {!readOnly && (
+            <div className="recipe-actions">
+              <button type="button" onClick={() => setEditing(true)} className="edit-btn">Edit details</button>
+              <button type="button" onClick={onDelete} className="delete-btn">Delete collection</button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {members.length === 0 ? (
+        <p>No recipes in this collection yet.</p>
+      ) : (
+        <ol className="collection-members">
+          {members.map((recipe, index) => (
+            <CollectionMember
+              key={recipe.id}
+              recipe={recipe}
+              index={index}
+              count={members.length}
+              readOnly={readOnly}
+              onMove={handleMove}
+              onRemove={id => onUpdate({ removeRecipeIds: [id] })}
+              onRestore={onRestore}
+              onSetCover={coverImage => onUpdate({ coverImage })}
+            />
+          ))}
+        </ol>
+      )}
+
+      {!readOnly && (
+        <div className="collection-picker">
+          <input
+            type="text"
+            placeholder="Find a recipe to add"
+            aria-label="Find a recipe to add"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+          />
+          {candidates.map(recipe => (
+            <button
+              key={recipe.id}
+              type="button"
+              className="add-row-btn"
+              onClick={async () => {
+                await onUpdate({ addRecipeIds: [recipe.id] });
+                setQuery('');
+              }}
+            >
+              Add {recipe.title || 'Untitled'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Collection list, creation form and the open collection
+export function CollectionsPanel({ token, recipes, readOnly = false, onRestore }) {
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [openCollection, setOpenCollection] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let mounted = true;
+
+    async function load() {
+      try {
+        const data = await fetchCollections(token);
+        if (mounted) {
+          setCollections(data);
+        }
+      } catch (error) {
+        if (mounted) {
+          console.error('Failed to fetch collections:', error);
+          showError('Failed to fetch collections.', () => setReloadCount(count => count + 1));
+        }
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    load();
+
+    return () => {
+      mounted = false;
+    };
+  }, [token, reloadCount]);
+
+  async function handleOpen(id) {
+    try {
+      setOpenCollection(await fetchCollection(token, id));
+    } catch (error) {
+      console.error('Failed to fetch collection:', error);
+      showError('Failed to open collection.', () => handleOpen(id));
+    }
+  }
+
+  async function handleCreate(details) {
+    try {
+      const created = await addCollection(token, details);
+      setCollections(prev => [...prev, created].sort((a, b) => a.name.localeCompare(b.name)));
+      setShowCreate(false);
+    } catch (error) {
+      console.error('Failed to add collection:', error);
+      showError('Failed to add collection.', () => handleCreate(details));
+    }
+  }
+
+  async function handleUpdate(updates) {
+    const id = openCollection.id;
+    try {
+      const updated = await updateCollection(token, id, updates);
+      setCollections(prev => prev.map(c => c.id === id ? updated : c));
+      // Re-read so newly added members arrive resolved
+      setOpenCollection(await fetchCollection(token, id));
+    } catch (error) {
+      console.error('Failed to update collection:', error);
+      showError('Failed to update collection.', () => handleUpdate(updates));
+    }
+  }
+
+  async function handleDelete() {
+    if (!window.confirm(`Delete the collection “${openCollection.name}”? The recipes themselves are kept.`)) return;
+    await deleteCollection(openCollection.id);
+  }
+
+  async function deleteCollection(id) {
+    try {
+      await updateCollection(token, id, { deleted: true });
+      setCollections(prev => prev.filter(c => c.id !== id));
+      setOpenCollection(null);
+    } catch (error) {
+      console.error('Failed to delete collection:', error);
+      showError('Failed to delete collection.', () => deleteCollection(id));
+    }
+  }
+
+  async function handleRestore(recipe) {
+    await onRestore(recipe);
+    await handleOpen(openCollection.id);
+  }
+
+  if (openCollection) {
+    return (
+      <CollectionView
+        collection={openCollection}
+        recipes={recipes}
+        readOnly={readOnly}
+        onBack={() => setOpenCollection(null)}
+        onUpdate={handleUpdate}
+        onRestore={handleRestore}
+        onDelete={handleDelete}
+      />
+    );
+  }
+
+  return (
+    <div className="collections">
+      {showCreate ? (
+        <CollectionForm submitLabel="Create" onSubmit={handleCreate} onCancel={() => setShowCreate(false)} />
+      ) : !readOnly && (
+        <button type="button" onClick={() => setShowCreate(true)} className="primary-button solid">New Collection</button>
+      )}
+      {loading ? <p>Loading...</p> : (
+        <ul className="collection-list">
+          {collections.map(collection => {
+            const cover = collectionCover(collection, recipes.filter(recipe => collection.recipeIds.includes(recipe.id)));
+            return (
+              <li key={collection.id} className="collection-card">
+                <button type="button" onClick={() => handleOpen(collection.id)} className="collection-open">
+                  {cover && <img src={cover} alt="" className="collection-cover" />}
+                  <strong>{collection.name}</strong>
+                  <span className="collection-count">
+                    {collection.recipeIds.length} {collection.recipeIds.length === 1 ? 'recipe' : 'recipes'}
+                  </span>
+                </button>
+                {collection.description && <p className="collection-description">{collection.description}</p>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
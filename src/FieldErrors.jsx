@@ -0,0 +1,16 @@
+import { describeFieldPath } from './recipeSchema';
+
+// The problems the worker found with a recipe form, one per line
+export function FieldErrors({ errors }) {
+  if (errors.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="field-errors" role="alert">
+      {errors.map(({ field, message }, index) => (
+        <li key={index}>{describeFieldPath(field)} {message}</li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+
+function Lines({ lines }) {
+  if (lines.length === 0) {
+    return <span className="merge-empty">(empty)</span>;
+  }
+  return lines.map((line, index) => <span key={index} className="merge-line">{line}</span>);
+}
+
+// Shown when saving an edit finds that someone else changed the same fields first.
+// Fields only one person changed have already been merged; each conflict is
+// resolved by keeping one side.
+export function MergeDialog({ conflict, saving, onSave, onDiscard }) {
+  const [choices, setChoices] = useState(() => Object.fromEntries(conflict.conflicts.map(({ field }) => [field, 'mine'])));
+  const otherEditor = conflict.current.updatedBy || 'Someone else';
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content merge-dialog" role="dialog" aria-labelledby="merge-title">
+        <h3 id="merge-title">This recipe changed while you were editing</h3>
+        <p>
+          {otherEditor} saved changes to “{conflict.current.title || 'Untitled'}”. Their changes to
+          other fields are kept; choose which version to keep for these:
+        </p>
+        {conflict.conflicts.map(({ field, label, mine, theirs }) => (
+          <fieldset key={field} className="merge-field">
+            <legend>{label}</legend>
+            <label className={choices[field] === 'mine' ? 'selected' : ''}>
+              <input
+                type="radio"
+                name={`merge-${field}`}
+                checked={choices[field] === 'mine'}
+                onChange={() => setChoices({ ...choices, [field]: 'mine' })}
+              />
+              <strong>Yours</strong>
+              <Lines lines={mine} />
+            </label>
+            <label className={choices[field] === 'theirs' ? 'selected' : ''}>
+              <input
+                type="radio"
+                name={`merge-${field}`}
+                checked={choices[field] === 'theirs'}
+                onChange={() => setChoices({ ...choices, [field]: 'theirs' })}
+              />
+              <strong>{otherEditor}&rsquo;s</strong>
+              <Lines lines={theirs} />
+            </label>
+          </fieldset>
+        ))}
+        <div className="modal-buttons">
+          <button type="button" onClick={() => onSave(choices)} disabled={saving} className="merge-save-btn">
+            Save merged recipe
+          </button>
+          <button type="button" onClick={onDiscard} disabled={saving} className="cancel-btn">
+            Discard my changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Shorter swipes are taken as taps
+const SWIPE_DISTANCE_PX = 50;
+
+// The images in the zoom overlay, one at a time, starting at `startIndex`. With more
+// than one, swiping, the arrow keys or the buttons below move between them.
+export function PhotoGallery({ images, startIndex = 0, alt }) {
+  const [index, setIndex] = useState(startIndex);
+  const touchStartX = useRef(null);
+  const count = images.length;
+
+  useEffect(() => {
+    if (count < 2) return;
+
+    function handleKeyDown(e) {
+      if (e.key === 'ArrowLeft') {
+        setIndex(current => (current - 1 + count) % count);
+      } else if (e.key === 'ArrowRight') {
+        setIndex(current => (current + 1) % count);
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [count]);
+
+  function move(by) {
+    setIndex(current => (current + by + count) % count);
+  }
+
+  function handleTouchEnd(e) {
+    if (touchStartX.current === null) return;
+    const distance = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (count > 1 && Math.abs(distance) >= SWIPE_DISTANCE_PX) {
+      move(distance < 0 ? 1 : -1);
+    }
+  }
+
+  return (
+    <div
+      className="photo-gallery"
+      onTouchStart={e => { touchStartX.current = e.touches[0].clientX; }}
+      onTouchEnd={handleTouchEnd}
+    >
+      <img
+        src={images[index]}
+        alt={count > 1 ? `${alt}, photo ${index + 1} of ${count}` : alt}
+        className="zoomed-image"
+        onClick={(e) => e.stopPropagation()}
+      />
+      {count > 1 && (
+        <div className="gallery-controls" onClick={(e) => e.stopPropagation()}>
+          <button type="button" onClick={() => move(-1)} aria-label="Previous photo">‹</button>
+          <span className="gallery-position">{index + 1} / {count}</span>
+          <button type="button" onClick={() => move(1)} aria-label="Next photo">›</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { fetchRecipeHistory, revertRecipe } from './api';
+import { diffRecipes } from './recipeDiff';
+import { showError } from './toasts';
+
+function formatSavedAt(savedAt) {
+  const date = new Date(savedAt);
+  return Number.isNaN(date.getTime())
+    ? 'Unknown date'
+    : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Side-by-side comparison of a revision with the current recipe
+function RevisionDiff({ revision, recipe }) {
+  const fields = diffRecipes(revision.recipe, recipe).filter(field => field.changed);
+  if (fields.length === 0) {
+    return <p className="history-empty">The title, notes and ingredients are the same as now.</p>;
+  }
+
+  return fields.map(field => (
+    <table key={field.field} className="history-diff">
+      <caption>{field.label}</caption>
+      <thead>
+        <tr>
+          <th scope="col">This version</th>
+          <th scope="col">Current</th>
+        </tr>
+      </thead>
+      <tbody>
+        {field.rows.map((row, index) => (
+          <tr key={index} className={`diff-${row.type}`}>
+            <td>{row.before}</td>
+            <td>{row.after}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  ));
+}
+
+// Earlier versions of a recipe, each saved when an edit replaced it
+export function RecipeHistory({ token, recipe, readOnly = false, onRevert }) {
+  const [revisions, setRevisions] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reverting, setReverting] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let mounted = true;
+
+    async function load() {
+      try {
+        const data = await fetchRecipeHistory(token, recipe.id);
+        if (mounted) {
+          setRevisions(data);
+        }
+      } catch (error) {
+        if (mounted) {
+          console.error('Failed to fetch recipe history:', error);
+          setRevisions([]);
+        }
+      }
+    }
+
+    load();
+
+    return () => {
+      mounted = false;
+    };
+  }, [token, recipe.id, reloadCount]);
+
+  async function handleRevert(revision) {
+    setReverting(true);
+    try {
+      onRevert(await revertRecipe(token, recipe.id, revision.id));
+      setSelectedId(null);
+      setReloadCount(count => count + 1);
+    } catch (error) {
+      console.error('Failed to revert recipe:', error);
+      showError('Failed to restore this version.', () => handleRevert(revision));
+    } finally {
+      setReverting(false);
+    }
+  }
+
+  if (!revisions) {
+    return <section className="recipe-history"><p>Loading history...</p></section>;
+  }
+
+  const selected = revisions.find(revision => revision.id === selectedId);
+  return (
+    <section className="recipe-history">
+      <h3>History</h3>
+      {revisions.length === 0 && <p className="history-empty">No earlier versions yet. Each edit keeps a copy of the recipe as it was.</p>}
+      <ol className="history-list">
+        {revisions.map(revision => (
+          <li key={revision.id}>
+            <button
+              type="button"
+              aria-pressed={revision.id === selectedId}
+              className={revision.id === selectedId ? 'active' : ''}
+              onClick={() => setSelectedId(revision.id === selectedId ? null : revision.id)}
+            >
+              {formatSavedAt(revision.savedAt)}
+              {revision.savedBy && ` · replaced by ${revision.savedBy}`}
+            </button>
+          </li>
+        ))}
+      </ol>
+      {selected && (
+        <div className="history-revision">
+          <RevisionDiff revision={selected} recipe={recipe} />
+          {!readOnly && (
+            <button
+              type="button"
+              onClick={() => handleRevert(selected)}
+              disabled={reverting}
+              className="primary-button outline"
+            >
+              Restore this version
+            </button>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { RecipeNotFoundError, fetchRecipe, shareRecipe, shareUrl, unshareRecipe } from './api';
+import { convertText } from './conversion';
+import { LIST_PATH } from './routes';
+import { RecipeHistory } from './RecipeHistory';
+import { RecipePhotos } from './RecipePhotos';
+import { recipePhotos } from './recipeSchema';
+import { RecipeDetails } from './StructuredRecipe';
+import { TagList } from './TagControls';
+import { showError } from './toasts';
+
+// Public link controls. Anyone with the link can read the recipe but not change it.
+function ShareControls({ token, recipe, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  async function copy(link) {
+    if (!navigator.clipboard) return;
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch {
+      // Copying is a convenience; the link is still shown to select by hand
+    }
+  }
+
+  async function handleShare() {
+    setBusy(true);
+    try {
+      const { token: shareToken, url } = await shareRecipe(token, recipe.id);
+      onChange({ ...recipe, shareToken });
+      await copy(url);
+    } catch (error) {
+      console.error('Failed to share recipe:', error);
+      showError('Failed to create a share link.', handleShare);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleStopSharing() {
+    setBusy(true);
+    try {
+      onChange(await unshareRecipe(token, recipe.id));
+      setCopied(false);
+    } catch (error) {
+      console.error('Failed to stop sharing recipe:', error);
+      showError('Failed to stop sharing.', handleStopSharing);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (recipe.deleted) return null;
+
+  if (!recipe.shareToken) {
+    return (
+      <div className="share-controls">
+        <button type="button" onClick={handleShare} disabled={busy} className="primary-button outline">
+          Share link
+        </button>
+      </div>
+    );
+  }
+
+  const link = shareUrl(recipe.shareToken);
+  return (
+    <div className="share-controls">
+      <input type="text" readOnly value={link} aria-label="Share link" onFocus={e => e.target.select()} />
+      <button type="button" onClick={() => copy(link)} className="primary-button outline">
+        {copied ? 'Copied' : 'Copy link'}
+      </button>
+      <button type="button" onClick={handleStopSharing} disabled={busy} className="delete-btn">
+        Stop sharing
+      </button>
+      <p className="share-hint">Anyone with this link can view the recipe, but not change it.</p>
+    </div>
+  );
+}
+
+// Full-screen view of one recipe, opened from a "#/recipe/<id>" link.
+// Uses the list's copy when it is a full record, otherwise fetches it.
+// `onOpenPhotos(images, index, alt)` shows images in the zoom overlay.
+export function RecipePage({ token, recipeId, cachedRecipe, unitSystem, readOnly = false, onSelectTag, onRecipeChange, onOpenPhotos }) {
+  const [recipe, setRecipe] = useState(cachedRecipe && !cachedRecipe.summary ? cachedRecipe : null);
+  // null while loading, 'notFound' when the worker has no such recipe, otherwise 'failed'
+  const [loadError, setLoadError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    if (recipe?.id === recipeId) return;
+
+    let mounted = true;
+
+    async function load() {
+      try {
+        const data = await fetchRecipe(token, recipeId);
+        if (mounted) {
+          setRecipe(data);
+        }
+      } catch (error) {
+        if (mounted) {
+          console.error('Failed to fetch recipe:', error);
+          setLoadError(error instanceof RecipeNotFoundError ? 'notFound' : 'failed');
+        }
+      }
+    }
+
+    load();
+
+    return () => {
+      mounted = false;
+    };
+  }, [token, recipeId, recipe, attempt]);
+
+  if (loadError === 'notFound') {
+    return (
+      <div className="recipe-page">
+        <a href={LIST_PATH} className="back-link">← All recipes</a>
+        <p>Recipe not found. It may have been removed, or the link is incomplete.</p>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <div className="recipe-page">
+        <a href={LIST_PATH} className="back-link">← All recipes</a>
+        <p>Couldn’t load this recipe.</p>
+        <button
+          type="button"
+          onClick={() => {
+            setLoadError(null);
+            setAttempt(count => count + 1);
+          }}
+          className="primary-button outline"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!recipe) {
+    return (
+      <div className="recipe-page">
+        <a href={LIST_PATH} className="back-link">← All recipes</a>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  function handleChange(updated) {
+    setRecipe(updated);
+    onRecipeChange(updated);
+  }
+
+  const photos = recipePhotos(recipe);
+  const image = photos[0] || recipe.previewImage;
+  const byline = [
+    recipe.createdBy && `Added by ${recipe.createdBy}`,
+    recipe.updatedBy && recipe.updatedBy !== recipe.createdBy && `Last edited by ${recipe.updatedBy}`,
+  ].filter(Boolean).join(' · ');
+  return (
+    <article className="recipe-page">
+      <a href={LIST_PATH} className="back-link">← All recipes</a>
+      <h2>{recipe.title || 'Untitled'}</h2>
+      {recipe.deleted && <p className="recipe-page-notice">This recipe has been deleted.</p>}
+      {byline && <p className="recipe-byline">{byline}</p>}
+      {image && (
+        <img
+          src={image}
+          alt={recipe.title || 'Recipe image'}
+          className="recipe-page-image"
+          onClick={() => onOpenPhotos(photos.length > 0 ? photos : [image], 0, recipe.title || 'Recipe image')}
+          onError={(e) => {
+            e.target.style.display = 'none';
+          }}
+        />
+      )}
+      <RecipePhotos
+        token={token}
+        recipe={recipe}
+        readOnly={readOnly}
+        onChange={handleChange}
+        onOpen={index => onOpenPhotos(photos, index, recipe.title || 'Recipe image')}
+      />
+      {recipe.url && (
+        <a href={recipe.url} target="_blank" rel="noopener noreferrer" className="recipe-url">
+          {recipe.url}
+        </a>
+      )}
+      {!readOnly && (
+        <ShareControls
+          token={token}
+          recipe={recipe}
+          onChange={handleChange}
+        />
+      )}
+      <button
+        type="button"
+        aria-expanded={showHistory}
+        onClick={() => setShowHistory(!showHistory)}
+        className="primary-button outline history-toggle"
+      >
+        {showHistory ? 'Hide history' : 'History'}
+      </button>
+      {showHistory && <RecipeHistory token={token} recipe={recipe} readOnly={readOnly} onRevert={handleChange} />}
+      <TagList tags={recipe.tags} onSelect={onSelectTag} />
+      <RecipeDetails recipe={recipe} unitSystem={unitSystem} />
+      {recipe.text && (
+        <section className="recipe-page-notes">
+          <h3>Notes</h3>
+          <p className="recipe-text">{convertText(recipe.text, unitSystem)}</p>
+        </section>
+      )}
+    </article>
+  );
+}
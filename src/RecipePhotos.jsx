@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { ValidationError, addRecipePhoto, removeRecipePhoto, reorderRecipePhotos } from './api';
+import { FieldErrors } from './FieldErrors';
+import { recipePhotos } from './recipeSchema';
+import { showError } from './toasts';
+
+// A recipe's photos as thumbnails that open the gallery. Editors can add more, move
+// them earlier or later, and remove them; the first is the cover on the recipe's card.
+export function RecipePhotos({ token, recipe, readOnly, onChange, onOpen }) {
+  const [busy, setBusy] = useState(false);
+  const [confirmRemove, setConfirmRemove] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const photos = recipePhotos(recipe);
+  const editable = !readOnly && !recipe.deleted;
+
+  // Send one change and show the recipe the worker returns. Returns whether it worked.
+  async function change(request, failure, retry) {
+    setBusy(true);
+    setErrors([]);
+    try {
+      onChange(await request());
+      return true;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        setErrors(error.details);
+      } else {
+        console.error(`${failure}:`, error);
+        showError(`${failure}.`, retry);
+      }
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // One at a time, so they keep the order they were picked in
+  async function handleAdd(files) {
+    for (const [index, file] of files.entries()) {
+      const rest = files.slice(index);
+      const added = await change(() => addRecipePhoto(token, recipe.id, file), 'Failed to add photo', () => handleAdd(rest));
+      if (!added) return;
+    }
+  }
+
+  function handleMove(index, by) {
+    const order = [...photos];
+    [order[index], order[index + by]] = [order[index + by], order[index]];
+    change(() => reorderRecipePhotos(token, recipe.id, order), 'Failed to reorder photos', () => handleMove(index, by));
+  }
+
+  async function handleRemove(photo) {
+    if (await change(() => removeRecipePhoto(token, recipe.id, photo), 'Failed to remove photo', () => handleRemove(photo))) {
+      setConfirmRemove(null);
+    }
+  }
+
+  // The cover is already on the page; a single photo needs no strip unless it can be changed
+  if (!editable && photos.length < 2) return null;
+
+  return (
+    <section className="recipe-photos" aria-label="Photos">
+      {photos.length > 0 && (
+        <ul className="photo-strip">
+          {photos.map((photo, index) => (
+            <li key={photo}>
+              <img
+                src={photo}
+                alt={`Photo ${index + 1} of ${photos.length}`}
+                className="photo-thumbnail"
+                onClick={() => onOpen(index)}
+              />
+              {editable && (
+                <div className="photo-actions">
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={busy || index === 0}
+                    aria-label={`Move photo ${index + 1} earlier`}
+                  >
+                    ←
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={busy || index === photos.length - 1}
+                    aria-label={`Move photo ${index + 1} later`}
+                  >
+                    →
+                  </button>
+                  {confirmRemove === photo ? (
+                    <>
+                      <button type="button" onClick={() => handleRemove(photo)} disabled={busy} className="delete-btn">
+                        Delete photo
+                      </button>
+                      <button type="button" onClick={() => setConfirmRemove(null)} disabled={busy}>Keep</button>
+                    </>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => setConfirmRemove(photo)}
+                      disabled={busy}
+                      aria-label={`Remove photo ${index + 1}`}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {editable && (
+        <label className="primary-button outline add-photos-button">
+          {busy ? 'Saving...' : 'Add photos'}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            hidden
+            disabled={busy}
+            onChange={e => {
+              const files = Array.from(e.target.files);
+              e.target.value = '';
+              handleAdd(files);
+            }}
+          />
+        </label>
+      )}
+      <FieldErrors errors={errors} />
+    </section>
+  );
+}
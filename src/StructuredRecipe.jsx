@@ -0,0 +1,292 @@
+import { useState } from 'react';
+import { createIngredient, createStep, upgradeRecipe } from './recipeSchema';
+import { formatDuration, formatIngredient, formatQuantityRange, formatTimer, groupIngredients } from './recipeFormat';
+import { parseIngredientLines } from './ingredientParser';
+import { parseServings, scaleRecipe } from './scaling';
+import { convertRecipe } from './conversion';
+import { unitLabel } from './units';
+
+function moveItem(list, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+export function RecipeMeta({ recipe }) {
+  const parts = [
+    recipe.yield && `Serves ${recipe.yield}`,
+    recipe.prepTime && `Prep ${formatDuration(recipe.prepTime)}`,
+    recipe.cookTime && `Cook ${formatDuration(recipe.cookTime)}`,
+    recipe.totalTime && `Total ${formatDuration(recipe.totalTime)}`,
+  ].filter(Boolean);
+
+  if (parts.length === 0) return null;
+  return <p className="recipe-meta">{parts.join(' · ')}</p>;
+}
+
+export function IngredientList({ ingredients }) {
+  if (!ingredients?.length) return null;
+
+  return (
+    <div className="recipe-ingredients">
+      <h4>Ingredients</h4>
+      {groupIngredients(ingredients).map((group, groupIndex) => (
+        <div key={groupIndex} className="ingredient-group">
+          {group.name && <h5>{group.name}</h5>}
+          <ul>
+            {group.ingredients.map((ingredient, index) => (
+              <li key={index}>{formatIngredient(ingredient)}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function StepList({ steps }) {
+  if (!steps?.length) return null;
+
+  return (
+    <div className="recipe-steps">
+      <h4>Method</h4>
+      <ol>
+        {steps.map((step, index) => (
+          <li key={index}>
+            {step.text}
+            {step.timer && <span className="step-timer"> ⏱ {formatTimer(step.timer)}</span>}
+            {step.photo && <img src={step.photo} alt={`Step ${index + 1}`} className="step-photo" />}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export function ServingsControl({ servings, originalServings, onChange }) {
+  // Keep what is typed separately so the field can be cleared while editing
+  const [draft, setDraft] = useState(String(servings));
+  const update = value => {
+    setDraft(String(value));
+    onChange(value === originalServings ? null : value);
+  };
+
+  return (
+    <div className="servings-control">
+      <button type="button" onClick={() => update(Math.max(1, servings - 1))} disabled={servings <= 1} aria-label="Fewer servings">−</button>
+      <label>
+        <input
+          type="number"
+          min="1"
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            const value = Number(e.target.value);
+            if (value > 0) onChange(value === originalServings ? null : value);
+          }}
+          onBlur={() => setDraft(String(servings))}
+          aria-label="Servings"
+        />
+        {' '}servings
+      </label>
+      <button type="button" onClick={() => update(servings + 1)} aria-label="More servings">+</button>
+      {servings !== originalServings && (
+        <button type="button" onClick={() => update(originalServings)} className="reset-servings">
+          Reset to {originalServings}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Yield, timings, ingredients and steps for a recipe of any schema version.
+// Ingredients can be rescaled and converted for display; the stored recipe is left alone.
+export function RecipeDetails({ recipe, unitSystem = 'original' }) {
+  const [servings, setServings] = useState(null);
+  const upgraded = upgradeRecipe(recipe);
+  const originalServings = parseServings(upgraded.yield);
+  const scaled = servings ? scaleRecipe(upgraded, servings) : upgraded;
+  const { ingredients, steps } = convertRecipe(scaled, unitSystem);
+  return (
+    <>
+      <RecipeMeta recipe={recipe} />
+      {originalServings && ingredients?.length > 0 && (
+        <ServingsControl
+          servings={servings ?? originalServings}
+          originalServings={originalServings}
+          onChange={setServings}
+        />
+      )}
+      <IngredientList ingredients={ingredients} />
+      <StepList steps={steps} />
+    </>
+  );
+}
+
+function RowControls({ index, count, label, onMove, onRemove }) {
+  return (
+    <div className="row-controls">
+      <button type="button" onClick={() => onMove(index, -1)} disabled={index === 0} aria-label={`Move ${label} ${index + 1} up`}>↑</button>
+      <button type="button" onClick={() => onMove(index, 1)} disabled={index === count - 1} aria-label={`Move ${label} ${index + 1} down`}>↓</button>
+      <button type="button" onClick={() => onRemove(index)} aria-label={`Remove ${label} ${index + 1}`}>✕</button>
+    </div>
+  );
+}
+
+// Live breakdown of free-text ingredient lines, showing how they will be stored
+export function IngredientPreview({ text }) {
+  const parsed = parseIngredientLines(text);
+  if (parsed.length === 0) return null;
+
+  return (
+    <ul className="ingredient-preview" aria-label="Ingredient preview">
+      {parsed.map((ingredient, index) => (
+        <li key={index}>
+          {ingredient.group && <span className="preview-group">{ingredient.group}</span>}
+          {ingredient.quantity !== null && <span className="preview-quantity">{formatQuantityRange(ingredient)}</span>}
+          {ingredient.unit && <span className="preview-unit">{unitLabel(ingredient.unit, ingredient.quantityMax ?? ingredient.quantity)}</span>}
+          {ingredient.alternate && <span className="preview-alternate">({ingredient.alternate})</span>}
+          <span className="preview-item">{ingredient.item}</span>
+          {ingredient.note && <span className="preview-note">{ingredient.note}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Ingredient rows hold the quantity as the raw input string while editing;
+// toIngredientPayload converts it back before saving.
+export function IngredientEditor({ ingredients, onChange }) {
+  const [pastedLines, setPastedLines] = useState('');
+
+  function update(index, field, value) {
+    onChange(ingredients.map((ingredient, i) => i === index ? { ...ingredient, [field]: value } : ingredient));
+  }
+
+  function addPastedLines() {
+    onChange([...ingredients, ...parseIngredientLines(pastedLines)]);
+    setPastedLines('');
+  }
+
+  return (
+    <fieldset className="structured-editor ingredient-editor">
+      <legend>Ingredients</legend>
+      {ingredients.map((ingredient, index) => (
+        <div key={index} className="editor-row">
+          <input
+            type="text"
+            inputMode="decimal"
+            placeholder="Qty"
+            aria-label={`Ingredient ${index + 1} quantity`}
+            value={typeof ingredient.quantity === 'string' ? ingredient.quantity : formatQuantityRange(ingredient)}
+            onChange={e => update(index, 'quantity', e.target.value)}
+            className="ingredient-quantity"
+          />
+          <input
+            type="text"
+            placeholder="Unit"
+            aria-label={`Ingredient ${index + 1} unit`}
+            value={ingredient.unit ?? ''}
+            onChange={e => update(index, 'unit', e.target.value)}
+            className="ingredient-unit"
+          />
+          <input
+            type="text"
+            placeholder="Ingredient"
+            aria-label={`Ingredient ${index + 1} item`}
+            value={ingredient.item}
+            onChange={e => update(index, 'item', e.target.value)}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Note"
+            aria-label={`Ingredient ${index + 1} note`}
+            value={ingredient.note ?? ''}
+            onChange={e => update(index, 'note', e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Group"
+            aria-label={`Ingredient ${index + 1} group`}
+            value={ingredient.group ?? ''}
+            onChange={e => update(index, 'group', e.target.value)}
+          />
+          <RowControls
+            index={index}
+            count={ingredients.length}
+            label="ingredient"
+            onMove={(i, offset) => onChange(moveItem(ingredients, i, offset))}
+            onRemove={i => onChange(ingredients.filter((_, j) => j !== i))}
+          />
+        </div>
+      ))}
+      <button
+        type="button"
+        className="add-row-btn"
+        onClick={() => onChange([...ingredients, createIngredient({ group: ingredients[ingredients.length - 1]?.group ?? null })])}
+      >
+        Add ingredient
+      </button>
+      <textarea
+        placeholder="Paste ingredient lines"
+        value={pastedLines}
+        onChange={e => setPastedLines(e.target.value)}
+      />
+      <IngredientPreview text={pastedLines} />
+      {pastedLines.trim() && (
+        <button type="button" className="add-row-btn" onClick={addPastedLines}>
+          Add lines
+        </button>
+      )}
+    </fieldset>
+  );
+}
+
+// Step timers are edited in minutes and stored in seconds
+export function StepEditor({ steps, onChange }) {
+  function update(index, changes) {
+    onChange(steps.map((step, i) => i === index ? { ...step, ...changes } : step));
+  }
+
+  return (
+    <fieldset className="structured-editor step-editor">
+      <legend>Steps</legend>
+      {steps.map((step, index) => (
+        <div key={index} className="editor-row">
+          <textarea
+            placeholder={`Step ${index + 1}`}
+            aria-label={`Step ${index + 1} text`}
+            value={step.text}
+            onChange={e => update(index, { text: e.target.value })}
+            required
+          />
+          <input
+            type="number"
+            min="0"
+            placeholder="Timer (min)"
+            aria-label={`Step ${index + 1} timer in minutes`}
+            value={step.timer ? step.timer / 60 : ''}
+            onChange={e => {
+              const minutes = Number(e.target.value);
+              update(index, { timer: minutes > 0 ? Math.round(minutes * 60) : undefined });
+            }}
+            className="step-timer-input"
+          />
+          <RowControls
+            index={index}
+            count={steps.length}
+            label="step"
+            onMove={(i, offset) => onChange(moveItem(steps, i, offset))}
+            onRemove={i => onChange(steps.filter((_, j) => j !== i))}
+          />
+        </div>
+      ))}
+      <button type="button" className="add-row-btn" onClick={() => onChange([...steps, createStep()])}>
+        Add step
+      </button>
+    </fieldset>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { normalizeTag } from './tags';
+
+const MAX_AUTOCOMPLETE = 6;
+
+// Tag chips with an input that autocompletes from tags already in use
+export function TagInput({ tags, onChange, knownTags = [], suggestedTags = [] }) {
+  const [draft, setDraft] = useState('');
+  const query = normalizeTag(draft);
+  const matches = query
+    ? knownTags
+      .map(({ tag }) => tag)
+      .filter(tag => tag.includes(query) && tag !== query && !tags.includes(tag))
+      .slice(0, MAX_AUTOCOMPLETE)
+    : [];
+  const suggestions = suggestedTags.filter(tag => !tags.includes(tag));
+
+  function addTag(value) {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setDraft('');
+  }
+
+  return (
+    <div className="tag-input">
+      <div className="tag-chips">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            {tag}
+            <button type="button" onClick={() => onChange(tags.filter(t => t !== tag))} aria-label={`Remove tag ${tag}`}>✕</button>
+          </span>
+        ))}
+        <input
+          type="text"
+          placeholder="Add tag"
+          aria-label="Add tag"
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          onKeyDown={e => {
+            if (e.key === 'Enter' || e.key === ',') {
+              e.preventDefault();
+              addTag(draft);
+            } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+              onChange(tags.slice(0, -1));
+            }
+          }}
+          onBlur={() => addTag(draft)}
+        />
+      </div>
+      {matches.length > 0 && (
+        <div className="tag-autocomplete">
+          {matches.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              // Keep the input from committing the partial text before the click lands
+              onMouseDown={e => e.preventDefault()}
+              onClick={() => addTag(tag)}
+              aria-label={`Add tag ${tag}`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <div className="tag-suggestions">
+          <span>Suggested:</span>
+          {suggestions.map(tag => (
+            <button key={tag} type="button" onClick={() => addTag(tag)} aria-label={`Add suggested tag ${tag}`}>
+              + {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Tags on a recipe card; clicking one filters the list by it
+export function TagList({ tags, onSelect }) {
+  if (!tags?.length) return null;
+
+  return (
+    <div className="tag-chips recipe-tags">
+      {tags.map(tag => (
+        <button key={tag} type="button" className="tag-chip" onClick={() => onSelect(tag)} aria-label={`Show recipes tagged ${tag}`}>
+          {tag}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Toggle tags to filter the list, matching all or any of them
+export function TagFilter({ tags, selected, mode, onChange, onModeChange }) {
+  if (tags.length === 0) return null;
+
+  const toggle = tag => onChange(selected.includes(tag) ? selected.filter(t => t !== tag) : [...selected, tag]);
+
+  return (
+    <div className="tag-filter" role="group" aria-label="Filter by tag">
+      {tags.map(({ tag, count }) => (
+        <button
+          key={tag}
+          type="button"
+          className={`tag-chip ${selected.includes(tag) ? 'active' : ''}`}
+          aria-pressed={selected.includes(tag)}
+          onClick={() => toggle(tag)}
+        >
+          {tag} ({count})
+        </button>
+      ))}
+      {selected.length > 1 && (
+        <span className="tag-mode">
+          <button type="button" aria-pressed={mode === 'and'} className={mode === 'and' ? 'active' : ''} onClick={() => onModeChange('and')}>
+            Match all
+          </button>
+          <button type="button" aria-pressed={mode === 'or'} className={mode === 'or' ? 'active' : ''} onClick={() => onModeChange('or')}>
+            Match any
+          </button>
+        </span>
+      )}
+      {selected.length > 0 && (
+        <button type="button" className="clear-tags" onClick={() => onChange([])}>Clear tags</button>
+      )}
+    </div>
+  );
+}
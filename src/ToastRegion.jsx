@@ -0,0 +1,26 @@
+import { useSyncExternalStore } from 'react';
+import { dismissToast, getToasts, runToastAction, subscribeToasts } from './toasts';
+
+// Where toasts appear. The toasts themselves outlive it, so an Undo offered in the
+// list is still there after opening a recipe.
+export function ToastRegion() {
+  const toasts = useSyncExternalStore(subscribeToasts, getToasts);
+
+  return (
+    <div className="toast-region" aria-live="polite">
+      {toasts.map(toast => (
+        <div key={toast.id} className={`toast toast-${toast.type}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+          <span className="toast-message">{toast.message}</span>
+          {toast.action && (
+            <button type="button" onClick={() => runToastAction(toast.id)} className="toast-action">
+              {toast.action}
+            </button>
+          )}
+          <button type="button" onClick={() => dismissToast(toast.id)} className="toast-dismiss" aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// Runs actions that share a key one after another. Undoing a delete enqueues
+// the restore behind the delete, so it can't reach the worker first.
+export function createActionQueue() {
+    const pending = new Map();
+
+    return function enqueue(key, action) {
+        const previous = pending.get(key) || Promise.resolve();
+        // A failed action doesn't stop the ones queued behind it
+        const next = previous.catch(() => {}).then(action);
+        pending.set(key, next);
+        const settle = () => {
+            if (pending.get(key) === next) {
+                pending.delete(key);
+            }
+        };
+        next.then(settle, settle);
+        return next;
+    };
+}
@@ -0,0 +1,29 @@
+import { createActionQueue } from './actionQueue'
+
+describe('Action queue', () => {
+  test('runs actions with the same key one after another', async () => {
+    const enqueue = createActionQueue()
+    const order = []
+    let finishFirst
+    const first = enqueue('r1', () => new Promise(resolve => { finishFirst = resolve }).then(() => order.push('delete')))
+    const second = enqueue('r1', async () => order.push('restore'))
+    const other = enqueue('r2', async () => order.push('other'))
+
+    await other
+    expect(order).toEqual(['other'])
+
+    finishFirst()
+    await Promise.all([first, second])
+    expect(order).toEqual(['other', 'delete', 'restore'])
+  })
+
+  test('keeps going after a failed action and returns each result', async () => {
+    const enqueue = createActionQueue()
+
+    const failed = enqueue('r1', async () => { throw new Error('offline') })
+    const next = enqueue('r1', async () => 'restored')
+
+    await expect(failed).rejects.toThrow('offline')
+    await expect(next).resolves.toBe('restored')
+  })
+})
@@ -1,75 +1,504 @@
 // Cloudflare Workers KV API utilities for Jessipes
+import {
+    discardMutation,
+    hasPendingMutations,
+    markMutationFailed,
+    pendingMutations,
+    pendingRecipeId,
+    pendingResult,
+    queueMutation,
+    renamePendingRecipe,
+} from './mutationQueue';
+import { preparePhotoForUpload } from './photoUpload';
 
-const WORKER_URL = 'https://jessipes-worker.12v.workers.dev';
+export const WORKER_URL = 'https://jessipes-worker.12v.workers.dev';
 
-export async function fetchRecipes(secret) {
-    const res = await fetch(`${WORKER_URL}/recipes`, {
-        headers: { Authorization: secret },
+let sessionExpiredListener = null;
+
+// Thrown by every call once the worker rejects the session token
+export class SessionExpiredError extends Error {
+    constructor() {
+        super('Session expired');
+        this.name = 'SessionExpiredError';
+    }
+}
+
+// Called whenever the worker rejects the session token, so the app can ask for the secret again.
+// Returns a function that removes the listener.
+export function onSessionExpired(listener) {
+    sessionExpiredListener = listener;
+    return () => {
+        if (sessionExpiredListener === listener) {
+            sessionExpiredListener = null;
+        }
+    };
+}
+
+// Thrown by login when the worker doesn't recognise the secret
+export class InvalidSecretError extends Error {
+    constructor() {
+        super('Invalid secret');
+        this.name = 'InvalidSecretError';
+    }
+}
+
+// Thrown by fetchRecipe when the worker has no recipe with that id
+export class RecipeNotFoundError extends Error {
+    constructor() {
+        super('Recipe not found');
+        this.name = 'RecipeNotFoundError';
+    }
+}
+
+// Thrown by updateRecipe when someone else saved the recipe since it was loaded.
+// `current` is their version, with the etag to save against.
+export class RecipeConflictError extends Error {
+    constructor(current) {
+        super('Recipe has changed since it was loaded');
+        this.name = 'RecipeConflictError';
+        this.current = current;
+    }
+}
+
+// Thrown by addRecipe and updateRecipe when the worker rejects the recipe.
+// `details` lists the problems as { field, message }.
+export class ValidationError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.details = details;
+    }
+}
+
+// Thrown by apiFetch when the request couldn't reach the worker at all
+class NetworkError extends Error {
+    constructor(cause) {
+        super(cause.message, { cause });
+        this.name = 'NetworkError';
+    }
+}
+
+// Throw a ValidationError when the worker lists what it rejected: invalid fields (400)
+// or the photo (413, 415). Otherwise throw `fallback`.
+async function throwRecipeError(res, fallback) {
+    if ([400, 413, 415].includes(res.status)) {
+        let data = null;
+        try {
+            data = await res.json();
+        } catch {
+            // No JSON body; report the generic failure
+        }
+        if (Array.isArray(data?.details)) {
+            throw new ValidationError(data.error || fallback, data.details);
+        }
+    }
+    throw new Error(fallback);
+}
+
+// A recipe from the response body, carrying the response's ETag as `etag`
+// so a later update can send it back as If-Match
+async function recipeWithEtag(res, recipe) {
+    const data = recipe ?? await res.json();
+    const etag = res.headers?.get('ETag');
+    return etag ? { ...data, etag } : data;
+}
+
+// fetch against the worker with the session token. A rejected token ends the session.
+async function apiFetch(token, path, { headers, ...options } = {}) {
+    let res;
+    try {
+        res = await fetch(`${WORKER_URL}${path}`, {
+            ...options,
+            headers: { Authorization: `Bearer ${token}`, ...headers },
+        });
+    } catch (error) {
+        // fetch rejects with a TypeError when there's no connection
+        throw error instanceof TypeError ? new NetworkError(error) : error;
+    }
+    if (res.status === 401) {
+        sessionExpiredListener?.();
+        throw new SessionExpiredError();
+    }
+    return res;
+}
+
+// Exchange the secret code for a session token; the secret itself is never stored
+export async function login(secret) {
+    const res = await fetch(`${WORKER_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ secret }),
     });
+    if (res.status === 401) throw new InvalidSecretError();
+    if (!res.ok) throw new Error('Failed to sign in');
+    return await res.json();
+}
+
+export async function refreshSession(token) {
+    const res = await apiFetch(token, '/auth/refresh', { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to refresh session');
+    return await res.json();
+}
+
+export async function logout(token) {
+    const res = await apiFetch(token, '/auth/logout', { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to sign out');
+    return await res.json();
+}
+
+// When a session token expires, in milliseconds since the epoch, or null if it can't be read
+export function sessionExpiry(token) {
+    try {
+        const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+// One page of recipe summaries, newest first. Pass the returned cursor to get the
+// next page; it is null once there are no more. Summaries only carry what a list
+// card needs, so they are marked for fetchRecipe to fill in.
+export async function fetchRecipes(token, { cursor, limit } = {}) {
+    const params = new URLSearchParams();
+    if (limit) params.set('limit', limit);
+    if (cursor) params.set('cursor', cursor);
+    const query = params.toString();
+    const res = await apiFetch(token, `/recipes${query ? `?${query}` : ''}`);
     if (!res.ok) throw new Error('Failed to fetch recipes');
     const data = await res.json();
-    return Array.isArray(data) ? data : [];
+    return {
+        recipes: Array.isArray(data?.recipes) ? data.recipes.map(recipe => ({ ...recipe, summary: true })) : [],
+        cursor: data?.cursor || null,
+    };
+}
+
+// Recipes created, updated or deleted since `since`, the cursor from the previous call;
+// leave it out for every recipe. Returns { recipes, deleted, cursor, reset }: full
+// records with their etags, ids purged since, the cursor for next time, and whether
+// this is everything (so recipes not in it are gone).
+export async function fetchRecipeChanges(token, since) {
+    const res = await apiFetch(token, `/recipes/changes${since ? `?since=${encodeURIComponent(since)}` : ''}`);
+    if (!res.ok) throw new Error('Failed to fetch recipe changes');
+    return await res.json();
+}
+
+// The signed-in user's name and role (owner, editor or viewer)
+export async function fetchCurrentUser(token) {
+    const res = await apiFetch(token, '/me');
+    if (!res.ok) throw new Error('Failed to fetch user');
+    return await res.json();
 }
 
-export async function addRecipe(secret, recipe) {
+export async function fetchRecipe(token, id) {
+    const res = await apiFetch(token, `/recipes/${encodeURIComponent(id)}`);
+    if (res.status === 404) throw new RecipeNotFoundError();
+    if (!res.ok) throw new Error('Failed to fetch recipe');
+    return await recipeWithEtag(res);
+}
+
+// A store that won't open (private browsing, some Safari versions) can't be holding
+// anything, so a write online goes straight to the worker
+async function hasQueuedChanges(recipeId) {
+    try {
+        return await hasPendingMutations(recipeId);
+    } catch {
+        return false;
+    }
+}
+
+// Send a recipe change, or queue it in IndexedDB when there's no connection and return
+// how it will look, marked pending (see mutationQueue.js). Changes to a recipe that
+// already has some queued wait behind them, so they reach the worker in order.
+async function sendOrQueue(mutation, send) {
+    if (navigator.onLine && !(await hasQueuedChanges(mutation.recipeId))) {
+        try {
+            return await send();
+        } catch (error) {
+            if (!(error instanceof NetworkError)) throw error;
+        }
+    }
+    return pendingResult(await queueMutation(mutation));
+}
+
+// The photos are shrunk before they're sent or queued (see photoUpload.js).
+// `photo` is the cover; any `morePhotos` are added to the recipe after it.
+export async function addRecipe(token, recipe) {
+    if (recipe.photo) {
+        recipe = { ...recipe, photo: await preparePhotoForUpload(recipe.photo) };
+    }
+    if (recipe.morePhotos?.length) {
+        recipe = { ...recipe, morePhotos: await Promise.all(recipe.morePhotos.map(photo => preparePhotoForUpload(photo))) };
+    }
+    return sendOrQueue({ type: 'add', recipeId: pendingRecipeId(), recipe }, () => sendNewRecipe(token, recipe));
+}
+
+async function sendNewRecipe(token, recipe) {
     const formData = new FormData();
     if (recipe.photo) formData.append('photo', recipe.photo);
     if (recipe.title) formData.append('title', recipe.title);
     if (recipe.url) formData.append('url', recipe.url);
     if (recipe.text) formData.append('text', recipe.text);
-    const res = await fetch(`${WORKER_URL}/recipes`, {
+    if (recipe.ingredients?.length) formData.append('ingredients', JSON.stringify(recipe.ingredients));
+    if (recipe.ingredientsText) formData.append('ingredientsText', recipe.ingredientsText);
+    if (recipe.steps?.length) formData.append('steps', JSON.stringify(recipe.steps));
+    if (recipe.tags?.length) formData.append('tags', JSON.stringify(recipe.tags));
+    const res = await apiFetch(token, '/recipes', {
         method: 'POST',
-        headers: { Authorization: secret },
         body: formData,
     });
-    if (!res.ok) throw new Error('Failed to add recipe');
-    return await res.json();
+    if (!res.ok) await throwRecipeError(res, 'Failed to add recipe');
+    let added = await recipeWithEtag(res);
+
+    // The worker takes one photo per request. The recipe exists now, so a photo that
+    // fails mustn't fail the add: sending it again would make a second recipe. The
+    // photos from the failed one on come back as `unsentPhotos` for addRecipePhoto.
+    const morePhotos = recipe.morePhotos || [];
+    for (const [index, photo] of morePhotos.entries()) {
+        try {
+            added = await sendRecipePhoto(token, added.id, photo);
+        } catch {
+            return { ...added, unsentPhotos: morePhotos.slice(index) };
+        }
+    }
+    return added;
 }
 
-export async function softDeleteRecipe(secret, id) {
-    const res = await fetch(`${WORKER_URL}/recipes/${id}`, {
+export async function fetchTags(token) {
+    const res = await apiFetch(token, '/tags');
+    if (!res.ok) throw new Error('Failed to fetch tags');
+    const data = await res.json();
+    return Array.isArray(data) ? data : [];
+}
+
+export function softDeleteRecipe(token, id) {
+    return sendOrQueue({ type: 'delete', recipeId: id }, () => sendDeleted(token, id));
+}
+
+async function sendDeleted(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}`, {
         method: 'PATCH',
-        headers: {
-            Authorization: secret,
-            'Content-Type': 'application/json',
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ deleted: true }),
     });
     if (!res.ok) throw new Error('Failed to delete recipe');
-    return await res.json();
+    return await recipeWithEtag(res);
 }
 
-export async function undeleteRecipe(secret, id) {
-    const res = await fetch(`${WORKER_URL}/recipes/${id}`, {
+export function undeleteRecipe(token, id) {
+    return sendOrQueue({ type: 'undelete', recipeId: id }, () => sendUndeleted(token, id));
+}
+
+async function sendUndeleted(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}`, {
         method: 'PATCH',
-        headers: {
-            Authorization: secret,
-            'Content-Type': 'application/json',
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ deleted: false }),
     });
     if (!res.ok) throw new Error('Failed to undelete recipe');
+    return await recipeWithEtag(res);
+}
+
+// Permanently remove a deleted recipe, with its photo, share link and history
+export async function purgeRecipe(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}/purge`, { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to delete recipe forever');
+    return await res.json();
+}
+
+// Permanently remove every deleted recipe. Returns { purged } with how many were removed.
+export async function emptyTrash(token) {
+    const res = await apiFetch(token, '/trash/empty', { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to empty trash');
+    return await res.json();
+}
+
+// Pass the etag of the copy being edited to refuse the update if it has changed since
+export async function updateRecipe(token, id, updates, { etag } = {}) {
+    // Of several edits queued offline only the first checks the etag; the rest follow on from it
+    const queuedEtag = (await hasQueuedChanges(id)) ? undefined : etag;
+    return sendOrQueue(
+        { type: 'update', recipeId: id, updates, etag: queuedEtag },
+        () => sendUpdate(token, id, updates, etag),
+    );
+}
+
+async function sendUpdate(token, id, updates, etag) {
+    const res = await apiFetch(token, `/recipes/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...(etag ? { 'If-Match': etag } : {}) },
+        body: JSON.stringify(updates),
+    });
+    if (res.status === 412) {
+        const data = await res.json();
+        throw new RecipeConflictError(await recipeWithEtag(res, data.current));
+    }
+    if (!res.ok) await throwRecipeError(res, 'Failed to update recipe');
+    return await recipeWithEtag(res);
+}
+
+function sendMutation(token, entry) {
+    switch (entry.type) {
+        case 'add': return sendNewRecipe(token, entry.recipe);
+        case 'update': return sendUpdate(token, entry.recipeId, entry.updates, entry.etag);
+        case 'delete': return sendDeleted(token, entry.recipeId);
+        default: return sendUndeleted(token, entry.recipeId);
+    }
+}
+
+function replayFailure(error) {
+    if (error instanceof RecipeConflictError) return { type: 'conflict', current: error.current };
+    if (error instanceof ValidationError) return { type: 'invalid', message: error.message, details: error.details };
+    return { type: 'error', message: error.message };
+}
+
+// Send the changes queued while offline, oldest first. A change the worker refuses stays
+// queued with why, and holds back later changes to the same recipe, until the person
+// deals with it; nothing is dropped. Stops without a connection or session.
+// Returns { synced } with how many were sent, { failed } with every refused entry and
+// { unsentPhotos } with { recipe, photos } for added recipes missing some of their photos.
+export async function replayMutations(token) {
+    let synced = 0;
+    const unsentPhotos = [];
+    const held = new Set();
+    // Recipes added during this replay, by their temporary id
+    const added = new Map();
+
+    for (const queued of await pendingMutations()) {
+        const entry = added.has(queued.recipeId) ? { ...queued, recipeId: added.get(queued.recipeId) } : queued;
+        if (entry.failure || held.has(entry.recipeId)) {
+            held.add(entry.recipeId);
+            continue;
+        }
+        try {
+            const recipe = await sendMutation(token, entry);
+            await discardMutation(entry.seq);
+            if (entry.type === 'add') {
+                added.set(entry.recipeId, recipe.id);
+                await renamePendingRecipe(entry.recipeId, recipe.id);
+                if (recipe.unsentPhotos) unsentPhotos.push({ recipe, photos: recipe.unsentPhotos });
+            }
+            synced++;
+        } catch (error) {
+            if (error instanceof NetworkError || error instanceof SessionExpiredError) break;
+            await markMutationFailed(entry, replayFailure(error));
+            held.add(entry.recipeId);
+        }
+    }
+
+    // Re-read the queue: an add that went through has renamed the changes behind it
+    const failed = (await pendingMutations()).filter(entry => entry.failure);
+    return { synced, failed, unsentPhotos };
+}
+
+// Earlier versions of a recipe, newest first, each with when it was replaced and by whom
+export async function fetchRecipeHistory(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}/history`);
+    if (!res.ok) throw new Error('Failed to fetch recipe history');
+    const data = await res.json();
+    return Array.isArray(data) ? data : [];
+}
+
+export async function revertRecipe(token, id, revision) {
+    const res = await apiFetch(token, `/recipes/${id}/revert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revision }),
+    });
+    if (!res.ok) throw new Error('Failed to revert recipe');
+    return await recipeWithEtag(res);
+}
+
+// Mint a public read-only link for a recipe, or get the one it already has
+export async function shareRecipe(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}/share`, { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to share recipe');
+    return await res.json();
+}
+
+export async function unshareRecipe(token, id) {
+    const res = await apiFetch(token, `/recipes/${id}/share/revoke`, { method: 'POST' });
+    if (!res.ok) throw new Error('Failed to stop sharing recipe');
+    return await recipeWithEtag(res);
+}
+
+// Upload another photo for a recipe, shrunk first like a new recipe's (see photoUpload.js)
+export async function addRecipePhoto(token, id, photo) {
+    return sendRecipePhoto(token, id, await preparePhotoForUpload(photo));
+}
+
+async function sendRecipePhoto(token, id, photo) {
+    const formData = new FormData();
+    formData.append('photo', photo);
+    const res = await apiFetch(token, `/recipes/${id}/photos`, { method: 'POST', body: formData });
+    if (!res.ok) await throwRecipeError(res, 'Failed to add photo');
+    return await recipeWithEtag(res);
+}
+
+// The worker deletes the photo itself once the recipe no longer shows it
+export async function removeRecipePhoto(token, id, photo) {
+    const res = await apiFetch(token, `/recipes/${id}/photos/remove`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photo }),
+    });
+    if (!res.ok) await throwRecipeError(res, 'Failed to remove photo');
+    return await recipeWithEtag(res);
+}
+
+// `photos` lists every one of the recipe's photos, the new cover first
+export async function reorderRecipePhotos(token, id, photos) {
+    const res = await apiFetch(token, `/recipes/${id}/photos/reorder`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photos }),
+    });
+    if (!res.ok) await throwRecipeError(res, 'Failed to reorder photos');
+    return await recipeWithEtag(res);
+}
+
+export function shareUrl(token) {
+    return `${WORKER_URL}/share/${token}`;
+}
+
+export async function fetchCollections(token) {
+    const res = await apiFetch(token, '/collections');
+    if (!res.ok) throw new Error('Failed to fetch collections');
+    const data = await res.json();
+    return Array.isArray(data) ? data : [];
+}
+
+export async function fetchCollection(token, id) {
+    const res = await apiFetch(token, `/collections/${id}`);
+    if (!res.ok) throw new Error('Failed to fetch collection');
     return await res.json();
 }
 
-export async function updateRecipe(secret, id, updates) {
-    const res = await fetch(`${WORKER_URL}/recipes/${id}`, {
+export async function addCollection(token, collection) {
+    const res = await apiFetch(token, '/collections', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(collection),
+    });
+    if (!res.ok) throw new Error('Failed to add collection');
+    return await res.json();
+}
+
+// Updates may include addRecipeIds, removeRecipeIds and a reordered recipeIds
+export async function updateCollection(token, id, updates) {
+    const res = await apiFetch(token, `/collections/${id}`, {
         method: 'PATCH',
-        headers: {
-            Authorization: secret,
-            'Content-Type': 'application/json',
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(updates),
     });
-    if (!res.ok) throw new Error('Failed to update recipe');
+    if (!res.ok) throw new Error('Failed to update collection');
     return await res.json();
 }
 
-export async function extractTitleFromUrl(secret, url) {
+export async function extractTitleFromUrl(token, url) {
     try {
-        const res = await fetch(`${WORKER_URL}/extract-title?url=${encodeURIComponent(url)}`, {
-            headers: { Authorization: secret },
-        });
+        const res = await apiFetch(token, `/extract-title?url=${encodeURIComponent(url)}`);
         if (!res.ok) return null;
         const data = await res.json();
         return data.title;
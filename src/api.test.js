@@ -1,12 +1,56 @@
-import { fetchRecipes, addRecipe, softDeleteRecipe, undeleteRecipe, updateRecipe, extractTitleFromUrl } from './api'
+import {
+  fetchRecipes,
+  fetchRecipe,
+  fetchCurrentUser,
+  fetchRecipeChanges,
+  addRecipe,
+  fetchTags,
+  softDeleteRecipe,
+  undeleteRecipe,
+  purgeRecipe,
+  emptyTrash,
+  updateRecipe,
+  extractTitleFromUrl,
+  shareRecipe,
+  unshareRecipe,
+  addRecipePhoto,
+  removeRecipePhoto,
+  reorderRecipePhotos,
+  fetchRecipeHistory,
+  revertRecipe,
+  shareUrl,
+  fetchCollections,
+  fetchCollection,
+  addCollection,
+  updateCollection,
+  login,
+  refreshSession,
+  logout,
+  sessionExpiry,
+  onSessionExpired,
+  SessionExpiredError,
+  InvalidSecretError,
+  RecipeConflictError,
+  RecipeNotFoundError,
+  ValidationError,
+  replayMutations,
+} from './api'
+import { pendingMutations } from './mutationQueue'
+import { preparePhotoForUpload } from './photoUpload'
+import { breakOfflineStore, removeOfflineStore, resetOfflineStore } from './test/memoryOfflineStore'
+
+vi.mock('./offlineStore', () => import('./test/memoryOfflineStore'))
+// Shrinking photos needs a canvas; see photoUpload.test.js
+vi.mock('./photoUpload', () => ({ preparePhotoForUpload: vi.fn(async photo => photo) }))
 
 const WORKER_URL = 'https://jessipes-worker.12v.workers.dev'
-const mockSecret = 'test-secret'
+const mockToken = 'test-token'
 
 describe('API Functions', () => {
   beforeEach(() => {
     vi.clearAllMocks()
     global.fetch = vi.fn()
+    resetOfflineStore()
   })
 
   describe('fetchRecipes', () => {
@@ -18,30 +62,173 @@ describe('API Functions', () => {
       
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => mockRecipes,
+        json: async () => ({ recipes: mockRecipes, cursor: 'next' }),
       })
 
-      const result = await fetchRecipes(mockSecret)
+      const result = await fetchRecipes(mockToken)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes`, {
-        headers: { Authorization: mockSecret },
+        headers: { Authorization: `Bearer ${mockToken}` },
       })
-      expect(result).toEqual(mockRecipes)
+      expect(result).toEqual({
+        recipes: mockRecipes.map(recipe => ({ ...recipe, summary: true })),
+        cursor: 'next',
+      })
+    })
+
+    test('requests the next page with a cursor and limit', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ recipes: [], cursor: null }),
+      })
+
+      const result = await fetchRecipes(mockToken, { cursor: 'abc', limit: 20 })
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes?limit=20&cursor=abc`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual({ recipes: [], cursor: null })
     })
 
     test('throws error when fetch fails', async () => {
       global.fetch.mockResolvedValue({
         ok: false,
-        status: 401,
+        status: 500,
       })
 
-      await expect(fetchRecipes(mockSecret)).rejects.toThrow('Failed to fetch recipes')
+      await expect(fetchRecipes(mockToken)).rejects.toThrow('Failed to fetch recipes')
     })
 
     test('throws error when network request fails', async () => {
       global.fetch.mockRejectedValue(new Error('Network error'))
 
-      await expect(fetchRecipes(mockSecret)).rejects.toThrow('Network error')
+      await expect(fetchRecipes(mockToken)).rejects.toThrow('Network error')
+    })
+  })
+
+  describe('fetchRecipe', () => {
+    test('fetches the full recipe', async () => {
+      const recipe = { id: '1', title: 'Recipe 1', text: 'Notes' }
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => recipe,
+      })
+
+      const result = await fetchRecipe(mockToken, '1')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual(recipe)
+    })
+
+    test('says when the recipe does not exist', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404 })
+
+      await expect(fetchRecipe(mockToken, 'missing')).rejects.toBeInstanceOf(RecipeNotFoundError)
+    })
+
+    test('throws error when fetch fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      await expect(fetchRecipe(mockToken, 'r1')).rejects.toThrow('Failed to fetch recipe')
+    })
+
+    test('encodes the id in the path', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'a/b' }) })
+
+      await fetchRecipe(mockToken, 'a/b?c')
+
+      expect(fetch.mock.calls[0][0]).toBe(`${WORKER_URL}/recipes/a%2Fb%3Fc`)
+    })
+  })
+
+  describe('Recipe photos', () => {
+    const withEtag = body => ({ ok: true, status: 200, headers: new Headers({ ETag: '"v2"' }), json: async () => body })
+    const photos = ['https://worker.test/photos/a', 'https://worker.test/photos/b']
+
+    test('uploads another photo, shrunk first', async () => {
+      const original = new File(['12MB'], 'page-2.jpg', { type: 'image/jpeg' })
+      const shrunk = new File(['small'], 'page-2.webp', { type: 'image/webp' })
+      preparePhotoForUpload.mockResolvedValueOnce(shrunk)
+      global.fetch.mockResolvedValue(withEtag({ id: 'r1', photos }))
+
+      expect(await addRecipePhoto(mockToken, 'r1', original)).toEqual({ id: 'r1', photos, etag: '"v2"' })
+      const [url, { method, body }] = fetch.mock.calls[0]
+      expect(url).toBe(`${WORKER_URL}/recipes/r1/photos`)
+      expect(method).toBe('POST')
+      expect(body.get('photo').name).toBe('page-2.webp')
+    })
+
+    test('removes and reorders photos', async () => {
+      global.fetch.mockResolvedValue(withEtag({ id: 'r1', photos }))
+
+      await removeRecipePhoto(mockToken, 'r1', 'https://worker.test/photos/c')
+      expect(fetch).toHaveBeenLastCalledWith(`${WORKER_URL}/recipes/r1/photos/remove`, expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ photo: 'https://worker.test/photos/c' }),
+      }))
+
+      await reorderRecipePhotos(mockToken, 'r1', photos)
+      expect(fetch).toHaveBeenLastCalledWith(`${WORKER_URL}/recipes/r1/photos/reorder`, expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ photos }),
+      }))
+    })
+
+    test('throws the reason a photo was refused', async () => {
+      const details = [{ field: 'photos', message: 'must have at most 20 items' }]
+      global.fetch.mockResolvedValue({ ok: false, status: 400, json: async () => ({ error: 'Invalid photo data', details }) })
+
+      const error = await addRecipePhoto(mockToken, 'r1', new File(['jpeg'], 'cake.jpg')).catch(e => e)
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.details).toEqual(details)
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+      await expect(reorderRecipePhotos(mockToken, 'r1', photos)).rejects.toThrow('Failed to reorder photos')
+    })
+  })
+
+  describe('fetchRecipeChanges', () => {
+    test('asks for the changes since the last cursor', async () => {
+      const changes = { recipes: [{ id: '1', title: 'Scones', etag: '"a"' }], deleted: ['2'], cursor: '1700000000000', reset: false }
+      global.fetch.mockResolvedValue({ ok: true, json: async () => changes })
+
+      expect(await fetchRecipeChanges(mockToken, '1690000000000')).toEqual(changes)
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/changes?since=1690000000000`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+
+      await fetchRecipeChanges(mockToken, null)
+      expect(fetch).toHaveBeenLastCalledWith(`${WORKER_URL}/recipes/changes`, expect.anything())
+    })
+
+    test('throws error when fetch fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      await expect(fetchRecipeChanges(mockToken)).rejects.toThrow('Failed to fetch recipe changes')
+    })
+  })
+
+  describe('fetchCurrentUser', () => {
+    test('fetches the signed-in user', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ name: 'Sam', role: 'viewer' }),
+      })
+
+      const result = await fetchCurrentUser(mockToken)
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/me`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual({ name: 'Sam', role: 'viewer' })
+    })
+
+    test('throws error when fetch fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      await expect(fetchCurrentUser(mockToken)).rejects.toThrow('Failed to fetch user')
     })
   })
 
@@ -60,11 +247,11 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await addRecipe(mockSecret, recipe)
+      const result = await addRecipe(mockToken, recipe)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes`, {
         method: 'POST',
-        headers: { Authorization: mockSecret },
+        headers: { Authorization: `Bearer ${mockToken}` },
         body: expect.any(FormData),
       })
 
@@ -93,7 +280,7 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await addRecipe(mockSecret, recipe)
+      const result = await addRecipe(mockToken, recipe)
 
       const [, { body }] = fetch.mock.calls[0]
       expect(body.get('title')).toBe('Photo Recipe')
@@ -104,6 +291,49 @@ describe('API Functions', () => {
       expect(result).toEqual(expectedResponse)
     })
 
+    test('uploads the shrunk photo in place of the original', async () => {
+      const original = new File(['12MB with GPS'], 'IMG_0001.JPG', { type: 'image/jpeg' })
+      const shrunk = new File(['small'], 'IMG_0001.webp', { type: 'image/webp' })
+      preparePhotoForUpload.mockResolvedValueOnce(shrunk)
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'photo-id' }) })
+
+      await addRecipe(mockToken, { title: 'Photo Recipe', photo: original })
+
+      expect(preparePhotoForUpload).toHaveBeenCalledWith(original)
+      const [, { body }] = fetch.mock.calls[0]
+      expect(body.get('photo').name).toBe('IMG_0001.webp')
+    })
+
+    test('adds the other photos after the cover, one request each', async () => {
+      const pages = ['page-1.jpg', 'page-2.jpg', 'page-3.jpg'].map(name => new File(['image'], name, { type: 'image/jpeg' }))
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, status: 201, headers: new Headers(), json: async () => ({ id: 'r1', photos: ['a'] }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers(), json: async () => ({ id: 'r1', photos: ['a', 'b'] }) })
+        .mockResolvedValueOnce({ ok: true, status: 200, headers: new Headers({ ETag: '"v3"' }), json: async () => ({ id: 'r1', photos: ['a', 'b', 'c'] }) })
+
+      const result = await addRecipe(mockToken, { title: 'Cake', photo: pages[0], morePhotos: pages.slice(1) })
+
+      expect(preparePhotoForUpload).toHaveBeenCalledTimes(3)
+      expect(fetch.mock.calls.map(([url, { body }]) => [url, body.get('photo').name])).toEqual([
+        [`${WORKER_URL}/recipes`, 'page-1.jpg'],
+        [`${WORKER_URL}/recipes/r1/photos`, 'page-2.jpg'],
+        [`${WORKER_URL}/recipes/r1/photos`, 'page-3.jpg'],
+      ])
+      expect(result).toEqual({ id: 'r1', photos: ['a', 'b', 'c'], etag: '"v3"' })
+    })
+
+    test('keeps the new recipe and returns the photos it could not add when one is refused', async () => {
+      const pages = ['page-1.jpg', 'page-2.pdf', 'page-3.jpg'].map(name => new File(['image'], name, { type: 'image/jpeg' }))
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, status: 201, headers: new Headers(), json: async () => ({ id: 'r1', photos: ['a'] }) })
+        .mockResolvedValueOnce({ ok: false, status: 415, json: async () => ({ error: 'Unsupported photo type', details: [] }) })
+
+      const result = await addRecipe(mockToken, { title: 'Cake', photo: pages[0], morePhotos: pages.slice(1) })
+
+      expect(result).toEqual({ id: 'r1', photos: ['a'], unsentPhotos: pages.slice(1) })
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
     test('handles empty/null values correctly', async () => {
       const recipe = {
         title: 'Minimal Recipe',
@@ -117,7 +347,7 @@ describe('API Functions', () => {
         json: async () => ({ id: 'minimal-id', ...recipe }),
       })
 
-      await addRecipe(mockSecret, recipe)
+      await addRecipe(mockToken, recipe)
 
       const [, { body }] = fetch.mock.calls[0]
       expect(body.get('title')).toBe('Minimal Recipe')
@@ -126,6 +356,35 @@ describe('API Functions', () => {
       expect(body.get('photo')).toBeNull()
     })
 
+    test('sends structured ingredients and steps as JSON fields', async () => {
+      const recipe = {
+        title: 'Structured',
+        ingredients: [{ quantity: 2, unit: null, item: 'eggs', note: null, group: null }],
+        steps: [{ text: 'Whisk' }],
+      }
+
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ id: 'structured-id', ...recipe }),
+      })
+
+      await addRecipe(mockToken, recipe)
+
+      const [, { body }] = fetch.mock.calls[0]
+      expect(JSON.parse(body.get('ingredients'))).toEqual(recipe.ingredients)
+      expect(JSON.parse(body.get('steps'))).toEqual(recipe.steps)
+    })
+
+    test('sends tags as a JSON field only when present', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'tagged' }) })
+
+      await addRecipe(mockToken, { title: 'Tagged', tags: ['dinner', 'quick'] })
+      await addRecipe(mockToken, { title: 'Untagged', tags: [] })
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body.get('tags'))).toEqual(['dinner', 'quick'])
+      expect(fetch.mock.calls[1][1].body.get('tags')).toBeNull()
+    })
+
     test('throws error when add fails', async () => {
       const recipe = { title: 'Test', url: 'https://example.com' }
 
@@ -134,7 +393,27 @@ describe('API Functions', () => {
         status: 400,
       })
 
-      await expect(addRecipe(mockSecret, recipe)).rejects.toThrow('Failed to add recipe')
+      await expect(addRecipe(mockToken, recipe)).rejects.toThrow('Failed to add recipe')
+    })
+  })
+
+  describe('fetchTags', () => {
+    test('fetches tag counts', async () => {
+      const tags = [{ tag: 'dinner', count: 2 }]
+      global.fetch.mockResolvedValue({ ok: true, json: async () => tags })
+
+      const result = await fetchTags(mockToken)
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/tags`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual(tags)
+    })
+
+    test('throws error when fetch fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      await expect(fetchTags(mockToken)).rejects.toThrow('Failed to fetch tags')
     })
   })
 
@@ -148,12 +427,12 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await softDeleteRecipe(mockSecret, recipeId)
+      const result = await softDeleteRecipe(mockToken, recipeId)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/${recipeId}`, {
         method: 'PATCH',
         headers: {
-          Authorization: mockSecret,
+          Authorization: `Bearer ${mockToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ deleted: true }),
@@ -169,7 +448,7 @@ describe('API Functions', () => {
         status: 404,
       })
 
-      await expect(softDeleteRecipe(mockSecret, recipeId)).rejects.toThrow('Failed to delete recipe')
+      await expect(softDeleteRecipe(mockToken, recipeId)).rejects.toThrow('Failed to delete recipe')
     })
   })
 
@@ -183,12 +462,12 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await undeleteRecipe(mockSecret, recipeId)
+      const result = await undeleteRecipe(mockToken, recipeId)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/${recipeId}`, {
         method: 'PATCH',
         headers: {
-          Authorization: mockSecret,
+          Authorization: `Bearer ${mockToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ deleted: false }),
@@ -204,7 +483,38 @@ describe('API Functions', () => {
         status: 404,
       })
 
-      await expect(undeleteRecipe(mockSecret, recipeId)).rejects.toThrow('Failed to undelete recipe')
+      await expect(undeleteRecipe(mockToken, recipeId)).rejects.toThrow('Failed to undelete recipe')
+    })
+  })
+
+  describe('Trash', () => {
+    test('purgeRecipe permanently removes a deleted recipe', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'recipe-123', purged: true }) })
+
+      const result = await purgeRecipe(mockToken, 'recipe-123')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/recipe-123/purge`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual({ id: 'recipe-123', purged: true })
+    })
+
+    test('emptyTrash returns how many recipes were removed', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ purged: 3 }) })
+
+      expect(await emptyTrash(mockToken)).toEqual({ purged: 3 })
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/trash/empty`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+    })
+
+    test('throws when purging fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 400 })
+
+      await expect(purgeRecipe(mockToken, 'recipe-123')).rejects.toThrow('Failed to delete recipe forever')
+      await expect(emptyTrash(mockToken)).rejects.toThrow('Failed to empty trash')
     })
   })
 
@@ -222,12 +532,12 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await updateRecipe(mockSecret, recipeId, updates)
+      const result = await updateRecipe(mockToken, recipeId, updates)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/${recipeId}`, {
         method: 'PATCH',
         headers: {
-          Authorization: mockSecret,
+          Authorization: `Bearer ${mockToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(updates),
@@ -244,12 +554,12 @@ describe('API Functions', () => {
         json: async () => ({ id: recipeId, ...updates }),
       })
 
-      await updateRecipe(mockSecret, recipeId, updates)
+      await updateRecipe(mockToken, recipeId, updates)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/${recipeId}`, {
         method: 'PATCH',
         headers: {
-          Authorization: mockSecret,
+          Authorization: `Bearer ${mockToken}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(updates),
@@ -265,7 +575,7 @@ describe('API Functions', () => {
         status: 500,
       })
 
-      await expect(updateRecipe(mockSecret, recipeId, updates)).rejects.toThrow('Failed to update recipe')
+      await expect(updateRecipe(mockToken, recipeId, updates)).rejects.toThrow('Failed to update recipe')
     })
   })
 
@@ -273,10 +583,10 @@ describe('API Functions', () => {
     test('handles network errors gracefully across all functions', async () => {
       global.fetch.mockRejectedValue(new Error('Network connection failed'))
 
-      await expect(fetchRecipes(mockSecret)).rejects.toThrow('Network connection failed')
-      await expect(addRecipe(mockSecret, { title: 'Test' })).rejects.toThrow('Network connection failed')
-      await expect(softDeleteRecipe(mockSecret, 'id')).rejects.toThrow('Network connection failed')
-      await expect(updateRecipe(mockSecret, 'id', { title: 'Test' })).rejects.toThrow('Network connection failed')
+      await expect(fetchRecipes(mockToken)).rejects.toThrow('Network connection failed')
+      await expect(addRecipe(mockToken, { title: 'Test' })).rejects.toThrow('Network connection failed')
+      await expect(softDeleteRecipe(mockToken, 'id')).rejects.toThrow('Network connection failed')
+      await expect(updateRecipe(mockToken, 'id', { title: 'Test' })).rejects.toThrow('Network connection failed')
     })
 
     test('handles malformed JSON responses', async () => {
@@ -287,7 +597,7 @@ describe('API Functions', () => {
         },
       })
 
-      await expect(fetchRecipes(mockSecret)).rejects.toThrow('Invalid JSON')
+      await expect(fetchRecipes(mockToken)).rejects.toThrow('Invalid JSON')
     })
   })
 
@@ -298,16 +608,16 @@ describe('API Functions', () => {
         json: async () => ({}),
       })
 
-      await fetchRecipes(mockSecret)
+      await fetchRecipes(mockToken)
       expect(fetch.mock.calls[0][1].method).toBeUndefined() // GET is default
 
-      await addRecipe(mockSecret, { title: 'Test' })
+      await addRecipe(mockToken, { title: 'Test' })
       expect(fetch.mock.calls[1][1].method).toBe('POST')
 
-      await softDeleteRecipe(mockSecret, 'id')
+      await softDeleteRecipe(mockToken, 'id')
       expect(fetch.mock.calls[2][1].method).toBe('PATCH')
 
-      await updateRecipe(mockSecret, 'id', { title: 'Test' })
+      await updateRecipe(mockToken, 'id', { title: 'Test' })
       expect(fetch.mock.calls[3][1].method).toBe('PATCH')
     })
 
@@ -317,14 +627,430 @@ describe('API Functions', () => {
         json: async () => ({}),
       })
 
-      await fetchRecipes(mockSecret)
-      await addRecipe(mockSecret, { title: 'Test' })
-      await softDeleteRecipe(mockSecret, 'id')
-      await updateRecipe(mockSecret, 'id', { title: 'Test' })
+      await fetchRecipes(mockToken)
+      await addRecipe(mockToken, { title: 'Test' })
+      await softDeleteRecipe(mockToken, 'id')
+      await updateRecipe(mockToken, 'id', { title: 'Test' })
 
       fetch.mock.calls.forEach(([, options]) => {
-        expect(options.headers.Authorization).toBe(mockSecret)
+        expect(options.headers.Authorization).toBe(`Bearer ${mockToken}`)
+      })
+    })
+  })
+
+  describe('Sessions', () => {
+    test('login exchanges the secret for a token', async () => {
+      const session = { token: 'abc.def', expires: '2024-01-08T00:00:00.000Z', user: { name: 'owner', role: 'owner' } }
+      global.fetch.mockResolvedValue({ ok: true, json: async () => session })
+
+      const result = await login('my-secret')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ secret: 'my-secret' }),
+      })
+      expect(result).toEqual(session)
+    })
+
+    test('login rejects a wrong secret', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 401 })
+
+      await expect(login('wrong')).rejects.toBeInstanceOf(InvalidSecretError)
+    })
+
+    test('login reports other failures as a plain error', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      const error = await login('my-secret').catch(e => e)
+
+      expect(error.message).toBe('Failed to sign in')
+      expect(error).not.toBeInstanceOf(InvalidSecretError)
+    })
+
+    test('refreshSession and logout send the token', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({}) })
+
+      await refreshSession(mockToken)
+      await logout(mockToken)
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+    })
+
+    test('sessionExpiry reads the expiry from a token', () => {
+      const payload = btoa(JSON.stringify({ sid: 's', sub: 'owner', exp: 1700000000 })).replace(/=+$/, '')
+
+      expect(sessionExpiry(`${payload}.signature`)).toBe(1700000000 * 1000)
+      expect(sessionExpiry('not-a-token')).toBeNull()
+    })
+
+    test('a rejected token notifies the session expired listener', async () => {
+      const listener = vi.fn()
+      const unsubscribe = onSessionExpired(listener)
+      global.fetch.mockResolvedValue({ ok: false, status: 401 })
+
+      await expect(fetchRecipes(mockToken)).rejects.toThrow(SessionExpiredError)
+      expect(listener).toHaveBeenCalledTimes(1)
+
+      unsubscribe()
+      await expect(fetchRecipes(mockToken)).rejects.toThrow(SessionExpiredError)
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('Concurrent edits', () => {
+    const withEtag = (body, etag) => ({ ok: true, headers: new Headers({ ETag: etag }), json: async () => body })
+
+    test('fetchRecipe keeps the ETag for later updates', async () => {
+      global.fetch.mockResolvedValue(withEtag({ id: '1', title: 'Scones' }, '"abc"'))
+
+      expect(await fetchRecipe(mockToken, '1')).toEqual({ id: '1', title: 'Scones', etag: '"abc"' })
+    })
+
+    test('updateRecipe sends If-Match with the etag', async () => {
+      global.fetch.mockResolvedValue(withEtag({ id: '1', title: 'Mine' }, '"def"'))
+
+      const result = await updateRecipe(mockToken, '1', { title: 'Mine' }, { etag: '"abc"' })
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1`, {
+        method: 'PATCH',
+        headers: { Authorization: `Bearer ${mockToken}`, 'Content-Type': 'application/json', 'If-Match': '"abc"' },
+        body: JSON.stringify({ title: 'Mine' }),
+      })
+      expect(result).toEqual({ id: '1', title: 'Mine', etag: '"def"' })
+    })
+
+    test('updateRecipe throws a conflict with the current copy when stale', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 412,
+        headers: new Headers({ ETag: '"xyz"' }),
+        json: async () => ({ error: 'Recipe has changed since it was loaded', current: { id: '1', title: 'Theirs' } }),
+      })
+
+      const error = await updateRecipe(mockToken, '1', { title: 'Mine' }, { etag: '"abc"' }).catch(e => e)
+
+      expect(error).toBeInstanceOf(RecipeConflictError)
+      expect(error.current).toEqual({ id: '1', title: 'Theirs', etag: '"xyz"' })
+    })
+  })
+
+  describe('Offline queue', () => {
+    const withEtag = (body, etag) => ({ ok: true, status: 200, headers: new Headers({ ETag: etag }), json: async () => body })
+    const goOffline = () => vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+
+    test('queues changes while offline and returns them as pending', async () => {
+      goOffline()
+      const photo = new File(['jpeg'], 'cake.jpg', { type: 'image/jpeg' })
+
+      const added = await addRecipe(mockToken, { title: 'Cake', photo })
+      const updated = await updateRecipe(mockToken, '1', { title: 'Mine' }, { etag: '"abc"' })
+      const deleted = await softDeleteRecipe(mockToken, '2')
+
+      expect(fetch).not.toHaveBeenCalled()
+      expect(added).toEqual({ id: expect.stringMatching(/^pending-/), title: 'Cake', created: expect.any(String), pending: true })
+      expect(updated).toEqual({ id: '1', title: 'Mine', pending: true })
+      expect(deleted).toEqual({ id: '2', deleted: true, pending: true })
+      const entries = await pendingMutations()
+      expect(entries.map(entry => entry.type)).toEqual(['add', 'update', 'delete'])
+      expect(entries[0].recipe.photo).toBe(photo)
+      expect(entries[1].etag).toBe('"abc"')
+    })
+
+    test('sends changes online when the offline store won\'t open', async () => {
+      breakOfflineStore()
+      global.fetch.mockResolvedValue(withEtag({ id: '1', title: 'Mine' }, '"v2"'))
+
+      expect(await updateRecipe(mockToken, '1', { title: 'Mine' }, { etag: '"abc"' })).toEqual({ id: '1', title: 'Mine', etag: '"v2"' })
+    })
+
+    test('says a change can\'t be kept offline when there is no offline store', async () => {
+      goOffline()
+      removeOfflineStore()
+
+      await expect(softDeleteRecipe(mockToken, '2')).rejects.toThrow('Can\'t save changes offline in this browser')
+    })
+
+    test('queues a change when the request can\'t reach the worker', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'))
+
+      expect(await undeleteRecipe(mockToken, '2')).toEqual({ id: '2', deleted: false, pending: true })
+      expect((await pendingMutations()).map(entry => entry.type)).toEqual(['undelete'])
+    })
+
+    test('queues changes behind ones already queued for the recipe', async () => {
+      goOffline()
+      await updateRecipe(mockToken, '1', { title: 'First' }, { etag: '"abc"' })
+      vi.restoreAllMocks()
+
+      expect(await updateRecipe(mockToken, '1', { title: 'Second' }, { etag: '"abc"' })).toEqual({ id: '1', title: 'Second', pending: true })
+
+      expect(fetch).not.toHaveBeenCalled()
+      const entries = await pendingMutations()
+      // Only the first checks the etag; the second follows on from it
+      expect(entries.map(entry => entry.etag)).toEqual(['"abc"', undefined])
+    })
+
+    test('returns the photos a replayed add could not send', async () => {
+      const pages = ['page-1.jpg', 'page-2.jpg'].map(name => new File(['image'], name, { type: 'image/jpeg' }))
+      goOffline()
+      await addRecipe(mockToken, { title: 'Cake', photo: pages[0], morePhotos: pages.slice(1) })
+      vi.restoreAllMocks()
+      global.fetch
+        .mockResolvedValueOnce(withEtag({ id: 'r9', title: 'Cake', photos: ['a'] }, '"v1"'))
+        .mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({ error: 'Storage failed' }) })
+
+      const { synced, unsentPhotos } = await replayMutations(mockToken)
+
+      expect(synced).toBe(1)
+      expect(unsentPhotos).toEqual([{ recipe: expect.objectContaining({ id: 'r9' }), photos: pages.slice(1) }])
+      expect(await pendingMutations()).toEqual([])
+    })
+
+    test('replays queued changes in order, moving later ones to the added recipe\'s id', async () => {
+      goOffline()
+      const added = await addRecipe(mockToken, { title: 'Cake' })
+      await updateRecipe(mockToken, added.id, { title: 'Lemon Cake' })
+      await softDeleteRecipe(mockToken, '2')
+      vi.restoreAllMocks()
+      global.fetch
+        .mockResolvedValueOnce(withEtag({ id: 'r9', title: 'Cake' }, '"v1"'))
+        .mockResolvedValueOnce(withEtag({ id: 'r9', title: 'Lemon Cake' }, '"v2"'))
+        .mockResolvedValueOnce(withEtag({ id: '2', deleted: true }, '"v3"'))
+
+      expect(await replayMutations(mockToken)).toEqual({ synced: 3, failed: [], unsentPhotos: [] })
+
+      expect(fetch.mock.calls.map(([url, options]) => [url, options.method])).toEqual([
+        [`${WORKER_URL}/recipes`, 'POST'],
+        [`${WORKER_URL}/recipes/r9`, 'PATCH'],
+        [`${WORKER_URL}/recipes/2`, 'PATCH'],
+      ])
+      expect(await pendingMutations()).toEqual([])
+    })
+
+    test('keeps a conflicting change queued and holds back later changes to that recipe', async () => {
+      goOffline()
+      await updateRecipe(mockToken, '1', { title: 'Mine' }, { etag: '"abc"' })
+      await softDeleteRecipe(mockToken, '1')
+      await softDeleteRecipe(mockToken, '2')
+      vi.restoreAllMocks()
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 412,
+          headers: new Headers({ ETag: '"xyz"' }),
+          json: async () => ({ error: 'Recipe has changed since it was loaded', current: { id: '1', title: 'Theirs' } }),
+        })
+        .mockResolvedValueOnce(withEtag({ id: '2', deleted: true }, '"v3"'))
+
+      const { synced, failed } = await replayMutations(mockToken)
+
+      expect(synced).toBe(1)
+      expect(failed).toEqual([expect.objectContaining({
+        recipeId: '1',
+        updates: { title: 'Mine' },
+        failure: { type: 'conflict', current: { id: '1', title: 'Theirs', etag: '"xyz"' } },
+      })])
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect((await pendingMutations()).map(entry => [entry.recipeId, entry.type])).toEqual([['1', 'update'], ['1', 'delete']])
+
+      // A conflict stays until it's dealt with; replaying again doesn't resend it
+      expect(await replayMutations(mockToken)).toEqual({ synced: 0, failed, unsentPhotos: [] })
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    test('keeps a change the worker rejects as invalid, with the field details', async () => {
+      goOffline()
+      await addRecipe(mockToken, { title: 'Cake', url: 'ftp://example.com' })
+      vi.restoreAllMocks()
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: async () => ({ error: 'Invalid recipe', details: [{ field: 'url', message: 'must be an http(s) URL' }] }),
       })
+
+      const { failed } = await replayMutations(mockToken)
+
+      expect(failed[0].failure).toEqual({ type: 'invalid', message: 'Invalid recipe', details: [{ field: 'url', message: 'must be an http(s) URL' }] })
+    })
+
+    test('stops replaying when the connection drops again', async () => {
+      goOffline()
+      await softDeleteRecipe(mockToken, '1')
+      await softDeleteRecipe(mockToken, '2')
+      vi.restoreAllMocks()
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'))
+
+      expect(await replayMutations(mockToken)).toEqual({ synced: 0, failed: [], unsentPhotos: [] })
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(await pendingMutations()).toHaveLength(2)
+    })
+  })
+
+  describe('Validation errors', () => {
+    const rejected = details => ({
+      ok: false,
+      status: 400,
+      json: async () => ({ error: 'Invalid recipe data', details }),
+    })
+
+    test('updateRecipe throws the field details the worker rejected', async () => {
+      const details = [{ field: 'title', message: 'must be at most 200 characters' }]
+      global.fetch.mockResolvedValue(rejected(details))
+
+      const error = await updateRecipe(mockToken, '1', { title: 'x'.repeat(201) }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.message).toBe('Invalid recipe data')
+      expect(error.details).toEqual(details)
+    })
+
+    test('addRecipe throws the field details the worker rejected', async () => {
+      const details = [{ field: 'url', message: 'must be an http or https URL' }]
+      global.fetch.mockResolvedValue(rejected(details))
+
+      const error = await addRecipe(mockToken, { url: 'ftp://example.com' }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.details).toEqual(details)
+    })
+
+    test('addRecipe throws the reason a photo was refused', async () => {
+      const details = [{ field: 'photo', message: 'must be a JPEG, PNG, WebP, GIF or HEIC image' }]
+      global.fetch.mockResolvedValue({ ok: false, status: 415, json: async () => ({ error: 'Unsupported photo type', details }) })
+
+      const error = await addRecipe(mockToken, { title: 'Cake', photo: new File(['<svg/>'], 'cake.svg') }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.message).toBe('Unsupported photo type')
+      expect(error.details).toEqual(details)
+    })
+
+    test('falls back to a plain error when a 400 has no details', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 400, json: async () => { throw new Error('not json') } })
+
+      const error = await updateRecipe(mockToken, '1', { title: 'Scones' }).catch(e => e)
+
+      expect(error).not.toBeInstanceOf(ValidationError)
+      expect(error.message).toBe('Failed to update recipe')
+    })
+  })
+
+  describe('Recipe history', () => {
+    test('fetchRecipeHistory lists earlier versions', async () => {
+      const history = [{ id: 'rev1', savedAt: '2024-01-02T00:00:00Z', savedBy: 'Sam', recipe: { title: 'Old' } }]
+      global.fetch.mockResolvedValue({ ok: true, json: async () => history })
+
+      const result = await fetchRecipeHistory(mockToken, '1')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1/history`, {
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual(history)
+    })
+
+    test('revertRecipe restores a revision', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: '1', title: 'Old' }) })
+
+      const result = await revertRecipe(mockToken, '1', 'rev1')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1/revert`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revision: 'rev1' }),
+      })
+      expect(result).toEqual({ id: '1', title: 'Old' })
+    })
+
+    test('revertRecipe throws when the worker refuses', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 400 })
+
+      await expect(revertRecipe(mockToken, '1', 'nope')).rejects.toThrow('Failed to revert recipe')
+    })
+  })
+
+  describe('Share links', () => {
+    test('shareRecipe mints a link', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ token: 'abc', url: `${WORKER_URL}/share/abc` }),
+      })
+
+      const result = await shareRecipe(mockToken, '1')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1/share`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+      expect(result).toEqual({ token: 'abc', url: `${WORKER_URL}/share/abc` })
+      expect(shareUrl('abc')).toBe(result.url)
+    })
+
+    test('unshareRecipe revokes the link', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ id: '1', title: 'Recipe' }),
+      })
+
+      await unshareRecipe(mockToken, '1')
+
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/recipes/1/share/revoke`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}` },
+      })
+    })
+
+    test('throws error when sharing fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 400 })
+
+      await expect(shareRecipe(mockToken, '1')).rejects.toThrow('Failed to share recipe')
+      await expect(unshareRecipe(mockToken, '1')).rejects.toThrow('Failed to stop sharing recipe')
+    })
+  })
+
+  describe('Collections', () => {
+    test('fetches the collection list and a single collection', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => [{ id: 'c1', name: 'Weeknight' }] })
+      expect(await fetchCollections(mockToken)).toEqual([{ id: 'c1', name: 'Weeknight' }])
+      expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/collections`, { headers: { Authorization: `Bearer ${mockToken}` } })
+
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'c1', recipes: [] }) })
+      expect(await fetchCollection(mockToken, 'c1')).toEqual({ id: 'c1', recipes: [] })
+      expect(fetch).toHaveBeenLastCalledWith(`${WORKER_URL}/collections/c1`, { headers: { Authorization: `Bearer ${mockToken}` } })
+    })
+
+    test('creates and updates collections with JSON bodies', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ id: 'c1' }) })
+
+      await addCollection(mockToken, { name: 'Weeknight' })
+      await updateCollection(mockToken, 'c1', { addRecipeIds: ['r1'] })
+
+      expect(fetch).toHaveBeenNthCalledWith(1, `${WORKER_URL}/collections`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${mockToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Weeknight' }),
+      })
+      expect(fetch).toHaveBeenNthCalledWith(2, `${WORKER_URL}/collections/c1`, {
+        method: 'PATCH',
+        headers: { Authorization: `Bearer ${mockToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ addRecipeIds: ['r1'] }),
+      })
+    })
+
+    test('throws when collection requests fail', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      await expect(fetchCollections(mockToken)).rejects.toThrow('Failed to fetch collections')
+      await expect(fetchCollection(mockToken, 'c1')).rejects.toThrow('Failed to fetch collection')
+      await expect(addCollection(mockToken, { name: 'x' })).rejects.toThrow('Failed to add collection')
+      await expect(updateCollection(mockToken, 'c1', {})).rejects.toThrow('Failed to update collection')
     })
   })
 
@@ -338,10 +1064,10 @@ describe('API Functions', () => {
         json: async () => expectedResponse,
       })
 
-      const result = await extractTitleFromUrl(mockSecret, url)
+      const result = await extractTitleFromUrl(mockToken, url)
 
       expect(fetch).toHaveBeenCalledWith(`${WORKER_URL}/extract-title?url=${encodeURIComponent(url)}`, {
-        headers: { Authorization: mockSecret },
+        headers: { Authorization: `Bearer ${mockToken}` },
       })
       expect(result).toBe('Delicious Recipe Title')
     })
@@ -354,11 +1080,11 @@ describe('API Functions', () => {
         json: async () => ({ title: 'Test Title' }),
       })
 
-      await extractTitleFromUrl(mockSecret, url)
+      await extractTitleFromUrl(mockToken, url)
 
       expect(fetch).toHaveBeenCalledWith(
         `${WORKER_URL}/extract-title?url=https%3A%2F%2Fexample.com%2Frecipe%3Fid%3D123%26lang%3Den`,
-        { headers: { Authorization: mockSecret } }
+        { headers: { Authorization: `Bearer ${mockToken}` } }
       )
     })
 
@@ -368,7 +1094,7 @@ describe('API Functions', () => {
         status: 400,
       })
 
-      const result = await extractTitleFromUrl(mockSecret, 'https://example.com')
+      const result = await extractTitleFromUrl(mockToken, 'https://example.com')
 
       expect(result).toBeNull()
     })
@@ -376,7 +1102,7 @@ describe('API Functions', () => {
     test('returns null when network request fails', async () => {
       global.fetch.mockRejectedValue(new Error('Network error'))
 
-      const result = await extractTitleFromUrl(mockSecret, 'https://example.com')
+      const result = await extractTitleFromUrl(mockToken, 'https://example.com')
 
       expect(result).toBeNull()
     })
@@ -389,7 +1115,7 @@ describe('API Functions', () => {
         },
       })
 
-      const result = await extractTitleFromUrl(mockSecret, 'https://example.com')
+      const result = await extractTitleFromUrl(mockToken, 'https://example.com')
 
       expect(result).toBeNull()
     })
@@ -400,7 +1126,7 @@ describe('API Functions', () => {
         json: async () => ({ title: null }),
       })
 
-      const result = await extractTitleFromUrl(mockSecret, 'https://example.com')
+      const result = await extractTitleFromUrl(mockToken, 'https://example.com')
 
       expect(result).toBeNull()
     })
@@ -411,7 +1137,7 @@ describe('API Functions', () => {
         json: async () => ({ title: '' }),
       })
 
-      const result = await extractTitleFromUrl(mockSecret, 'https://example.com')
+      const result = await extractTitleFromUrl(mockToken, 'https://example.com')
 
       expect(result).toBe('')
     })
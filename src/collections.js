@@ -0,0 +1,110 @@
+// Recipe collections, shared by the worker and the app.
+// A collection is { name, description, coverImage, recipeIds, created, updated }
+// stored in the recipes KV namespace under a "collection:" key.
+
+export const COLLECTION_KEY_PREFIX = 'collection:';
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+export const MAX_COLLECTION_DESCRIPTION_LENGTH = 2000;
+export const MAX_COLLECTION_RECIPES = 500;
+
+export function isCollectionKey(key) {
+    return key.startsWith(COLLECTION_KEY_PREFIX);
+}
+
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+function validateIdList(ids, field) {
+    if (!Array.isArray(ids)) {
+        return [{ field, message: 'must be an array' }];
+    }
+    const errors = [];
+    if (ids.length > MAX_COLLECTION_RECIPES) {
+        errors.push({ field, message: `must have at most ${MAX_COLLECTION_RECIPES} entries` });
+    }
+    ids.forEach((id, index) => {
+        if (typeof id !== 'string' || !id) {
+            errors.push({ field: `${field}[${index}]`, message: 'must be a recipe ID' });
+        }
+    });
+    if (new Set(ids).size !== ids.length) {
+        errors.push({ field, message: 'must not contain duplicates' });
+    }
+    return errors;
+}
+
+// Validate collection fields. Names are required when creating but optional on update.
+export function validateCollection(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ field: 'collection', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    if (data.name !== undefined || !partial) {
+        if (typeof data.name !== 'string' || !data.name.trim()) {
+            errors.push({ field: 'name', message: 'is required' });
+        } else if (data.name.length > MAX_COLLECTION_NAME_LENGTH) {
+            errors.push({ field: 'name', message: `must be at most ${MAX_COLLECTION_NAME_LENGTH} characters` });
+        }
+    }
+    if (data.description !== undefined && data.description !== null) {
+        if (typeof data.description !== 'string') {
+            errors.push({ field: 'description', message: 'must be a string' });
+        } else if (data.description.length > MAX_COLLECTION_DESCRIPTION_LENGTH) {
+            errors.push({ field: 'description', message: `must be at most ${MAX_COLLECTION_DESCRIPTION_LENGTH} characters` });
+        }
+    }
+    if (data.coverImage !== undefined && data.coverImage !== null && data.coverImage !== '') {
+        if (typeof data.coverImage !== 'string' || !isHttpUrl(data.coverImage)) {
+            errors.push({ field: 'coverImage', message: 'must be an http(s) URL' });
+        }
+    }
+    for (const field of ['recipeIds', 'addRecipeIds', 'removeRecipeIds']) {
+        if (data[field] !== undefined) {
+            errors.push(...validateIdList(data[field], field));
+        }
+    }
+    if (data.deleted !== undefined && typeof data.deleted !== 'boolean') {
+        errors.push({ field: 'deleted', message: 'must be true or false' });
+    }
+    return errors;
+}
+
+// Apply a reorder, then removals, then additions to a collection's recipe IDs.
+// A reorder must list exactly the current members; returns { recipeIds } or { error }.
+export function applyMembershipChanges(currentIds, { recipeIds, addRecipeIds = [], removeRecipeIds = [] }) {
+    let ids = currentIds;
+    if (recipeIds !== undefined) {
+        const current = new Set(currentIds);
+        if (recipeIds.length !== currentIds.length || !recipeIds.every(id => current.has(id))) {
+            return { error: { field: 'recipeIds', message: 'must contain exactly the recipes in the collection' } };
+        }
+        ids = recipeIds;
+    }
+
+    const removed = new Set(removeRecipeIds);
+    ids = ids.filter(id => !removed.has(id));
+    for (const id of addRecipeIds) {
+        if (!ids.includes(id)) {
+            ids = [...ids, id];
+        }
+    }
+
+    if (ids.length > MAX_COLLECTION_RECIPES) {
+        return { error: { field: 'recipeIds', message: `must have at most ${MAX_COLLECTION_RECIPES} entries` } };
+    }
+    return { recipeIds: ids };
+}
+
+// The cover to show: the collection's own image, else the first member with a picture
+export function collectionCover(collection, recipes = []) {
+    if (collection.coverImage) return collection.coverImage;
+    const withImage = recipes.find(recipe => !recipe.deleted && (recipe.photo || recipe.previewImage));
+    return withImage ? withImage.photo || withImage.previewImage : null;
+}
@@ -0,0 +1,74 @@
+import { applyMembershipChanges, collectionCover, isCollectionKey, validateCollection } from './collections'
+
+describe('Collections', () => {
+  test('recognises collection keys', () => {
+    expect(isCollectionKey('collection:abc')).toBe(true)
+    expect(isCollectionKey('abc')).toBe(false)
+  })
+
+  describe('validateCollection', () => {
+    test('requires a name when creating but not when updating', () => {
+      expect(validateCollection({ name: 'Weeknight' })).toEqual([])
+      expect(validateCollection({})).toEqual([{ field: 'name', message: 'is required' }])
+      expect(validateCollection({}, { partial: true })).toEqual([])
+      expect(validateCollection({ name: ' ' }, { partial: true })).toEqual([{ field: 'name', message: 'is required' }])
+    })
+
+    test('checks optional fields and recipe ID lists', () => {
+      expect(validateCollection({
+        name: 'x'.repeat(101),
+        description: 5,
+        coverImage: 'javascript:alert(1)',
+        recipeIds: ['a', 'a', ''],
+        addRecipeIds: 'a',
+        deleted: 'yes',
+      })).toEqual([
+        { field: 'name', message: 'must be at most 100 characters' },
+        { field: 'description', message: 'must be a string' },
+        { field: 'coverImage', message: 'must be an http(s) URL' },
+        { field: 'recipeIds[2]', message: 'must be a recipe ID' },
+        { field: 'recipeIds', message: 'must not contain duplicates' },
+        { field: 'addRecipeIds', message: 'must be an array' },
+        { field: 'deleted', message: 'must be true or false' },
+      ])
+    })
+
+    test('allows clearing the cover image', () => {
+      expect(validateCollection({ coverImage: '' }, { partial: true })).toEqual([])
+      expect(validateCollection({ coverImage: null }, { partial: true })).toEqual([])
+    })
+
+    test('rejects non-objects', () => {
+      expect(validateCollection(null)).toEqual([{ field: 'collection', message: 'must be an object' }])
+    })
+  })
+
+  describe('applyMembershipChanges', () => {
+    test('reorders, then removes, then appends new recipes', () => {
+      expect(applyMembershipChanges(['a', 'b', 'c'], {
+        recipeIds: ['c', 'a', 'b'],
+        removeRecipeIds: ['a'],
+        addRecipeIds: ['d', 'b'],
+      })).toEqual({ recipeIds: ['c', 'b', 'd'] })
+    })
+
+    test('rejects a reorder that is not a permutation of the members', () => {
+      expect(applyMembershipChanges(['a', 'b'], { recipeIds: ['a', 'c'] }).error).toEqual({
+        field: 'recipeIds',
+        message: 'must contain exactly the recipes in the collection',
+      })
+    })
+  })
+
+  test('collectionCover falls back to the first active member with an image', () => {
+    const recipes = [
+      { id: '1', photo: 'https://example.com/deleted.jpg', deleted: true },
+      { id: '2', missing: true },
+      { id: '3', previewImage: 'https://example.com/preview.jpg' },
+    ]
+
+    expect(collectionCover({ coverImage: 'https://example.com/cover.jpg' }, recipes)).toBe('https://example.com/cover.jpg')
+    expect(collectionCover({ coverImage: null }, recipes)).toBe('https://example.com/preview.jpg')
+    expect(collectionCover({ coverImage: null })).toBeNull()
+  })
+})
@@ -0,0 +1,210 @@
+// Metric/imperial conversion for displaying recipes, shared by the worker and the app.
+// Converts structured ingredients, oven temperatures and recognisable quantities in
+// free text. Spoon measures are left alone because both kinds of kitchen use them.
+// Cups, pints and quarts are US measures.
+
+import { formatAmount } from './recipeFormat.js';
+import { parseQuantity } from './ingredientParser.js';
+import { UNITS, matchUnit } from './units.js';
+import { tidyAmount } from './scaling.js';
+
+export const UNIT_SYSTEMS = ['original', 'metric', 'imperial'];
+
+const ML_PER_UNIT = {
+    ml: 1, l: 1000,
+    tsp: 4.929, cup: 236.59, 'fl oz': 29.574, pint: 473.18, quart: 946.35, gallon: 3785.41,
+};
+const GRAMS_PER_UNIT = { g: 1, kg: 1000, oz: 28.3495, lb: 453.592 };
+const CM_PER_UNIT = { cm: 1, inch: 2.54 };
+
+const METRIC_UNITS = new Set(['ml', 'l', 'g', 'kg', 'cm']);
+const IMPERIAL_UNITS = new Set(['cup', 'fl oz', 'pint', 'quart', 'gallon', 'oz', 'lb', 'inch']);
+
+// Grams per US cup, most specific first so "icing sugar" wins over "sugar"
+const DENSITIES = [
+    [/\b(icing|powdered|confectioners'?)\s+sugar\b/i, 120],
+    [/\b(brown|muscovado|demerara)\s+sugar\b/i, 220],
+    [/\bsugar\b/i, 200],
+    [/\b(ground almonds|almond flour)\b/i, 96],
+    [/\bbread flour\b/i, 130],
+    [/\b(wholemeal|whole ?wheat)\s+flour\b/i, 120],
+    [/\bflour\b/i, 125],
+    [/\bpeanut butter\b/i, 258],
+    [/\bbutter\b/i, 227],
+    [/\boats\b/i, 90],
+    [/\bcocoa\b/i, 85],
+    [/\bhoney\b/i, 340],
+];
+
+// Gas mark to °C and °F
+const GAS_MARKS = {
+    1: [140, 275], 2: [150, 300], 3: [170, 325], 4: [180, 350], 5: [190, 375],
+    6: [200, 400], 7: [220, 425], 8: [230, 450], 9: [240, 475],
+};
+
+const NUMBER = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d*[½⅓⅔¼¾⅛⅜⅝⅞]|\d+(?:\.\d+)?`;
+const AMOUNT = String.raw`(?:${NUMBER})(?:\s*(?:-|–|to)\s*(?:${NUMBER}))?`;
+const QUALIFIER_REGEX = /^(about|approx\.?|approximately|roughly)\s+/i;
+
+// Aliases too ambiguous to convert in prose ("bake 2 in a tin")
+const PROSE_EXCLUDED_ALIASES = new Set(['in', 'c']);
+const PROSE_UNIT_ALIASES = Object.entries(UNITS)
+    .filter(([unit]) => METRIC_UNITS.has(unit) || IMPERIAL_UNITS.has(unit))
+    .flatMap(([, { aliases }]) => aliases)
+    .filter(alias => !PROSE_EXCLUDED_ALIASES.has(alias))
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.]/g, '\\.'));
+const PROSE_QUANTITY_REGEX = new RegExp(`(?<![\\w.])(${AMOUNT})\\s*(${PROSE_UNIT_ALIASES.join('|')})(?![a-z])`, 'gi');
+
+const TEMPERATURE_REGEX = /\b(\d{2,3})\s*(?:°\s*|º\s*|degrees?\s+)?([CF])(?:ahrenheit|elsius)?(?![a-z])/gi;
+const GAS_MARK_REGEX = /(?<!\(\s*)\bgas(?:\s+mark)?\s+([1-9])\b/gi;
+
+export function unitSystemOf(unit) {
+    if (METRIC_UNITS.has(unit)) return 'metric';
+    if (IMPERIAL_UNITS.has(unit)) return 'imperial';
+    return null;
+}
+
+// Grams per cup for ingredients with a known density, otherwise null
+export function densityFor(item) {
+    if (!item) return null;
+    const match = DENSITIES.find(([pattern]) => pattern.test(item));
+    return match ? match[1] : null;
+}
+
+// Unit and multiplier taking an ingredient to the other system, or null if it can't go
+function conversionFor(ingredient, system) {
+    const { unit } = ingredient;
+    const density = densityFor(ingredient.item);
+
+    if (system === 'metric') {
+        if (ML_PER_UNIT[unit]) {
+            return density
+                ? { unit: 'g', factor: (ML_PER_UNIT[unit] / ML_PER_UNIT.cup) * density }
+                : { unit: 'ml', factor: ML_PER_UNIT[unit] };
+        }
+        if (GRAMS_PER_UNIT[unit]) return { unit: 'g', factor: GRAMS_PER_UNIT[unit] };
+        if (CM_PER_UNIT[unit]) return { unit: 'cm', factor: CM_PER_UNIT[unit] };
+        return null;
+    }
+
+    // Imperial amounts start in teaspoons or ounces; tidying moves them up to cups and pounds
+    if (ML_PER_UNIT[unit]) return { unit: 'tsp', factor: ML_PER_UNIT[unit] / ML_PER_UNIT.tsp };
+    if (GRAMS_PER_UNIT[unit]) {
+        return density
+            ? { unit: 'tsp', factor: (GRAMS_PER_UNIT[unit] / density) * (ML_PER_UNIT.cup / ML_PER_UNIT.tsp) }
+            : { unit: 'oz', factor: GRAMS_PER_UNIT[unit] / GRAMS_PER_UNIT.oz };
+    }
+    if (CM_PER_UNIT[unit]) return { unit: 'inch', factor: CM_PER_UNIT[unit] / CM_PER_UNIT.inch };
+    return null;
+}
+
+// Parse a measure such as "200g" or "about 1 cup" into { quantity, quantityMax, unit }
+function parseAmount(text) {
+    const match = text.trim().replace(QUALIFIER_REGEX, '').match(new RegExp(`^(${AMOUNT})\\s*(.+)$`));
+    if (!match) return null;
+    const quantity = parseQuantity(match[1]);
+    const unit = matchUnit(match[2]);
+    if (!quantity || !unit || unit.rest !== '') return null;
+    return { ...quantity, unit: unit.unit };
+}
+
+function withAmount(ingredient, { quantity, quantityMax, unit }) {
+    const result = { ...ingredient, quantity, unit };
+    delete result.quantityMax;
+    if (typeof quantityMax === 'number' && quantityMax > quantity) {
+        result.quantityMax = quantityMax;
+    }
+    return result;
+}
+
+// Convert one structured ingredient to 'metric' or 'imperial' units.
+// Ingredients already in that system, spoon measures and counts are returned as they are.
+export function convertIngredient(ingredient, system) {
+    if (system !== 'metric' && system !== 'imperial') return ingredient;
+    if (ingredient.quantity === null || ingredient.quantity === undefined) return ingredient;
+    const current = unitSystemOf(ingredient.unit);
+    if (!current || current === system) return ingredient;
+
+    // An alternate measure in the wanted system beats a calculated one ("1½ cups (200g) flour")
+    const alternate = ingredient.alternate && parseAmount(ingredient.alternate);
+    if (alternate && unitSystemOf(alternate.unit) === system) {
+        return { ...withAmount(ingredient, alternate), alternate: null };
+    }
+
+    const conversion = conversionFor(ingredient, system);
+    if (!conversion) return ingredient;
+    return tidyAmount(withAmount(ingredient, {
+        quantity: ingredient.quantity * conversion.factor,
+        quantityMax: typeof ingredient.quantityMax === 'number' ? ingredient.quantityMax * conversion.factor : null,
+        unit: conversion.unit,
+    }));
+}
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+// Oven temperatures round to the steps printed on oven dials
+function toCelsius(fahrenheit) {
+    const celsius = (fahrenheit - 32) * 5 / 9;
+    return roundTo(celsius, celsius >= 100 ? 10 : 5);
+}
+
+function toFahrenheit(celsius) {
+    const fahrenheit = celsius * 9 / 5 + 32;
+    return roundTo(fahrenheit, celsius >= 100 ? 25 : 5);
+}
+
+// Rewrite °F, °C and gas mark temperatures in text for the wanted system.
+// A gas mark in brackets after a temperature is left as written.
+export function convertTemperatures(text, system) {
+    if (!text || (system !== 'metric' && system !== 'imperial')) return text;
+    const target = system === 'metric' ? 'C' : 'F';
+
+    return text
+        .replace(TEMPERATURE_REGEX, (match, degrees, scale) => {
+            if (scale.toUpperCase() === target) return match;
+            const value = target === 'C' ? toCelsius(Number(degrees)) : toFahrenheit(Number(degrees));
+            return `${value}°${target}`;
+        })
+        .replace(GAS_MARK_REGEX, (match, mark) => {
+            const [celsius, fahrenheit] = GAS_MARKS[mark];
+            return target === 'C' ? `${celsius}°C` : `${fahrenheit}°F`;
+        });
+}
+
+// Best-effort conversion of quantities and temperatures in free text.
+// The words after a quantity are used to look up an ingredient density.
+export function convertText(text, system) {
+    if (!text || (system !== 'metric' && system !== 'imperial')) return text;
+
+    const withQuantities = text.replace(PROSE_QUANTITY_REGEX, (match, amount, unitText, offset, whole) => {
+        const quantity = parseQuantity(amount);
+        const unit = matchUnit(unitText);
+        if (!quantity || !unit) return match;
+
+        const following = whole.slice(offset + match.length).match(/^\s*(?:of\s+)?([a-z' ]{1,40})/i);
+        const ingredient = { ...quantity, unit: unit.unit, item: following ? following[1] : '' };
+        const converted = convertIngredient(ingredient, system);
+        return converted === ingredient ? match : formatAmount(converted);
+    });
+
+    return convertTemperatures(withQuantities, system);
+}
+
+// A display copy of a recipe in the wanted system; the original is never modified
+export function convertRecipe(recipe, system) {
+    if (system !== 'metric' && system !== 'imperial') return recipe;
+
+    return {
+        ...recipe,
+        text: convertText(recipe.text, system),
+        ingredients: Array.isArray(recipe.ingredients)
+            ? recipe.ingredients.map(ingredient => convertIngredient(ingredient, system))
+            : recipe.ingredients,
+        steps: Array.isArray(recipe.steps)
+            ? recipe.steps.map(step => ({ ...step, text: convertText(step.text, system) }))
+            : recipe.steps,
+    };
+}
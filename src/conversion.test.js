@@ -0,0 +1,111 @@
+import { convertIngredient, convertRecipe, convertTemperatures, convertText, densityFor } from './conversion'
+
+describe('Unit Conversion', () => {
+  describe('densityFor', () => {
+    test.each([
+      ['plain flour', 125],
+      ['strong bread flour', 130],
+      ['icing sugar', 120],
+      ['light brown sugar', 220],
+      ['caster sugar', 200],
+      ['unsalted butter', 227],
+      ['buttermilk', null],
+      ['milk', null],
+    ])('knows the density of %s', (item, expected) => {
+      expect(densityFor(item)).toBe(expected)
+    })
+  })
+
+  describe('convertIngredient', () => {
+    test('converts dense ingredients by weight and liquids by volume in metric', () => {
+      expect(convertIngredient({ quantity: 2, unit: 'cup', item: 'plain flour' }, 'metric')).toMatchObject({ quantity: 250, unit: 'g' })
+      expect(convertIngredient({ quantity: 0.5, unit: 'cup', item: 'butter' }, 'metric')).toMatchObject({ quantity: 115, unit: 'g' })
+      expect(convertIngredient({ quantity: 1, unit: 'cup', item: 'milk' }, 'metric')).toMatchObject({ quantity: 235, unit: 'ml' })
+      expect(convertIngredient({ quantity: 1, unit: 'gallon', item: 'stock' }, 'metric')).toMatchObject({ quantity: 3.8, unit: 'l' })
+    })
+
+    test('converts weights and lengths', () => {
+      expect(convertIngredient({ quantity: 1, unit: 'lb', item: 'beef mince' }, 'metric')).toMatchObject({ quantity: 455, unit: 'g' })
+      expect(convertIngredient({ quantity: 500, unit: 'g', item: 'potatoes' }, 'imperial')).toMatchObject({ quantity: 1, unit: 'lb' })
+      expect(convertIngredient({ quantity: 23, unit: 'cm', item: 'cake tin' }, 'imperial')).toMatchObject({ quantity: 9, unit: 'inch' })
+    })
+
+    test('converts dense ingredients to cups in imperial', () => {
+      expect(convertIngredient({ quantity: 200, unit: 'g', item: 'caster sugar' }, 'imperial')).toMatchObject({ quantity: 1, unit: 'cup' })
+      expect(convertIngredient({ quantity: 15, unit: 'g', item: 'butter' }, 'imperial')).toMatchObject({ quantity: 1, unit: 'tbsp' })
+      expect(convertIngredient({ quantity: 500, unit: 'ml', item: 'milk' }, 'imperial')).toMatchObject({ quantity: 2, unit: 'cup' })
+    })
+
+    test('prefers an alternate measure already in the wanted system', () => {
+      expect(convertIngredient({ quantity: 1.5, unit: 'cup', item: 'plain flour', alternate: '200g' }, 'metric'))
+        .toMatchObject({ quantity: 200, unit: 'g', alternate: null })
+      expect(convertIngredient({ quantity: 400, unit: 'g', item: 'tomatoes', alternate: 'about 14 oz' }, 'imperial'))
+        .toMatchObject({ quantity: 14, unit: 'oz', alternate: null })
+    })
+
+    test('converts both ends of a range', () => {
+      expect(convertIngredient({ quantity: 1, quantityMax: 2, unit: 'cup', item: 'stock' }, 'metric'))
+        .toMatchObject({ quantity: 235, quantityMax: 475, unit: 'ml' })
+    })
+
+    test('leaves spoons, counts and amounts already in the system alone', () => {
+      const spoon = { quantity: 1, unit: 'tsp', item: 'salt' }
+      const eggs = { quantity: 2, unit: null, item: 'eggs' }
+      const grams = { quantity: 100, unit: 'g', item: 'flour' }
+
+      expect(convertIngredient(spoon, 'metric')).toBe(spoon)
+      expect(convertIngredient(eggs, 'imperial')).toBe(eggs)
+      expect(convertIngredient(grams, 'metric')).toBe(grams)
+      expect(convertIngredient(grams, 'original')).toBe(grams)
+    })
+  })
+
+  describe('convertTemperatures', () => {
+    test.each([
+      ['Bake at 350°F for 20 minutes', 'metric', 'Bake at 180°C for 20 minutes'],
+      ['Heat the oven to 425 degrees F.', 'metric', 'Heat the oven to 220°C.'],
+      ['Preheat to 180°C', 'imperial', 'Preheat to 350°F'],
+      ['Roast at 200C fan', 'imperial', 'Roast at 400°F fan'],
+      ['Oven at gas mark 4', 'metric', 'Oven at 180°C'],
+      ['Oven at gas 6', 'imperial', 'Oven at 400°F'],
+      ['Preheat to 180°C (gas mark 4)', 'metric', 'Preheat to 180°C (gas mark 4)'],
+      ['Makes 12 cookies', 'metric', 'Makes 12 cookies'],
+    ])('converts "%s" to %s', (text, system, expected) => {
+      expect(convertTemperatures(text, system)).toBe(expected)
+    })
+  })
+
+  describe('convertText', () => {
+    test('converts recognisable quantities in free text', () => {
+      expect(convertText('Mix 2 cups flour with 1 cup milk and 8 oz cheese.', 'metric'))
+        .toBe('Mix 250 g flour with 235 ml milk and 225 g cheese.')
+      expect(convertText('Whisk 250ml cream with 90 grams of icing sugar.', 'imperial'))
+        .toBe('Whisk 1 cup cream with ¾ cup of icing sugar.')
+    })
+
+    test('leaves text without convertible quantities unchanged', () => {
+      const text = 'Add 2 eggs and 1 tsp vanilla, then bake 2 in a row.'
+      expect(convertText(text, 'metric')).toBe(text)
+      expect(convertText(text, 'original')).toBe(text)
+    })
+  })
+
+  test('convertRecipe converts ingredients, steps and text without touching the original', () => {
+    const recipe = {
+      title: 'Cake',
+      text: 'Serve with 1 cup cream.',
+      ingredients: [{ quantity: 1, unit: 'cup', item: 'sugar', note: null, group: null }],
+      steps: [{ text: 'Bake at 350°F.', timer: 1800 }],
+    }
+    const snapshot = JSON.parse(JSON.stringify(recipe))
+
+    expect(convertRecipe(recipe, 'metric')).toEqual({
+      title: 'Cake',
+      text: 'Serve with 235 ml cream.',
+      ingredients: [{ quantity: 200, unit: 'g', item: 'sugar', note: null, group: null }],
+      steps: [{ text: 'Bake at 180°C.', timer: 1800 }],
+    })
+    expect(recipe).toEqual(snapshot)
+    expect(convertRecipe(recipe, 'original')).toBe(recipe)
+  })
+})
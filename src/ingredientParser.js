@@ -0,0 +1,199 @@
+// Free-text ingredient line parser shared by the worker and the app.
+// "1 1/2 cups (200g) plain flour, sifted" becomes
+// { quantity: 1.5, quantityMax: null, unit: 'cup', item: 'plain flour', note: 'sifted', alternate: '200g' }
+
+import { COUNTLESS_UNITS, matchUnit } from './units.js';
+
+const UNICODE_FRACTIONS = {
+    '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+    '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5', '⅙': '1/6',
+    '⅚': '5/6', '⅐': '1/7', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8',
+    '⅞': '7/8', '⅑': '1/9', '⅒': '1/10',
+};
+
+const NUMBER = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?|\.\d+`;
+const QUANTITY_REGEX = new RegExp(`^(${NUMBER})(?:\\s*(?:-|to|or)\\s*(${NUMBER}))?(?=\\s|$|[a-zA-Z×])\\s*`, 'i');
+const ARTICLE_REGEX = /^an?\s+/i;
+const MODIFIER_REGEX = /^(heaped|heaping|level|rounded|scant|generous)\s+/i;
+
+function normalizeLine(line) {
+    return line
+        // "1½" and "1 ½" both become "1 1/2"
+        .replace(/(\d)?\s*([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅐⅛⅜⅝⅞⅑⅒])/g, (_, whole, fraction) =>
+            `${whole ? `${whole} ` : ' '}${UNICODE_FRACTIONS[fraction]}`)
+        // Fraction slash and dashes
+        .replace(/⁄/g, '/')
+        .replace(/[–—‒]/g, '-')
+        // "1-1/2" is the mixed number 1 1/2, not a range down to a half
+        .replace(/(?<![\d./])(\d+)-(\d+)\/(\d+)(?![\d/])/g, (match, whole, top, bottom) =>
+            Number(top) < Number(bottom) ? `${whole} ${top}/${bottom}` : match)
+        .replace(/^[-•*·▢□]\s+/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function parseNumber(value) {
+    const text = value.trim();
+    const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) {
+        return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+    }
+    const fraction = text.match(/^(\d+)\/(\d+)$/);
+    if (fraction) {
+        return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+    }
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+function roundQuantity(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+// Parse a quantity such as "2", "1 1/2", "½" or "2-3" into { quantity, quantityMax }.
+// Returns null when the text isn't entirely a quantity.
+export function parseQuantity(text) {
+    if (typeof text !== 'string') return null;
+    const normalized = normalizeLine(text);
+    const match = normalized.match(QUANTITY_REGEX);
+    if (!match || match[0].trim() !== normalized) return null;
+
+    const quantity = parseNumber(match[1]);
+    const quantityMax = match[2] ? parseNumber(match[2]) : null;
+    if (quantity === null) return null;
+    return {
+        quantity: roundQuantity(quantity),
+        quantityMax: quantityMax !== null && quantityMax > quantity ? roundQuantity(quantityMax) : null,
+    };
+}
+
+// "/3 1/2fl oz milk" after a unit is a second measure for the same amount.
+// Returns { alternate, rest }, or null when the slash isn't followed by a measure.
+function slashAlternate(text) {
+    if (!text.startsWith('/')) return null;
+    const measure = text.slice(1).trim();
+    const quantityMatch = measure.match(QUANTITY_REGEX);
+    const unitMatch = quantityMatch && matchUnit(measure.slice(quantityMatch[0].length));
+    if (!unitMatch) return null;
+    return {
+        alternate: measure.slice(0, measure.length - unitMatch.rest.length).trim(),
+        rest: unitMatch.rest,
+    };
+}
+
+function joinNotes(notes) {
+    const joined = notes.map(note => note.trim()).filter(Boolean).join(', ');
+    return joined || null;
+}
+
+// Parse one free-text ingredient line into structured fields
+export function parseIngredient(line) {
+    const result = { quantity: null, quantityMax: null, unit: null, item: '', note: null, alternate: null };
+    if (typeof line !== 'string') return result;
+
+    let text = normalizeLine(line);
+    const notes = [];
+
+    // Parentheticals that start with a number are alternate measures ("(200g)"),
+    // anything else is a preparation note ("(finely chopped)")
+    text = text.replace(/\s*\(([^)]*)\)\s*/g, (_, inner) => {
+        const content = inner.trim();
+        if (/^(about|approx\.?|approximately|roughly)?\s*[\d.]/i.test(content) && !result.alternate) {
+            result.alternate = content;
+        } else if (content) {
+            notes.push(content);
+        }
+        return ' ';
+    }).trim();
+
+    // Quantity, allowing "a"/"an" before a unit ("a pinch of salt")
+    const quantityMatch = text.match(QUANTITY_REGEX);
+    if (quantityMatch) {
+        const quantity = parseNumber(quantityMatch[1]);
+        const quantityMax = quantityMatch[2] ? parseNumber(quantityMatch[2]) : null;
+        if (quantity !== null) {
+            result.quantity = roundQuantity(quantity);
+            if (quantityMax !== null && quantityMax > quantity) {
+                result.quantityMax = roundQuantity(quantityMax);
+            }
+            text = text.slice(quantityMatch[0].length);
+        }
+    } else if (ARTICLE_REGEX.test(text)) {
+        const afterArticle = text.replace(ARTICLE_REGEX, '');
+        if (matchUnit(afterArticle.replace(MODIFIER_REGEX, ''))) {
+            result.quantity = 1;
+            text = afterArticle;
+        }
+    }
+
+    // "3 x 400g tins" counts packs, so the pack size stays with the item
+    const packCount = result.quantity !== null && text.match(/^[x×]\s*(?=[\d.])/i);
+    if (packCount) {
+        text = text.slice(packCount[0].length);
+    }
+
+    // "heaped tbsp" keeps the modifier as a note
+    const modifier = !packCount && text.match(MODIFIER_REGEX);
+    if (modifier && matchUnit(text.slice(modifier[0].length))) {
+        notes.unshift(modifier[1].toLowerCase());
+        text = text.slice(modifier[0].length);
+    }
+
+    const unitMatch = !packCount && matchUnit(text);
+    if (unitMatch && (result.quantity !== null || COUNTLESS_UNITS.has(unitMatch.unit))) {
+        const slash = slashAlternate(unitMatch.rest);
+        if (slash) {
+            result.unit = unitMatch.unit;
+            result.alternate = result.alternate || slash.alternate;
+            text = slash.rest;
+        } else if (!unitMatch.rest.startsWith('/')) {
+            result.unit = unitMatch.unit;
+            text = unitMatch.rest;
+        }
+    }
+
+    text = text.replace(/^of\s+/i, '');
+
+    // Everything after the first comma is preparation
+    const commaIndex = text.indexOf(',');
+    if (commaIndex !== -1) {
+        notes.push(text.slice(commaIndex + 1));
+        text = text.slice(0, commaIndex);
+    }
+
+    result.item = text.trim();
+    result.note = joinNotes(notes);
+
+    // Lines that were nothing but a quantity keep their text as the item
+    if (!result.item && (result.quantity !== null || result.unit)) {
+        return { ...result, quantity: null, quantityMax: null, unit: null, item: normalizeLine(line) };
+    }
+
+    return result;
+}
+
+// Parse a block of ingredient lines. Lines ending in ":" ("For the sauce:")
+// become the group for the ingredients beneath them.
+export function parseIngredientLines(text) {
+    if (typeof text !== 'string') return [];
+
+    const ingredients = [];
+    let group = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.endsWith(':')) {
+            group = line.slice(0, -1).trim() || null;
+            continue;
+        }
+
+        const ingredient = parseIngredient(line);
+        if (ingredient.item) {
+            ingredients.push({ ...ingredient, group });
+        }
+    }
+
+    return ingredients;
+}
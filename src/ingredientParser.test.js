@@ -0,0 +1,98 @@
+import { parseIngredient, parseIngredientLines, parseQuantity } from './ingredientParser'
+
+describe('Ingredient Parser', () => {
+  describe('parseIngredient', () => {
+    test.each([
+      ['1 1/2 cups (200g) plain flour, sifted', { quantity: 1.5, quantityMax: null, unit: 'cup', item: 'plain flour', note: 'sifted', alternate: '200g' }],
+      ['2–3 cloves garlic', { quantity: 2, quantityMax: 3, unit: 'clove', item: 'garlic', note: null, alternate: null }],
+      ['2 large eggs', { quantity: 2, quantityMax: null, unit: null, item: 'large eggs', note: null, alternate: null }],
+      ['200g caster sugar', { quantity: 200, quantityMax: null, unit: 'g', item: 'caster sugar', note: null, alternate: null }],
+      ['½ tsp salt', { quantity: 0.5, quantityMax: null, unit: 'tsp', item: 'salt', note: null, alternate: null }],
+      ['1½ tbsp olive oil', { quantity: 1.5, quantityMax: null, unit: 'tbsp', item: 'olive oil', note: null, alternate: null }],
+      ['1 ¾ cups milk', { quantity: 1.75, quantityMax: null, unit: 'cup', item: 'milk', note: null, alternate: null }],
+      ['⅓ cup honey', { quantity: 0.333, quantityMax: null, unit: 'cup', item: 'honey', note: null, alternate: null }],
+      ['1 can (400g) chopped tomatoes', { quantity: 1, quantityMax: null, unit: 'can', item: 'chopped tomatoes', note: null, alternate: '400g' }],
+      ['1 onion (finely chopped)', { quantity: 1, quantityMax: null, unit: null, item: 'onion', note: 'finely chopped', alternate: null }],
+      ['Salt and pepper, to taste', { quantity: null, quantityMax: null, unit: null, item: 'Salt and pepper', note: 'to taste', alternate: null }],
+      ['pinch of salt', { quantity: null, quantityMax: null, unit: 'pinch', item: 'salt', note: null, alternate: null }],
+      ['a pinch of nutmeg', { quantity: 1, quantityMax: null, unit: 'pinch', item: 'nutmeg', note: null, alternate: null }],
+      ['1 heaped tbsp cocoa', { quantity: 1, quantityMax: null, unit: 'tbsp', item: 'cocoa', note: 'heaped', alternate: null }],
+      ['4 to 6 chicken thighs', { quantity: 4, quantityMax: 6, unit: null, item: 'chicken thighs', note: null, alternate: null }],
+      ['0.5 l stock', { quantity: 0.5, quantityMax: null, unit: 'l', item: 'stock', note: null, alternate: null }],
+      ['- 2 carrots, peeled (about 150g)', { quantity: 2, quantityMax: null, unit: null, item: 'carrots', note: 'peeled', alternate: 'about 150g' }],
+      ['100ml/3½fl oz milk', { quantity: 100, quantityMax: null, unit: 'ml', item: 'milk', note: null, alternate: '3 1/2fl oz' }],
+      ['225g/8oz butter, softened', { quantity: 225, quantityMax: null, unit: 'g', item: 'butter', note: 'softened', alternate: '8oz' }],
+      ['3 x 400g tins tomatoes', { quantity: 3, quantityMax: null, unit: null, item: '400g tins tomatoes', note: null, alternate: null }],
+      ['2×500g packs mince', { quantity: 2, quantityMax: null, unit: null, item: '500g packs mince', note: null, alternate: null }],
+      ['1-1/2 cups flour', { quantity: 1.5, quantityMax: null, unit: 'cup', item: 'flour', note: null, alternate: null }],
+      ['2–3/4 cups stock', { quantity: 2.75, quantityMax: null, unit: 'cup', item: 'stock', note: null, alternate: null }],
+      ['1/2-3/4 cup milk', { quantity: 0.5, quantityMax: 0.75, unit: 'cup', item: 'milk', note: null, alternate: null }],
+    ])('parses "%s"', (line, expected) => {
+      expect(parseIngredient(line)).toEqual(expected)
+    })
+
+    test.each([
+      ['250 millilitres water', 'ml'],
+      ['250 milliliters water', 'ml'],
+      ['1 litre stock', 'l'],
+      ['1 liter stock', 'l'],
+      ['100 grammes butter', 'g'],
+      ['8 fl oz cream', 'fl oz'],
+      ['8 fluid ounces cream', 'fl oz'],
+      ['2 Tbsp butter', 'tbsp'],
+      ['2 T butter', 'tbsp'],
+      ['2 t vanilla', 'tsp'],
+      ['1 lb beef', 'lb'],
+      ['2 lbs beef', 'lb'],
+      ['1 dessertspoon jam', 'dsp'],
+    ])('recognises the unit in "%s"', (line, unit) => {
+      expect(parseIngredient(line).unit).toBe(unit)
+    })
+
+    test('does not mistake words starting with a unit letter for units', () => {
+      expect(parseIngredient('2 garlic bulbs').unit).toBeNull()
+      expect(parseIngredient('3 limes').unit).toBeNull()
+      expect(parseIngredient('4 T-bone steaks').unit).toBeNull()
+    })
+
+    test('keeps a slash that is not followed by a measure in the item', () => {
+      expect(parseIngredient('100g/butter')).toMatchObject({ quantity: 100, unit: null, item: 'g/butter', alternate: null })
+    })
+
+    test('keeps a bare quantity as the item', () => {
+      expect(parseIngredient('3 tsp')).toMatchObject({ quantity: null, unit: null, item: '3 tsp' })
+    })
+
+    test('handles non-string input', () => {
+      expect(parseIngredient(undefined).item).toBe('')
+    })
+  })
+
+  describe('parseQuantity', () => {
+    test('parses whole, mixed, unicode and range quantities', () => {
+      expect(parseQuantity('2')).toEqual({ quantity: 2, quantityMax: null })
+      expect(parseQuantity('1 1/2')).toEqual({ quantity: 1.5, quantityMax: null })
+      expect(parseQuantity('1-1/2')).toEqual({ quantity: 1.5, quantityMax: null })
+      expect(parseQuantity('¾')).toEqual({ quantity: 0.75, quantityMax: null })
+      expect(parseQuantity('2-3')).toEqual({ quantity: 2, quantityMax: 3 })
+    })
+
+    test('rejects text that is not only a quantity', () => {
+      expect(parseQuantity('lots')).toBeNull()
+      expect(parseQuantity('2 cups')).toBeNull()
+      expect(parseQuantity('1/0')).toBeNull()
+    })
+  })
+
+  describe('parseIngredientLines', () => {
+    test('parses lines, skipping blanks and applying group headings', () => {
+      const parsed = parseIngredientLines('2 eggs\n\nFor the icing:\n100g icing sugar\n1 tbsp lemon juice')
+
+      expect(parsed.map(({ item, group }) => [item, group])).toEqual([
+        ['eggs', null],
+        ['icing sugar', 'For the icing'],
+        ['lemon juice', 'For the icing'],
+      ])
+    })
+  })
+})
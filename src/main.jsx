@@ -2,6 +2,7 @@
 import { createRoot } from 'react-dom/client';
 import { StrictMode } from 'react';
 import App from './App';
+import { WORKER_URL } from './api';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -12,7 +13,8 @@ createRoot(document.getElementById('root')).render(
 // Register service worker for PWA
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    const swPath = import.meta.env.BASE_URL + 'service-worker.js';
+    // The worker's origin tells the service worker which requests are recipes and photos
+    const swPath = import.meta.env.BASE_URL + 'service-worker.js?api=' + encodeURIComponent(WORKER_URL);
     navigator.serviceWorker.register(swPath).catch(err => {
       console.log('Service worker registration failed:', err);
     });
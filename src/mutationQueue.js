@@ -0,0 +1,110 @@
+// Recipe changes made without a connection, kept in IndexedDB until they can be sent.
+// Each entry is { seq, type, recipeId, queuedAt } plus what the change needs:
+// 'add' has the recipe (photo included), 'update' its updates and etag, 'delete' and
+// 'undelete' nothing more. An entry the worker refused on replay keeps a `failure` of
+// { type: 'conflict', current }, { type: 'invalid', message, details } or
+// { type: 'error', message } until the person deals with it.
+import { MUTATIONS_STORE, addRecord, clearRecords, deleteRecord, getAllRecords, hasOfflineStore, putRecord } from './offlineStore';
+
+// Recipes added offline go by a temporary id until the worker gives them a real one
+export const PENDING_ID_PREFIX = 'pending-';
+
+// The Background Sync tag the service worker wakes the app with to send the queue
+export const SYNC_TAG = 'replay-mutations';
+
+export function pendingRecipeId() {
+    return `${PENDING_ID_PREFIX}${crypto.randomUUID()}`;
+}
+
+// Queued changes, oldest first
+export async function pendingMutations() {
+    const entries = await getAllRecords(MUTATIONS_STORE);
+    return entries.sort((a, b) => a.seq - b.seq);
+}
+
+export async function hasPendingMutations(recipeId) {
+    const entries = await pendingMutations();
+    return entries.some(entry => entry.recipeId === recipeId);
+}
+
+// Ask the service worker to wake the app once there's a connection again
+async function requestBackgroundSync() {
+    try {
+        const registration = await navigator.serviceWorker?.ready;
+        await registration?.sync?.register(SYNC_TAG);
+    } catch (error) {
+        console.warn('Failed to register background sync:', error);
+    }
+}
+
+export async function queueMutation(mutation) {
+    if (!hasOfflineStore()) {
+        throw new Error('Can\'t save changes offline in this browser');
+    }
+    const entry = { ...mutation, queuedAt: new Date().toISOString() };
+    entry.seq = await addRecord(MUTATIONS_STORE, entry);
+    requestBackgroundSync();
+    return entry;
+}
+
+export function discardMutation(seq) {
+    return deleteRecord(MUTATIONS_STORE, seq);
+}
+
+export async function markMutationFailed(entry, failure) {
+    await putRecord(MUTATIONS_STORE, { ...entry, failure });
+}
+
+// Clear a failure so the next replay tries the change again
+export async function retryMutation(entry) {
+    const { failure: _failure, ...rest } = entry;
+    await putRecord(MUTATIONS_STORE, rest);
+}
+
+// Point queued changes to a recipe added offline at the id the worker gave it
+export async function renamePendingRecipe(pendingId, id) {
+    const entries = await pendingMutations();
+    await Promise.all(entries
+        .filter(entry => entry.recipeId === pendingId)
+        .map(entry => putRecord(MUTATIONS_STORE, { ...entry, recipeId: id })));
+}
+
+// Queued changes belong to whoever was signed in
+export function clearMutations() {
+    return clearRecords(MUTATIONS_STORE);
+}
+
+function changedFields(entry) {
+    if (entry.type === 'delete') return { deleted: true };
+    if (entry.type === 'undelete') return { deleted: false };
+    return entry.updates;
+}
+
+// How a queued change looks until it's sent: a whole recipe for an add, otherwise just
+// the fields it changes. Either way marked pending.
+export function pendingResult(entry) {
+    if (entry.type === 'add') {
+        const { title, url, text, ingredients, steps, tags } = entry.recipe;
+        const recipe = { id: entry.recipeId, title, url, text, ingredients, steps, tags, created: entry.queuedAt };
+        Object.keys(recipe).forEach(key => recipe[key] === undefined && delete recipe[key]);
+        return { ...recipe, pending: true };
+    }
+    return { id: entry.recipeId, ...changedFields(entry), pending: true };
+}
+
+// The recipe list with queued changes shown on it. Recipes added offline go first,
+// newest first, when `includeAdded` is set (the first page of the list).
+export function applyPendingMutations(recipes, entries, { includeAdded = true } = {}) {
+    let result = recipes;
+    for (const entry of entries) {
+        const pending = pendingResult(entry);
+        if (entry.type === 'add') {
+            if (includeAdded && !result.some(recipe => recipe.id === entry.recipeId)) {
+                result = [pending, ...result];
+            }
+        } else {
+            result = result.map(recipe => recipe.id === entry.recipeId ? { ...recipe, ...pending } : recipe);
+        }
+    }
+    return result;
+}
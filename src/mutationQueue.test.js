@@ -0,0 +1,86 @@
+import {
+  PENDING_ID_PREFIX,
+  applyPendingMutations,
+  hasPendingMutations,
+  markMutationFailed,
+  pendingMutations,
+  pendingRecipeId,
+  pendingResult,
+  queueMutation,
+  renamePendingRecipe,
+  retryMutation,
+} from './mutationQueue'
+import { resetOfflineStore } from './test/memoryOfflineStore'
+
+vi.mock('./offlineStore', () => import('./test/memoryOfflineStore'))
+
+describe('Offline mutation queue', () => {
+  beforeEach(() => {
+    resetOfflineStore()
+  })
+
+  test('keeps queued changes in order', async () => {
+    const photo = new File(['jpeg'], 'cake.jpg', { type: 'image/jpeg' })
+    await queueMutation({ type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake', photo } })
+    await queueMutation({ type: 'delete', recipeId: '1' })
+
+    const entries = await pendingMutations()
+
+    expect(entries.map(entry => [entry.seq, entry.type])).toEqual([[1, 'add'], [2, 'delete']])
+    expect(entries[0].recipe.photo).toBe(photo)
+    expect(entries[0].queuedAt).toEqual(expect.any(String))
+    expect(await hasPendingMutations('1')).toBe(true)
+    expect(await hasPendingMutations('2')).toBe(false)
+  })
+
+  test('gives recipes added offline a temporary id', () => {
+    expect(pendingRecipeId()).toMatch(new RegExp(`^${PENDING_ID_PREFIX}`))
+    expect(pendingRecipeId()).not.toBe(pendingRecipeId())
+  })
+
+  test('moves changes to a recipe added offline over to its real id', async () => {
+    await queueMutation({ type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake' } })
+    await queueMutation({ type: 'update', recipeId: 'pending-a', updates: { title: 'Lemon Cake' } })
+    await queueMutation({ type: 'delete', recipeId: '1' })
+
+    await renamePendingRecipe('pending-a', 'r9')
+
+    expect((await pendingMutations()).map(entry => entry.recipeId)).toEqual(['r9', 'r9', '1'])
+  })
+
+  test('marks and clears a failure', async () => {
+    const entry = await queueMutation({ type: 'update', recipeId: '1', updates: { title: 'Mine' } })
+
+    await markMutationFailed(entry, { type: 'error', message: 'Failed to update recipe' })
+    expect((await pendingMutations())[0].failure).toEqual({ type: 'error', message: 'Failed to update recipe' })
+
+    await retryMutation((await pendingMutations())[0])
+    expect((await pendingMutations())[0]).not.toHaveProperty('failure')
+  })
+
+  test('shows queued changes as pending', () => {
+    expect(pendingResult({ type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake', photo: {} }, queuedAt: '2025-01-01T00:00:00.000Z' }))
+      .toEqual({ id: 'pending-a', title: 'Cake', created: '2025-01-01T00:00:00.000Z', pending: true })
+    expect(pendingResult({ type: 'update', recipeId: '1', updates: { title: 'Mine' } })).toEqual({ id: '1', title: 'Mine', pending: true })
+    expect(pendingResult({ type: 'delete', recipeId: '1' })).toEqual({ id: '1', deleted: true, pending: true })
+    expect(pendingResult({ type: 'undelete', recipeId: '1' })).toEqual({ id: '1', deleted: false, pending: true })
+  })
+
+  test('applies queued changes to the recipe list', () => {
+    const recipes = [{ id: '1', title: 'Scones', text: 'Notes' }, { id: '2', title: 'Bread' }]
+    const entries = [
+      { type: 'add', recipeId: 'pending-a', recipe: { title: 'Cake' }, queuedAt: 'a' },
+      { type: 'add', recipeId: 'pending-b', recipe: { title: 'Pie' }, queuedAt: 'b' },
+      { type: 'update', recipeId: '1', updates: { title: 'Cheese Scones' } },
+      { type: 'delete', recipeId: '2' },
+    ]
+
+    expect(applyPendingMutations(recipes, entries)).toEqual([
+      { id: 'pending-b', title: 'Pie', created: 'b', pending: true },
+      { id: 'pending-a', title: 'Cake', created: 'a', pending: true },
+      { id: '1', title: 'Cheese Scones', text: 'Notes', pending: true },
+      { id: '2', title: 'Bread', deleted: true, pending: true },
+    ])
+    expect(applyPendingMutations(recipes, entries, { includeAdded: false }).map(recipe => recipe.id)).toEqual(['1', '2'])
+  })
+})
@@ -0,0 +1,57 @@
+// The app's side of the service worker's offline caching (public/service-worker.js)
+import { useSyncExternalStore } from 'react';
+import { SYNC_TAG } from './mutationQueue';
+
+// Must match RECIPE_CACHE in the service worker
+export const RECIPE_CACHE = 'jessipes-recipes';
+
+// Recipes cached for offline use belong to whoever was signed in
+export async function clearRecipeCache() {
+    if (typeof caches === 'undefined') return;
+    await caches.delete(RECIPE_CACHE);
+}
+
+function onServiceWorkerMessage(type, listener) {
+    const serviceWorker = navigator.serviceWorker;
+    if (!serviceWorker) return () => {};
+
+    const handleMessage = event => {
+        if (event.data?.type === type) {
+            listener();
+        }
+    };
+    serviceWorker.addEventListener('message', handleMessage);
+    return () => serviceWorker.removeEventListener('message', handleMessage);
+}
+
+// Calls `listener` when the service worker refreshed the cached recipe list and it
+// changed, so a list shown from the cache can be fetched again. Returns an unsubscribe.
+export function onRecipesUpdated(listener) {
+    return onServiceWorkerMessage('recipes-updated', listener);
+}
+
+// Whether the service worker can wake the app to send changes queued offline
+// (Background Sync). Without it the app sends them when it comes back into focus.
+export function supportsBackgroundSync() {
+    return Boolean(navigator.serviceWorker) && typeof SyncManager !== 'undefined';
+}
+
+// Calls `listener` when Background Sync fires after the connection comes back.
+// Returns an unsubscribe.
+export function onReplayRequested(listener) {
+    return onServiceWorkerMessage(SYNC_TAG, listener);
+}
+
+function subscribeOnline(callback) {
+    window.addEventListener('online', callback);
+    window.addEventListener('offline', callback);
+    return () => {
+        window.removeEventListener('online', callback);
+        window.removeEventListener('offline', callback);
+    };
+}
+
+// Whether the browser thinks it has a connection
+export function useOnlineStatus() {
+    return useSyncExternalStore(subscribeOnline, () => navigator.onLine);
+}
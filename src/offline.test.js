@@ -0,0 +1,67 @@
+import { act, renderHook } from '@testing-library/react'
+import { RECIPE_CACHE, clearRecipeCache, onRecipesUpdated, onReplayRequested, supportsBackgroundSync, useOnlineStatus } from './offline'
+
+describe('Offline support', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  test('clears the cached recipes', async () => {
+    const caches = { delete: vi.fn().mockResolvedValue(true) }
+    vi.stubGlobal('caches', caches)
+
+    await clearRecipeCache()
+
+    expect(caches.delete).toHaveBeenCalledWith(RECIPE_CACHE)
+  })
+
+  test('does nothing without the Cache API', async () => {
+    await expect(clearRecipeCache()).resolves.toBeUndefined()
+  })
+
+  test('tells listeners when the service worker has newer recipes', () => {
+    const serviceWorker = new EventTarget()
+    // jsdom has no service worker container
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+    const listener = vi.fn()
+
+    const unsubscribe = onRecipesUpdated(listener)
+    serviceWorker.dispatchEvent(new MessageEvent('message', { data: { type: 'other' } }))
+    serviceWorker.dispatchEvent(new MessageEvent('message', { data: { type: 'recipes-updated' } }))
+    unsubscribe()
+    serviceWorker.dispatchEvent(new MessageEvent('message', { data: { type: 'recipes-updated' } }))
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    delete navigator.serviceWorker
+  })
+
+  test('tells listeners when Background Sync fires', () => {
+    const serviceWorker = new EventTarget()
+    Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+    vi.stubGlobal('SyncManager', class SyncManager {})
+    const listener = vi.fn()
+
+    expect(supportsBackgroundSync()).toBe(true)
+    const unsubscribe = onReplayRequested(listener)
+    serviceWorker.dispatchEvent(new MessageEvent('message', { data: { type: 'replay-mutations' } }))
+    unsubscribe()
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    delete navigator.serviceWorker
+    expect(supportsBackgroundSync()).toBe(false)
+  })
+
+  test('follows the connection going and coming back', () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(true)
+    const { result } = renderHook(() => useOnlineStatus())
+    expect(result.current).toBe(true)
+
+    onLine.mockReturnValue(false)
+    act(() => { window.dispatchEvent(new Event('offline')) })
+    expect(result.current).toBe(false)
+
+    onLine.mockReturnValue(true)
+    act(() => { window.dispatchEvent(new Event('online')) })
+    expect(result.current).toBe(true)
+  })
+})
@@ -0,0 +1,92 @@
+// IndexedDB storage for what the app keeps on the device while offline
+const DB_NAME = 'jessipes';
+const DB_VERSION = 2;
+
+// Changes made offline, waiting to be sent (see mutationQueue.js)
+export const MUTATIONS_STORE = 'mutations';
+// The local copy of every recipe, kept up to date by delta sync (see recipeMirror.js)
+export const RECIPES_STORE = 'recipes';
+
+let database = null;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!database) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        // Stores are added as versions go up; create whichever this database doesn't have yet
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+                db.createObjectStore(MUTATIONS_STORE, { keyPath: 'seq', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(RECIPES_STORE)) {
+                db.createObjectStore(RECIPES_STORE, { keyPath: 'id' });
+            }
+        };
+        database = promisify(request).catch(error => {
+            database = null;
+            throw error;
+        });
+    }
+    return database;
+}
+
+// Run `operation` on one store and wait for its transaction to commit
+async function withStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const result = promisify(operation(transaction.objectStore(storeName)));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+}
+
+// Private browsing in some browsers, and older ones, have no IndexedDB
+export function hasOfflineStore() {
+    return typeof indexedDB !== 'undefined';
+}
+
+// Every record in a store, in key order. Browsers without IndexedDB have nothing stored.
+export async function getAllRecords(storeName) {
+    if (typeof indexedDB === 'undefined') return [];
+    return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+// Returns the new record's key
+export function addRecord(storeName, record) {
+    return withStore(storeName, 'readwrite', store => store.add(record));
+}
+
+export function putRecord(storeName, record) {
+    return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+export function deleteRecord(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+// Several writes in one transaction, so they land together or not at all:
+// clear the store first if `clear` is set, then put `put` and delete the `remove` keys
+export async function writeRecords(storeName, { clear = false, put = [], remove = [] }) {
+    await withStore(storeName, 'readwrite', store => {
+        if (clear) store.clear();
+        put.forEach(record => store.put(record));
+        remove.forEach(key => store.delete(key));
+        // withStore waits on a request; any will do once the writes are queued
+        return store.count();
+    });
+}
+
+export async function clearRecords(storeName) {
+    if (typeof indexedDB === 'undefined') return;
+    await withStore(storeName, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,58 @@
+// Photos are shrunk in the browser before upload. Phone photos run to several
+// megabytes and carry EXIF data, GPS position included, and uploaded photos are served
+// publicly from /photos/. Redrawing the image on a canvas applies its EXIF orientation
+// and leaves every piece of metadata behind; the result is re-encoded as WebP, or JPEG
+// where the browser can't write WebP.
+
+// Longest side in pixels, from VITE_PHOTO_MAX_DIMENSION at build time when set
+export const PHOTO_MAX_DIMENSION = Number(import.meta.env.VITE_PHOTO_MAX_DIMENSION) || 2048;
+const PHOTO_QUALITY = 0.85;
+// In order of preference
+const ENCODED_TYPES = ['image/webp', 'image/jpeg'];
+// Redrawing would lose a GIF's animation and rasterise an SVG
+const KEPT_TYPES = ['image/gif', 'image/svg+xml'];
+
+function encodeCanvas(canvas, type) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, PHOTO_QUALITY));
+}
+
+// Browsers that can't write a type hand back a PNG instead
+async function encodePhoto(canvas) {
+    for (const type of ENCODED_TYPES) {
+        const blob = await encodeCanvas(canvas, type);
+        if (blob?.type === type) return blob;
+    }
+    return null;
+}
+
+function renamed(name, type) {
+    const extension = type === 'image/webp' ? 'webp' : 'jpg';
+    return `${name.replace(/\.[^./]*$/, '') || 'photo'}.${extension}`;
+}
+
+// The photo to upload in place of `file`: no larger than `maxDimension` on its longest
+// side, upright and without metadata. Anything the browser can't decode or encode is
+// uploaded as it is.
+export async function preparePhotoForUpload(file, { maxDimension = PHOTO_MAX_DIMENSION } = {}) {
+    if (!file?.type?.startsWith('image/') || KEPT_TYPES.includes(file.type)) return file;
+    if (typeof createImageBitmap === 'undefined') return file;
+
+    try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+        const context = canvas.getContext('2d');
+        if (!context) return file;
+
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        const blob = await encodePhoto(canvas);
+        if (!blob) return file;
+        return new File([blob], renamed(file.name, blob.type), { type: blob.type, lastModified: file.lastModified });
+    } catch (error) {
+        console.warn('Failed to shrink photo, uploading the original:', error);
+        return file;
+    }
+}
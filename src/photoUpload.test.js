@@ -0,0 +1,76 @@
+import { preparePhotoForUpload } from './photoUpload'
+
+const photo = new File(['exif and pixels'], 'IMG_0001.JPG', { type: 'image/jpeg', lastModified: 1700000000000 })
+
+// A browser that decodes to a `width` × `height` bitmap and can write `writable` types
+function stubCanvas({ width = 4000, height = 3000, writable = ['image/webp', 'image/jpeg'] } = {}) {
+  const bitmap = { width, height, close: vi.fn() }
+  const context = { drawImage: vi.fn() }
+  vi.stubGlobal('createImageBitmap', vi.fn(async () => bitmap))
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context)
+  vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation((callback, type) => {
+    callback(new Blob(['encoded'], { type: writable.includes(type) ? type : 'image/png' }))
+  })
+  return { bitmap, context }
+}
+
+describe('Photo upload', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  test('shrinks the photo to the longest side and re-encodes it as WebP', async () => {
+    const { bitmap, context } = stubCanvas()
+
+    const prepared = await preparePhotoForUpload(photo, { maxDimension: 1600 })
+
+    expect(createImageBitmap).toHaveBeenCalledWith(photo, { imageOrientation: 'from-image' })
+    expect(context.drawImage).toHaveBeenCalledWith(bitmap, 0, 0, 1600, 1200)
+    expect(bitmap.close).toHaveBeenCalled()
+    expect(prepared).toBeInstanceOf(File)
+    expect(prepared.name).toBe('IMG_0001.webp')
+    expect(prepared.type).toBe('image/webp')
+    expect(prepared.lastModified).toBe(photo.lastModified)
+  })
+
+  test('re-encodes smaller photos at their own size to drop the metadata', async () => {
+    const { context } = stubCanvas({ width: 800, height: 1200 })
+
+    const prepared = await preparePhotoForUpload(photo, { maxDimension: 1600 })
+
+    expect(context.drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 800, 1200)
+    expect(prepared).not.toBe(photo)
+  })
+
+  test('falls back to JPEG where the browser cannot write WebP', async () => {
+    stubCanvas({ writable: ['image/jpeg'] })
+
+    const prepared = await preparePhotoForUpload(photo)
+
+    expect(prepared.name).toBe('IMG_0001.jpg')
+    expect(prepared.type).toBe('image/jpeg')
+  })
+
+  test('uploads the original when the browser cannot re-encode it', async () => {
+    expect(await preparePhotoForUpload(photo)).toBe(photo)
+
+    stubCanvas({ writable: [] })
+    expect(await preparePhotoForUpload(photo)).toBe(photo)
+
+    HTMLCanvasElement.prototype.getContext.mockReturnValue(null)
+    expect(await preparePhotoForUpload(photo)).toBe(photo)
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    createImageBitmap.mockRejectedValue(new DOMException('The source image could not be decoded.'))
+    expect(await preparePhotoForUpload(photo)).toBe(photo)
+    expect(warn).toHaveBeenCalled()
+  })
+
+  test('leaves GIFs and SVGs alone', async () => {
+    stubCanvas()
+    const gif = new File(['gif'], 'dance.gif', { type: 'image/gif' })
+
+    expect(await preparePhotoForUpload(gif)).toBe(gif)
+    expect(createImageBitmap).not.toHaveBeenCalled()
+  })
+})
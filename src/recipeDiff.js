@@ -0,0 +1,101 @@
+// Side-by-side comparison of two versions of a recipe, for the history panel and merge dialog
+
+import { formatIngredient } from './recipeFormat.js';
+import { upgradeRecipe } from './recipeSchema.js';
+
+const FIELD_LABELS = {
+    title: 'Title',
+    text: 'Notes',
+    ingredients: 'Ingredients',
+    steps: 'Steps',
+    tags: 'Tags',
+};
+// The history panel compares these; the merge dialog compares every labelled field
+const HISTORY_FIELDS = ['title', 'text', 'ingredients'];
+
+export function fieldLabel(field) {
+    return FIELD_LABELS[field] || field;
+}
+
+// One field of a recipe as a list of display lines
+export function fieldLines(recipe, field) {
+    const upgraded = upgradeRecipe(recipe) || {};
+    switch (field) {
+        case 'title':
+            return upgraded.title ? [upgraded.title] : [];
+        case 'text':
+            return upgraded.text ? upgraded.text.split('\n') : [];
+        case 'ingredients':
+            return (upgraded.ingredients || []).map(ingredient => (
+                ingredient.group ? `${ingredient.group}: ${formatIngredient(ingredient)}` : formatIngredient(ingredient)
+            ));
+        case 'steps':
+            return (upgraded.steps || []).map(step => step.text);
+        case 'tags':
+            return upgraded.tags || [];
+        default:
+            return upgraded[field] === undefined ? [] : [JSON.stringify(upgraded[field])];
+    }
+}
+
+// The parts of a recipe the history panel compares, each as a list of lines
+export function comparableFields(recipe, fields = HISTORY_FIELDS) {
+    return fields.map(field => ({ field, label: fieldLabel(field), lines: fieldLines(recipe, field) }));
+}
+
+// Line-by-line diff using the longest common subsequence. Returns rows for two
+// columns: unchanged lines sit side by side, a run of removed lines is paired
+// with the run of added lines that replaced it, and leftovers have an empty side.
+export function diffLines(before, after) {
+    const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    function flush() {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({
+                type: k < removed.length && k < added.length ? 'changed' : k < removed.length ? 'removed' : 'added',
+                before: removed[k] ?? null,
+                after: added[k] ?? null,
+            });
+        }
+        removed = [];
+        added = [];
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            flush();
+            rows.push({ type: 'same', before: before[i], after: after[j] });
+            i++;
+            j++;
+        } else if (j >= after.length || (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            removed.push(before[i]);
+            i++;
+        } else {
+            added.push(after[j]);
+            j++;
+        }
+    }
+    flush();
+    return rows;
+}
+
+// Compare every field of two versions; `changed` is false when a field is identical
+export function diffRecipes(before, after) {
+    const afterFields = comparableFields(after);
+    return comparableFields(before).map((field, index) => {
+        const rows = diffLines(field.lines, afterFields[index].lines);
+        return { field: field.field, label: field.label, rows, changed: rows.some(row => row.type !== 'same') };
+    });
+}
@@ -0,0 +1,50 @@
+import { comparableFields, diffLines, diffRecipes } from './recipeDiff'
+
+describe('Recipe diff', () => {
+  test('keeps unchanged lines side by side', () => {
+    expect(diffLines(['a', 'b'], ['a', 'b'])).toEqual([
+      { type: 'same', before: 'a', after: 'a' },
+      { type: 'same', before: 'b', after: 'b' },
+    ])
+  })
+
+  test('pairs replaced lines and leaves one side empty for additions and removals', () => {
+    expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'e', 'f'])).toEqual([
+      { type: 'same', before: 'a', after: 'a' },
+      { type: 'changed', before: 'b', after: 'x' },
+      { type: 'same', before: 'c', after: 'c' },
+      { type: 'changed', before: 'd', after: 'e' },
+      { type: 'added', before: null, after: 'f' },
+    ])
+    expect(diffLines(['a', 'b'], [])).toEqual([
+      { type: 'removed', before: 'a', after: null },
+      { type: 'removed', before: 'b', after: null },
+    ])
+  })
+
+  test('compares title, notes and formatted ingredients', () => {
+    const fields = comparableFields({
+      title: 'Scones',
+      text: 'Line one\nLine two',
+      schemaVersion: 2,
+      ingredients: [{ quantity: 2, unit: 'cup', item: 'flour', group: 'Dough' }],
+    })
+
+    expect(fields.map(field => field.label)).toEqual(['Title', 'Notes', 'Ingredients'])
+    expect(fields[1].lines).toEqual(['Line one', 'Line two'])
+    expect(fields[2].lines).toEqual(['Dough: 2 cups flour'])
+  })
+
+  test('marks which fields changed between versions', () => {
+    const diff = diffRecipes(
+      { title: 'Scones', text: 'Handwritten notes' },
+      { title: 'Scones', text: 'Oops' },
+    )
+
+    expect(diff.map(field => [field.field, field.changed])).toEqual([
+      ['title', false],
+      ['text', true],
+      ['ingredients', false],
+    ])
+  })
+})
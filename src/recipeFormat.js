@@ -0,0 +1,98 @@
+// Display helpers for structured recipe data
+
+import { unitLabel } from './units.js';
+
+export function formatQuantity(quantity) {
+    if (quantity === null || quantity === undefined) return '';
+    return String(Math.round(quantity * 100) / 100);
+}
+
+const FRACTION_GLYPHS = [
+    [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+    [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞'],
+];
+// Metric amounts read better as decimals ("0.5 l", not "½ l")
+const DECIMAL_UNITS = new Set(['g', 'kg', 'ml', 'l', 'cm']);
+
+// "1⅓" for kitchen measures, falling back to decimals when no fraction fits
+export function formatMeasure(quantity, unit) {
+    if (quantity === null || quantity === undefined) return '';
+    if (DECIMAL_UNITS.has(unit)) return formatQuantity(quantity);
+    const whole = Math.floor(quantity);
+    const glyph = FRACTION_GLYPHS.find(([value]) => Math.abs(quantity - whole - value) < 0.01);
+    if (!glyph) return formatQuantity(quantity);
+    return whole ? `${whole}${glyph[1]}` : glyph[1];
+}
+
+// "2-3" for ranges, otherwise a single quantity
+export function formatQuantityRange(ingredient) {
+    const quantity = formatQuantity(ingredient.quantity);
+    if (quantity && ingredient.quantityMax) {
+        return `${quantity}-${formatQuantity(ingredient.quantityMax)}`;
+    }
+    return quantity;
+}
+
+// "1½ cups" or "2-3 tbsp"
+export function formatAmount(ingredient) {
+    const amount = ingredient.quantityMax ?? ingredient.quantity;
+    const quantity = formatMeasure(ingredient.quantity, ingredient.unit);
+    return [
+        quantity && ingredient.quantityMax
+            ? `${quantity}-${formatMeasure(ingredient.quantityMax, ingredient.unit)}`
+            : quantity,
+        unitLabel(ingredient.unit, amount),
+    ]
+        .filter(Boolean)
+        .join(' ');
+}
+
+// "1½ cups (200g) plain flour, sifted"
+export function formatIngredient(ingredient) {
+    const parts = [
+        formatAmount(ingredient),
+        ingredient.alternate && `(${ingredient.alternate})`,
+        ingredient.item,
+    ]
+        .filter(Boolean)
+        .join(' ');
+    return ingredient.note ? `${parts}, ${ingredient.note}` : parts;
+}
+
+// Format a number of seconds as "1 hr 5 min"
+export function formatTimer(seconds) {
+    if (!seconds) return '';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const remainder = seconds % 60;
+    const parts = [];
+    if (hours) parts.push(`${hours} hr`);
+    if (minutes) parts.push(`${minutes} min`);
+    if (remainder && !hours) parts.push(`${remainder} sec`);
+    return parts.join(' ');
+}
+
+// Format an ISO 8601 duration such as "PT1H30M" from schema.org data.
+// Unrecognised values are returned unchanged.
+export function formatDuration(duration) {
+    if (!duration) return '';
+    const match = duration.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match) return duration;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(value => Number(value) || 0);
+    return formatTimer(days * 86400 + hours * 3600 + minutes * 60 + seconds) || duration;
+}
+
+// Group consecutive ingredients by their group heading, preserving order
+export function groupIngredients(ingredients) {
+    const groups = [];
+    for (const ingredient of ingredients) {
+        const name = ingredient.group || null;
+        const last = groups[groups.length - 1];
+        if (last && last.name === name) {
+            last.ingredients.push(ingredient);
+        } else {
+            groups.push({ name, ingredients: [ingredient] });
+        }
+    }
+    return groups;
+}
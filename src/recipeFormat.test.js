@@ -0,0 +1,53 @@
+import { formatQuantity, formatMeasure, formatIngredient, formatTimer, formatDuration, groupIngredients } from './recipeFormat'
+
+describe('Recipe Formatting', () => {
+  test('formats quantities without float noise', () => {
+    expect(formatQuantity(null)).toBe('')
+    expect(formatQuantity(2)).toBe('2')
+    expect(formatQuantity(0.1 + 0.2)).toBe('0.3')
+  })
+
+  test('formats ingredients with unit and note', () => {
+    expect(formatIngredient({ quantity: 1.5, unit: 'cups', item: 'plain flour', note: 'sifted' }))
+      .toBe('1½ cups plain flour, sifted')
+    expect(formatIngredient({ quantity: null, unit: null, item: 'salt', note: null })).toBe('salt')
+  })
+
+  test('formats kitchen measures as fractions and metric amounts as decimals', () => {
+    expect(formatMeasure(0.333, 'cup')).toBe('⅓')
+    expect(formatMeasure(1.75, 'tsp')).toBe('1¾')
+    expect(formatMeasure(2, null)).toBe('2')
+    expect(formatMeasure(0.3, 'cup')).toBe('0.3')
+    expect(formatMeasure(0.5, 'l')).toBe('0.5')
+    expect(formatIngredient({ quantity: 0.25, quantityMax: 0.5, unit: 'tsp', item: 'chilli flakes' }))
+      .toBe('¼-½ tsp chilli flakes')
+  })
+
+  test('formats timers in seconds', () => {
+    expect(formatTimer(90)).toBe('1 min 30 sec')
+    expect(formatTimer(3900)).toBe('1 hr 5 min')
+    expect(formatTimer(null)).toBe('')
+  })
+
+  test('formats ISO 8601 durations', () => {
+    expect(formatDuration('PT15M')).toBe('15 min')
+    expect(formatDuration('PT1H30M')).toBe('1 hr 30 min')
+    expect(formatDuration('P0DT2H')).toBe('2 hr')
+    expect(formatDuration('about an hour')).toBe('about an hour')
+  })
+
+  test('groups consecutive ingredients by group name', () => {
+    const groups = groupIngredients([
+      { item: 'flour', group: 'Cake' },
+      { item: 'sugar', group: 'Cake' },
+      { item: 'icing sugar', group: 'Icing' },
+      { item: 'sprinkles', group: null },
+    ])
+
+    expect(groups.map(group => [group.name, group.ingredients.length])).toEqual([
+      ['Cake', 2],
+      ['Icing', 1],
+      [null, 1],
+    ])
+  })
+})
@@ -0,0 +1,65 @@
+// Three-way merge of an edit with changes someone else saved in the meantime
+
+import { fieldLabel, fieldLines } from './recipeDiff.js';
+import { upgradeRecipe } from './recipeSchema.js';
+
+function sameLines(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// `base` is the recipe the edit started from, `updates` the fields being saved and
+// `current` the copy now on the server. Fields only one side changed merge on their
+// own; a field both sides changed differently is a conflict for the person to resolve.
+// Returns the updates to send against `current`, with conflicting fields set to ours.
+export function mergeRecipeUpdates(base, updates, current) {
+    const merged = {};
+    const conflicts = [];
+
+    for (const [field, value] of Object.entries(updates)) {
+        const original = fieldLines(base, field);
+        const mine = fieldLines(updates, field);
+        const theirs = fieldLines(current, field);
+
+        if (sameLines(original, theirs)) {
+            merged[field] = value;
+        } else if (!sameLines(original, mine) && !sameLines(mine, theirs)) {
+            merged[field] = value;
+            conflicts.push({ field, label: fieldLabel(field), mine, theirs });
+        }
+    }
+
+    return { updates: merged, conflicts };
+}
+
+// Like mergeRecipeUpdates for an edit whose starting copy is gone (one queued offline):
+// with no way to tell who changed what, every field that differs from `current` is a conflict
+export function compareRecipeUpdates(updates, current) {
+    const conflicts = Object.keys(updates)
+        .map(field => ({ field, label: fieldLabel(field), mine: fieldLines(updates, field), theirs: fieldLines(current, field) }))
+        .filter(({ mine, theirs }) => !sameLines(mine, theirs));
+    const merged = Object.fromEntries(conflicts.map(({ field }) => [field, updates[field]]));
+    return { updates: merged, conflicts };
+}
+
+// The updates to save once each conflict is resolved; `choices` maps a field to
+// 'mine' or 'theirs', and fields where theirs wins are left as they are
+export function resolveConflicts(updates, choices) {
+    const resolved = { ...updates };
+    for (const [field, choice] of Object.entries(choices)) {
+        if (choice === 'theirs') {
+            delete resolved[field];
+        }
+    }
+    return resolved;
+}
+
+// The updates that put `base`'s values back for every field an edit saved, to undo it.
+// Fields `base` didn't have go back to empty.
+export function undoUpdates(base, updates) {
+    const original = upgradeRecipe(base) || {};
+    const undo = {};
+    for (const field of Object.keys(updates)) {
+        undo[field] = original[field] ?? (['title', 'text'].includes(field) ? '' : []);
+    }
+    return undo;
+}
@@ -0,0 +1,61 @@
+import { compareRecipeUpdates, mergeRecipeUpdates, resolveConflicts, undoUpdates } from './recipeMerge'
+
+describe('Recipe merge', () => {
+  const base = { title: 'Scones', text: 'Original notes', tags: ['baking'] }
+
+  test('keeps our changes where the server copy is unchanged', () => {
+    const result = mergeRecipeUpdates(base, { title: 'Cheese scones', text: 'Original notes' }, { ...base, updatedBy: 'Sam' })
+
+    expect(result).toEqual({ updates: { title: 'Cheese scones', text: 'Original notes' }, conflicts: [] })
+  })
+
+  test('keeps their changes to fields we did not touch', () => {
+    const current = { ...base, text: 'Their notes', tags: ['baking', 'tea'] }
+
+    const result = mergeRecipeUpdates(base, { title: 'Cheese scones', text: 'Original notes', tags: ['baking'] }, current)
+
+    expect(result).toEqual({ updates: { title: 'Cheese scones' }, conflicts: [] })
+  })
+
+  test('reports fields both sides changed differently', () => {
+    const current = { ...base, text: 'Their notes\nwith more' }
+
+    const result = mergeRecipeUpdates(base, { title: 'Scones', text: 'My notes' }, current)
+
+    expect(result.updates).toEqual({ title: 'Scones', text: 'My notes' })
+    expect(result.conflicts).toEqual([
+      { field: 'text', label: 'Notes', mine: ['My notes'], theirs: ['Their notes', 'with more'] },
+    ])
+  })
+
+  test('the same change on both sides is not a conflict', () => {
+    const result = mergeRecipeUpdates(base, { text: 'Fixed typo' }, { ...base, text: 'Fixed typo' })
+
+    expect(result).toEqual({ updates: {}, conflicts: [] })
+  })
+
+  test('compares ingredients by what they say, not how they are stored', () => {
+    const stored = { schemaVersion: 2, ingredients: [{ quantity: 2, unit: 'cup', item: 'flour', note: null, group: null }] }
+    const edited = { ingredients: [{ quantity: 2, unit: 'cup', item: 'flour' }] }
+
+    expect(mergeRecipeUpdates(stored, edited, { ...stored, text: 'New' })).toEqual({ updates: edited, conflicts: [] })
+  })
+
+  test('without the starting copy, every field that differs is a conflict', () => {
+    const current = { title: 'Sam’s Scones', text: 'Notes' }
+
+    expect(compareRecipeUpdates({ title: 'Cheese Scones', text: 'Notes' }, current)).toEqual({
+      updates: { title: 'Cheese Scones' },
+      conflicts: [{ field: 'title', label: 'Title', mine: ['Cheese Scones'], theirs: ['Sam’s Scones'] }],
+    })
+  })
+
+  test('resolving a conflict in their favour drops our field', () => {
+    expect(resolveConflicts({ title: 'Mine', text: 'Mine' }, { text: 'theirs', title: 'mine' })).toEqual({ title: 'Mine' })
+  })
+
+  test('undoes an edit by putting back the fields it saved', () => {
+    expect(undoUpdates(base, { title: 'Cheese scones', tags: ['tea'] })).toEqual({ title: 'Scones', tags: ['baking'] })
+    expect(undoUpdates({ title: 'Scones' }, { text: 'New notes', steps: [{ text: 'Bake' }] })).toEqual({ text: '', steps: [] })
+  })
+})
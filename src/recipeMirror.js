@@ -0,0 +1,35 @@
+// The local copy of every recipe, in IndexedDB. The app shows it straight away when
+// it opens, then asks the worker only for what changed since the last sync.
+import { fetchRecipeChanges } from './api';
+import { RECIPES_STORE, clearRecords, getAllRecords, hasOfflineStore, writeRecords } from './offlineStore';
+
+const LOCAL_SYNC_CURSOR_KEY = 'jessipes_sync_cursor';
+
+// Without IndexedDB the app pages through the worker's list instead
+export function canMirrorRecipes() {
+    return hasOfflineStore();
+}
+
+// Newest first, like the worker's list
+export async function loadMirroredRecipes() {
+    const recipes = await getAllRecords(RECIPES_STORE);
+    return recipes.sort((a, b) => (Date.parse(b.created) || 0) - (Date.parse(a.created) || 0));
+}
+
+// Bring the local copy up to date with the worker and return it
+export async function syncRecipeMirror(token) {
+    // The browser may have cleared the copy but not the cursor; then start over
+    const hasCopy = (await getAllRecords(RECIPES_STORE)).length > 0;
+    const since = hasCopy ? localStorage.getItem(LOCAL_SYNC_CURSOR_KEY) : null;
+
+    const changes = await fetchRecipeChanges(token, since);
+    await writeRecords(RECIPES_STORE, { clear: changes.reset, put: changes.recipes, remove: changes.deleted });
+    localStorage.setItem(LOCAL_SYNC_CURSOR_KEY, changes.cursor);
+    return loadMirroredRecipes();
+}
+
+// The copy belongs to whoever was signed in
+export async function clearRecipeMirror() {
+    localStorage.removeItem(LOCAL_SYNC_CURSOR_KEY);
+    await clearRecords(RECIPES_STORE);
+}
@@ -0,0 +1,63 @@
+import { fetchRecipeChanges } from './api'
+import { canMirrorRecipes, clearRecipeMirror, loadMirroredRecipes, syncRecipeMirror } from './recipeMirror'
+import { resetOfflineStore } from './test/memoryOfflineStore'
+
+vi.mock('./api', () => ({ fetchRecipeChanges: vi.fn() }))
+vi.mock('./offlineStore', () => import('./test/memoryOfflineStore'))
+
+const scones = { id: 'r1', title: 'Scones', created: '2024-01-01T00:00:00Z', etag: '"a"' }
+const bread = { id: 'r2', title: 'Bread', created: '2024-02-01T00:00:00Z', etag: '"b"' }
+
+describe('Recipe mirror', () => {
+  beforeEach(() => {
+    resetOfflineStore()
+  })
+
+  test('a first sync stores every recipe, newest first', async () => {
+    fetchRecipeChanges.mockResolvedValue({ recipes: [scones, bread], deleted: [], cursor: '100', reset: true })
+
+    expect(canMirrorRecipes()).toBe(true)
+    expect(await syncRecipeMirror('token')).toEqual([bread, scones])
+    expect(fetchRecipeChanges).toHaveBeenCalledWith('token', null)
+    expect(localStorage.setItem).toHaveBeenCalledWith('jessipes_sync_cursor', '100')
+    expect(await loadMirroredRecipes()).toEqual([bread, scones])
+  })
+
+  test('later syncs apply only the changes since the saved cursor', async () => {
+    fetchRecipeChanges.mockResolvedValueOnce({ recipes: [scones, bread], deleted: [], cursor: '100', reset: true })
+    await syncRecipeMirror('token')
+    localStorage.getItem.mockImplementation(key => (key === 'jessipes_sync_cursor' ? '100' : null))
+    const cheeseScones = { ...scones, title: 'Cheese Scones', etag: '"c"' }
+    fetchRecipeChanges.mockResolvedValueOnce({ recipes: [cheeseScones], deleted: ['r2'], cursor: '200', reset: false })
+
+    expect(await syncRecipeMirror('token')).toEqual([cheeseScones])
+    expect(fetchRecipeChanges).toHaveBeenLastCalledWith('token', '100')
+  })
+
+  test('a reset replaces the whole copy', async () => {
+    fetchRecipeChanges.mockResolvedValueOnce({ recipes: [scones, bread], deleted: [], cursor: '100', reset: true })
+    await syncRecipeMirror('token')
+    fetchRecipeChanges.mockResolvedValueOnce({ recipes: [bread], deleted: [], cursor: '200', reset: true })
+
+    expect(await syncRecipeMirror('token')).toEqual([bread])
+  })
+
+  test('starts over when the copy is gone but the cursor is not', async () => {
+    localStorage.getItem.mockReturnValue('100')
+    fetchRecipeChanges.mockResolvedValue({ recipes: [scones], deleted: [], cursor: '200', reset: true })
+
+    await syncRecipeMirror('token')
+
+    expect(fetchRecipeChanges).toHaveBeenCalledWith('token', null)
+  })
+
+  test('clears the copy and its cursor', async () => {
+    fetchRecipeChanges.mockResolvedValue({ recipes: [scones], deleted: [], cursor: '100', reset: true })
+    await syncRecipeMirror('token')
+
+    await clearRecipeMirror()
+
+    expect(await loadMirroredRecipes()).toEqual([])
+    expect(localStorage.removeItem).toHaveBeenCalledWith('jessipes_sync_cursor')
+  })
+})
@@ -0,0 +1,365 @@
+// Structured recipe schema shared by the worker and the app.
+// Version 1 records only have title/url/text/photo/previewImage (plus string
+// ingredients and instructions from JSON-LD imports); version 2 adds structured
+// ingredients[] and steps[]. Ingredients may also carry a quantityMax for
+// ranges ("2-3 cloves") and an alternate measure ("200g"); those two keys are
+// only present when set. Uploaded photos are in photos[], and photo is kept as the
+// first of them, the cover; records from before photos[] only have photo.
+
+import { parseIngredient, parseIngredientLines, parseQuantity } from './ingredientParser.js';
+import { validateTags } from './tags.js';
+import { canonicalUnit } from './units.js';
+
+export const RECIPE_SCHEMA_VERSION = 2;
+
+export const MAX_INGREDIENTS = 200;
+export const MAX_STEPS = 100;
+const MAX_FIELD_LENGTH = 500;
+const MAX_STEP_LENGTH = 5000;
+const MAX_INGREDIENTS_TEXT_LENGTH = 20000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_URL_LENGTH = 2048;
+const MAX_YIELD_LENGTH = 100;
+const MAX_LABELS = 20;
+const MAX_LABEL_LENGTH = 100;
+// ISO 8601 durations as found in JSON-LD, e.g. "PT1H30M"
+const DURATION_PATTERN = /^P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+// Fields a client may send when adding a recipe (plus the photo upload) and when editing one.
+// Everything else on a record is managed by the worker and can't be written directly.
+export const CREATE_RECIPE_FIELDS = ['title', 'url', 'text', 'ingredients', 'ingredientsText', 'steps', 'tags'];
+export const EDITABLE_RECIPE_FIELDS = [
+    ...CREATE_RECIPE_FIELDS,
+    'deleted', 'yield', 'prepTime', 'cookTime', 'totalTime', 'cuisine', 'category',
+];
+const SERVER_MANAGED_FIELDS = [
+    'id', 'created', 'createdBy', 'updated', 'updatedBy', 'deletedAt', 'photo', 'photos', 'previewImage',
+    'shareToken', 'schemaVersion', 'suggestedTags', 'instructions',
+];
+
+export function createIngredient(fields = {}) {
+    return { quantity: null, unit: null, item: '', note: null, group: null, ...fields };
+}
+
+export function createStep(fields = {}) {
+    return { text: '', ...fields };
+}
+
+function optionalString(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+function checkOptionalString(errors, field, value, maxLength) {
+    if (value === null || value === undefined) return;
+    if (typeof value !== 'string') {
+        errors.push({ field, message: 'must be a string' });
+    } else if (value.length > maxLength) {
+        errors.push({ field, message: `must be at most ${maxLength} characters` });
+    }
+}
+
+// Validate an ingredients payload, returning a list of { field, message } problems
+export function validateIngredients(ingredients) {
+    const errors = [];
+
+    if (!Array.isArray(ingredients)) {
+        return [{ field: 'ingredients', message: 'must be an array' }];
+    }
+    if (ingredients.length > MAX_INGREDIENTS) {
+        errors.push({ field: 'ingredients', message: `must have at most ${MAX_INGREDIENTS} entries` });
+    }
+
+    ingredients.forEach((ingredient, index) => {
+        const prefix = `ingredients[${index}]`;
+        if (!ingredient || typeof ingredient !== 'object' || Array.isArray(ingredient)) {
+            errors.push({ field: prefix, message: 'must be an object' });
+            return;
+        }
+
+        const { quantity, quantityMax, item } = ingredient;
+        if (quantity !== null && quantity !== undefined &&
+            (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0)) {
+            errors.push({ field: `${prefix}.quantity`, message: 'must be a non-negative number' });
+        }
+        if (quantityMax !== null && quantityMax !== undefined &&
+            (typeof quantityMax !== 'number' || !Number.isFinite(quantityMax) ||
+             typeof quantity !== 'number' || quantityMax < quantity)) {
+            errors.push({ field: `${prefix}.quantityMax`, message: 'must be a number no smaller than quantity' });
+        }
+        if (typeof item !== 'string' || item.trim() === '') {
+            errors.push({ field: `${prefix}.item`, message: 'is required' });
+        } else if (item.length > MAX_FIELD_LENGTH) {
+            errors.push({ field: `${prefix}.item`, message: `must be at most ${MAX_FIELD_LENGTH} characters` });
+        }
+        checkOptionalString(errors, `${prefix}.unit`, ingredient.unit, MAX_FIELD_LENGTH);
+        checkOptionalString(errors, `${prefix}.note`, ingredient.note, MAX_FIELD_LENGTH);
+        checkOptionalString(errors, `${prefix}.group`, ingredient.group, MAX_FIELD_LENGTH);
+        checkOptionalString(errors, `${prefix}.alternate`, ingredient.alternate, MAX_FIELD_LENGTH);
+    });
+
+    return errors;
+}
+
+// Validate a steps payload, returning a list of { field, message } problems
+export function validateSteps(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps)) {
+        return [{ field: 'steps', message: 'must be an array' }];
+    }
+    if (steps.length > MAX_STEPS) {
+        errors.push({ field: 'steps', message: `must have at most ${MAX_STEPS} entries` });
+    }
+
+    steps.forEach((step, index) => {
+        const prefix = `steps[${index}]`;
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            errors.push({ field: prefix, message: 'must be an object' });
+            return;
+        }
+
+        if (typeof step.text !== 'string' || step.text.trim() === '') {
+            errors.push({ field: `${prefix}.text`, message: 'is required' });
+        } else if (step.text.length > MAX_STEP_LENGTH) {
+            errors.push({ field: `${prefix}.text`, message: `must be at most ${MAX_STEP_LENGTH} characters` });
+        }
+        if (step.timer !== null && step.timer !== undefined &&
+            (!Number.isInteger(step.timer) || step.timer <= 0)) {
+            errors.push({ field: `${prefix}.timer`, message: 'must be a positive number of seconds' });
+        }
+        checkOptionalString(errors, `${prefix}.photo`, step.photo, MAX_FIELD_LENGTH);
+    });
+
+    return errors;
+}
+
+// Convert a single ingredient (free-text line or object) into its stored shape
+export function normalizeIngredient(ingredient) {
+    if (typeof ingredient === 'string') {
+        return normalizeIngredient(parseIngredient(ingredient));
+    }
+    const normalized = {
+        quantity: typeof ingredient.quantity === 'number' ? ingredient.quantity : null,
+        unit: canonicalUnit(optionalString(ingredient.unit)),
+        item: ingredient.item.trim(),
+        note: optionalString(ingredient.note),
+        group: optionalString(ingredient.group),
+    };
+    if (typeof ingredient.quantityMax === 'number' && normalized.quantity !== null) {
+        normalized.quantityMax = ingredient.quantityMax;
+    }
+    const alternate = optionalString(ingredient.alternate);
+    if (alternate) normalized.alternate = alternate;
+    return normalized;
+}
+
+// Convert a single step (legacy string or object) into its stored shape
+export function normalizeStep(step) {
+    if (typeof step === 'string') {
+        return createStep({ text: step.trim() });
+    }
+    const normalized = { text: step.text.trim() };
+    if (step.timer) normalized.timer = step.timer;
+    const photo = optionalString(step.photo);
+    if (photo) normalized.photo = photo;
+    return normalized;
+}
+
+// A recipe's uploaded photos, cover first
+export function recipePhotos(recipe) {
+    if (recipe?.photos?.length) return recipe.photos;
+    return recipe?.photo ? [recipe.photo] : [];
+}
+
+// Bring an older record up to the current schema without touching unrelated fields
+export function upgradeRecipe(recipe) {
+    if (!recipe || recipe.schemaVersion >= RECIPE_SCHEMA_VERSION) {
+        return recipe;
+    }
+
+    const { instructions, ...rest } = recipe;
+    const upgraded = { ...rest, schemaVersion: RECIPE_SCHEMA_VERSION };
+
+    if (Array.isArray(recipe.ingredients)) {
+        upgraded.ingredients = recipe.ingredients
+            .filter(ingredient => typeof ingredient === 'string' ? ingredient.trim() : ingredient?.item)
+            .map(normalizeIngredient);
+    }
+    if (!Array.isArray(recipe.steps) && Array.isArray(instructions)) {
+        upgraded.steps = instructions
+            .filter(step => typeof step === 'string' && step.trim())
+            .map(normalizeStep);
+    }
+
+    return upgraded;
+}
+
+// Whether a prep, cook or total time is in the ISO 8601 form recipes store
+export function isDuration(value) {
+    return typeof value === 'string' && DURATION_PATTERN.test(value);
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function checkLabels(errors, field, value) {
+    if (!Array.isArray(value)) {
+        errors.push({ field, message: 'must be an array' });
+        return;
+    }
+    if (value.length > MAX_LABELS) {
+        errors.push({ field, message: `must have at most ${MAX_LABELS} entries` });
+    }
+    value.forEach((label, index) => {
+        if (typeof label !== 'string' || label.trim() === '') {
+            errors.push({ field: `${field}[${index}]`, message: 'must be a non-empty string' });
+        } else if (label.length > MAX_LABEL_LENGTH) {
+            errors.push({ field: `${field}[${index}]`, message: `must be at most ${MAX_LABEL_LENGTH} characters` });
+        }
+    });
+}
+
+// Validate a recipe payload from a client against an allowlist of fields.
+// Unknown and server-managed fields are rejected rather than stored.
+export function validateRecipeInput(data, { allowed = EDITABLE_RECIPE_FIELDS } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ field: 'recipe', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    for (const field of Object.keys(data)) {
+        if (SERVER_MANAGED_FIELDS.includes(field)) {
+            errors.push({ field, message: 'cannot be changed' });
+        } else if (!allowed.includes(field)) {
+            errors.push({ field, message: 'is not a recognised field' });
+        }
+    }
+
+    checkOptionalString(errors, 'title', data.title, MAX_TITLE_LENGTH);
+    checkOptionalString(errors, 'text', data.text, MAX_TEXT_LENGTH);
+    if (data.url !== undefined && data.url !== null && data.url !== '') {
+        if (typeof data.url !== 'string') {
+            errors.push({ field: 'url', message: 'must be a string' });
+        } else if (data.url.length > MAX_URL_LENGTH) {
+            errors.push({ field: 'url', message: `must be at most ${MAX_URL_LENGTH} characters` });
+        } else if (!isHttpUrl(data.url)) {
+            errors.push({ field: 'url', message: 'must be an http or https URL' });
+        }
+    }
+    if (data.deleted !== undefined && typeof data.deleted !== 'boolean') {
+        errors.push({ field: 'deleted', message: 'must be true or false' });
+    }
+    checkOptionalString(errors, 'yield', data.yield, MAX_YIELD_LENGTH);
+    for (const field of ['prepTime', 'cookTime', 'totalTime']) {
+        const value = data[field];
+        if (value !== undefined && value !== null && !isDuration(value)) {
+            errors.push({ field, message: 'must be an ISO 8601 duration such as PT30M' });
+        }
+    }
+    for (const field of ['cuisine', 'category']) {
+        if (data[field] !== undefined && data[field] !== null) {
+            checkLabels(errors, field, data[field]);
+        }
+    }
+    if (data.tags !== undefined) {
+        errors.push(...validateTags(data.tags));
+    }
+    errors.push(...validateStructuredFields(data));
+    return errors;
+}
+
+// Readable names for the field paths validation errors use, e.g. "ingredients[2].item"
+const FIELD_NAMES = {
+    title: 'Title',
+    url: 'URL',
+    text: 'Notes',
+    ingredients: 'Ingredients',
+    ingredientsText: 'Ingredients',
+    steps: 'Steps',
+    tags: 'Tags',
+    deleted: 'Deleted',
+    yield: 'Yield',
+    prepTime: 'Prep time',
+    cookTime: 'Cook time',
+    totalTime: 'Total time',
+    cuisine: 'Cuisine',
+    category: 'Category',
+};
+const ITEM_NAMES = { ingredients: 'Ingredient', steps: 'Step', tags: 'Tag', cuisine: 'Cuisine', category: 'Category' };
+
+// "ingredients[2].item" -> "Ingredient 3 item"; unknown fields are shown as sent
+export function describeFieldPath(path) {
+    const match = /^(\w+)(?:\[(\d+)\])?(?:\.(\w+))?$/.exec(path);
+    if (!match || !FIELD_NAMES[match[1]]) {
+        return path;
+    }
+    const [, field, index, property] = match;
+    const parts = [index === undefined ? FIELD_NAMES[field] : `${ITEM_NAMES[field] || FIELD_NAMES[field]} ${Number(index) + 1}`];
+    if (property) {
+        parts.push(property.replace(/([A-Z])/g, ' $1').toLowerCase());
+    }
+    return parts.join(' ');
+}
+
+// Validate whichever of ingredients/ingredientsText/steps are present on a payload.
+// ingredientsText is free text, one ingredient per line, parsed into ingredients.
+export function validateStructuredFields(data) {
+    const errors = [];
+    if (data.ingredients !== undefined) errors.push(...validateIngredients(data.ingredients));
+    if (data.ingredientsText !== undefined) {
+        if (data.ingredients !== undefined) {
+            errors.push({ field: 'ingredientsText', message: 'cannot be sent together with ingredients' });
+        } else if (typeof data.ingredientsText !== 'string') {
+            errors.push({ field: 'ingredientsText', message: 'must be a string' });
+        } else if (data.ingredientsText.length > MAX_INGREDIENTS_TEXT_LENGTH) {
+            errors.push({ field: 'ingredientsText', message: `must be at most ${MAX_INGREDIENTS_TEXT_LENGTH} characters` });
+        } else {
+            errors.push(...validateIngredients(parseIngredientLines(data.ingredientsText)));
+        }
+    }
+    if (data.steps !== undefined) errors.push(...validateSteps(data.steps));
+    return errors;
+}
+
+export function hasStructuredFields(data) {
+    return data.ingredients !== undefined || data.ingredientsText !== undefined || data.steps !== undefined;
+}
+
+// Normalise whichever structured fields are present on an already-validated payload
+export function normalizeStructuredFields(data) {
+    const normalized = {};
+    if (data.ingredients !== undefined) normalized.ingredients = data.ingredients.map(normalizeIngredient);
+    if (data.ingredientsText !== undefined) {
+        normalized.ingredients = parseIngredientLines(data.ingredientsText).map(normalizeIngredient);
+    }
+    if (data.steps !== undefined) normalized.steps = data.steps.map(normalizeStep);
+    return normalized;
+}
+
+// Convert an editor row, whose quantity may still be the raw input string
+// ("1 1/2", "2-3"), into an ingredient payload
+export function toIngredientPayload(row) {
+    if (typeof row.quantity !== 'string') {
+        return row;
+    }
+    const { quantityMax: _previousMax, ...rest } = row;
+    if (row.quantity.trim() === '') {
+        return { ...rest, quantity: null };
+    }
+    const parsed = parseQuantity(row.quantity);
+    if (!parsed) {
+        // Leave unparseable input in place so validation can report it
+        return rest;
+    }
+    return parsed.quantityMax === null
+        ? { ...rest, quantity: parsed.quantity }
+        : { ...rest, ...parsed };
+}
@@ -0,0 +1,228 @@
+import {
+  RECIPE_SCHEMA_VERSION,
+  validateIngredients,
+  validateSteps,
+  validateStructuredFields,
+  validateRecipeInput,
+  describeFieldPath,
+  CREATE_RECIPE_FIELDS,
+  normalizeStructuredFields,
+  upgradeRecipe,
+  toIngredientPayload,
+  recipePhotos,
+} from './recipeSchema'
+
+describe('Recipe Schema', () => {
+  describe('validateIngredients', () => {
+    test('accepts well-formed ingredients', () => {
+      expect(validateIngredients([
+        { quantity: 200, unit: 'g', item: 'flour', note: 'sifted', group: 'Cake' },
+        { quantity: null, unit: null, item: 'salt', note: null, group: null },
+        { item: 'pepper' },
+      ])).toEqual([])
+    })
+
+    test('rejects non-arrays', () => {
+      expect(validateIngredients('flour')).toEqual([{ field: 'ingredients', message: 'must be an array' }])
+    })
+
+    test('reports each field problem with its path', () => {
+      const errors = validateIngredients([
+        { quantity: -1, item: 'flour' },
+        { quantity: '2', item: '' },
+        'eggs',
+        { item: 'milk', unit: 5 },
+      ])
+
+      expect(errors).toEqual([
+        { field: 'ingredients[0].quantity', message: 'must be a non-negative number' },
+        { field: 'ingredients[1].quantity', message: 'must be a non-negative number' },
+        { field: 'ingredients[1].item', message: 'is required' },
+        { field: 'ingredients[2]', message: 'must be an object' },
+        { field: 'ingredients[3].unit', message: 'must be a string' },
+      ])
+    })
+
+    test('limits the number of ingredients', () => {
+      const many = Array.from({ length: 201 }, () => ({ item: 'x' }))
+      expect(validateIngredients(many)).toContainEqual({
+        field: 'ingredients',
+        message: 'must have at most 200 entries',
+      })
+    })
+  })
+
+  describe('validateSteps', () => {
+    test('accepts well-formed steps', () => {
+      expect(validateSteps([
+        { text: 'Mix' },
+        { text: 'Bake', timer: 1800 },
+        { text: 'Decorate', photo: 'https://example.com/photo.jpg' },
+      ])).toEqual([])
+    })
+
+    test('reports missing text and bad timers', () => {
+      expect(validateSteps([{ text: '  ' }, { text: 'Bake', timer: 1.5 }, { text: 'Rest', timer: -60 }])).toEqual([
+        { field: 'steps[0].text', message: 'is required' },
+        { field: 'steps[1].timer', message: 'must be a positive number of seconds' },
+        { field: 'steps[2].timer', message: 'must be a positive number of seconds' },
+      ])
+    })
+  })
+
+  test('validateStructuredFields only checks fields that are present', () => {
+    expect(validateStructuredFields({ title: 'Only a title' })).toEqual([])
+    expect(validateStructuredFields({ steps: 'nope' })).toEqual([{ field: 'steps', message: 'must be an array' }])
+  })
+
+  test('normalizeStructuredFields trims values and nulls out empty optionals', () => {
+    expect(normalizeStructuredFields({
+      ingredients: [{ quantity: 2, unit: ' ', item: ' eggs ', note: '', group: 'Batter ' }],
+      steps: [{ text: ' Whisk ', timer: 60, photo: '' }],
+    })).toEqual({
+      ingredients: [{ quantity: 2, unit: null, item: 'eggs', note: null, group: 'Batter' }],
+      steps: [{ text: 'Whisk', timer: 60 }],
+    })
+  })
+
+  describe('validateRecipeInput', () => {
+    test('accepts every editable field', () => {
+      expect(validateRecipeInput({
+        title: 'Scones',
+        url: 'https://example.com/scones',
+        text: 'Notes',
+        deleted: false,
+        yield: '8 scones',
+        prepTime: 'PT15M',
+        cookTime: 'PT1H30M',
+        totalTime: 'P1DT2H',
+        cuisine: ['British'],
+        category: ['Baking'],
+        tags: ['tea'],
+        ingredients: [{ item: 'flour' }],
+        steps: [{ text: 'Bake' }],
+      })).toEqual([])
+    })
+
+    test('rejects server-managed and unknown fields', () => {
+      expect(validateRecipeInput({ created: '2020-01-01', photo: 'x.jpg', colour: 'red' })).toEqual([
+        { field: 'created', message: 'cannot be changed' },
+        { field: 'photo', message: 'cannot be changed' },
+        { field: 'colour', message: 'is not a recognised field' },
+      ])
+    })
+
+    test('limits new recipes to the fields the add form sends', () => {
+      expect(validateRecipeInput({ title: 'Scones', deleted: true }, { allowed: CREATE_RECIPE_FIELDS })).toEqual([
+        { field: 'deleted', message: 'is not a recognised field' },
+      ])
+    })
+
+    test('checks types, lengths and formats', () => {
+      expect(validateRecipeInput({
+        title: 'x'.repeat(201),
+        text: 5,
+        url: 'javascript:alert(1)',
+        deleted: 'yes',
+        prepTime: '30 minutes',
+        cuisine: 'British',
+        category: [''],
+        tags: 'tea',
+      })).toEqual([
+        { field: 'title', message: 'must be at most 200 characters' },
+        { field: 'text', message: 'must be a string' },
+        { field: 'url', message: 'must be an http or https URL' },
+        { field: 'deleted', message: 'must be true or false' },
+        { field: 'prepTime', message: 'must be an ISO 8601 duration such as PT30M' },
+        { field: 'cuisine', message: 'must be an array' },
+        { field: 'category[0]', message: 'must be a non-empty string' },
+        { field: 'tags', message: 'must be an array' },
+      ])
+    })
+
+    test('includes structured field problems', () => {
+      expect(validateRecipeInput({ ingredients: [{ item: '' }] })).toEqual([
+        { field: 'ingredients[0].item', message: 'is required' },
+      ])
+    })
+
+    test('rejects payloads that are not objects', () => {
+      expect(validateRecipeInput(['Scones'])).toEqual([{ field: 'recipe', message: 'must be an object' }])
+    })
+
+    test('describes field paths for people', () => {
+      expect(describeFieldPath('title')).toBe('Title')
+      expect(describeFieldPath('ingredients[2].item')).toBe('Ingredient 3 item')
+      expect(describeFieldPath('ingredients[0].quantityMax')).toBe('Ingredient 1 quantity max')
+      expect(describeFieldPath('steps[1].text')).toBe('Step 2 text')
+      expect(describeFieldPath('tags[0]')).toBe('Tag 1')
+      expect(describeFieldPath('createdBy')).toBe('createdBy')
+    })
+  })
+
+  describe('upgradeRecipe', () => {
+    test('leaves current records untouched', () => {
+      const recipe = { title: 'New', schemaVersion: RECIPE_SCHEMA_VERSION, ingredients: [] }
+      expect(upgradeRecipe(recipe)).toBe(recipe)
+    })
+
+    test('stamps plain version 1 records without inventing fields', () => {
+      expect(upgradeRecipe({ title: 'Old', text: 'Notes' })).toEqual({
+        title: 'Old',
+        text: 'Notes',
+        schemaVersion: RECIPE_SCHEMA_VERSION,
+      })
+    })
+
+    test('converts string ingredients and instructions', () => {
+      expect(upgradeRecipe({
+        title: 'Imported',
+        ingredients: ['1 cup flour', ''],
+        instructions: ['Mix', 'Bake'],
+      })).toEqual({
+        title: 'Imported',
+        schemaVersion: RECIPE_SCHEMA_VERSION,
+        ingredients: [{ quantity: 1, unit: 'cup', item: 'flour', note: null, group: null }],
+        steps: [{ text: 'Mix' }, { text: 'Bake' }],
+      })
+    })
+  })
+
+  test('normalizeIngredient canonicalises units and keeps ranges and alternates', () => {
+    expect(normalizeStructuredFields({
+      ingredients: [{ quantity: 2, quantityMax: 3, unit: 'Tablespoons', item: 'oil', alternate: '30-45ml' }],
+    }).ingredients).toEqual([
+      { quantity: 2, quantityMax: 3, unit: 'tbsp', item: 'oil', note: null, group: null, alternate: '30-45ml' },
+    ])
+  })
+
+  test('validates ingredientsText by parsing it', () => {
+    expect(validateStructuredFields({ ingredientsText: '1 egg\n2 cups milk' })).toEqual([])
+    expect(validateStructuredFields({ ingredientsText: 5 })).toEqual([
+      { field: 'ingredientsText', message: 'must be a string' },
+    ])
+  })
+
+  test('rejects a quantityMax below the quantity', () => {
+    expect(validateIngredients([{ quantity: 3, quantityMax: 2, item: 'eggs' }])).toEqual([
+      { field: 'ingredients[0].quantityMax', message: 'must be a number no smaller than quantity' },
+    ])
+  })
+
+  test('toIngredientPayload parses quantity strings from the editor', () => {
+    expect(toIngredientPayload({ quantity: '1.5', item: 'cups' }).quantity).toBe(1.5)
+    expect(toIngredientPayload({ quantity: '1 1/2', item: 'flour' }).quantity).toBe(1.5)
+    expect(toIngredientPayload({ quantity: '2-3', quantityMax: 9, item: 'cloves' })).toEqual({ quantity: 2, quantityMax: 3, item: 'cloves' })
+    expect(toIngredientPayload({ quantity: '4', quantityMax: 9, item: 'eggs' })).toEqual({ quantity: 4, item: 'eggs' })
+    expect(toIngredientPayload({ quantity: ' ', item: 'salt' }).quantity).toBeNull()
+    expect(toIngredientPayload({ quantity: 2, item: 'eggs' }).quantity).toBe(2)
+  })
+
+  test('recipePhotos lists the photos, falling back to the single cover photo', () => {
+    expect(recipePhotos({ photo: 'a', photos: ['a', 'b'] })).toEqual(['a', 'b'])
+    expect(recipePhotos({ photo: 'a' })).toEqual(['a'])
+    expect(recipePhotos({ photo: 'a', photos: [] })).toEqual(['a'])
+    expect(recipePhotos({ title: 'Soup' })).toEqual([])
+    expect(recipePhotos(null)).toEqual([])
+  })
+})
@@ -0,0 +1,20 @@
+// Client-side routes live in the URL hash so links work on static hosting.
+// "#/recipe/<id>" opens a recipe page; anything else shows the list.
+
+const RECIPE_ROUTE = /^#\/recipe\/([^/?#]+)\/?$/;
+
+export function parseRoute(hash) {
+    const match = (hash || '').match(RECIPE_ROUTE);
+    if (!match) return { recipeId: null };
+    try {
+        return { recipeId: decodeURIComponent(match[1]) };
+    } catch {
+        return { recipeId: null };
+    }
+}
+
+export function recipePath(id) {
+    return `#/recipe/${encodeURIComponent(id)}`;
+}
+
+export const LIST_PATH = '#/';
@@ -0,0 +1,16 @@
+import { parseRoute, recipePath } from './routes'
+
+describe('Routes', () => {
+  test('parses recipe links', () => {
+    expect(parseRoute('#/recipe/abc-123')).toEqual({ recipeId: 'abc-123' })
+    expect(parseRoute('#/recipe/abc-123/')).toEqual({ recipeId: 'abc-123' })
+    expect(parseRoute(recipePath('a b'))).toEqual({ recipeId: 'a b' })
+  })
+
+  test('anything else is the list', () => {
+    expect(parseRoute('')).toEqual({ recipeId: null })
+    expect(parseRoute('#/')).toEqual({ recipeId: null })
+    expect(parseRoute('#/recipe/')).toEqual({ recipeId: null })
+    expect(parseRoute('#/recipe/%E0%A4%A')).toEqual({ recipeId: null })
+  })
+})
@@ -0,0 +1,161 @@
+// Recipe scaling by servings, shared by the worker and the app.
+// Scaled quantities are rounded to values you can actually measure and moved
+// to a friendlier unit where one exists (3 tsp becomes 1 tbsp, 1200 g becomes 1.2 kg).
+// Stored recipes are never modified; every function returns new objects.
+
+// Spoon and cup measures in teaspoons
+const SPOON_UNITS = { tsp: 1, tbsp: 3, cup: 48 };
+// Metric measures in their base unit
+const METRIC_UNITS = {
+    g: { base: 'g', factor: 1, large: 'kg' },
+    kg: { base: 'g', factor: 1000, large: 'kg' },
+    ml: { base: 'ml', factor: 1, large: 'l' },
+    l: { base: 'ml', factor: 1000, large: 'l' },
+};
+// Imperial weights in ounces
+const IMPERIAL_WEIGHT_UNITS = { oz: 1, lb: 16 };
+
+const SMALL_FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 3 / 8, 1 / 2, 5 / 8, 2 / 3, 3 / 4, 7 / 8, 1];
+const FRACTIONS = [0, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+
+function roundTo(value, step) {
+    return Math.round(value / step) * step;
+}
+
+function tidy(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Round to the nearest fraction a measuring set can produce. Eighths are only
+// used below 1 and larger amounts get coarser steps, because nobody measures 7⅜ cups.
+export function roundToNiceFraction(value) {
+    if (value >= 10) return Math.round(value);
+    if (value >= 3) return roundTo(value, 0.5);
+
+    const whole = Math.floor(value);
+    const fraction = value - whole;
+    const nearest = (whole ? FRACTIONS : SMALL_FRACTIONS).reduce((best, candidate) =>
+        Math.abs(candidate - fraction) < Math.abs(best - fraction) ? candidate : best);
+    const rounded = tidy(whole + nearest);
+    // Never round a real amount away to nothing
+    return rounded === 0 && value > 0 ? 1 / 8 : rounded;
+}
+
+function roundMetric(value) {
+    if (value < 10) return roundTo(value, 0.5);
+    if (value < 100) return Math.round(value);
+    return roundTo(value, 5);
+}
+
+function scaleSpoons(teaspoons) {
+    if (teaspoons < SPOON_UNITS.tbsp) {
+        return { unit: 'tsp', convert: value => roundToNiceFraction(value / SPOON_UNITS.tsp) };
+    }
+    // Below a quarter cup, tablespoons are easier to measure
+    if (teaspoons < SPOON_UNITS.cup / 4) {
+        return { unit: 'tbsp', convert: value => roundToNiceFraction(value / SPOON_UNITS.tbsp) };
+    }
+    return { unit: 'cup', convert: value => roundToNiceFraction(value / SPOON_UNITS.cup) };
+}
+
+function scaleMetric(definition, baseAmount) {
+    if (baseAmount >= 1000) {
+        return { unit: definition.large, convert: value => tidy(roundTo(value / 1000, 0.05)) };
+    }
+    return { unit: definition.base, convert: value => roundMetric(value) };
+}
+
+function scaleImperialWeight(ounces) {
+    if (ounces >= IMPERIAL_WEIGHT_UNITS.lb) {
+        return { unit: 'lb', convert: value => roundToNiceFraction(value / IMPERIAL_WEIGHT_UNITS.lb) };
+    }
+    return { unit: 'oz', convert: value => roundToNiceFraction(value) };
+}
+
+// Pick the unit and rounding for a scaled amount, expressed in the unit family's base.
+// `wholeItems` is whether a unitless amount was a whole number before scaling.
+function chooseScale(unit, baseAmount, wholeItems) {
+    if (SPOON_UNITS[unit]) return scaleSpoons(baseAmount);
+    if (METRIC_UNITS[unit]) return scaleMetric(METRIC_UNITS[unit], baseAmount);
+    if (IMPERIAL_WEIGHT_UNITS[unit]) return scaleImperialWeight(baseAmount);
+    // Nobody cooks with ⅔ of an egg: whole items round to a whole number, at least one.
+    // Items already cut up ("½ lemon") keep to fractions.
+    if (!unit && wholeItems) return { unit, convert: value => Math.max(1, Math.round(value)) };
+    return { unit, convert: value => roundToNiceFraction(value) };
+}
+
+function toBase(unit, value) {
+    if (SPOON_UNITS[unit]) return value * SPOON_UNITS[unit];
+    if (METRIC_UNITS[unit]) return value * METRIC_UNITS[unit].factor;
+    if (IMPERIAL_WEIGHT_UNITS[unit]) return value * IMPERIAL_WEIGHT_UNITS[unit];
+    return value;
+}
+
+// Move an ingredient's amount to the friendliest unit in its family and round it
+// to something measurable, keeping both ends of a range in the same unit.
+// `wholeItems` says whether a unitless amount counts whole items; it defaults to
+// whether the quantity is a whole number.
+export function tidyAmount(ingredient, { wholeItems = Number.isInteger(ingredient.quantity) } = {}) {
+    if (ingredient.quantity === null || ingredient.quantity === undefined) {
+        return { ...ingredient };
+    }
+
+    const baseQuantity = toBase(ingredient.unit, ingredient.quantity);
+    const { unit, convert } = chooseScale(ingredient.unit, baseQuantity, wholeItems);
+    const tidied = { ...ingredient, unit: unit ?? null, quantity: convert(baseQuantity) };
+
+    if (typeof ingredient.quantityMax === 'number') {
+        const tidiedMax = convert(toBase(ingredient.unit, ingredient.quantityMax));
+        if (tidiedMax > tidied.quantity) {
+            tidied.quantityMax = tidiedMax;
+        } else {
+            delete tidied.quantityMax;
+        }
+    }
+
+    return tidied;
+}
+
+// Scale one ingredient by a factor, keeping its range and unit family
+export function scaleIngredient(ingredient, factor) {
+    if (ingredient.quantity === null || ingredient.quantity === undefined || factor === 1) {
+        return { ...ingredient };
+    }
+
+    const scaled = { ...ingredient, quantity: ingredient.quantity * factor };
+    if (typeof ingredient.quantityMax === 'number') {
+        scaled.quantityMax = ingredient.quantityMax * factor;
+    }
+    return tidyAmount(scaled, { wholeItems: Number.isInteger(ingredient.quantity) });
+}
+
+// Read the number of servings from a yield such as "4", "Serves 4-6" or "12 cookies"
+export function parseServings(recipeYield) {
+    if (typeof recipeYield === 'number') {
+        return recipeYield > 0 ? recipeYield : null;
+    }
+    if (typeof recipeYield !== 'string') return null;
+    const match = recipeYield.match(/\d+(?:\.\d+)?/);
+    if (!match) return null;
+    const servings = Number(match[0]);
+    return servings > 0 ? servings : null;
+}
+
+// Return a copy of the recipe with every ingredient scaled to the given servings.
+// Recipes without a usable yield are returned unscaled.
+export function scaleRecipe(recipe, servings) {
+    const baseServings = parseServings(recipe.yield);
+    if (!baseServings || !(servings > 0)) {
+        return recipe;
+    }
+
+    const factor = servings / baseServings;
+    return {
+        ...recipe,
+        servings,
+        originalServings: baseServings,
+        ingredients: Array.isArray(recipe.ingredients)
+            ? recipe.ingredients.map(ingredient => scaleIngredient(ingredient, factor))
+            : recipe.ingredients,
+    };
+}
@@ -0,0 +1,129 @@
+import { parseServings, roundToNiceFraction, scaleIngredient, scaleRecipe } from './scaling'
+
+describe('Recipe Scaling', () => {
+  describe('parseServings', () => {
+    test.each([
+      ['4', 4],
+      ['Serves 4-6', 4],
+      ['12 cookies', 12],
+      [6, 6],
+      ['a crowd', null],
+      ['0', null],
+      [undefined, null],
+    ])('reads %j as %j', (value, expected) => {
+      expect(parseServings(value)).toBe(expected)
+    })
+  })
+
+  describe('roundToNiceFraction', () => {
+    test.each([
+      [0.33, 0.333],
+      [0.3, 0.333],
+      [0.7, 0.667],
+      [0.49, 0.5],
+      [1.2, 1.25],
+      [2.9, 3],
+      [3.3, 3.5],
+      [12.4, 12],
+      [0.01, 0.125],
+    ])('rounds %d to %d', (value, expected) => {
+      expect(roundToNiceFraction(value)).toBe(expected)
+    })
+  })
+
+  describe('scaleIngredient', () => {
+    test('rounds spoon and cup measures to kitchen fractions', () => {
+      expect(scaleIngredient({ quantity: 1, unit: 'cup', item: 'milk' }, 1 / 3)).toEqual({ quantity: 0.333, unit: 'cup', item: 'milk' })
+    })
+
+    test('moves spoon measures to a larger unit when they add up', () => {
+      expect(scaleIngredient({ quantity: 1, unit: 'tsp', item: 'salt' }, 3)).toMatchObject({ quantity: 1, unit: 'tbsp' })
+      expect(scaleIngredient({ quantity: 2, unit: 'tbsp', item: 'sugar' }, 4)).toMatchObject({ quantity: 0.5, unit: 'cup' })
+    })
+
+    test('moves small cup measures down to spoons', () => {
+      expect(scaleIngredient({ quantity: 0.25, unit: 'cup', item: 'oil' }, 0.25)).toMatchObject({ quantity: 1, unit: 'tbsp' })
+      expect(scaleIngredient({ quantity: 1, unit: 'tbsp', item: 'vanilla' }, 0.5)).toMatchObject({ quantity: 1.5, unit: 'tsp' })
+    })
+
+    test('rounds metric weights and volumes and switches to kg and l', () => {
+      expect(scaleIngredient({ quantity: 125, unit: 'g', item: 'butter' }, 1.5)).toMatchObject({ quantity: 190, unit: 'g' })
+      expect(scaleIngredient({ quantity: 600, unit: 'g', item: 'flour' }, 2)).toMatchObject({ quantity: 1.2, unit: 'kg' })
+      expect(scaleIngredient({ quantity: 1, unit: 'l', item: 'stock' }, 0.5)).toMatchObject({ quantity: 500, unit: 'ml' })
+      expect(scaleIngredient({ quantity: 7, unit: 'g', item: 'yeast' }, 0.5)).toMatchObject({ quantity: 3.5, unit: 'g' })
+    })
+
+    test('switches between ounces and pounds', () => {
+      expect(scaleIngredient({ quantity: 8, unit: 'oz', item: 'beef' }, 3)).toMatchObject({ quantity: 1.5, unit: 'lb' })
+      expect(scaleIngredient({ quantity: 1, unit: 'lb', item: 'beef' }, 0.5)).toMatchObject({ quantity: 8, unit: 'oz' })
+    })
+
+    test('scales counts and other units without converting them', () => {
+      expect(scaleIngredient({ quantity: 3, unit: null, item: 'eggs' }, 3)).toMatchObject({ quantity: 9, unit: null })
+      expect(scaleIngredient({ quantity: 2, unit: 'clove', item: 'garlic' }, 3)).toMatchObject({ quantity: 6, unit: 'clove' })
+    })
+
+    test('rounds whole items to a whole number, never below one', () => {
+      expect(scaleIngredient({ quantity: 2, unit: null, item: 'eggs' }, 1 / 3)).toMatchObject({ quantity: 1, unit: null })
+      expect(scaleIngredient({ quantity: 3, unit: null, item: 'eggs' }, 0.5)).toMatchObject({ quantity: 2 })
+      expect(scaleIngredient({ quantity: 4, unit: null, item: 'eggs' }, 0.1)).toMatchObject({ quantity: 1 })
+      expect(scaleIngredient({ quantity: 2, quantityMax: 3, unit: null, item: 'onions' }, 2)).toMatchObject({ quantity: 4, quantityMax: 6 })
+    })
+
+    test('keeps items that were already fractions to halves, quarters and the like', () => {
+      expect(scaleIngredient({ quantity: 0.5, unit: null, item: 'lemon' }, 3)).toMatchObject({ quantity: 1.5, unit: null })
+      expect(scaleIngredient({ quantity: 0.25, unit: null, item: 'onion' }, 0.5)).toMatchObject({ quantity: 0.125, unit: null })
+      expect(scaleIngredient({ quantity: 1.5, unit: null, item: 'avocados' }, 0.5)).toMatchObject({ quantity: 0.75 })
+      expect(scaleIngredient({ quantity: 2, unit: null, item: 'lemons' }, 0.25)).toMatchObject({ quantity: 1 })
+    })
+
+    test('scales both ends of a range in the same unit', () => {
+      expect(scaleIngredient({ quantity: 2, quantityMax: 3, unit: 'tsp', item: 'chilli' }, 2))
+        .toMatchObject({ quantity: 1.333, quantityMax: 2, unit: 'tbsp' })
+    })
+
+    test('drops a range that rounds to a single amount', () => {
+      expect(scaleIngredient({ quantity: 4, quantityMax: 4.5, unit: null, item: 'eggs' }, 0.05)).not.toHaveProperty('quantityMax')
+    })
+
+    test('leaves ingredients without a quantity alone', () => {
+      const salt = { quantity: null, unit: null, item: 'salt', note: 'to taste' }
+      expect(scaleIngredient(salt, 2)).toEqual(salt)
+    })
+  })
+
+  describe('scaleRecipe', () => {
+    const recipe = {
+      title: 'Pancakes',
+      yield: '4 servings',
+      ingredients: [
+        { quantity: 200, unit: 'g', item: 'flour' },
+        { quantity: 1, unit: 'tsp', item: 'baking powder' },
+        { quantity: null, unit: null, item: 'salt' },
+      ],
+    }
+
+    test('scales every ingredient to the requested servings', () => {
+      const scaled = scaleRecipe(recipe, 12)
+
+      expect(scaled.servings).toBe(12)
+      expect(scaled.originalServings).toBe(4)
+      expect(scaled.ingredients).toEqual([
+        { quantity: 600, unit: 'g', item: 'flour' },
+        { quantity: 1, unit: 'tbsp', item: 'baking powder' },
+        { quantity: null, unit: null, item: 'salt' },
+      ])
+    })
+
+    test('never modifies the original recipe', () => {
+      const snapshot = JSON.parse(JSON.stringify(recipe))
+      scaleRecipe(recipe, 2)
+      expect(recipe).toEqual(snapshot)
+    })
+
+    test('returns recipes it cannot scale unchanged', () => {
+      expect(scaleRecipe({ ...recipe, yield: null }, 8).ingredients).toBe(recipe.ingredients)
+      expect(scaleRecipe(recipe, 0)).toBe(recipe)
+    })
+  })
+})
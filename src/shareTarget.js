@@ -0,0 +1,58 @@
+// Recipes shared to the installed app from the phone's share sheet.
+// The manifest's share_target posts the shared link, text and image to the service
+// worker, which keeps them in a cache and opens the app with "?shared"; the app then
+// takes them from there and opens the add form with them.
+
+// Must match SHARE_CACHE and the entry names in public/service-worker.js
+export const SHARE_CACHE = 'jessipes-share';
+const SHARED_DATA = 'shared-data';
+const SHARED_PHOTO_PREFIX = 'shared-photo-';
+const SHARED_PARAM = 'shared';
+
+// The first http(s) link in shared text, without trailing punctuation
+const LINK_IN_TEXT = /https?:\/\/[^\s]*[^\s.,;:!?)\]'"]/;
+
+export function wasOpenedByShare() {
+    return new URLSearchParams(window.location.search).has(SHARED_PARAM);
+}
+
+async function sharedPhoto(response) {
+    const blob = await response.blob();
+    const name = decodeURIComponent(response.headers.get('X-Filename') || 'shared-image');
+    return new File([blob], name, { type: blob.type });
+}
+
+// What was shared, as { title, text, url, photos }, or null when nothing is waiting.
+// It can only be taken once: the cache is emptied and "?shared" is dropped from the address.
+export async function takeSharedItem() {
+    const address = new URL(window.location.href);
+    address.searchParams.delete(SHARED_PARAM);
+    window.history.replaceState(window.history.state, '', address.href);
+
+    if (typeof caches === 'undefined') return null;
+    const cache = await caches.open(SHARE_CACHE);
+    const data = await cache.match(new URL(SHARED_DATA, address).href);
+    if (!data) return null;
+
+    const { photoCount = 0, ...shared } = await data.json();
+    const photoResponses = await Promise.all(Array.from({ length: photoCount }, (_, index) =>
+        cache.match(new URL(`${SHARED_PHOTO_PREFIX}${index}`, address).href)));
+    const photos = await Promise.all(photoResponses.filter(Boolean).map(sharedPhoto));
+    await caches.delete(SHARE_CACHE);
+    return { ...shared, photos };
+}
+
+// The add form for a shared item: images become a photo recipe, the first one its
+// cover; a link a URL recipe (apps often share the link inside the text); and
+// anything else a text recipe.
+export function sharedRecipeForm({ title = '', text = '', url = '', photos = [] }) {
+    if (photos.length > 0) {
+        const [photo, ...morePhotos] = photos;
+        return { addType: 'photo', recipe: { url: '', photo, morePhotos, title, text: [text, url].filter(Boolean).join('\n') } };
+    }
+    const link = url || text.match(LINK_IN_TEXT)?.[0] || '';
+    if (link) {
+        return { addType: 'url', recipe: { url: link, photo: null, title, text: text.replace(link, '').trim() } };
+    }
+    return { addType: 'text', recipe: { url: '', photo: null, title, text } };
+}
@@ -0,0 +1,81 @@
+import { SHARE_CACHE, sharedRecipeForm, takeSharedItem, wasOpenedByShare } from './shareTarget'
+
+// A Cache API holding what the service worker stored for one share
+function stubSharedCache(entries) {
+  const cache = { match: vi.fn(async url => entries[url.split('/').pop()]?.clone()) }
+  const caches = { open: vi.fn(async () => cache), delete: vi.fn(async () => true) }
+  vi.stubGlobal('caches', caches)
+  return caches
+}
+
+describe('Share target', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/?shared#/')
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    window.history.replaceState(null, '', '/')
+  })
+
+  test('takes the shared link once', async () => {
+    const caches = stubSharedCache({
+      'shared-data': new Response(JSON.stringify({ title: 'Scones', text: '', url: 'https://example.com/scones' })),
+    })
+
+    expect(wasOpenedByShare()).toBe(true)
+    expect(await takeSharedItem()).toEqual({ title: 'Scones', text: '', url: 'https://example.com/scones', photos: [] })
+    expect(caches.delete).toHaveBeenCalledWith(SHARE_CACHE)
+    expect(wasOpenedByShare()).toBe(false)
+    expect(window.location.hash).toBe('#/')
+  })
+
+  test('takes every shared image as a file, in order', async () => {
+    stubSharedCache({
+      'shared-data': new Response(JSON.stringify({ title: '', text: 'From Instagram', url: '', photoCount: 2 })),
+      'shared-photo-0': new Response(new Blob(['image'], { type: 'image/jpeg' }), {
+        headers: { 'Content-Type': 'image/jpeg', 'X-Filename': encodeURIComponent('cake recipe.jpg') },
+      }),
+      'shared-photo-1': new Response(new Blob(['image'], { type: 'image/png' }), {
+        headers: { 'Content-Type': 'image/png', 'X-Filename': encodeURIComponent('page 2.png') },
+      }),
+    })
+
+    const { photos } = await takeSharedItem()
+
+    expect(photos).toHaveLength(2)
+    expect(photos[0]).toBeInstanceOf(File)
+    expect(photos[0].name).toBe('cake recipe.jpg')
+    expect(photos[0].type).toBe('image/jpeg')
+    expect(photos[1].name).toBe('page 2.png')
+  })
+
+  test('finds nothing when the share was already taken', async () => {
+    stubSharedCache({})
+
+    expect(await takeSharedItem()).toBeNull()
+  })
+
+  test('opens the add form that fits what was shared', () => {
+    const photo = new File(['image'], 'cake.jpg', { type: 'image/jpeg' })
+    const page2 = new File(['image'], 'page-2.jpg', { type: 'image/jpeg' })
+
+    expect(sharedRecipeForm({ title: 'Cake', text: 'Notes', url: 'https://example.com/cake', photos: [photo, page2] })).toEqual({
+      addType: 'photo',
+      recipe: { url: '', photo, morePhotos: [page2], title: 'Cake', text: 'Notes\nhttps://example.com/cake' },
+    })
+    expect(sharedRecipeForm({ title: 'Scones', url: 'https://example.com/scones' })).toEqual({
+      addType: 'url',
+      recipe: { url: 'https://example.com/scones', photo: null, title: 'Scones', text: '' },
+    })
+    expect(sharedRecipeForm({ text: 'Try this! https://example.com/bread?ref=share' })).toEqual({
+      addType: 'url',
+      recipe: { url: 'https://example.com/bread?ref=share', photo: null, title: '', text: 'Try this!' },
+    })
+    expect(sharedRecipeForm({ text: 'Pie (https://example.com/pie).' }).recipe.url).toBe('https://example.com/pie')
+    expect(sharedRecipeForm({ title: 'Soup', text: 'Boil the stock' })).toEqual({
+      addType: 'text',
+      recipe: { url: '', photo: null, title: 'Soup', text: 'Boil the stock' },
+    })
+  })
+})
@@ -0,0 +1,77 @@
+// Recipe tags, shared by the worker and the app.
+// Tags are stored lowercased and trimmed so "Dinner" and "dinner " are the same tag.
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+
+export function normalizeTag(tag) {
+    if (typeof tag !== 'string') return '';
+    return tag
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+// Normalised, de-duplicated tags in their original order
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+export function validateTags(tags) {
+    if (!Array.isArray(tags)) {
+        return [{ field: 'tags', message: 'must be an array' }];
+    }
+
+    const errors = [];
+    if (tags.length > MAX_TAGS) {
+        errors.push({ field: 'tags', message: `must have at most ${MAX_TAGS} entries` });
+    }
+    tags.forEach((tag, index) => {
+        if (typeof tag !== 'string') {
+            errors.push({ field: `tags[${index}]`, message: 'must be a string' });
+        } else if (!normalizeTag(tag)) {
+            errors.push({ field: `tags[${index}]`, message: 'must not be empty' });
+        } else if (tag.length > MAX_TAG_LENGTH) {
+            errors.push({ field: `tags[${index}]`, message: `must be at most ${MAX_TAG_LENGTH} characters` });
+        }
+    });
+    return errors;
+}
+
+// [{ tag, count }] for every tag in use, most used first
+export function countTags(recipes) {
+    const counts = new Map();
+    for (const recipe of recipes) {
+        for (const tag of normalizeTags(recipe.tags)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Whether a recipe has all ('and') or any ('or') of the selected tags
+export function matchesTags(recipe, selectedTags, mode = 'and') {
+    if (!selectedTags?.length) return true;
+    const tags = new Set(normalizeTags(recipe.tags));
+    return mode === 'or'
+        ? selectedTags.some(tag => tags.has(tag))
+        : selectedTags.every(tag => tags.has(tag));
+}
+
+// Tag suggestions from schema.org recipeCategory, recipeCuisine and keywords
+export function suggestTags(structured, existingTags = []) {
+    if (!structured) return [];
+    const existing = new Set(normalizeTags(existingTags));
+    const candidates = [
+        ...(structured.category || []),
+        ...(structured.cuisine || []),
+        ...(structured.keywords || []),
+    ].filter(tag => typeof tag === 'string' && tag.length <= MAX_TAG_LENGTH);
+    return normalizeTags(candidates)
+        .filter(tag => !existing.has(tag))
+        .slice(0, MAX_TAGS);
+}
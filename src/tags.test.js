@@ -0,0 +1,55 @@
+import { countTags, matchesTags, normalizeTag, normalizeTags, suggestTags, validateTags } from './tags'
+
+describe('Tags', () => {
+  test('normalises case, whitespace and leading hashes', () => {
+    expect(normalizeTag('  Weeknight   Dinner ')).toBe('weeknight dinner')
+    expect(normalizeTag('#Vegan')).toBe('vegan')
+    expect(normalizeTag(5)).toBe('')
+    expect(normalizeTags(['Quick', 'quick ', '', 'Easy'])).toEqual(['quick', 'easy'])
+  })
+
+  test('validates tag lists', () => {
+    expect(validateTags(['dinner', 'quick'])).toEqual([])
+    expect(validateTags('dinner')).toEqual([{ field: 'tags', message: 'must be an array' }])
+    expect(validateTags([' ', 3, 'x'.repeat(41)])).toEqual([
+      { field: 'tags[0]', message: 'must not be empty' },
+      { field: 'tags[1]', message: 'must be a string' },
+      { field: 'tags[2]', message: 'must be at most 40 characters' },
+    ])
+    expect(validateTags(Array.from({ length: 21 }, (_, i) => `tag${i}`))).toContainEqual({
+      field: 'tags',
+      message: 'must have at most 20 entries',
+    })
+  })
+
+  test('counts tags, most used first then alphabetically', () => {
+    expect(countTags([
+      { tags: ['dinner', 'quick'] },
+      { tags: ['Dinner', 'cake'] },
+      { title: 'untagged' },
+    ])).toEqual([
+      { tag: 'dinner', count: 2 },
+      { tag: 'cake', count: 1 },
+      { tag: 'quick', count: 1 },
+    ])
+  })
+
+  test('matches all or any of the selected tags', () => {
+    const recipe = { tags: ['dinner', 'quick'] }
+
+    expect(matchesTags(recipe, [])).toBe(true)
+    expect(matchesTags(recipe, ['dinner', 'quick'], 'and')).toBe(true)
+    expect(matchesTags(recipe, ['dinner', 'vegan'], 'and')).toBe(false)
+    expect(matchesTags(recipe, ['dinner', 'vegan'], 'or')).toBe(true)
+    expect(matchesTags({ title: 'untagged' }, ['vegan'], 'or')).toBe(false)
+  })
+
+  test('suggests tags from JSON-LD data, skipping ones already chosen', () => {
+    expect(suggestTags({
+      category: ['Dessert'],
+      cuisine: ['French'],
+      keywords: ['easy', 'dessert', 'a keyword that is far too long to be a useful tag'],
+    }, ['Easy'])).toEqual(['dessert', 'french'])
+    expect(suggestTags(null)).toEqual([])
+  })
+})
@@ -0,0 +1,67 @@
+// In-memory stand-in for offlineStore.js, as jsdom has no IndexedDB:
+// vi.mock('./offlineStore', () => import('./test/memoryOfflineStore'))
+export const MUTATIONS_STORE = 'mutations'
+export const RECIPES_STORE = 'recipes'
+
+const KEY_PATHS = { [MUTATIONS_STORE]: 'seq', [RECIPES_STORE]: 'id' }
+const stores = new Map()
+let nextKey = 1
+let available = true
+let openError = null
+
+function store(name) {
+  if (openError) throw openError
+  if (!stores.has(name)) stores.set(name, new Map())
+  return stores.get(name)
+}
+
+export function hasOfflineStore() {
+  return available
+}
+
+export async function getAllRecords(storeName) {
+  return [...store(storeName).entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, record]) => ({ ...record }))
+}
+
+export async function addRecord(storeName, record) {
+  const key = nextKey++
+  store(storeName).set(key, { ...record, [KEY_PATHS[storeName]]: key })
+  return key
+}
+
+export async function putRecord(storeName, record) {
+  store(storeName).set(record[KEY_PATHS[storeName]], { ...record })
+}
+
+export async function deleteRecord(storeName, key) {
+  store(storeName).delete(key)
+}
+
+export async function writeRecords(storeName, { clear = false, put = [], remove = [] }) {
+  if (clear) store(storeName).clear()
+  put.forEach(record => store(storeName).set(record[KEY_PATHS[storeName]], { ...record }))
+  remove.forEach(key => store(storeName).delete(key))
+}
+
+export async function clearRecords(storeName) {
+  store(storeName).clear()
+}
+
+// As in a browser with no IndexedDB at all
+export function removeOfflineStore() {
+  available = false
+}
+
+// As when IndexedDB is there but fails to open
+export function breakOfflineStore(error = new Error('The database connection is closing')) {
+  openError = error
+}
+
+export function resetOfflineStore() {
+  stores.clear()
+  nextKey = 1
+  available = true
+  openError = null
+}
@@ -1,5 +1,6 @@
 import '@testing-library/jest-dom'
 import { cleanup } from '@testing-library/react'
+import { clearToasts } from '../toasts'
 
 // Mock localStorage
 const localStorageMock = {
@@ -16,6 +17,7 @@ global.fetch = vi.fn()
 // Clean up after each test
 afterEach(() => {
   cleanup() // Ensure all components are unmounted
+  clearToasts() // Toasts are kept outside React, so they would outlast the test
 })
 
 // Reset mocks before each test
@@ -0,0 +1,60 @@
+// In-app toasts: short, non-blocking messages with at most one action, such as
+// Undo or Retry. Any component can show one; the ToastRegion that App renders
+// draws them. A toast is { id, message, type, action, onAction }.
+
+const TOAST_DURATION_MS = 6000;
+const ERROR_DURATION_MS = 10000;
+
+let toasts = [];
+let nextId = 1;
+const listeners = new Set();
+const timers = new Map();
+
+function setToasts(next) {
+    toasts = next;
+    listeners.forEach(listener => listener());
+}
+
+// For useSyncExternalStore. Returns a function that removes the listener.
+export function subscribeToasts(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getToasts() {
+    return toasts;
+}
+
+export function dismissToast(id) {
+    clearTimeout(timers.get(id));
+    timers.delete(id);
+    if (toasts.some(toast => toast.id === id)) {
+        setToasts(toasts.filter(toast => toast.id !== id));
+    }
+}
+
+// Show a toast that closes itself after `duration` ms. `onAction` runs when its
+// `action` button is pressed, which also closes the toast. Returns the toast's id.
+export function showToast(message, { type = 'info', action, onAction, duration = TOAST_DURATION_MS } = {}) {
+    const id = nextId++;
+    setToasts([...toasts, { id, message, type, action: onAction ? action : undefined, onAction }]);
+    timers.set(id, setTimeout(() => dismissToast(id), duration));
+    return id;
+}
+
+// An error toast, offering Retry when given a function that tries again
+export function showError(message, retry) {
+    return showToast(message, { type: 'error', action: 'Retry', onAction: retry, duration: ERROR_DURATION_MS });
+}
+
+export function runToastAction(id) {
+    const toast = toasts.find(t => t.id === id);
+    dismissToast(id);
+    toast?.onAction?.();
+}
+
+export function clearToasts() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    setToasts([]);
+}
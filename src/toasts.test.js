@@ -0,0 +1,52 @@
+import { clearToasts, dismissToast, getToasts, runToastAction, showError, showToast, subscribeToasts } from './toasts'
+
+describe('Toasts', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('shows toasts in order and closes them after a while', () => {
+    vi.useFakeTimers()
+    showToast('Saved')
+    showError('Failed to save.')
+
+    expect(getToasts().map(toast => [toast.message, toast.type])).toEqual([['Saved', 'info'], ['Failed to save.', 'error']])
+
+    vi.advanceTimersByTime(6000)
+    expect(getToasts().map(toast => toast.message)).toEqual(['Failed to save.'])
+
+    vi.advanceTimersByTime(4000)
+    expect(getToasts()).toEqual([])
+  })
+
+  test('runs the action once and closes the toast', () => {
+    const undo = vi.fn()
+    const id = showToast('Deleted', { action: 'Undo', onAction: undo })
+
+    runToastAction(id)
+    runToastAction(id)
+
+    expect(undo).toHaveBeenCalledTimes(1)
+    expect(getToasts()).toEqual([])
+  })
+
+  test('only offers Retry on errors that can be retried', () => {
+    showError('Failed to load.')
+    showError('Failed to save.', () => {})
+
+    expect(getToasts().map(toast => toast.action)).toEqual([undefined, 'Retry'])
+  })
+
+  test('notifies subscribers of every change', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeToasts(listener)
+
+    const id = showToast('Saved')
+    dismissToast(id)
+    unsubscribe()
+    showToast('Saved again')
+    clearToasts()
+
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+})
@@ -0,0 +1,78 @@
+// Canonical cooking units and the spellings we recognise for them.
+// Aliases are matched case-insensitively except where case matters (T vs t).
+
+export const UNITS = {
+    tsp: { plural: 'tsp', aliases: ['teaspoons', 'teaspoon', 'tsps', 'tsp', 't'] },
+    tbsp: { plural: 'tbsp', aliases: ['tablespoons', 'tablespoon', 'tbsps', 'tbsp', 'tbls', 'tbl', 'tbs', 'T'] },
+    dsp: { plural: 'dsp', aliases: ['dessertspoons', 'dessertspoon', 'dsp'] },
+    cup: { plural: 'cups', aliases: ['cups', 'cup', 'c'] },
+    'fl oz': { plural: 'fl oz', aliases: ['fluid ounces', 'fluid ounce', 'fl. oz.', 'fl. oz', 'fl oz', 'floz'] },
+    ml: { plural: 'ml', aliases: ['millilitres', 'milliliters', 'millilitre', 'milliliter', 'mls', 'ml'] },
+    l: { plural: 'l', aliases: ['litres', 'liters', 'litre', 'liter', 'ltr', 'l'] },
+    pint: { plural: 'pints', aliases: ['pints', 'pint', 'pts', 'pt'] },
+    quart: { plural: 'quarts', aliases: ['quarts', 'quart', 'qts', 'qt'] },
+    gallon: { plural: 'gallons', aliases: ['gallons', 'gallon', 'gal'] },
+    g: { plural: 'g', aliases: ['grammes', 'gramme', 'grams', 'gram', 'gr', 'g'] },
+    kg: { plural: 'kg', aliases: ['kilograms', 'kilogram', 'kilogrammes', 'kilogramme', 'kilos', 'kilo', 'kgs', 'kg'] },
+    oz: { plural: 'oz', aliases: ['ounces', 'ounce', 'oz'] },
+    lb: { plural: 'lb', aliases: ['pounds', 'pound', 'lbs', 'lb'] },
+    pinch: { plural: 'pinches', aliases: ['pinches', 'pinch'] },
+    dash: { plural: 'dashes', aliases: ['dashes', 'dash'] },
+    splash: { plural: 'splashes', aliases: ['splashes', 'splash'] },
+    handful: { plural: 'handfuls', aliases: ['handfuls', 'handful'] },
+    knob: { plural: 'knobs', aliases: ['knobs', 'knob'] },
+    clove: { plural: 'cloves', aliases: ['cloves', 'clove'] },
+    can: { plural: 'cans', aliases: ['cans', 'can'] },
+    tin: { plural: 'tins', aliases: ['tins', 'tin'] },
+    packet: { plural: 'packets', aliases: ['packets', 'packet', 'pkt', 'packs', 'pack'] },
+    slice: { plural: 'slices', aliases: ['slices', 'slice'] },
+    stick: { plural: 'sticks', aliases: ['sticks', 'stick'] },
+    bunch: { plural: 'bunches', aliases: ['bunches', 'bunch'] },
+    sprig: { plural: 'sprigs', aliases: ['sprigs', 'sprig'] },
+    piece: { plural: 'pieces', aliases: ['pieces', 'piece'] },
+    cm: { plural: 'cm', aliases: ['centimetres', 'centimeters', 'centimetre', 'centimeter', 'cm'] },
+    inch: { plural: 'inches', aliases: ['inches', 'inch', 'in'] },
+};
+
+// Units that commonly appear without a number ("pinch of salt")
+export const COUNTLESS_UNITS = new Set(['pinch', 'dash', 'splash', 'handful', 'knob']);
+
+const CASE_SENSITIVE_ALIASES = new Set(['t', 'T']);
+
+// Every alias with its canonical unit, longest first so "fl oz" beats "oz"
+const ALIASES = Object.entries(UNITS)
+    .flatMap(([unit, { aliases }]) => aliases.map(alias => ({ alias, unit })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+// Match a unit at the start of text, returning the canonical unit and the rest of the text
+export function matchUnit(text) {
+    for (const { alias, unit } of ALIASES) {
+        const candidate = text.slice(0, alias.length);
+        const matches = CASE_SENSITIVE_ALIASES.has(alias)
+            ? candidate === alias
+            : candidate.toLowerCase() === alias.toLowerCase();
+        if (!matches) continue;
+
+        // The alias must end at a word boundary ("2 large" is not litres);
+        // a slash starts a second measure ("100ml/3½fl oz")
+        const rest = text.slice(alias.length);
+        if (rest === '' || /^[\s.,)/]/.test(rest)) {
+            return { unit, rest: rest.replace(/^\./, '').trim() };
+        }
+    }
+    return null;
+}
+
+// Canonical unit name for any recognised spelling, or the input unchanged
+export function canonicalUnit(unit) {
+    if (!unit) return unit;
+    const match = matchUnit(unit.trim());
+    return match && match.rest === '' ? match.unit : unit;
+}
+
+export function unitLabel(unit, quantity) {
+    if (!unit) return '';
+    const definition = UNITS[unit];
+    if (!definition) return unit;
+    return quantity !== null && quantity !== undefined && quantity > 1 ? definition.plural : unit;
+}
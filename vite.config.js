@@ -1,8 +1,33 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// Public files the service worker precaches alongside the built bundle
+const PRECACHED_PUBLIC_FILES = ['', 'manifest.json', 'favicon.svg']
+
+// Writes the built files into dist/service-worker.js so it can precache the app shell.
+// The version changes with the bundle, which makes the new worker install and drop
+// the old shell cache.
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    async writeBundle(options, bundle) {
+      const files = Object.keys(bundle).filter(file => !file.endsWith('.map')).sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const manifest = { version, urls: [...PRECACHED_PUBLIC_FILES, ...files] }
+
+      const swPath = join(options.dir, 'service-worker.js')
+      const source = await readFile(swPath, 'utf8')
+      await writeFile(swPath, source.replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest)))
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   base: '/jessipes/',  // Match your repository name
 })
@@ -0,0 +1,81 @@
+// Delta sync for the app's local copy of the recipes.
+// Every recipe write stamps `updated`, which the summary index carries, so finding
+// what changed since a sync is a scan of index metadata; only the changed records
+// are read. Purged recipes leave a tombstone key that expires after a while, and a
+// client that last synced before that gets every recipe again with `reset: true`.
+
+import { INDEX_KEY_PREFIX, ensureRecipeIndex, listRecipeSummaries } from './recipeIndex.js';
+
+const TOMBSTONE_KEY_PREFIX = `${INDEX_KEY_PREFIX}purged:`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TOMBSTONE_RETENTION_DAYS = 60;
+// KV lists can lag writes by up to a minute, so each cursor reaches back that far
+// and a change written during a sync is picked up by the next one
+const LIST_LAG_MS = 60 * 1000;
+
+export function isTombstoneKey(key) {
+    return key.startsWith(TOMBSTONE_KEY_PREFIX);
+}
+
+// Record that a recipe is gone for good, for clients that still have a copy
+export async function writeTombstone(env, id, now = Date.now()) {
+    await env.RECIPES.put(`${TOMBSTONE_KEY_PREFIX}${id}`, id, {
+        expirationTtl: TOMBSTONE_RETENTION_DAYS * DAY_MS / 1000,
+        metadata: { purged: new Date(now).toISOString() },
+    });
+}
+
+// The `since` query parameter: a cursor from an earlier sync, or null for everything.
+// Returns NaN when it isn't one.
+export function parseSyncCursor(value) {
+    if (value === null || value === '') return null;
+    return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+async function listTombstones(env, since) {
+    const ids = [];
+    let cursor;
+    do {
+        const page = await env.RECIPES.list({ prefix: TOMBSTONE_KEY_PREFIX, cursor });
+        for (const key of page.keys) {
+            if (Date.parse(key.metadata?.purged) > since) {
+                ids.push(key.name.slice(TOMBSTONE_KEY_PREFIX.length));
+            }
+        }
+        cursor = page.list_complete === false ? page.cursor : undefined;
+    } while (cursor);
+    return ids;
+}
+
+// Recipes created, updated or deleted since the `since` cursor, as full records, and the
+// ids of recipes purged since. `cursor` is what to pass as `since` next time. With no
+// cursor, or one older than the tombstones go back, every recipe comes back with `reset`
+// set and the client should drop anything it has that isn't in the list.
+export async function listRecipeChanges(env, since, now = Date.now()) {
+    await ensureRecipeIndex(env);
+    const reset = since === null || since < now - TOMBSTONE_RETENTION_DAYS * DAY_MS;
+
+    const changedIds = [];
+    let cursor;
+    do {
+        const page = await listRecipeSummaries(env, { limit: 1000, cursor });
+        for (const summary of page.recipes) {
+            if (reset || Date.parse(summary.updated || summary.created) > since) {
+                changedIds.push(summary.id);
+            }
+        }
+        cursor = page.cursor;
+    } while (cursor);
+
+    const records = await Promise.all(changedIds.map(async id => {
+        const recipe = await env.RECIPES.get(id, { type: 'json' });
+        return recipe ? [id, recipe] : null;
+    }));
+
+    return {
+        recipes: records.filter(Boolean),
+        deleted: reset ? [] : await listTombstones(env, since),
+        cursor: String(now - LIST_LAG_MS),
+        reset,
+    };
+}
@@ -0,0 +1,62 @@
+// Version history for recipe edits.
+// Before a PATCH overwrites a recipe, the stored record is copied to
+// "history:<recipe id>:<revision id>" -> { savedAt, savedBy, recipe }, where savedBy
+// is whoever made the edit that replaced it. Revision ids start with an inverted
+// timestamp, so listing a recipe's history returns the newest revision first.
+
+export const HISTORY_KEY_PREFIX = 'history:';
+const MAX_TIMESTAMP = 9999999999999;
+
+// Kept from the current record on revert: when and by whom the recipe was added,
+// whether (and when) it was deleted, and its share link and photos, which are changed
+// through their own routes rather than by editing
+const PRESERVED_ON_REVERT = ['created', 'createdBy', 'deleted', 'deletedAt', 'shareToken', 'photo', 'photos'];
+
+export function isHistoryKey(key) {
+    return key.startsWith(HISTORY_KEY_PREFIX);
+}
+
+export function recipeHistoryPrefix(id) {
+    return `${HISTORY_KEY_PREFIX}${id}:`;
+}
+
+// Two edits in the same millisecond would otherwise list in random order
+let lastRevisionTime = 0;
+
+function nextRevisionTime() {
+    lastRevisionTime = Math.max(Date.now(), lastRevisionTime + 1);
+    return lastRevisionTime;
+}
+
+function createRevisionId(time) {
+    const inverted = String(MAX_TIMESTAMP - time).padStart(13, '0');
+    return `${inverted}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Store `previous` as a revision of recipe `id`, replaced by `editor` just now
+export async function saveRevision(env, id, previous, editor) {
+    const now = nextRevisionTime();
+    const revisionId = createRevisionId(now);
+    const revision = { savedAt: new Date(now).toISOString(), savedBy: editor, recipe: previous };
+    await env.RECIPES.put(`${recipeHistoryPrefix(id)}${revisionId}`, JSON.stringify(revision));
+    return { id: revisionId, ...revision };
+}
+
+export async function getRevision(env, id, revisionId) {
+    const revision = await env.RECIPES.get(`${recipeHistoryPrefix(id)}${revisionId}`, { type: 'json' });
+    return revision ? { id: revisionId, ...revision } : null;
+}
+
+// The record after reverting `current` to an earlier revision's content
+export function revertedRecipe(current, revision, editor) {
+    const reverted = { ...revision.recipe };
+    for (const field of PRESERVED_ON_REVERT) {
+        if (current[field] === undefined) {
+            delete reverted[field];
+        } else {
+            reverted[field] = current[field];
+        }
+    }
+    reverted.updatedBy = editor;
+    return reverted;
+}
@@ -1,6 +1,67 @@
 // Cloudflare Worker for Jessipes API
 // Handles recipe storage and retrieval using Cloudflare KV
 
+import { extractRecipeFromHtml } from './jsonld.js';
+import {
+    CREATE_RECIPE_FIELDS,
+    RECIPE_SCHEMA_VERSION,
+    hasStructuredFields,
+    normalizeIngredient,
+    normalizeStep,
+    normalizeStructuredFields,
+    recipePhotos,
+    upgradeRecipe,
+    validateRecipeInput,
+} from '../src/recipeSchema.js';
+import { parseServings, scaleRecipe } from '../src/scaling.js';
+import { countTags, normalizeTags, suggestTags } from '../src/tags.js';
+import {
+    COLLECTION_KEY_PREFIX,
+    applyMembershipChanges,
+    isCollectionKey,
+    validateCollection,
+} from '../src/collections.js';
+import {
+    MAX_PAGE_SIZE,
+    ensureRecipeIndex,
+    isRecipeKey,
+    listAllKeys,
+    listRecipeSummaries,
+    rebuildRecipeIndex,
+    writeIndexEntry,
+} from './recipeIndex.js';
+import {
+    SHARE_KEY_PREFIX,
+    createShareToken,
+    isShareToken,
+    publicRecipe,
+    renderNotSharedPage,
+    renderSharePage,
+} from './share.js';
+import {
+    USER_KEY_PREFIX,
+    issueSecret,
+    publicUser,
+    revokeSecret,
+    roleAllows,
+    userKey,
+    validateUser,
+} from './users.js';
+import { getRevision, recipeHistoryPrefix, revertedRecipe, saveRevision } from './history.js';
+import { authenticate, createSession, login, revokeSession, userSessionPrefix } from './sessions.js';
+import { emptyTrash, purgeExpiredRecipes, purgeRecipe } from './trash.js';
+import { listRecipeChanges, parseSyncCursor } from './changes.js';
+import {
+    MAX_PHOTOS,
+    checkPhoto,
+    deleteUnusedPhotos,
+    isUploadTooLarge,
+    maxPhotoMegabytes,
+    photoHeaders,
+    storePhoto,
+    withPhotos,
+} from './photos.js';
+
 // URL validation to prevent SSRF attacks
 function isValidUrl(url) {
     try {
@@ -95,6 +156,10 @@ async function extractTitle(html) {
         title = extractMetaContent(html, 'twitter:title', 'twitter:title');
         if (title) return title;
 
+        // Try the schema.org Recipe name
+        title = extractRecipeFromHtml(html)?.name;
+        if (title) return title;
+
         // Try regular title tag
         const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
         if (titleMatch && titleMatch[1]) {
@@ -113,99 +178,172 @@ async function extractTitle(html) {
     }
 }
 
-// Extract OpenGraph/meta preview image from a URL
-async function extractPreviewImage(url) {
-    try {
-        // Validate URL to prevent SSRF
-        if (!isValidUrl(url)) {
-            console.warn('Invalid or potentially dangerous URL:', url);
-            return null;
-        }
+// Fetch a page's HTML with SSRF protection, a timeout and a size limit.
+// Returns { html }, or { error } if the URL is unsafe or doesn't serve HTML.
+// Throws on timeout (AbortError) or when the page is too large.
+async function fetchHtml(url) {
+    // Validate URL to prevent SSRF
+    if (!isValidUrl(url)) {
+        console.warn('Invalid or potentially dangerous URL:', url);
+        return { error: 'Invalid URL' };
+    }
 
-        // Fetch the HTML page with timeout and size limits
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+    // Fetch the HTML page with timeout and size limits
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; Jessipes/1.0; +https://github.com/12v/jessipes)'
-            },
-            signal: controller.signal
-        });
+    const response = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; Jessipes/1.0; +https://github.com/12v/jessipes)'
+        },
+        signal: controller.signal
+    });
 
-        clearTimeout(timeoutId);
+    clearTimeout(timeoutId);
 
-        if (!response.ok) {
-            return null;
-        }
-
-        // Check content type to ensure it's HTML
-        const contentType = response.headers.get('content-type') || '';
-        if (!contentType.includes('text/html')) {
-            return null;
-        }
+    if (!response.ok) {
+        return { error: 'Failed to fetch URL' };
+    }
 
-        // Limit response size to prevent memory issues
-        const MAX_HTML_SIZE = 1024 * 1024; // 1MB
-        const reader = response.body.getReader();
-        const chunks = [];
-        let totalSize = 0;
+    // Check content type to ensure it's HTML
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('text/html')) {
+        return { error: 'URL does not return HTML' };
+    }
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+    // Limit response size to prevent memory issues
+    const MAX_HTML_SIZE = 1024 * 1024; // 1MB
+    const reader = response.body.getReader();
+    const chunks = [];
+    let totalSize = 0;
 
-            totalSize += value.length;
-            if (totalSize > MAX_HTML_SIZE) {
-                reader.cancel();
-                throw new Error('Response too large');
-            }
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
 
-            chunks.push(value);
+        totalSize += value.length;
+        if (totalSize > MAX_HTML_SIZE) {
+            reader.cancel();
+            throw new Error('Response too large');
         }
 
-        const html = new TextDecoder().decode(new Uint8Array(
+        chunks.push(value);
+    }
+
+    return {
+        html: new TextDecoder().decode(new Uint8Array(
             chunks.reduce((acc, chunk) => [...acc, ...chunk], [])
-        ));
+        ))
+    };
+}
+
+// Extract OpenGraph/meta preview image from a page's HTML
+function extractPreviewImage(html, url) {
+    const candidates = [
+        // OpenGraph image
+        extractMetaContent(html, 'og:image'),
+        // Fallback to Twitter card image
+        extractMetaContent(html, 'twitter:image', 'twitter:image'),
+        // Fallback to any image meta tag
+        extractMetaContent(html, 'image') || extractMetaContent(html, 'thumbnail', 'thumbnail'),
+    ];
 
-        // Extract OpenGraph image
-        let imageUrl = extractMetaContent(html, 'og:image');
+    for (const imageUrl of candidates) {
         if (imageUrl) {
             const resolvedUrl = resolveUrl(imageUrl, url);
             if (isValidUrl(resolvedUrl)) {
                 return resolvedUrl;
             }
         }
+    }
 
-        // Fallback to Twitter card image
-        imageUrl = extractMetaContent(html, 'twitter:image', 'twitter:image');
-        if (imageUrl) {
-            const resolvedUrl = resolveUrl(imageUrl, url);
-            if (isValidUrl(resolvedUrl)) {
-                return resolvedUrl;
-            }
+    return null;
+}
+
+// Fetch a recipe page once and pull out its preview image and any schema.org Recipe data
+async function extractPageDetails(url) {
+    try {
+        const { html } = await fetchHtml(url);
+        if (!html) {
+            return null;
         }
 
-        // Fallback to any image meta tag
-        imageUrl = extractMetaContent(html, 'image') || extractMetaContent(html, 'thumbnail', 'thumbnail');
-        if (imageUrl) {
-            const resolvedUrl = resolveUrl(imageUrl, url);
+        const structured = extractRecipeFromHtml(html);
+        let previewImage = extractPreviewImage(html, url);
+
+        // Fall back to the recipe's own image when the page has no meta image
+        if (!previewImage && structured?.image) {
+            const resolvedUrl = resolveUrl(structured.image, url);
             if (isValidUrl(resolvedUrl)) {
-                return resolvedUrl;
+                previewImage = resolvedUrl;
             }
         }
 
-        return null;
+        return { previewImage, structured };
     } catch (error) {
         if (error.name === 'AbortError') {
             console.warn('Request timed out for URL:', url);
         } else {
-            console.warn('Error extracting preview image:', error.message);
+            console.warn('Error extracting page details:', error.message);
         }
         return null;
     }
 }
 
+// Copy imported schema.org fields onto a recipe record, keeping anything the user entered
+function applyStructuredRecipe(recipe, structured) {
+    if (!recipe.title && structured.name) {
+        recipe.title = structured.name;
+    }
+    if (!recipe.ingredients && structured.ingredients.length > 0) {
+        recipe.ingredients = structured.ingredients.map(normalizeIngredient);
+    }
+    if (!recipe.steps && structured.instructions.length > 0) {
+        recipe.steps = structured.instructions.map(normalizeStep);
+    }
+    for (const field of ['yield', 'prepTime', 'cookTime', 'totalTime']) {
+        if (structured[field]) {
+            recipe[field] = structured[field];
+        }
+    }
+    if (structured.cuisine.length > 0) {
+        recipe.cuisine = structured.cuisine;
+    }
+    if (structured.category.length > 0) {
+        recipe.category = structured.category;
+    }
+}
+
+// Validation errors for recipe IDs that don't exist
+async function findMissingRecipes(env, recipeIds, field) {
+    const recipes = await Promise.all(
+        recipeIds.map(id => (isRecipeKey(id) ? env.RECIPES.get(id, { type: 'json' }) : null))
+    );
+    return recipeIds
+        .map((id, index) => (recipes[index] ? null : { field: `${field}[${index}]`, message: 'recipe not found' }))
+        .filter(Boolean);
+}
+
+// A recipe's ETag is a hash of its stored record. The share token and the updated
+// stamp are left out: they live outside the recipe's content, so sharing shouldn't
+// make open edits stale.
+async function recipeEtag(recipe) {
+    const content = { ...recipe };
+    delete content.shareToken;
+    delete content.updated;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(content)));
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `"${hex.slice(0, 32)}"`;
+}
+
+// A single recipe as JSON, with the ETag to send back as If-Match when editing it
+async function recipeResponse(id, recipe, corsHeaders, status = 200) {
+    return new Response(JSON.stringify({ id, ...recipe }), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', ETag: await recipeEtag(recipe) },
+    });
+}
+
 export default {
     async fetch(request, env) {
         try {
@@ -213,7 +351,8 @@ export default {
             const corsHeaders = {
                 'Access-Control-Allow-Origin': '*',
                 'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match',
+                'Access-Control-Expose-Headers': 'ETag',
             };
 
             // Handle CORS preflight
@@ -235,164 +374,519 @@ export default {
                 return new Response(photo.body, {
                     headers: {
                         ...corsHeaders,
-                        'Content-Type': photo.httpMetadata?.contentType || 'image/jpeg',
+                        ...photoHeaders(photo),
                         'Cache-Control': 'public, max-age=31536000',
                     }
                 });
             }
 
-            const auth = request.headers.get('Authorization');
+            // Shared recipes are public: an HTML page for browsers and link previews, JSON when asked for
+            const shareMatch = url.pathname.match(/^\/share\/([^/]+)$/);
+            if (shareMatch && request.method === 'GET') {
+                const token = shareMatch[1];
+                const wantsJson = (request.headers.get('Accept') || '').includes('application/json');
+                const share = isShareToken(token)
+                    ? await env.RECIPES.get(`${SHARE_KEY_PREFIX}${token}`, { type: 'json' })
+                    : null;
+                const recipe = share ? await env.RECIPES.get(share.recipeId, { type: 'json' }) : null;
+
+                if (!recipe || recipe.deleted || recipe.shareToken !== token) {
+                    return wantsJson
+                        ? new Response(
+                            JSON.stringify({ error: 'Shared recipe not found' }),
+                            { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        )
+                        : new Response(renderNotSharedPage(), {
+                            status: 404,
+                            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+                        });
+                }
+
+                // No caching, so revoking a link takes effect immediately
+                const shared = publicRecipe(recipe);
+                return wantsJson
+                    ? new Response(JSON.stringify(shared), {
+                        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+                    })
+                    : new Response(renderSharePage(shared, url.href), {
+                        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+                    });
+            }
+
+            // Exchange a secret for a signed, expiring session token
+            if (url.pathname === '/auth/login' && request.method === 'POST') {
+                const body = await request.json().catch(() => null);
+                if (typeof body?.secret !== 'string' || !body.secret) {
+                    return new Response(
+                        JSON.stringify({ error: 'Secret required' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+                const session = await login(env, body.secret);
+                if (!session) {
+                    return new Response(
+                        JSON.stringify({ error: 'Invalid secret' }),
+                        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+                return new Response(
+                    JSON.stringify(session),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
 
             // Verify authorization for all other endpoints
-            if (!auth || auth !== env.API_SECRET) {
+            const auth = await authenticate(env, request.headers.get('Authorization'));
+            if (!auth) {
                 return new Response('Unauthorized', {
                     status: 401,
                     headers: corsHeaders
                 });
             }
+            const { user, session } = auth;
+
+            // Session management is open to every role
+            if (url.pathname === '/auth/refresh' && request.method === 'POST') {
+                // Swap a live session for a new one with a fresh expiry
+                if (!session) {
+                    return new Response(
+                        JSON.stringify({ error: 'Only session tokens can be refreshed' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+                await revokeSession(env, user.name, session.id);
+                const refreshed = await createSession(env, user, session.secretHash);
+                return new Response(
+                    JSON.stringify({ ...refreshed, user }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // Sign out this session, or every session of the caller with /auth/revoke
+            if ((url.pathname === '/auth/logout' || url.pathname === '/auth/revoke') && request.method === 'POST') {
+                let revoked = 0;
+                if (url.pathname === '/auth/revoke') {
+                    const keys = await listAllKeys(env, { prefix: userSessionPrefix(user.name) });
+                    await Promise.all(keys.map(key => env.RECIPES.delete(key)));
+                    revoked = keys.length;
+                } else if (session) {
+                    await revokeSession(env, user.name, session.id);
+                    revoked = 1;
+                }
+                return new Response(
+                    JSON.stringify({ revoked }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            if (!roleAllows(user.role, request.method, url.pathname)) {
+                return new Response('Forbidden', { status: 403, headers: corsHeaders });
+            }
+
+            // Who the caller is, so the app can hide what their role can't do
+            if (url.pathname === '/me' && request.method === 'GET') {
+                return new Response(
+                    JSON.stringify(user),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
 
             // Route handling
             if (url.pathname === '/recipes') {
                 switch (request.method) {
                     case 'GET': {
-                        // Get all recipes
-                        const recipes = await env.RECIPES.list();
-                        const recipeData = await Promise.all(
-                            recipes.keys.map(async key => {
-                                const recipe = await env.RECIPES.get(key.name, { type: 'json' });
-                                return recipe ? { id: key.name, ...recipe } : null;
-                            })
-                        );
-                        const filteredRecipes = recipeData.filter(r => r !== null);
-                        // Sort by creation date, newest first
-                        filteredRecipes.sort((a, b) => new Date(b.created) - new Date(a.created));
+                        // One page of recipe summaries, newest first; pass the returned cursor for the next page
+                        const limitParam = url.searchParams.get('limit');
+                        const limit = limitParam === null ? undefined : Number(limitParam);
+                        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+                            return new Response(
+                                JSON.stringify({ error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` }),
+                                { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
+
+                        await ensureRecipeIndex(env);
+                        const page = await listRecipeSummaries(env, {
+                            limit,
+                            cursor: url.searchParams.get('cursor') || undefined,
+                        });
                         return new Response(
-                            JSON.stringify(filteredRecipes),
+                            JSON.stringify(page),
                             { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                         );
                     }
 
                     case 'POST': {
                         // Add new recipe
+                        if (isUploadTooLarge(request, env)) {
+                            return new Response(
+                                JSON.stringify({
+                                    error: 'Photo too large',
+                                    details: [{ field: 'photo', message: `must be at most ${maxPhotoMegabytes(env)} MB` }],
+                                }),
+                                { status: 413, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
                         const formData = await request.formData();
-                        const recipe = {
+
+                        // Structured fields and tags arrive as JSON-encoded form fields
+                        const input = {};
+                        const errors = [];
+                        for (const [field, value] of formData.entries()) {
+                            if (field === 'photo' || value === '') continue;
+                            if (!['ingredients', 'steps', 'tags'].includes(field)) {
+                                input[field] = value;
+                                continue;
+                            }
+                            try {
+                                input[field] = JSON.parse(value);
+                            } catch {
+                                errors.push({ field, message: 'must be valid JSON' });
+                            }
+                        }
+                        errors.push(...validateRecipeInput(input, { allowed: CREATE_RECIPE_FIELDS }));
+                        if (errors.length > 0) {
+                            return new Response(
+                                JSON.stringify({ error: 'Invalid recipe data', details: errors }),
+                                { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
+
+                        // The stored type comes from the photo's bytes, not the form
+                        const photo = formData.get('photo');
+                        const hasPhoto = Boolean(photo && photo.size > 0);
+                        const photoCheck = hasPhoto ? await checkPhoto(photo, env) : null;
+                        if (photoCheck?.error) {
+                            return new Response(
+                                JSON.stringify({ error: photoCheck.error, details: photoCheck.details }),
+                                { status: photoCheck.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
+
+                        const now = new Date().toISOString();
+                        let recipe = {
                             title: formData.get('title'),
                             url: formData.get('url'),
                             text: formData.get('text'),
-                            created: new Date().toISOString(),
+                            created: now,
+                            updated: now,
+                            createdBy: user.name,
+                            updatedBy: user.name,
+                            schemaVersion: RECIPE_SCHEMA_VERSION,
+                            ...normalizeStructuredFields(input),
                         };
+                        if (input.tags) {
+                            recipe.tags = normalizeTags(input.tags);
+                        }
 
-                        // Extract preview image for URL recipes
+                        // Extract preview image and structured recipe data for URL recipes
                         if (recipe.url) {
-                            try {
-                                const previewImage = await extractPreviewImage(recipe.url);
-                                if (previewImage) {
-                                    recipe.previewImage = previewImage;
+                            const details = await extractPageDetails(recipe.url);
+                            if (details?.previewImage) {
+                                recipe.previewImage = details.previewImage;
+                            }
+                            if (details?.structured) {
+                                applyStructuredRecipe(recipe, details.structured);
+                                // Offer the page's categories as tags rather than applying them
+                                const suggestedTags = suggestTags(details.structured, recipe.tags);
+                                if (suggestedTags.length > 0) {
+                                    recipe.suggestedTags = suggestedTags;
                                 }
-                            } catch (error) {
-                                console.warn('Failed to extract preview image:', error);
                             }
                         }
 
                         // Handle photo upload
-                        const photo = formData.get('photo');
-                        if (photo && photo.size > 0) {
-                            const photoId = crypto.randomUUID();
-                            const photoKey = `photos/${photoId}`;
-
-                            // Upload to R2
-                            await env.PHOTOS.put(photoKey, photo, {
-                                httpMetadata: {
-                                    contentType: photo.type,
-                                }
-                            });
+                        const photos = hasPhoto ? [await storePhoto(env, photo, photoCheck.type, url.origin)] : [];
+                        const id = crypto.randomUUID();
+                        recipe = withPhotos(recipe, photos);
+                        await env.RECIPES.put(id, JSON.stringify(recipe));
+                        await writeIndexEntry(env, id, recipe);
+
+                        return recipeResponse(id, recipe, corsHeaders);
+                    }
+                }
+            }
+
+            // Recipes changed since an earlier sync, for the app's local copy; see changes.js
+            if (url.pathname === '/recipes/changes' && request.method === 'GET') {
+                const since = parseSyncCursor(url.searchParams.get('since'));
+                if (Number.isNaN(since)) {
+                    return new Response(
+                        JSON.stringify({ error: 'since must be a cursor from an earlier sync' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                const changes = await listRecipeChanges(env, since);
+                const recipes = await Promise.all(changes.recipes.map(async ([id, recipe]) => (
+                    { id, ...recipe, etag: await recipeEtag(recipe) }
+                )));
+                return new Response(
+                    JSON.stringify({ ...changes, recipes }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
 
-                            // Store the R2 URL
-                            recipe.photo = `${url.origin}/photos/${photoId}`;
+            // Tag counts across active recipes
+            if (url.pathname === '/tags' && request.method === 'GET') {
+                await ensureRecipeIndex(env);
+                const activeRecipes = [];
+                let cursor;
+                do {
+                    const page = await listRecipeSummaries(env, { limit: 1000, cursor });
+                    activeRecipes.push(...page.recipes.filter(recipe => !recipe.deleted));
+                    cursor = page.cursor;
+                } while (cursor);
+                return new Response(
+                    JSON.stringify(countTags(activeRecipes)),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // Permanently remove every deleted recipe
+            if (url.pathname === '/trash/empty' && request.method === 'POST') {
+                const result = await emptyTrash(env);
+                return new Response(
+                    JSON.stringify(result),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // Rebuild the listing index from the recipe records
+            if (url.pathname === '/admin/reindex' && request.method === 'POST') {
+                const result = await rebuildRecipeIndex(env);
+                return new Response(
+                    JSON.stringify(result),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // User management (owners only, enforced by roleAllows)
+            if (url.pathname === '/admin/users') {
+                switch (request.method) {
+                    case 'GET': {
+                        const keys = await env.RECIPES.list({ prefix: USER_KEY_PREFIX });
+                        const users = await Promise.all(
+                            keys.keys.map(key => env.RECIPES.get(key.name, { type: 'json' }))
+                        );
+                        return new Response(
+                            JSON.stringify(users.filter(Boolean).map(publicUser).sort((a, b) => a.name.localeCompare(b.name))),
+                            { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
+
+                    case 'POST': {
+                        const body = await request.json().catch(() => null);
+                        const errors = validateUser(body);
+                        if (errors.length > 0) {
+                            return new Response(
+                                JSON.stringify({ error: 'Invalid user data', details: errors }),
+                                { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
+                        if (await env.RECIPES.get(userKey(body.name))) {
+                            return new Response(
+                                JSON.stringify({ error: 'A user with that name already exists' }),
+                                { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
                         }
 
-                        const id = crypto.randomUUID();
-                        await env.RECIPES.put(id, JSON.stringify(recipe));
+                        const now = new Date().toISOString();
+                        const { secret, secretHash } = await issueSecret(env, body.name);
+                        const newUser = { name: body.name, role: body.role, secretHash, created: now, updated: now };
+                        await env.RECIPES.put(userKey(body.name), JSON.stringify(newUser));
 
+                        // The secret is only ever returned here
                         return new Response(
-                            JSON.stringify({ id, ...recipe }),
+                            JSON.stringify({ ...publicUser(newUser), secret }),
                             { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                         );
                     }
                 }
             }
 
-            // Handle title extraction
-            if (url.pathname === '/extract-title' && request.method === 'GET') {
-                const targetUrl = url.searchParams.get('url');
+            // Change a user's role, rotate their secret or remove them
+            const userMatch = url.pathname.match(/^\/admin\/users\/([^/]+?)(?:\/(rotate|remove))?$/);
+            if (userMatch && (request.method === 'PATCH' || (request.method === 'POST' && userMatch[2]))) {
+                const key = userKey(decodeURIComponent(userMatch[1]));
+                const existing = await env.RECIPES.get(key, { type: 'json' });
 
-                if (!targetUrl) {
+                if (!existing) {
                     return new Response(
-                        JSON.stringify({ error: 'URL parameter required' }),
-                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        JSON.stringify({ error: 'User not found' }),
+                        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                     );
                 }
 
-                // Validate URL to prevent SSRF
-                if (!isValidUrl(targetUrl)) {
+                if (userMatch[2] === 'remove') {
+                    await revokeSecret(env, existing.secretHash);
+                    await env.RECIPES.delete(key);
                     return new Response(
-                        JSON.stringify({ error: 'Invalid URL' }),
-                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        JSON.stringify(publicUser(existing)),
+                        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                     );
                 }
 
-                try {
-                    // Fetch the HTML page with timeout and size limits
-                    const controller = new AbortController();
-                    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-                    const response = await fetch(targetUrl, {
-                        headers: {
-                            'User-Agent': 'Mozilla/5.0 (compatible; Jessipes/1.0; +https://github.com/12v/jessipes)'
-                        },
-                        signal: controller.signal
-                    });
+                let secret;
+                const updatedUser = { ...existing, updated: new Date().toISOString() };
+                if (userMatch[2] === 'rotate') {
+                    const issued = await issueSecret(env, existing.name, existing.secretHash);
+                    secret = issued.secret;
+                    updatedUser.secretHash = issued.secretHash;
+                } else {
+                    const body = await request.json().catch(() => null);
+                    const errors = validateUser(body, { partial: true });
+                    if (errors.length > 0) {
+                        return new Response(
+                            JSON.stringify({ error: 'Invalid user data', details: errors }),
+                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
+                    if (body.role) {
+                        updatedUser.role = body.role;
+                    }
+                }
+                await env.RECIPES.put(key, JSON.stringify(updatedUser));
 
-                    clearTimeout(timeoutId);
+                return new Response(
+                    JSON.stringify(secret ? { ...publicUser(updatedUser), secret } : publicUser(updatedUser)),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
 
-                    if (!response.ok) {
+            // Collections of recipes
+            if (url.pathname === '/collections') {
+                switch (request.method) {
+                    case 'GET': {
+                        const keys = await env.RECIPES.list({ prefix: COLLECTION_KEY_PREFIX });
+                        const collections = await Promise.all(
+                            keys.keys
+                                .filter(key => isCollectionKey(key.name))
+                                .map(async key => {
+                                    const collection = await env.RECIPES.get(key.name, { type: 'json' });
+                                    return collection
+                                        ? { id: key.name.slice(COLLECTION_KEY_PREFIX.length), ...collection }
+                                        : null;
+                                })
+                        );
+                        const activeCollections = collections.filter(collection => collection && !collection.deleted);
+                        activeCollections.sort((a, b) => a.name.localeCompare(b.name));
                         return new Response(
-                            JSON.stringify({ error: 'Failed to fetch URL' }),
-                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            JSON.stringify(activeCollections),
+                            { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                         );
                     }
 
-                    // Check content type to ensure it's HTML
-                    const contentType = response.headers.get('content-type') || '';
-                    if (!contentType.includes('text/html')) {
+                    case 'POST': {
+                        const body = await request.json().catch(() => null);
+                        const errors = validateCollection(body);
+                        if (errors.length === 0) {
+                            errors.push(...await findMissingRecipes(env, body.recipeIds || [], 'recipeIds'));
+                        }
+                        if (errors.length > 0) {
+                            return new Response(
+                                JSON.stringify({ error: 'Invalid collection data', details: errors }),
+                                { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            );
+                        }
+
+                        const now = new Date().toISOString();
+                        const collection = {
+                            name: body.name.trim(),
+                            description: body.description || '',
+                            coverImage: body.coverImage || null,
+                            recipeIds: body.recipeIds || [],
+                            created: now,
+                            updated: now,
+                        };
+                        const id = crypto.randomUUID();
+                        await env.RECIPES.put(`${COLLECTION_KEY_PREFIX}${id}`, JSON.stringify(collection));
+
                         return new Response(
-                            JSON.stringify({ error: 'URL does not return HTML' }),
-                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                            JSON.stringify({ id, ...collection }),
+                            { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
                         );
                     }
+                }
+            }
 
-                    // Limit response size to prevent memory issues
-                    const MAX_HTML_SIZE = 1024 * 1024; // 1MB
-                    const reader = response.body.getReader();
-                    const chunks = [];
-                    let totalSize = 0;
+            const collectionMatch = url.pathname.match(/^\/collections\/([^/]+)$/);
+            if (collectionMatch && (request.method === 'GET' || request.method === 'PATCH')) {
+                const id = collectionMatch[1];
+                const key = `${COLLECTION_KEY_PREFIX}${id}`;
+                const collection = await env.RECIPES.get(key, { type: 'json' });
 
-                    while (true) {
-                        const { done, value } = await reader.read();
-                        if (done) break;
+                if (!collection || (collection.deleted && request.method === 'GET')) {
+                    return new Response(
+                        JSON.stringify({ error: 'Collection not found' }),
+                        { status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
 
-                        totalSize += value.length;
-                        if (totalSize > MAX_HTML_SIZE) {
-                            reader.cancel();
-                            throw new Error('Response too large');
-                        }
+                if (request.method === 'GET') {
+                    // Members are returned in order. Deleted recipes stay in the list so they can be
+                    // restored; recipes that no longer exist at all are marked missing.
+                    const recipes = await Promise.all(collection.recipeIds.map(async recipeId => {
+                        const recipe = await env.RECIPES.get(recipeId, { type: 'json' });
+                        return recipe ? { id: recipeId, ...recipe } : { id: recipeId, missing: true };
+                    }));
+                    return new Response(
+                        JSON.stringify({ id, ...collection, recipes }),
+                        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
 
-                        chunks.push(value);
+                const body = await request.json().catch(() => null);
+                const errors = validateCollection(body, { partial: true });
+                if (errors.length === 0) {
+                    errors.push(...await findMissingRecipes(env, body.addRecipeIds || [], 'addRecipeIds'));
+                }
+                let membership = { recipeIds: collection.recipeIds };
+                if (errors.length === 0) {
+                    membership = applyMembershipChanges(collection.recipeIds, body);
+                    if (membership.error) {
+                        errors.push(membership.error);
                     }
+                }
+                if (errors.length > 0) {
+                    return new Response(
+                        JSON.stringify({ error: 'Invalid collection data', details: errors }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                const updatedCollection = { ...collection, recipeIds: membership.recipeIds, updated: new Date().toISOString() };
+                if (body.name !== undefined) updatedCollection.name = body.name.trim();
+                if (body.description !== undefined) updatedCollection.description = body.description || '';
+                if (body.coverImage !== undefined) updatedCollection.coverImage = body.coverImage || null;
+                if (body.deleted !== undefined) updatedCollection.deleted = body.deleted;
+                await env.RECIPES.put(key, JSON.stringify(updatedCollection));
 
-                    const html = new TextDecoder().decode(new Uint8Array(
-                        chunks.reduce((acc, chunk) => [...acc, ...chunk], [])
-                    ));
+                return new Response(
+                    JSON.stringify({ id, ...updatedCollection }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // Handle title extraction
+            if (url.pathname === '/extract-title' && request.method === 'GET') {
+                const targetUrl = url.searchParams.get('url');
+
+                if (!targetUrl) {
+                    return new Response(
+                        JSON.stringify({ error: 'URL parameter required' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                try {
+                    const { html, error } = await fetchHtml(targetUrl);
+                    if (error) {
+                        return new Response(
+                            JSON.stringify({ error }),
+                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
 
                     const title = await extractTitle(html);
 
@@ -414,8 +908,226 @@ export default {
                 }
             }
 
-            // Handle recipe updates (including soft delete)
+            // Mint (or return the existing) share link for a recipe, or revoke it
+            const shareRouteMatch = url.pathname.match(/^\/recipes\/([^/]+)\/share(\/revoke)?$/);
+            if (shareRouteMatch && request.method === 'POST') {
+                const id = shareRouteMatch[1];
+                const recipe = isRecipeKey(id) ? await env.RECIPES.get(id, { type: 'json' }) : null;
+
+                if (!recipe) {
+                    return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+                }
+
+                if (shareRouteMatch[2]) {
+                    const { shareToken, ...unshared } = recipe;
+                    if (!shareToken) {
+                        return recipeResponse(id, recipe, corsHeaders);
+                    }
+                    const updatedRecipe = { ...unshared, updated: new Date().toISOString() };
+                    await env.RECIPES.delete(`${SHARE_KEY_PREFIX}${shareToken}`);
+                    await env.RECIPES.put(id, JSON.stringify(updatedRecipe));
+                    await writeIndexEntry(env, id, updatedRecipe, recipe);
+                    return recipeResponse(id, updatedRecipe, corsHeaders);
+                }
+
+                if (recipe.deleted) {
+                    return new Response(
+                        JSON.stringify({ error: 'Deleted recipes cannot be shared' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                let token = recipe.shareToken;
+                if (!token) {
+                    token = createShareToken();
+                    const now = new Date().toISOString();
+                    const shared = { ...recipe, shareToken: token, updated: now };
+                    await env.RECIPES.put(`${SHARE_KEY_PREFIX}${token}`, JSON.stringify({ recipeId: id, created: now }));
+                    await env.RECIPES.put(id, JSON.stringify(shared));
+                    await writeIndexEntry(env, id, shared, recipe);
+                }
+                return new Response(
+                    JSON.stringify({ token, url: `${url.origin}/share/${token}` }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // Permanently remove a deleted recipe and its photo, share link and history
+            const purgeMatch = url.pathname.match(/^\/recipes\/([^/]+)\/purge$/);
+            if (purgeMatch && isRecipeKey(purgeMatch[1]) && request.method === 'POST') {
+                const id = purgeMatch[1];
+                const recipe = await env.RECIPES.get(id, { type: 'json' });
+                if (!recipe) {
+                    return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+                }
+                if (!recipe.deleted) {
+                    return new Response(
+                        JSON.stringify({ error: 'Only deleted recipes can be purged' }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                await purgeRecipe(env, id, recipe);
+                return new Response(
+                    JSON.stringify({ id, purged: true }),
+                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+            }
+
+            // A recipe's photos: upload another, remove one, or put them in a new order.
+            // The first is the cover; a removed photo is deleted from R2 once nothing shows it.
+            const photosMatch = url.pathname.match(/^\/recipes\/([^/]+)\/photos(?:\/(remove|reorder))?$/);
+            if (photosMatch && isRecipeKey(photosMatch[1]) && request.method === 'POST') {
+                const id = photosMatch[1];
+                const action = photosMatch[2] || 'add';
+                if (action === 'add' && isUploadTooLarge(request, env)) {
+                    return new Response(
+                        JSON.stringify({
+                            error: 'Photo too large',
+                            details: [{ field: 'photo', message: `must be at most ${maxPhotoMegabytes(env)} MB` }],
+                        }),
+                        { status: 413, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+                const recipe = await env.RECIPES.get(id, { type: 'json' });
+                if (!recipe) {
+                    return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+                }
+
+                const photos = recipePhotos(recipe);
+                const invalid = details => new Response(
+                    JSON.stringify({ error: 'Invalid photo data', details }),
+                    { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                );
+                let updatedPhotos;
+                let removed = null;
+                if (action === 'add') {
+                    const formData = await request.formData();
+                    const photo = formData.get('photo');
+                    if (!photo || !photo.size) {
+                        return invalid([{ field: 'photo', message: 'is required' }]);
+                    }
+                    if (photos.length >= MAX_PHOTOS) {
+                        return invalid([{ field: 'photos', message: `must have at most ${MAX_PHOTOS} items` }]);
+                    }
+                    const photoCheck = await checkPhoto(photo, env);
+                    if (photoCheck.error) {
+                        return new Response(
+                            JSON.stringify({ error: photoCheck.error, details: photoCheck.details }),
+                            { status: photoCheck.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
+                    updatedPhotos = [...photos, await storePhoto(env, photo, photoCheck.type, url.origin)];
+                } else if (action === 'remove') {
+                    const body = await request.json().catch(() => null);
+                    if (!photos.includes(body?.photo)) {
+                        return invalid([{ field: 'photo', message: 'is not one of the recipe\'s photos' }]);
+                    }
+                    removed = body.photo;
+                    updatedPhotos = photos.filter(photo => photo !== removed);
+                } else {
+                    const body = await request.json().catch(() => null);
+                    const order = body?.photos;
+                    const samePhotos = Array.isArray(order) && order.length === photos.length
+                        && new Set(order).size === order.length && order.every(photo => photos.includes(photo));
+                    if (!samePhotos) {
+                        return invalid([{ field: 'photos', message: 'must list each of the recipe\'s photos once' }]);
+                    }
+                    updatedPhotos = order;
+                }
+
+                const updatedRecipe = { ...withPhotos(recipe, updatedPhotos), updatedBy: user.name, updated: new Date().toISOString() };
+                await env.RECIPES.put(id, JSON.stringify(updatedRecipe));
+                await writeIndexEntry(env, id, updatedRecipe, recipe);
+                if (removed) {
+                    await deleteUnusedPhotos(env, [removed]);
+                }
+                return recipeResponse(id, updatedRecipe, corsHeaders);
+            }
+
+            // Earlier versions of a recipe, newest first, and reverting to one of them
+            const historyMatch = url.pathname.match(/^\/recipes\/([^/]+)\/(history|revert)$/);
+            if (historyMatch && isRecipeKey(historyMatch[1])
+                && ((historyMatch[2] === 'history' && request.method === 'GET')
+                    || (historyMatch[2] === 'revert' && request.method === 'POST'))) {
+                const id = historyMatch[1];
+                const recipe = await env.RECIPES.get(id, { type: 'json' });
+                if (!recipe) {
+                    return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+                }
+
+                if (historyMatch[2] === 'history') {
+                    const prefix = recipeHistoryPrefix(id);
+                    const keys = await listAllKeys(env, { prefix });
+                    const revisions = await Promise.all(keys.map(key => getRevision(env, id, key.slice(prefix.length))));
+                    return new Response(
+                        JSON.stringify(revisions.filter(Boolean)),
+                        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                const body = await request.json().catch(() => null);
+                const revision = typeof body?.revision === 'string' ? await getRevision(env, id, body.revision) : null;
+                if (!revision) {
+                    return new Response(
+                        JSON.stringify({ error: 'Invalid revert data', details: [{ field: 'revision', message: 'revision not found' }] }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                // The version being replaced goes into history too, so a revert can be undone
+                const reverted = { ...revertedRecipe(recipe, revision, user.name), updated: new Date().toISOString() };
+                await saveRevision(env, id, recipe, user.name);
+                await env.RECIPES.put(id, JSON.stringify(reverted));
+                await writeIndexEntry(env, id, reverted, recipe);
+
+                return recipeResponse(id, reverted, corsHeaders);
+            }
+
+            // Collection and index records share the namespace but are never served as recipes
             const recipeMatch = url.pathname.match(/^\/recipes\/(.+)$/);
+            if (recipeMatch && !isRecipeKey(recipeMatch[1])) {
+                return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+            }
+
+            // Get a single recipe, optionally scaled with ?servings=N
+            if (recipeMatch && request.method === 'GET') {
+                const id = recipeMatch[1];
+                const recipe = await env.RECIPES.get(id, { type: 'json' });
+
+                if (!recipe) {
+                    return new Response('Recipe not found', { status: 404, headers: corsHeaders });
+                }
+
+                let result = recipe;
+                const servingsParam = url.searchParams.get('servings');
+                if (servingsParam !== null) {
+                    const servings = Number(servingsParam);
+                    if (!Number.isFinite(servings) || servings <= 0) {
+                        return new Response(
+                            JSON.stringify({ error: 'servings must be a positive number' }),
+                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
+                    const upgraded = upgradeRecipe(recipe);
+                    if (!parseServings(upgraded.yield)) {
+                        return new Response(
+                            JSON.stringify({ error: 'Recipe has no yield to scale from' }),
+                            { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                        );
+                    }
+                    // Scaling is for display only; the stored recipe is never rewritten
+                    result = scaleRecipe(upgraded, servings);
+                    return new Response(
+                        JSON.stringify({ id, ...result }),
+                        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                return recipeResponse(id, result, corsHeaders);
+            }
+
+            // Handle recipe updates (including soft delete)
             if (recipeMatch && request.method === 'PATCH') {
                 const id = recipeMatch[1];
                 const recipe = await env.RECIPES.get(id, { type: 'json' });
@@ -424,19 +1136,59 @@ export default {
                     return new Response('Recipe not found', { status: 404 });
                 }
 
-                const body = await request.json();
-                const updatedRecipe = { ...recipe, ...body };
+                // Editing a copy that someone else has since changed would silently undo their edit
+                const ifMatch = request.headers.get('If-Match');
+                if (ifMatch && ifMatch !== '*' && ifMatch !== await recipeEtag(recipe)) {
+                    return new Response(
+                        JSON.stringify({ error: 'Recipe has changed since it was loaded', current: { id, ...recipe } }),
+                        {
+                            status: 412,
+                            headers: { ...corsHeaders, 'Content-Type': 'application/json', ETag: await recipeEtag(recipe) },
+                        }
+                    );
+                }
+
+                const body = await request.json().catch(() => null);
+                const errors = validateRecipeInput(body);
+                if (errors.length > 0) {
+                    return new Response(
+                        JSON.stringify({ error: 'Invalid recipe data', details: errors }),
+                        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+                    );
+                }
+
+                let updatedRecipe = { ...recipe, ...body };
+                if (hasStructuredFields(body)) {
+                    // Writing structured fields moves the whole record onto the current schema
+                    updatedRecipe = { ...upgradeRecipe(recipe), ...body, ...normalizeStructuredFields(body) };
+                    delete updatedRecipe.ingredientsText;
+                }
+                if (body.tags !== undefined) {
+                    updatedRecipe.tags = normalizeTags(body.tags);
+                }
+                // deletedAt starts the trash retention period; restoring clears it
+                if (body.deleted === true && !recipe.deleted) {
+                    updatedRecipe.deletedAt = new Date().toISOString();
+                } else if (body.deleted === false) {
+                    delete updatedRecipe.deletedAt;
+                }
+                updatedRecipe.updatedBy = user.name;
+                updatedRecipe.updated = new Date().toISOString();
+                await saveRevision(env, id, recipe, user.name);
                 await env.RECIPES.put(id, JSON.stringify(updatedRecipe));
+                await writeIndexEntry(env, id, updatedRecipe, recipe);
 
-                return new Response(
-                    JSON.stringify({ id, ...updatedRecipe }),
-                    { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-                );
+                return recipeResponse(id, updatedRecipe, corsHeaders);
             }
 
             return new Response('Not Found', { status: 404 });
         } catch (error) {
             return new Response(error.message, { status: 500 });
         }
-    }
+    },
+
+    // Cron trigger: purge recipes that have been in the trash past the retention period
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(purgeExpiredRecipes(env));
+    },
 };
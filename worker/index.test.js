@@ -1,24 +1,48 @@
+import { File as NodeFile } from 'node:buffer'
 import { expect } from 'vitest'
 import worker from './index.js'
+import { createdIndexKey, isRecipeKey, recipeSummary } from './recipeIndex.js'
 
 // Mock environment setup
 const createMockEnv = () => {
   const mockKV = new Map()
+  const mockMetadata = new Map()
   const mockR2 = new Map()
 
   return {
     API_SECRET: 'test-secret',
     RECIPES: {
-      list: vi.fn().mockResolvedValue({
-        keys: Array.from(mockKV.keys()).map(key => ({ name: key })),
+      // Lexicographic order with prefix, limit and cursor like KV's list
+      list: vi.fn().mockImplementation(({ prefix = '', limit = 1000, cursor } = {}) => {
+        const names = Array.from(mockKV.keys()).filter(key => key.startsWith(prefix)).sort()
+        const start = cursor ? Number(cursor) : 0
+        const end = start + limit
+        const listComplete = end >= names.length
+        return Promise.resolve({
+          keys: names.slice(start, end).map(name => (
+            mockMetadata.has(name) ? { name, metadata: mockMetadata.get(name) } : { name }
+          )),
+          list_complete: listComplete,
+          ...(listComplete ? {} : { cursor: String(end) }),
+        })
       }),
       get: vi.fn().mockImplementation((key, options) => {
         const value = mockKV.get(key)
         if (!value) return null
         return options?.type === 'json' ? JSON.parse(value) : value
       }),
-      put: vi.fn().mockImplementation((key, value) => {
+      put: vi.fn().mockImplementation((key, value, options) => {
         mockKV.set(key, value)
+        if (options?.metadata) {
+          mockMetadata.set(key, JSON.parse(JSON.stringify(options.metadata)))
+        } else {
+          mockMetadata.delete(key)
+        }
+        return Promise.resolve()
+      }),
+      delete: vi.fn().mockImplementation(key => {
+        mockKV.delete(key)
+        mockMetadata.delete(key)
         return Promise.resolve()
       }),
     },
@@ -31,10 +55,15 @@ const createMockEnv = () => {
         mockR2.set(key, { body: value, ...options })
         return Promise.resolve()
       }),
+      delete: vi.fn().mockImplementation(key => {
+        mockR2.delete(key)
+        return Promise.resolve()
+      }),
     },
     // Helper methods for testing
     _mockKV: mockKV,
     _mockR2: mockR2,
+    _mockMetadata: mockMetadata,
   }
 }
 
@@ -56,6 +85,12 @@ const createFormData = (data) => {
   return formData
 }
 
+// The first bytes of a JPEG
+const JPEG = [0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]
+const bytes = text => Array.from(text, c => c.charCodeAt(0))
+// Node's File, which can be read like the Workers runtime's; jsdom's can't
+const photoFile = (content, name = 'photo', type = 'application/octet-stream') => new NodeFile([new Uint8Array(content)], name, { type })
+
 describe('Cloudflare Worker', () => {
   let env
 
@@ -73,7 +108,8 @@ describe('Cloudflare Worker', () => {
       expect(response.status).toBe(200)
       expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*')
       expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, POST, PATCH, OPTIONS')
-      expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, Authorization')
+      expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, Authorization, If-Match')
+      expect(response.headers.get('Access-Control-Expose-Headers')).toBe('ETag')
     })
 
     test('includes CORS headers in all responses', async () => {
@@ -122,6 +158,245 @@ describe('Cloudflare Worker', () => {
 
       expect(response.headers.get('Content-Type')).toBe('image/png')
     })
+
+    test('serves photos so browsers only ever show them as images', async () => {
+      env._mockR2.set('photos/p1', 'jpeg')
+
+      const response = await worker.fetch(createRequest('https://example.com/photos/p1'), env)
+
+      expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff')
+      expect(response.headers.get('Content-Disposition')).toBe('inline; filename="photo.jpg"')
+    })
+
+    test('sends anything stored with another type as a download', async () => {
+      env.PHOTOS.get.mockResolvedValue({ body: '<script>alert(1)</script>', httpMetadata: { contentType: 'text/html' } })
+
+      const response = await worker.fetch(createRequest('https://example.com/photos/evil'), env)
+
+      expect(response.headers.get('Content-Type')).toBe('application/octet-stream')
+      expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="photo"')
+      expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff')
+    })
+  })
+
+  describe('Photo uploads', () => {
+    // The form is handed over as it is: jsdom's FormData can't hold Node's File
+    const upload = (photo, headers = {}) => {
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret', ...headers },
+      })
+      request.formData = async () => new Map([['title', 'Cake'], ['photo', photo]])
+      return worker.fetch(request, env)
+    }
+
+    test('stores the type read from the photo, not the one it was sent with', async () => {
+      const response = await upload(photoFile(JPEG, 'cake.png', 'image/png'))
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.photo).toMatch(/^https:\/\/example\.com\/photos\//)
+      const [key, , options] = env.PHOTOS.put.mock.calls[0]
+      expect(key).toBe(`photos/${data.photo.split('/photos/')[1]}`)
+      expect(options.httpMetadata.contentType).toBe('image/jpeg')
+    })
+
+    test('accepts PNG, WebP, GIF and HEIC photos', async () => {
+      const photos = {
+        'image/png': [0x89, ...bytes('PNG\r\n\x1a\n')],
+        'image/webp': bytes('RIFF\0\0\0\0WEBP'),
+        'image/gif': bytes('GIF89a'),
+        'image/heic': bytes('\0\0\0\x18ftypheic'),
+      }
+      for (const [type, header] of Object.entries(photos)) {
+        const response = await upload(photoFile(header))
+        expect(response.status).toBe(200)
+        expect(env.PHOTOS.put.mock.lastCall[2].httpMetadata.contentType).toBe(type)
+      }
+    })
+
+    test('rejects files that are not images with 415', async () => {
+      const response = await upload(photoFile(bytes('<svg onload="alert(1)"></svg>'), 'cake.jpg', 'image/jpeg'))
+
+      expect(response.status).toBe(415)
+      expect(await response.json()).toEqual({
+        error: 'Unsupported photo type',
+        details: [{ field: 'photo', message: 'must be a JPEG, PNG, WebP, GIF or HEIC image' }],
+      })
+      expect(env.PHOTOS.put).not.toHaveBeenCalled()
+      expect(Array.from(env._mockKV.keys()).filter(isRecipeKey)).toEqual([])
+    })
+
+    test('rejects photos over the size limit with 413', async () => {
+      env.MAX_PHOTO_MB = '0.001'
+      const big = [...JPEG, ...new Array(2048).fill(0)]
+
+      const response = await upload(photoFile(big, 'cake.jpg', 'image/jpeg'))
+
+      expect(response.status).toBe(413)
+      expect(await response.json()).toEqual({
+        error: 'Photo too large',
+        details: [{ field: 'photo', message: 'must be at most 0.001 MB' }],
+      })
+      expect(env.PHOTOS.put).not.toHaveBeenCalled()
+    })
+
+    test('refuses an oversized request before reading it', async () => {
+      const response = await upload(photoFile(JPEG), { 'Content-Length': String(12 * 1024 * 1024) })
+
+      expect(response.status).toBe(413)
+      expect((await response.json()).details).toEqual([{ field: 'photo', message: 'must be at most 10 MB' }])
+    })
+  })
+
+  describe('Recipe photos', () => {
+    const photoUrl = name => `https://example.com/photos/${name}`
+    const seed = recipe => env._mockKV.set('r1', JSON.stringify({ title: 'Gran\'s Pie', created: '2024-01-01T00:00:00Z', ...recipe }))
+    const stored = () => JSON.parse(env._mockKV.get('r1'))
+    const addPhoto = photo => {
+      const request = createRequest('https://example.com/recipes/r1/photos', { method: 'POST', headers: { Authorization: 'test-secret' } })
+      request.formData = async () => new Map([['photo', photo]])
+      return worker.fetch(request, env)
+    }
+    const post = (path, body) => worker.fetch(createRequest(`https://example.com/recipes/r1/photos/${path}`, {
+      method: 'POST',
+      headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }), env)
+
+    test('adds photos after the cover', async () => {
+      seed({})
+
+      const first = await (await addPhoto(photoFile(JPEG))).json()
+      const response = await addPhoto(photoFile(JPEG))
+      const second = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(response.headers.get('ETag')).toBeTruthy()
+      expect(first.photos).toEqual([first.photo])
+      expect(second.photos).toEqual([first.photo, expect.stringMatching(/^https:\/\/example\.com\/photos\//)])
+      expect(second.photo).toBe(first.photo)
+      expect(stored()).toMatchObject({ photos: second.photos, updatedBy: 'owner', updated: expect.any(String) })
+      expect(env._mockR2.size).toBe(2)
+    })
+
+    test('keeps the photo of a recipe from before photo lists first', async () => {
+      seed({ photo: photoUrl('old') })
+
+      const { photos } = await (await addPhoto(photoFile(JPEG))).json()
+
+      expect(photos).toEqual([photoUrl('old'), expect.any(String)])
+    })
+
+    test('checks added photos like new recipes', async () => {
+      seed({})
+
+      const response = await addPhoto(photoFile(bytes('<html>')))
+
+      expect(response.status).toBe(415)
+      expect(env.PHOTOS.put).not.toHaveBeenCalled()
+      expect((await addPhoto(null)).status).toBe(400)
+    })
+
+    test('stops at the most photos a recipe can have', async () => {
+      seed({ photos: Array.from({ length: 20 }, (_, index) => photoUrl(`p${index}`)) })
+
+      const response = await addPhoto(photoFile(JPEG))
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({
+        error: 'Invalid photo data',
+        details: [{ field: 'photos', message: 'must have at most 20 items' }],
+      })
+    })
+
+    test('removes a photo and deletes it from R2', async () => {
+      seed({ photo: photoUrl('a'), photos: [photoUrl('a'), photoUrl('b')] })
+      env._mockR2.set('photos/a', 'jpeg')
+      env._mockR2.set('photos/b', 'jpeg')
+
+      const response = await post('remove', { photo: photoUrl('a') })
+      const recipe = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(recipe).toMatchObject({ photo: photoUrl('b'), photos: [photoUrl('b')] })
+      expect(env._mockR2.has('photos/a')).toBe(false)
+      expect(env._mockR2.has('photos/b')).toBe(true)
+
+      await post('remove', { photo: photoUrl('b') })
+      expect(stored()).not.toHaveProperty('photo')
+      expect(stored()).not.toHaveProperty('photos')
+    })
+
+    test('keeps a removed photo in R2 while a step still shows it', async () => {
+      seed({ photos: [photoUrl('a'), photoUrl('b')], steps: [{ text: 'Crimp the edges', photo: photoUrl('b') }] })
+      env._mockR2.set('photos/b', 'jpeg')
+
+      await post('remove', { photo: photoUrl('b') })
+
+      expect(env._mockR2.has('photos/b')).toBe(true)
+    })
+
+    test('keeps a removed photo in R2 while another recipe, a collection or a revision uses it', async () => {
+      seed({ photos: [photoUrl('a'), photoUrl('b'), photoUrl('c'), photoUrl('d')] })
+      env._mockKV.set('r2', JSON.stringify({ title: 'Copy', steps: [{ text: 'Crimp', photo: photoUrl('a') }] }))
+      env._mockKV.set('collection:c1', JSON.stringify({ name: 'Pies', coverImage: photoUrl('b'), recipeIds: ['r1'] }))
+      env._mockKV.set('history:r1:0001-abc', JSON.stringify({ recipe: { title: 'Old', steps: [{ text: 'Roll', photo: photoUrl('c') }] } }))
+      for (const name of ['a', 'b', 'c', 'd']) env._mockR2.set(`photos/${name}`, 'jpeg')
+
+      for (const name of ['a', 'b', 'c', 'd']) {
+        await post('remove', { photo: photoUrl(name) })
+      }
+
+      expect([...env._mockR2.keys()]).toEqual(['photos/a', 'photos/b', 'photos/c'])
+    })
+
+    test('refuses to remove a photo the recipe does not have', async () => {
+      seed({ photos: [photoUrl('a')] })
+
+      const response = await post('remove', { photo: photoUrl('someone-elses') })
+
+      expect(response.status).toBe(400)
+      expect(env.PHOTOS.delete).not.toHaveBeenCalled()
+    })
+
+    test('reorders photos, moving the cover with them', async () => {
+      seed({ photo: photoUrl('a'), photos: [photoUrl('a'), photoUrl('b'), photoUrl('c')] })
+
+      const recipe = await (await post('reorder', { photos: [photoUrl('c'), photoUrl('a'), photoUrl('b')] })).json()
+
+      expect(recipe).toMatchObject({ photo: photoUrl('c'), photos: [photoUrl('c'), photoUrl('a'), photoUrl('b')] })
+      const { recipes } = await (await worker.fetch(createRequest('https://example.com/recipes', { headers: { Authorization: 'test-secret' } }), env)).json()
+      expect(recipes[0]).toMatchObject({ photo: photoUrl('c'), photos: recipe.photos })
+    })
+
+    test('a new order must list each photo once', async () => {
+      seed({ photos: [photoUrl('a'), photoUrl('b')] })
+
+      for (const photos of [[photoUrl('a')], [photoUrl('a'), photoUrl('a')], [photoUrl('a'), photoUrl('x')], 'a,b']) {
+        const response = await post('reorder', { photos })
+        expect(response.status).toBe(400)
+        expect((await response.json()).details).toEqual([{ field: 'photos', message: 'must list each of the recipe\'s photos once' }])
+      }
+      expect(stored().photos).toEqual([photoUrl('a'), photoUrl('b')])
+    })
+
+    test('photos cannot be set by editing the recipe', async () => {
+      seed({ photos: [photoUrl('a')] })
+
+      const response = await worker.fetch(createRequest('https://example.com/recipes/r1', {
+        method: 'PATCH',
+        headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photos: [photoUrl('x')] }),
+      }), env)
+
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toEqual([{ field: 'photos', message: 'cannot be changed' }])
+    })
+
+    test('returns 404 for unknown recipes', async () => {
+      expect((await post('reorder', { photos: [] })).status).toBe(404)
+    })
   })
 
   describe('Authentication', () => {
@@ -154,7 +429,7 @@ describe('Cloudflare Worker', () => {
   })
 
   describe('GET /recipes', () => {
-    test('returns empty array when no recipes exist', async () => {
+    test('returns an empty page when no recipes exist', async () => {
       const request = createRequest('https://example.com/recipes', {
         headers: { Authorization: 'test-secret' },
       })
@@ -163,7 +438,7 @@ describe('Cloudflare Worker', () => {
       const data = await response.json()
 
       expect(response.status).toBe(200)
-      expect(data).toEqual([])
+      expect(data).toEqual({ recipes: [], cursor: null })
     })
 
     test('returns recipes sorted by creation date', async () => {
@@ -173,10 +448,6 @@ describe('Cloudflare Worker', () => {
       env._mockKV.set('id1', JSON.stringify(recipe1))
       env._mockKV.set('id2', JSON.stringify(recipe2))
 
-      env.RECIPES.list.mockResolvedValue({
-        keys: [{ name: 'id1' }, { name: 'id2' }],
-      })
-
       const request = createRequest('https://example.com/recipes', {
         headers: { Authorization: 'test-secret' },
       })
@@ -185,9 +456,9 @@ describe('Cloudflare Worker', () => {
       const data = await response.json()
 
       expect(response.status).toBe(200)
-      expect(data).toHaveLength(2)
-      expect(data[0].title).toBe('Recipe 2') // Newer first
-      expect(data[1].title).toBe('Recipe 1')
+      expect(data.recipes).toHaveLength(2)
+      expect(data.recipes[0].title).toBe('Recipe 2') // Newer first
+      expect(data.recipes[1].title).toBe('Recipe 1')
     })
 
     test('doesn\'t filter out deleted recipes', async () => {
@@ -197,10 +468,6 @@ describe('Cloudflare Worker', () => {
       env._mockKV.set('id1', JSON.stringify(recipe1))
       env._mockKV.set('id2', JSON.stringify(recipe2))
 
-      env.RECIPES.list.mockResolvedValue({
-        keys: [{ name: 'id1' }, { name: 'id2' }],
-      })
-
       const request = createRequest('https://example.com/recipes', {
         headers: { Authorization: 'test-secret' },
       })
@@ -208,19 +475,15 @@ describe('Cloudflare Worker', () => {
       const response = await worker.fetch(request, env)
       const data = await response.json()
 
-      expect(data).toHaveLength(2)
-      expect(data[0].title).toBe('Deleted Recipe')
-      expect(data[1].title).toBe('Active Recipe')
+      expect(data.recipes).toHaveLength(2)
+      expect(data.recipes[0].title).toBe('Deleted Recipe')
+      expect(data.recipes[1].title).toBe('Active Recipe')
     })
 
     test('includes recipe ID in response', async () => {
       const recipe = { title: 'Test Recipe', created: '2024-01-01T00:00:00Z' }
       env._mockKV.set('test-id', JSON.stringify(recipe))
 
-      env.RECIPES.list.mockResolvedValue({
-        keys: [{ name: 'test-id' }],
-      })
-
       const request = createRequest('https://example.com/recipes', {
         headers: { Authorization: 'test-secret' },
       })
@@ -228,12 +491,59 @@ describe('Cloudflare Worker', () => {
       const response = await worker.fetch(request, env)
       const data = await response.json()
 
-      expect(data[0]).toMatchObject({
+      expect(data.recipes[0]).toMatchObject({
         id: 'test-id',
         title: 'Test Recipe',
         created: '2024-01-01T00:00:00Z',
       })
     })
+
+    test('pages through recipes newest first with a cursor', async () => {
+      for (let day = 1; day <= 5; day++) {
+        env._mockKV.set(`id${day}`, JSON.stringify({ title: `Recipe ${day}`, created: `2024-01-0${day}T00:00:00Z` }))
+      }
+      const getPage = async cursor => {
+        const query = cursor ? `?limit=2&cursor=${cursor}` : '?limit=2'
+        const response = await worker.fetch(createRequest(`https://example.com/recipes${query}`, {
+          headers: { Authorization: 'test-secret' },
+        }), env)
+        return response.json()
+      }
+
+      const first = await getPage()
+      const second = await getPage(first.cursor)
+      const last = await getPage(second.cursor)
+
+      expect(first.recipes.map(r => r.title)).toEqual(['Recipe 5', 'Recipe 4'])
+      expect(second.recipes.map(r => r.title)).toEqual(['Recipe 3', 'Recipe 2'])
+      expect(last).toEqual({ recipes: [expect.objectContaining({ title: 'Recipe 1' })], cursor: null })
+    })
+
+    test('rejects an invalid limit', async () => {
+      for (const limit of ['0', '101', '2.5', 'ten']) {
+        const response = await worker.fetch(createRequest(`https://example.com/recipes?limit=${limit}`, {
+          headers: { Authorization: 'test-secret' },
+        }), env)
+
+        expect(response.status).toBe(400)
+        expect(await response.json()).toEqual({ error: 'limit must be a whole number from 1 to 100' })
+      }
+    })
+
+    test('backfills the index once for recipes saved before it existed', async () => {
+      env._mockKV.set('old', JSON.stringify({ title: 'Old Recipe', created: '2023-06-01T00:00:00Z' }))
+      const request = () => createRequest('https://example.com/recipes', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      await worker.fetch(request(), env)
+      const putCount = env.RECIPES.put.mock.calls.length
+      const data = await (await worker.fetch(request(), env)).json()
+
+      expect(data.recipes.map(r => r.id)).toEqual(['old'])
+      expect(env.RECIPES.put).toHaveBeenCalledTimes(putCount)
+      expect(Array.from(env._mockKV.keys()).filter(key => key.startsWith('index:created:'))).toHaveLength(1)
+    })
   })
 
   describe('POST /recipes', () => {
@@ -264,6 +574,22 @@ describe('Cloudflare Worker', () => {
       expect(env.RECIPES.put).toHaveBeenCalled()
     })
 
+    test('lists new recipes ahead of older ones', async () => {
+      env._mockKV.set('old', JSON.stringify({ title: 'Old Recipe', created: '2023-06-01T00:00:00Z' }))
+      await worker.fetch(createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({ title: 'New Recipe', text: 'Notes' }),
+      }), env)
+
+      const response = await worker.fetch(createRequest('https://example.com/recipes', {
+        headers: { Authorization: 'test-secret' },
+      }), env)
+      const data = await response.json()
+
+      expect(data.recipes.map(r => r.title)).toEqual(['New Recipe', 'Old Recipe'])
+    })
+
     test('creates text-only recipe successfully', async () => {
       const formData = createFormData({
         title: 'Text Recipe',
@@ -289,8 +615,6 @@ describe('Cloudflare Worker', () => {
       expect(data.photo).toBeUndefined()
     })
 
-    // Note: Photo upload test removed due to complexity with mocking FormData and crypto in test environment
-
     test('handles recipe without photo', async () => {
       const formData = createFormData({
         title: 'No Photo Recipe',
@@ -311,6 +635,81 @@ describe('Cloudflare Worker', () => {
       expect(env.PHOTOS.put).not.toHaveBeenCalled()
     })
 
+    test('stores structured ingredients and steps', async () => {
+      const formData = createFormData({
+        title: 'Structured Recipe',
+        ingredients: JSON.stringify([
+          { quantity: 200, unit: 'g', item: ' flour ', note: 'sifted', group: '' },
+        ]),
+        steps: JSON.stringify([{ text: 'Bake', timer: 1200 }]),
+      })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: formData,
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data).toMatchObject({
+        schemaVersion: 2,
+        ingredients: [{ quantity: 200, unit: 'g', item: 'flour', note: 'sifted', group: null }],
+        steps: [{ text: 'Bake', timer: 1200 }],
+      })
+    })
+
+    test('parses free-text ingredients sent with a new recipe', async () => {
+      const formData = createFormData({
+        title: 'Text Recipe',
+        text: 'Mix and bake',
+        ingredientsText: 'For the base:\n½ tsp salt\n200g butter, softened',
+      })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: formData,
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.ingredients).toEqual([
+        { quantity: 0.5, unit: 'tsp', item: 'salt', note: null, group: 'For the base' },
+        { quantity: 200, unit: 'g', item: 'butter', note: 'softened', group: 'For the base' },
+      ])
+      expect(data.ingredientsText).toBeUndefined()
+    })
+
+    test('rejects invalid structured fields', async () => {
+      const formData = createFormData({
+        title: 'Bad Recipe',
+        ingredients: JSON.stringify([{ quantity: 'lots', item: 'flour' }]),
+        steps: 'not json',
+      })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: formData,
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.error).toBe('Invalid recipe data')
+      expect(data.details).toEqual([
+        { field: 'steps', message: 'must be valid JSON' },
+        { field: 'ingredients[0].quantity', message: 'must be a non-negative number' },
+      ])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+
     test('generates valid ISO date string', async () => {
       const formData = createFormData({ title: 'Date Test Recipe' })
 
@@ -373,12 +772,45 @@ describe('Cloudflare Worker', () => {
       expect(data.previewImage).toBe('https://example.com/preview.jpg')
     })
 
-    test('handles preview image extraction failure gracefully', async () => {
-      // Mock fetch to fail for preview extraction
-      global.fetch = vi.fn().mockRejectedValueOnce(new Error('Network error'))
+    test('imports structured recipe data from JSON-LD', async () => {
+      const jsonLd = {
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebPage', name: 'Page' },
+          {
+            '@type': 'Recipe',
+            name: 'Imported Recipe',
+            image: ['https://example.com/recipe.jpg'],
+            recipeIngredient: ['1 cup flour', '1 egg'],
+            recipeInstructions: [
+              { '@type': 'HowToSection', name: 'Batter', itemListElement: [{ '@type': 'HowToStep', text: 'Mix.' }] },
+              { '@type': 'HowToStep', text: 'Bake.' },
+            ],
+            recipeYield: '4 servings',
+            prepTime: 'PT5M',
+            cookTime: 'PT25M',
+            totalTime: 'PT30M',
+            recipeCuisine: 'French',
+            recipeCategory: 'Dessert',
+          },
+        ],
+      }
+      const mockHtml = `<html><head><script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head></html>`
+
+      global.fetch = vi.fn().mockResolvedValueOnce({
+        ok: true,
+        headers: { get: () => 'text/html' },
+        body: {
+          getReader: () => ({
+            read: vi.fn()
+              .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode(mockHtml) })
+              .mockResolvedValueOnce({ done: true })
+          })
+        }
+      })
 
       const formData = createFormData({
-        title: 'Recipe with Failed Preview',
+        title: 'My Title',
         url: 'https://example.com/recipe',
       })
 
@@ -391,68 +823,179 @@ describe('Cloudflare Worker', () => {
       const response = await worker.fetch(request, env)
       const data = await response.json()
 
-      expect(response.status).toBe(200)
-      expect(data.previewImage).toBeUndefined()
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(data).toMatchObject({
+        title: 'My Title', // User-entered title wins over JSON-LD name
+        previewImage: 'https://example.com/recipe.jpg',
+        schemaVersion: 2,
+        ingredients: [
+          { quantity: 1, unit: 'cup', item: 'flour', note: null, group: null },
+          { quantity: 1, unit: null, item: 'egg', note: null, group: null },
+        ],
+        steps: [{ text: 'Mix.' }, { text: 'Bake.' }],
+        yield: '4 servings',
+        prepTime: 'PT5M',
+        cookTime: 'PT25M',
+        totalTime: 'PT30M',
+        cuisine: ['French'],
+        category: ['Dessert'],
+      })
+      expect(JSON.parse(env._mockKV.get(data.id)).steps).toEqual([{ text: 'Mix.' }, { text: 'Bake.' }])
     })
-  })
-
-  describe('PATCH /recipes/:id', () => {
-    const recipeId = 'test-recipe-id'
 
-    test('updates recipe successfully', async () => {
-      const existingRecipe = {
-        title: 'Original Title',
-        text: 'Original text',
-        created: '2024-01-01T00:00:00Z',
+    test('imports a relative ImageObject image and drops times it cannot store', async () => {
+      const jsonLd = {
+        '@type': 'Recipe',
+        name: 'Loose Recipe',
+        image: { '@type': 'ImageObject', url: '/images/loose.jpg' },
+        prepTime: '10 minutes',
+        cookTime: 'PT20M',
       }
-      env._mockKV.set(recipeId, JSON.stringify(existingRecipe))
+      const mockHtml = `<html><head><script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head></html>`
 
-      const updates = {
-        title: 'Updated Title',
-        text: 'Updated text',
-      }
+      global.fetch = vi.fn().mockResolvedValueOnce({
+        ok: true,
+        headers: { get: () => 'text/html' },
+        body: {
+          getReader: () => ({
+            read: vi.fn()
+              .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode(mockHtml) })
+              .mockResolvedValueOnce({ done: true })
+          })
+        }
+      })
 
-      const request = createRequest(`https://example.com/recipes/${recipeId}`, {
-        method: 'PATCH',
-        headers: {
-          Authorization: 'test-secret',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(updates),
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({ url: 'https://example.com/recipe' }),
       })
 
       const response = await worker.fetch(request, env)
       const data = await response.json()
 
       expect(response.status).toBe(200)
-      expect(data).toMatchObject({
-        id: recipeId,
-        title: 'Updated Title',
-        text: 'Updated text',
-        created: '2024-01-01T00:00:00Z', // Preserved
-      })
-
-      expect(env.RECIPES.put).toHaveBeenCalledWith(
-        recipeId,
-        JSON.stringify({
-          title: 'Updated Title',
-          text: 'Updated text',
-          created: '2024-01-01T00:00:00Z',
-        })
-      )
+      expect(data.previewImage).toBe('https://example.com/images/loose.jpg')
+      expect(data.cookTime).toBe('PT20M')
+      expect(data).not.toHaveProperty('prepTime')
     })
 
-    test('soft deletes recipe', async () => {
-      const existingRecipe = {
-        title: 'Recipe to Delete',
-        created: '2024-01-01T00:00:00Z',
+    test('suggests tags from JSON-LD category, cuisine and keywords', async () => {
+      const jsonLd = {
+        '@type': 'Recipe',
+        name: 'Tagged Recipe',
+        recipeCategory: 'Dinner',
+        recipeCuisine: 'Italian',
+        keywords: 'pasta, quick, dinner',
       }
-      env._mockKV.set(recipeId, JSON.stringify(existingRecipe))
+      const mockHtml = `<html><head><script type="application/ld+json">${JSON.stringify(jsonLd)}</script></head></html>`
 
-      const request = createRequest(`https://example.com/recipes/${recipeId}`, {
-        method: 'PATCH',
-        headers: {
-          Authorization: 'test-secret',
+      global.fetch = vi.fn().mockResolvedValueOnce({
+        ok: true,
+        headers: { get: () => 'text/html' },
+        body: {
+          getReader: () => ({
+            read: vi.fn()
+              .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode(mockHtml) })
+              .mockResolvedValueOnce({ done: true })
+          })
+        }
+      })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({
+          url: 'https://example.com/recipe',
+          tags: JSON.stringify(['Quick']),
+        }),
+      })
+
+      const data = await (await worker.fetch(request, env)).json()
+
+      expect(data.tags).toEqual(['quick'])
+      expect(data.suggestedTags).toEqual(['dinner', 'italian', 'pasta'])
+    })
+
+    test('handles preview image extraction failure gracefully', async () => {
+      // Mock fetch to fail for preview extraction
+      global.fetch = vi.fn().mockRejectedValueOnce(new Error('Network error'))
+
+      const formData = createFormData({
+        title: 'Recipe with Failed Preview',
+        url: 'https://example.com/recipe',
+      })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: formData,
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.previewImage).toBeUndefined()
+    })
+  })
+
+  describe('PATCH /recipes/:id', () => {
+    const recipeId = 'test-recipe-id'
+
+    test('updates recipe successfully', async () => {
+      const existingRecipe = {
+        title: 'Original Title',
+        text: 'Original text',
+        created: '2024-01-01T00:00:00Z',
+      }
+      env._mockKV.set(recipeId, JSON.stringify(existingRecipe))
+
+      const updates = {
+        title: 'Updated Title',
+        text: 'Updated text',
+      }
+
+      const request = createRequest(`https://example.com/recipes/${recipeId}`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: 'test-secret',
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates),
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data).toMatchObject({
+        id: recipeId,
+        title: 'Updated Title',
+        text: 'Updated text',
+        created: '2024-01-01T00:00:00Z', // Preserved
+      })
+
+      expect(JSON.parse(env._mockKV.get(recipeId))).toEqual({
+        title: 'Updated Title',
+        text: 'Updated text',
+        created: '2024-01-01T00:00:00Z',
+        updatedBy: 'owner',
+        updated: expect.any(String),
+      })
+    })
+
+    test('soft deletes recipe', async () => {
+      const existingRecipe = {
+        title: 'Recipe to Delete',
+        created: '2024-01-01T00:00:00Z',
+      }
+      env._mockKV.set(recipeId, JSON.stringify(existingRecipe))
+
+      const request = createRequest(`https://example.com/recipes/${recipeId}`, {
+        method: 'PATCH',
+        headers: {
+          Authorization: 'test-secret',
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ deleted: true }),
@@ -516,6 +1059,247 @@ describe('Cloudflare Worker', () => {
     })
   })
 
+  describe('GET /recipes/:id', () => {
+    const recipeId = 'scalable-id'
+    const storedRecipe = {
+      title: 'Pancakes',
+      schemaVersion: 2,
+      yield: '4 servings',
+      ingredients: [
+        { quantity: 200, unit: 'g', item: 'flour', note: null, group: null },
+        { quantity: 1, unit: 'tsp', item: 'baking powder', note: null, group: null },
+      ],
+      created: '2024-01-01T00:00:00Z',
+    }
+
+    const getRecipe = (query = '') => worker.fetch(
+      createRequest(`https://example.com/recipes/${recipeId}${query}`, {
+        headers: { Authorization: 'test-secret' },
+      }),
+      env
+    )
+
+    beforeEach(() => {
+      env._mockKV.set(recipeId, JSON.stringify(storedRecipe))
+    })
+
+    test('returns the stored recipe', async () => {
+      const response = await getRecipe()
+
+      expect(response.status).toBe(200)
+      expect(await response.json()).toEqual({ id: recipeId, ...storedRecipe })
+    })
+
+    test('scales ingredients to the requested servings without saving', async () => {
+      const response = await getRecipe('?servings=12')
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data).toMatchObject({ id: recipeId, servings: 12, originalServings: 4, yield: '4 servings' })
+      expect(data.ingredients).toEqual([
+        { quantity: 600, unit: 'g', item: 'flour', note: null, group: null },
+        { quantity: 1, unit: 'tbsp', item: 'baking powder', note: null, group: null },
+      ])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+      expect(JSON.parse(env._mockKV.get(recipeId))).toEqual(storedRecipe)
+    })
+
+    test('scales legacy string ingredients', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Old', yield: '2', ingredients: ['1 cup milk'] }))
+
+      const data = await (await getRecipe('?servings=1')).json()
+
+      expect(data.ingredients[0]).toMatchObject({ quantity: 0.5, unit: 'cup', item: 'milk' })
+    })
+
+    test('rejects invalid servings', async () => {
+      const response = await getRecipe('?servings=0')
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({ error: 'servings must be a positive number' })
+    })
+
+    test('rejects scaling a recipe without a yield', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'No yield', ingredients: [] }))
+
+      const response = await getRecipe('?servings=2')
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({ error: 'Recipe has no yield to scale from' })
+    })
+
+    test('returns 404 for a missing recipe', async () => {
+      env._mockKV.delete(recipeId)
+
+      const response = await getRecipe()
+
+      expect(response.status).toBe(404)
+    })
+  })
+
+  describe('PATCH /recipes/:id structured fields', () => {
+    const recipeId = 'structured-id'
+
+    const patch = (body) => worker.fetch(createRequest(`https://example.com/recipes/${recipeId}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: 'test-secret',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    }), env)
+
+    test('validates and stores ingredients and steps', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Old', created: '2024-01-01T00:00:00Z' }))
+
+      const response = await patch({
+        ingredients: [{ quantity: 2, unit: null, item: 'eggs' }],
+        steps: [{ text: 'Whisk ' }],
+      })
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(JSON.parse(env._mockKV.get(recipeId))).toEqual({
+        title: 'Old',
+        created: '2024-01-01T00:00:00Z',
+        schemaVersion: 2,
+        ingredients: [{ quantity: 2, unit: null, item: 'eggs', note: null, group: null }],
+        steps: [{ text: 'Whisk' }],
+        updatedBy: 'owner',
+        updated: expect.any(String),
+      })
+      expect(data.id).toBe(recipeId)
+    })
+
+    test('replaces legacy instructions when steps are written', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({
+        title: 'Imported',
+        ingredients: ['1 onion'],
+        instructions: ['Chop'],
+      }))
+
+      await patch({ steps: [{ text: 'Chop finely' }] })
+
+      const stored = JSON.parse(env._mockKV.get(recipeId))
+      expect(stored.instructions).toBeUndefined()
+      expect(stored.steps).toEqual([{ text: 'Chop finely' }])
+      expect(stored.ingredients).toEqual([{ quantity: 1, unit: null, item: 'onion', note: null, group: null }])
+    })
+
+    test('parses free-text ingredient lines to upgrade text-only recipes', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Text Recipe', text: 'Old notes' }))
+
+      const response = await patch({ ingredientsText: '2-3 cloves garlic\n1 1/2 cups (200g) flour, sifted' })
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.ingredientsText).toBeUndefined()
+      expect(JSON.parse(env._mockKV.get(recipeId))).toEqual({
+        title: 'Text Recipe',
+        text: 'Old notes',
+        schemaVersion: 2,
+        ingredients: [
+          { quantity: 2, quantityMax: 3, unit: 'clove', item: 'garlic', note: null, group: null },
+          { quantity: 1.5, unit: 'cup', item: 'flour', note: 'sifted', group: null, alternate: '200g' },
+        ],
+        updatedBy: 'owner',
+        updated: expect.any(String),
+      })
+    })
+
+    test('rejects ingredientsText sent alongside ingredients', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Old' }))
+
+      const response = await patch({ ingredients: [], ingredientsText: '1 egg' })
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.details).toEqual([{ field: 'ingredientsText', message: 'cannot be sent together with ingredients' }])
+    })
+
+    test('returns 400 with field details for invalid data', async () => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Old' }))
+
+      const response = await patch({ steps: [{ text: '' }] })
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.details).toEqual([{ field: 'steps[0].text', message: 'is required' }])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Recipe field validation', () => {
+    const recipeId = 'validated-id'
+
+    const patch = (body) => worker.fetch(createRequest(`https://example.com/recipes/${recipeId}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: 'test-secret',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    }), env)
+
+    beforeEach(() => {
+      env._mockKV.set(recipeId, JSON.stringify({ title: 'Scones', created: '2024-01-01T00:00:00Z', photo: 'a.jpg' }))
+    })
+
+    test('rejects changes to server-managed fields', async () => {
+      const response = await patch({ title: 'Scones', created: '2030-01-01T00:00:00Z', photo: 'evil.jpg' })
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.error).toBe('Invalid recipe data')
+      expect(data.details).toEqual([
+        { field: 'created', message: 'cannot be changed' },
+        { field: 'photo', message: 'cannot be changed' },
+      ])
+      expect(JSON.parse(env._mockKV.get(recipeId)).photo).toBe('a.jpg')
+    })
+
+    test('rejects fields that are not part of a recipe', async () => {
+      const response = await patch({ title: 'Scones', isAdmin: true })
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.details).toEqual([{ field: 'isAdmin', message: 'is not a recognised field' }])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+
+    test('checks lengths, URLs and durations', async () => {
+      const response = await patch({ title: 'x'.repeat(201), url: 'javascript:alert(1)', prepTime: 'half an hour' })
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.details).toEqual([
+        { field: 'title', message: 'must be at most 200 characters' },
+        { field: 'url', message: 'must be an http or https URL' },
+        { field: 'prepTime', message: 'must be an ISO 8601 duration such as PT30M' },
+      ])
+    })
+
+    test('stores valid recipe metadata', async () => {
+      const response = await patch({ yield: '8 scones', cookTime: 'PT15M', cuisine: ['British'] })
+
+      expect(response.status).toBe(200)
+      expect(JSON.parse(env._mockKV.get(recipeId))).toMatchObject({ yield: '8 scones', cookTime: 'PT15M', cuisine: ['British'] })
+    })
+
+    test('rejects unknown fields when adding a recipe', async () => {
+      const response = await worker.fetch(createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({ title: 'Scones', createdBy: 'someone-else' }),
+      }), env)
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.details).toEqual([{ field: 'createdBy', message: 'cannot be changed' }])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+  })
+
   describe('Preview Image Extraction', () => {
     beforeEach(() => {
       // Reset global fetch mock
@@ -831,70 +1615,1216 @@ describe('Cloudflare Worker', () => {
     })
   })
 
-  describe('Error Handling', () => {
-    test('returns 404 for unknown routes', async () => {
-      const request = createRequest('https://example.com/unknown', {
-        headers: { Authorization: 'test-secret' },
-      })
-
-      const response = await worker.fetch(request, env)
+  describe('Summary index', () => {
+    const authHeaders = { Authorization: 'test-secret' }
+    const patch = (id, body) => worker.fetch(createRequest(`https://example.com/recipes/${id}`, {
+      method: 'PATCH',
+      headers: { ...authHeaders, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }), env)
+
+    // Every recipe has exactly one index entry whose summary matches the record
+    const expectIndexInSync = () => {
+      const records = Array.from(env._mockKV.entries())
+        .filter(([key]) => isRecipeKey(key))
+        .map(([id, value]) => [id, JSON.parse(value)])
+      const indexKeys = Array.from(env._mockKV.keys()).filter(key => key.startsWith('index:created:'))
+
+      expect(indexKeys.sort()).toEqual(records.map(([id, recipe]) => createdIndexKey(id, recipe.created)).sort())
+      for (const [id, recipe] of records) {
+        const key = createdIndexKey(id, recipe.created)
+        expect(env._mockKV.get(key)).toBe(id)
+        expect(env._mockMetadata.get(key)).toEqual(recipeSummary(recipe))
+      }
+    }
 
-      expect(response.status).toBe(404)
-      expect(await response.text()).toBe('Not Found')
+    test('stays in sync with the records through creates and updates', async () => {
+      const response = await worker.fetch(createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: authHeaders,
+        body: createFormData({ title: 'Pancakes', text: 'Fry', tags: JSON.stringify(['breakfast']) }),
+      }), env)
+      const { id } = await response.json()
+      expectIndexInSync()
+
+      await patch(id, { title: 'Crêpes', tags: ['breakfast', 'french'] })
+      expectIndexInSync()
+      await patch(id, { deleted: true })
+      expectIndexInSync()
+      await patch(id, { deleted: false })
+      expectIndexInSync()
+      await patch(id, { created: '2020-01-01T00:00:00Z' })
+      expectIndexInSync()
+
+      expect(JSON.parse(env._mockKV.get(id)).title).toBe('Crêpes')
     })
 
-    test('handles KV errors gracefully', async () => {
-      env.RECIPES.list.mockRejectedValue(new Error('KV Error'))
-
-      const request = createRequest('https://example.com/recipes', {
-        headers: { Authorization: 'test-secret' },
-      })
+    test('serves the list from the index without reading recipe records', async () => {
+      env._mockKV.set('r1', JSON.stringify({
+        title: 'Soup',
+        url: 'https://example.com/soup',
+        created: '2024-01-01T00:00:00Z',
+        text: 'Long notes',
+        tags: ['dinner'],
+        previewImage: 'https://example.com/soup.jpg',
+      }))
+      await worker.fetch(createRequest('https://example.com/admin/reindex', { method: 'POST', headers: authHeaders }), env)
+      env.RECIPES.get.mockClear()
 
-      const response = await worker.fetch(request, env)
+      const response = await worker.fetch(createRequest('https://example.com/recipes', { headers: authHeaders }), env)
+      const data = await response.json()
 
-      expect(response.status).toBe(500)
-      expect(await response.text()).toBe('KV Error')
+      expect(data.recipes).toEqual([{
+        id: 'r1',
+        title: 'Soup',
+        url: 'https://example.com/soup',
+        created: '2024-01-01T00:00:00Z',
+        tags: ['dinner'],
+        previewImage: 'https://example.com/soup.jpg',
+      }])
+      expect(env.RECIPES.get).not.toHaveBeenCalledWith('r1', { type: 'json' })
     })
 
-    test('handles malformed JSON in PATCH requests', async () => {
-      env._mockKV.set('test-id', JSON.stringify({ title: 'Test' }))
-
-      const request = createRequest('https://example.com/recipes/test-id', {
+    test('reads the record when its summary is too big for list metadata', async () => {
+      const longUrl = `https://example.com/${'x'.repeat(2000)}`
+      const response = await worker.fetch(createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: authHeaders,
+        body: createFormData({ title: 'Long link', text: 'Notes' }),
+      }), env)
+      const { id } = await response.json()
+      await worker.fetch(createRequest(`https://example.com/recipes/${id}`, {
         method: 'PATCH',
-        headers: {
-          Authorization: 'test-secret',
-          'Content-Type': 'application/json',
-        },
-        body: 'invalid json',
-      })
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: longUrl }),
+      }), env)
 
-      const response = await worker.fetch(request, env)
+      const list = await (await worker.fetch(createRequest('https://example.com/recipes', { headers: authHeaders }), env)).json()
 
-      expect(response.status).toBe(500)
+      expect(env._mockMetadata.get(createdIndexKey(id, list.recipes[0].created))).toBeUndefined()
+      expect(list.recipes[0]).toMatchObject({ id, title: 'Long link', url: longUrl })
+      expect(list.recipes[0].text).toBeUndefined()
     })
-  })
 
-  describe('Content Type Headers', () => {
-    test('returns JSON content type for API responses', async () => {
-      const request = createRequest('https://example.com/recipes', {
-        headers: { Authorization: 'test-secret' },
-      })
+    test('POST /admin/reindex repairs a drifted index', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Soup', created: '2024-01-01T00:00:00Z' }))
+      env._mockKV.set('r2', JSON.stringify({ title: 'Stew', created: '2024-01-02T00:00:00Z', deleted: true }))
+      env._mockKV.set('index:ready', '2')
+      // A stale summary, an entry for a recipe that no longer exists, and r2 missing entirely
+      env.RECIPES.put(createdIndexKey('r1', '2024-01-01T00:00:00Z'), 'r1', { metadata: { title: 'Old title' } })
+      env.RECIPES.put(createdIndexKey('gone', '2024-01-03T00:00:00Z'), 'gone', { metadata: { title: 'Gone' } })
 
-      const response = await worker.fetch(request, env)
+      const response = await worker.fetch(createRequest('https://example.com/admin/reindex', {
+        method: 'POST',
+        headers: authHeaders,
+      }), env)
 
-      expect(response.headers.get('Content-Type')).toBe('application/json')
+      expect(response.status).toBe(200)
+      expect(await response.json()).toEqual({ indexed: 2, removed: 1 })
+      expectIndexInSync()
     })
 
-    test('handles FormData content type correctly', async () => {
-      const formData = createFormData({ title: 'Test' })
-
-      const request = createRequest('https://example.com/recipes', {
-        method: 'POST',
-        headers: { Authorization: 'test-secret' },
-        body: formData,
-      })
+    test('POST /admin/reindex requires authorization', async () => {
+      const response = await worker.fetch(createRequest('https://example.com/admin/reindex', { method: 'POST' }), env)
 
-      const response = await worker.fetch(request, env)
+      expect(response.status).toBe(401)
+    })
+  })
+
+  describe('Share links', () => {
+    const authHeaders = { Authorization: 'test-secret' }
+    const post = path => worker.fetch(createRequest(`https://example.com${path}`, {
+      method: 'POST',
+      headers: authHeaders,
+    }), env)
+    const getShare = (token, headers = {}) => worker.fetch(createRequest(`https://example.com/share/${token}`, { headers }), env)
+
+    beforeEach(() => {
+      env._mockKV.set('r1', JSON.stringify({
+        title: 'Lemon <Tart>',
+        text: 'Chill overnight',
+        created: '2024-01-01T00:00:00Z',
+        schemaVersion: 2,
+        ingredients: [{ quantity: 3, unit: null, item: 'lemons', note: null, group: null }],
+        steps: [{ text: 'Bake the pastry.' }],
+        photo: 'https://example.com/photos/tart',
+        suggestedTags: ['french'],
+      }))
+    })
+
+    test('mints one unguessable token per recipe', async () => {
+      const response = await post('/recipes/r1/share')
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.token).toMatch(/^[A-Za-z0-9_-]{32}$/)
+      expect(data.url).toBe(`https://example.com/share/${data.token}`)
+      expect(JSON.parse(env._mockKV.get('r1')).shareToken).toBe(data.token)
+
+      const again = await (await post('/recipes/r1/share')).json()
+      expect(again.token).toBe(data.token)
+    })
+
+    test('serves the shared recipe as JSON without authorization or private fields', async () => {
+      const { token } = await (await post('/recipes/r1/share')).json()
+
+      const response = await getShare(token, { Accept: 'application/json' })
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(response.headers.get('Cache-Control')).toBe('no-store')
+      expect(data).toMatchObject({ title: 'Lemon <Tart>', text: 'Chill overnight' })
+      expect(data.shareToken).toBeUndefined()
+      expect(data.suggestedTags).toBeUndefined()
+    })
+
+    test('renders an HTML page with Open Graph tags and JSON-LD', async () => {
+      const { token } = await (await post('/recipes/r1/share')).json()
+
+      const response = await getShare(token)
+      const html = await response.text()
+
+      expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8')
+      expect(html).toContain('<meta property="og:title" content="Lemon &lt;Tart&gt;">')
+      expect(html).toContain('<meta property="og:image" content="https://example.com/photos/tart">')
+      expect(html).toContain('<li>3 lemons</li>')
+      expect(html).not.toContain('<Tart>')
+
+      const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1])
+      expect(jsonLd).toMatchObject({
+        '@type': 'Recipe',
+        name: 'Lemon <Tart>',
+        recipeIngredient: ['3 lemons'],
+        recipeInstructions: [{ '@type': 'HowToStep', text: 'Bake the pastry.' }],
+      })
+    })
+
+    test('revoked, unknown and deleted shares return 404', async () => {
+      const { token } = await (await post('/recipes/r1/share')).json()
+
+      const revoke = await post('/recipes/r1/share/revoke')
+      expect(revoke.status).toBe(200)
+      expect((await revoke.json()).shareToken).toBeUndefined()
+      expect(env._mockKV.has(`share:${token}`)).toBe(false)
+      expect((await getShare(token)).status).toBe(404)
+      expect((await getShare('not-a-token', { Accept: 'application/json' })).status).toBe(404)
+
+      const second = await (await post('/recipes/r1/share')).json()
+      expect(second.token).not.toBe(token)
+      await worker.fetch(createRequest('https://example.com/recipes/r1', {
+        method: 'PATCH',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deleted: true }),
+      }), env)
+      const response = await getShare(second.token)
+      expect(response.status).toBe(404)
+      expect(await response.text()).toContain('Recipe not available')
+    })
+
+    test('minting a link requires authorization and an active recipe', async () => {
+      const unauthorized = await worker.fetch(createRequest('https://example.com/recipes/r1/share', { method: 'POST' }), env)
+      expect(unauthorized.status).toBe(401)
+
+      expect((await post('/recipes/missing/share')).status).toBe(404)
+
+      env._mockKV.set('old', JSON.stringify({ title: 'Old', deleted: true }))
+      const deleted = await post('/recipes/old/share')
+      expect(deleted.status).toBe(400)
+      expect(await deleted.json()).toEqual({ error: 'Deleted recipes cannot be shared' })
+    })
+  })
+
+  describe('Users and roles', () => {
+    const call = (path, { method = 'GET', secret = 'test-secret', body } = {}) => worker.fetch(createRequest(`https://example.com${path}`, {
+      method,
+      headers: { Authorization: secret, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }), env)
+    const addUser = async (name, role) => (await call('/admin/users', { method: 'POST', body: { name, role } })).json()
+
+    test('owners add users, who get a secret shown once', async () => {
+      const created = await addUser('Sam', 'editor')
+
+      expect(created).toMatchObject({ name: 'Sam', role: 'editor', secret: expect.stringMatching(/^[A-Za-z0-9_-]{43}$/) })
+      const stored = JSON.stringify(Array.from(env._mockKV.values()))
+      expect(stored).not.toContain(created.secret)
+
+      const users = await (await call('/admin/users')).json()
+      expect(users).toEqual([{ name: 'Sam', role: 'editor', created: expect.any(String), updated: expect.any(String) }])
+
+      const me = await (await call('/me', { secret: created.secret })).json()
+      expect(me).toEqual({ name: 'Sam', role: 'editor' })
+
+      const { recipes } = await (await call('/recipes')).json()
+      expect(recipes).toEqual([])
+    })
+
+    test('rejects invalid, reserved and duplicate users', async () => {
+      const invalid = await call('/admin/users', { method: 'POST', body: { name: '', role: 'chef' } })
+      expect(invalid.status).toBe(400)
+      expect((await invalid.json()).details.map(detail => detail.field)).toEqual(['name', 'role'])
+
+      const reserved = await call('/admin/users', { method: 'POST', body: { name: 'Owner', role: 'viewer' } })
+      expect((await reserved.json()).details).toEqual([{ field: 'name', message: 'is reserved' }])
+
+      await addUser('Sam', 'viewer')
+      const duplicate = await call('/admin/users', { method: 'POST', body: { name: 'sam', role: 'viewer' } })
+      expect(duplicate.status).toBe(409)
+    })
+
+    test('viewers can read but not change anything', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Soup', created: '2024-01-01T00:00:00Z' }))
+      const { secret } = await addUser('Gran', 'viewer')
+
+      expect((await call('/recipes', { secret })).status).toBe(200)
+      expect((await call('/recipes/r1', { secret })).status).toBe(200)
+      expect((await call('/recipes/r1', { secret, method: 'PATCH', body: { title: 'Mine' } })).status).toBe(403)
+      expect((await call('/recipes/r1/share', { secret, method: 'POST' })).status).toBe(403)
+      expect((await call('/collections', { secret, method: 'POST', body: { name: 'Mine' } })).status).toBe(403)
+      expect((await call('/extract-title?url=https://example.com', { secret })).status).toBe(403)
+      expect(JSON.parse(env._mockKV.get('r1')).title).toBe('Soup')
+    })
+
+    test('only owners reach admin routes', async () => {
+      const { secret } = await addUser('Sam', 'editor')
+
+      const response = await call('/admin/users', { secret })
+      expect(response.status).toBe(403)
+      expect(await response.text()).toBe('Forbidden')
+      expect((await call('/admin/reindex', { secret, method: 'POST' })).status).toBe(403)
+    })
+
+    test('editors can delete and restore recipes but only owners delete them for good', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Soup', created: '2024-01-01T00:00:00Z' }))
+      const { secret } = await addUser('Sam', 'editor')
+
+      expect((await call('/recipes/r1', { secret, method: 'PATCH', body: { deleted: true } })).status).toBe(200)
+      expect((await call('/recipes/r1/purge', { secret, method: 'POST' })).status).toBe(403)
+      expect((await call('/trash/empty', { secret, method: 'POST' })).status).toBe(403)
+      expect(env._mockKV.has('r1')).toBe(true)
+      expect((await call('/recipes/r1', { secret, method: 'PATCH', body: { deleted: false } })).status).toBe(200)
+    })
+
+    test('recipes record who created and last edited them', async () => {
+      const sam = await addUser('Sam', 'editor')
+      const alex = await addUser('Alex', 'editor')
+
+      const formData = createFormData({ title: 'Bread', text: 'Knead' })
+      const created = await (await worker.fetch(createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: sam.secret },
+        body: formData,
+      }), env)).json()
+      expect(created).toMatchObject({ createdBy: 'Sam', updatedBy: 'Sam' })
+
+      const updated = await (await call(`/recipes/${created.id}`, { secret: alex.secret, method: 'PATCH', body: { title: 'Sourdough' } })).json()
+      expect(updated).toMatchObject({ createdBy: 'Sam', updatedBy: 'Alex' })
+    })
+
+    test('owners change roles, rotate secrets and remove users', async () => {
+      const { secret } = await addUser('Sam', 'viewer')
+
+      const promoted = await (await call('/admin/users/Sam', { method: 'PATCH', body: { role: 'editor' } })).json()
+      expect(promoted).toMatchObject({ name: 'Sam', role: 'editor' })
+      expect(await (await call('/me', { secret })).json()).toEqual({ name: 'Sam', role: 'editor' })
+
+      const rotated = await (await call('/admin/users/sam/rotate', { method: 'POST' })).json()
+      expect(rotated.secret).not.toBe(secret)
+      expect((await call('/me', { secret })).status).toBe(401)
+      expect((await call('/me', { secret: rotated.secret })).status).toBe(200)
+
+      const removed = await call('/admin/users/Sam/remove', { method: 'POST' })
+      expect(removed.status).toBe(200)
+      expect((await call('/me', { secret: rotated.secret })).status).toBe(401)
+      expect(await (await call('/admin/users')).json()).toEqual([])
+      expect((await call('/admin/users/Sam/remove', { method: 'POST' })).status).toBe(404)
+    })
+  })
+
+  describe('Sessions', () => {
+    const call = (path, { method = 'GET', authorization, body } = {}) => worker.fetch(createRequest(`https://example.com${path}`, {
+      method,
+      headers: {
+        ...(authorization ? { Authorization: authorization } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }), env)
+    const login = async secret => (await call('/auth/login', { method: 'POST', body: { secret } })).json()
+    const bearer = token => `Bearer ${token}`
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    test('exchanges a secret for an expiring token', async () => {
+      const session = await login('test-secret')
+
+      expect(session).toEqual({
+        token: expect.stringMatching(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/),
+        expires: expect.any(String),
+        user: { name: 'owner', role: 'owner' },
+      })
+      const days = (Date.parse(session.expires) - Date.now()) / (24 * 60 * 60 * 1000)
+      expect(days).toBeGreaterThan(6.9)
+      expect(days).toBeLessThanOrEqual(7)
+
+      const response = await call('/recipes', { authorization: bearer(session.token) })
+      expect(response.status).toBe(200)
+      expect(JSON.stringify(Array.from(env._mockKV.values()))).not.toContain('test-secret')
+    })
+
+    test('rejects a wrong secret', async () => {
+      const response = await call('/auth/login', { method: 'POST', body: { secret: 'wrong' } })
+
+      expect(response.status).toBe(401)
+      expect(await response.json()).toEqual({ error: 'Invalid secret' })
+    })
+
+    test('ends the built-in owner\'s sessions when API_SECRET changes', async () => {
+      const owner = await login('test-secret')
+      expect((await call('/me', { authorization: bearer(owner.token) })).status).toBe(200)
+
+      env.SESSION_SECRET = 'separate-signing-key'
+      const signed = await login('test-secret')
+      env.API_SECRET = 'new-secret'
+
+      expect((await call('/me', { authorization: bearer(signed.token) })).status).toBe(401)
+      expect((await call('/auth/refresh', { method: 'POST', authorization: bearer(signed.token) })).status).toBe(401)
+      expect((await login('new-secret')).user).toEqual({ name: 'owner', role: 'owner' })
+    })
+
+    test('rejects a missing or malformed login body', async () => {
+      const empty = await worker.fetch(createRequest('https://example.com/auth/login', { method: 'POST' }), env)
+      const malformed = await worker.fetch(createRequest('https://example.com/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"secret":',
+      }), env)
+      const noSecret = await call('/auth/login', { method: 'POST', body: { code: 'test-secret' } })
+
+      for (const response of [empty, malformed, noSecret]) {
+        expect(response.status).toBe(400)
+        expect(await response.json()).toEqual({ error: 'Secret required' })
+      }
+    })
+
+    test('rejects tampered tokens', async () => {
+      const owner = await login('test-secret')
+      const created = await (await call('/admin/users', { authorization: 'test-secret', method: 'POST', body: { name: 'Gran', role: 'viewer' } })).json()
+      const gran = await login(created.secret)
+
+      const [payload, signature] = gran.token.split('.')
+      const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')))
+      const forged = btoa(JSON.stringify({ ...claims, sub: 'owner' })).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+      const flipped = `${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`
+
+      for (const token of [`${forged}.${signature}`, `${payload}.${flipped}`, `${payload}.${owner.token.split('.')[1]}`, payload, 'not-a-token']) {
+        expect((await call('/me', { authorization: bearer(token) })).status).toBe(401)
+      }
+      expect(await (await call('/me', { authorization: bearer(gran.token) })).json()).toEqual({ name: 'Gran', role: 'viewer' })
+    })
+
+    test('rejects expired tokens', async () => {
+      const { token } = await login('test-secret')
+      const now = Date.now()
+
+      vi.spyOn(Date, 'now').mockReturnValue(now + 6 * 24 * 60 * 60 * 1000)
+      expect((await call('/me', { authorization: bearer(token) })).status).toBe(200)
+
+      vi.spyOn(Date, 'now').mockReturnValue(now + 7 * 24 * 60 * 60 * 1000 + 1000)
+      expect((await call('/me', { authorization: bearer(token) })).status).toBe(401)
+    })
+
+    test('refresh swaps a token for a new one', async () => {
+      const { token } = await login('test-secret')
+
+      const response = await call('/auth/refresh', { method: 'POST', authorization: bearer(token) })
+      const refreshed = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(refreshed.token).not.toBe(token)
+      expect((await call('/me', { authorization: bearer(token) })).status).toBe(401)
+      expect((await call('/me', { authorization: bearer(refreshed.token) })).status).toBe(200)
+
+      const withSecret = await call('/auth/refresh', { method: 'POST', authorization: 'test-secret' })
+      expect(withSecret.status).toBe(400)
+    })
+
+    test('logout revokes only the current session', async () => {
+      const first = await login('test-secret')
+      const second = await login('test-secret')
+
+      const response = await call('/auth/logout', { method: 'POST', authorization: bearer(first.token) })
+
+      expect(await response.json()).toEqual({ revoked: 1 })
+      expect((await call('/me', { authorization: bearer(first.token) })).status).toBe(401)
+      expect((await call('/me', { authorization: bearer(second.token) })).status).toBe(200)
+    })
+
+    test('revoke ends every session of the caller, and viewers may use it', async () => {
+      const created = await (await call('/admin/users', { authorization: 'test-secret', method: 'POST', body: { name: 'Gran', role: 'viewer' } })).json()
+      const first = await login(created.secret)
+      const second = await login(created.secret)
+      const owner = await login('test-secret')
+
+      const response = await call('/auth/revoke', { method: 'POST', authorization: bearer(first.token) })
+
+      expect(await response.json()).toEqual({ revoked: 2 })
+      expect((await call('/me', { authorization: bearer(second.token) })).status).toBe(401)
+      expect((await call('/me', { authorization: bearer(owner.token) })).status).toBe(200)
+    })
+
+    test('rotating or removing a user ends their sessions', async () => {
+      const created = await (await call('/admin/users', { authorization: 'test-secret', method: 'POST', body: { name: 'Sam', role: 'editor' } })).json()
+      const before = await login(created.secret)
+
+      await call('/admin/users/Sam', { authorization: 'test-secret', method: 'PATCH', body: { role: 'viewer' } })
+      expect(await (await call('/me', { authorization: bearer(before.token) })).json()).toEqual({ name: 'Sam', role: 'viewer' })
+
+      const rotated = await (await call('/admin/users/Sam/rotate', { authorization: 'test-secret', method: 'POST' })).json()
+      expect((await call('/me', { authorization: bearer(before.token) })).status).toBe(401)
+
+      const after = await login(rotated.secret)
+      await call('/admin/users/Sam/remove', { authorization: 'test-secret', method: 'POST' })
+      expect((await call('/me', { authorization: bearer(after.token) })).status).toBe(401)
+    })
+
+    test('session records are not listed as recipes', async () => {
+      await login('test-secret')
+
+      const { recipes } = await (await call('/recipes', { authorization: 'test-secret' })).json()
+
+      expect(recipes).toEqual([])
+    })
+  })
+
+  describe('Recipe history', () => {
+    const call = (path, { method = 'GET', secret = 'test-secret', body } = {}) => worker.fetch(createRequest(`https://example.com${path}`, {
+      method,
+      headers: { Authorization: secret, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }), env)
+    const original = { title: 'Gran\'s Scones', text: 'Handwritten notes', created: '2024-01-01T00:00:00Z', createdBy: 'Gran' }
+
+    beforeEach(() => {
+      env._mockKV.set('r1', JSON.stringify(original))
+    })
+
+    test('every PATCH keeps the previous version', async () => {
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Oops' } })
+      await call('/recipes/r1', { method: 'PATCH', body: { title: 'Scones' } })
+
+      const history = await (await call('/recipes/r1/history')).json()
+
+      expect(history).toHaveLength(2)
+      expect(history[0]).toEqual({
+        id: expect.any(String),
+        savedAt: expect.any(String),
+        savedBy: 'owner',
+        recipe: { ...original, text: 'Oops', updatedBy: 'owner', updated: expect.any(String) },
+      })
+      expect(history[1].recipe).toEqual(original)
+      expect(Date.parse(history[0].savedAt)).toBeGreaterThanOrEqual(Date.parse(history[1].savedAt))
+    })
+
+    test('lists edits made in the same millisecond newest first', async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-01-01T00:00:00Z'))
+      for (const text of ['First', 'Second', 'Third']) {
+        await call('/recipes/r1', { method: 'PATCH', body: { text } })
+      }
+
+      const history = await (await call('/recipes/r1/history')).json()
+
+      expect(history.map(revision => revision.recipe.text)).toEqual(['Second', 'First', original.text])
+    })
+
+    test('history is not listed as recipes', async () => {
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Oops' } })
+
+      const { recipes } = await (await call('/recipes')).json()
+
+      expect(recipes.map(recipe => recipe.id)).toEqual(['r1'])
+    })
+
+    test('reverts to an earlier version, keeping the version it replaces', async () => {
+      env._mockKV.set('r1', JSON.stringify({ ...original, shareToken: 'a'.repeat(32) }))
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Oops' } })
+      const [revision] = await (await call('/recipes/r1/history')).json()
+
+      const response = await call('/recipes/r1/revert', { method: 'POST', body: { revision: revision.id } })
+      const reverted = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(reverted).toEqual({ id: 'r1', ...original, shareToken: 'a'.repeat(32), updatedBy: 'owner', updated: expect.any(String) })
+      expect(JSON.parse(env._mockKV.get('r1')).text).toBe('Handwritten notes')
+
+      const history = await (await call('/recipes/r1/history')).json()
+      expect(history).toHaveLength(2)
+      expect(history[0].recipe.text).toBe('Oops')
+    })
+
+    test('revert does not bring back an old share link or deleted state', async () => {
+      await call('/recipes/r1', { method: 'PATCH', body: { deleted: true } })
+      env._mockKV.set('r1', JSON.stringify({ ...JSON.parse(env._mockKV.get('r1')), deleted: false }))
+      const [revision] = await (await call('/recipes/r1/history')).json()
+
+      const reverted = await (await call('/recipes/r1/revert', { method: 'POST', body: { revision: revision.id } })).json()
+
+      expect(reverted.deleted).toBe(false)
+      expect(reverted).not.toHaveProperty('shareToken')
+    })
+
+    test('revert keeps the photos the recipe has now', async () => {
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Oops' } })
+      const [revision] = await (await call('/recipes/r1/history')).json()
+      const photos = ['https://example.com/photos/a', 'https://example.com/photos/b']
+      env._mockKV.set('r1', JSON.stringify({ ...JSON.parse(env._mockKV.get('r1')), photo: photos[0], photos }))
+
+      const reverted = await (await call('/recipes/r1/revert', { method: 'POST', body: { revision: revision.id } })).json()
+
+      expect(reverted).toMatchObject({ photo: photos[0], photos })
+    })
+
+    test('rejects unknown revisions and recipes', async () => {
+      const response = await call('/recipes/r1/revert', { method: 'POST', body: { revision: 'nope' } })
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({
+        error: 'Invalid revert data',
+        details: [{ field: 'revision', message: 'revision not found' }],
+      })
+      expect((await call('/recipes/missing/history')).status).toBe(404)
+    })
+
+    test('viewers can read history but not revert', async () => {
+      const { secret } = await (await call('/admin/users', { method: 'POST', body: { name: 'Gran', role: 'viewer' } })).json()
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Oops' } })
+      const [revision] = await (await call('/recipes/r1/history', { secret })).json()
+
+      const response = await call('/recipes/r1/revert', { secret, method: 'POST', body: { revision: revision.id } })
+
+      expect(response.status).toBe(403)
+      expect(JSON.parse(env._mockKV.get('r1')).text).toBe('Oops')
+    })
+  })
+
+  describe('Concurrent edits', () => {
+    const call = (path, { method = 'GET', headers = {}, body } = {}) => worker.fetch(createRequest(`https://example.com${path}`, {
+      method,
+      headers: { Authorization: 'test-secret', ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }), env)
+
+    beforeEach(() => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Scones', text: 'Original', created: '2024-01-01T00:00:00Z' }))
+    })
+
+    test('GET and PATCH return an ETag that changes with the recipe', async () => {
+      const loaded = await call('/recipes/r1')
+      const etag = loaded.headers.get('ETag')
+      expect(etag).toMatch(/^"[0-9a-f]{32}"$/)
+      expect((await call('/recipes/r1')).headers.get('ETag')).toBe(etag)
+
+      const updated = await call('/recipes/r1', { method: 'PATCH', headers: { 'If-Match': etag }, body: { text: 'Mine' } })
+
+      expect(updated.status).toBe(200)
+      expect(updated.headers.get('ETag')).not.toBe(etag)
+      expect((await call('/recipes/r1')).headers.get('ETag')).toBe(updated.headers.get('ETag'))
+    })
+
+    test('rejects a stale If-Match with the current copy', async () => {
+      const etag = (await call('/recipes/r1')).headers.get('ETag')
+      const theirs = await call('/recipes/r1', { method: 'PATCH', headers: { 'If-Match': etag }, body: { text: 'Theirs' } })
+
+      const response = await call('/recipes/r1', { method: 'PATCH', headers: { 'If-Match': etag }, body: { text: 'Mine' } })
+
+      expect(response.status).toBe(412)
+      expect(response.headers.get('ETag')).toBe(theirs.headers.get('ETag'))
+      expect(await response.json()).toEqual({
+        error: 'Recipe has changed since it was loaded',
+        current: expect.objectContaining({ id: 'r1', text: 'Theirs' }),
+      })
+      expect(JSON.parse(env._mockKV.get('r1')).text).toBe('Theirs')
+    })
+
+    test('PATCH without If-Match still applies', async () => {
+      await call('/recipes/r1', { method: 'PATCH', body: { text: 'Theirs' } })
+
+      const response = await call('/recipes/r1', { method: 'PATCH', body: { text: 'Mine' } })
+
+      expect(response.status).toBe(200)
+      expect(JSON.parse(env._mockKV.get('r1')).text).toBe('Mine')
+    })
+
+    test('sharing a recipe does not make open edits stale', async () => {
+      const etag = (await call('/recipes/r1')).headers.get('ETag')
+      await call('/recipes/r1/share', { method: 'POST' })
+
+      const response = await call('/recipes/r1', { method: 'PATCH', headers: { 'If-Match': etag }, body: { text: 'Mine' } })
+
+      expect(response.status).toBe(200)
+    })
+  })
+
+  describe('Trash', () => {
+    const DAY = 24 * 60 * 60 * 1000
+    const call = (path, { method = 'GET', secret = 'test-secret', body } = {}) => worker.fetch(createRequest(`https://example.com${path}`, {
+      method,
+      headers: { Authorization: secret, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }), env)
+    const runCron = async (now) => {
+      vi.useFakeTimers({ now, toFake: ['Date'] })
+      const pending = []
+      await worker.scheduled({ cron: '0 3 * * *' }, env, { waitUntil: promise => pending.push(promise) })
+      await Promise.all(pending)
+      vi.useRealTimers()
+    }
+    const seedDeleted = (id, deletedAt, extra = {}) => {
+      env._mockKV.set(id, JSON.stringify({ title: id, created: '2024-01-01T00:00:00Z', deleted: true, deletedAt, ...extra }))
+    }
+
+    test('soft delete records when the recipe was deleted and restoring clears it', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Scones', created: '2024-01-01T00:00:00Z' }))
+
+      const deleted = await (await call('/recipes/r1', { method: 'PATCH', body: { deleted: true } })).json()
+      expect(Date.parse(deleted.deletedAt)).toBeGreaterThan(Date.now() - 60000)
+
+      const restored = await (await call('/recipes/r1', { method: 'PATCH', body: { deleted: false } })).json()
+      expect(restored).not.toHaveProperty('deletedAt')
+
+      const forged = await call('/recipes/r1', { method: 'PATCH', body: { deletedAt: '2000-01-01T00:00:00Z' } })
+      expect(forged.status).toBe(400)
+    })
+
+    test('purging removes the recipe, its photo, share link, history and index entry', async () => {
+      env._mockKV.set('r1', JSON.stringify({
+        title: 'Scones',
+        created: '2024-01-01T00:00:00Z',
+        photo: 'https://example.com/photos/p1',
+        shareToken: 'a'.repeat(32),
+      }))
+      env._mockKV.set(`share:${'a'.repeat(32)}`, JSON.stringify({ recipeId: 'r1' }))
+      env._mockR2.set('photos/p1', { body: 'jpeg' })
+      await call('/recipes', {})
+      await call('/recipes/r1', { method: 'PATCH', body: { deleted: true } })
+
+      const response = await call('/recipes/r1/purge', { method: 'POST' })
+
+      expect(response.status).toBe(200)
+      expect(await response.json()).toEqual({ id: 'r1', purged: true })
+      // All that's left is the tombstone that tells synced copies the recipe is gone
+      expect(Array.from(env._mockKV.keys()).filter(key => key.includes('r1') || key.startsWith('share:'))).toEqual(['index:purged:r1'])
+      expect(env._mockR2.has('photos/p1')).toBe(false)
+      expect((await (await call('/recipes')).json()).recipes).toEqual([])
+    })
+
+    test('purging removes every one of the recipe\'s photos', async () => {
+      const photos = ['https://example.com/photos/p1', 'https://example.com/photos/p2']
+      env._mockKV.set('r1', JSON.stringify({ title: 'Pie', deleted: true, photo: photos[0], photos }))
+      env._mockR2.set('photos/p1', { body: 'jpeg' })
+      env._mockR2.set('photos/p2', { body: 'jpeg' })
+
+      await call('/recipes/r1/purge', { method: 'POST' })
+
+      expect(env._mockR2.size).toBe(0)
+    })
+
+    test('purging keeps photos other recipes still use', async () => {
+      const photos = ['https://example.com/photos/p1', 'https://example.com/photos/p2']
+      env._mockKV.set('r1', JSON.stringify({ title: 'Pie', deleted: true, photo: photos[0], photos }))
+      env._mockKV.set('r2', JSON.stringify({ title: 'Pie again', photo: photos[1], photos: [photos[1]] }))
+      env._mockR2.set('photos/p1', { body: 'jpeg' })
+      env._mockR2.set('photos/p2', { body: 'jpeg' })
+
+      await call('/recipes/r1/purge', { method: 'POST' })
+
+      expect([...env._mockR2.keys()]).toEqual(['photos/p2'])
+    })
+
+    test('only deleted recipes can be purged', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Scones' }))
+
+      const response = await call('/recipes/r1/purge', { method: 'POST' })
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({ error: 'Only deleted recipes can be purged' })
+      expect(env._mockKV.has('r1')).toBe(true)
+      expect((await call('/recipes/missing/purge', { method: 'POST' })).status).toBe(404)
+    })
+
+    test('emptying the trash purges every deleted recipe', async () => {
+      seedDeleted('old', '2024-01-01T00:00:00Z')
+      seedDeleted('new', new Date().toISOString())
+      env._mockKV.set('kept', JSON.stringify({ title: 'Kept', created: '2024-01-01T00:00:00Z' }))
+
+      const response = await call('/trash/empty', { method: 'POST' })
+
+      expect(await response.json()).toEqual({ purged: 2 })
+      expect(env._mockKV.has('old')).toBe(false)
+      expect(env._mockKV.has('new')).toBe(false)
+      expect(env._mockKV.has('kept')).toBe(true)
+    })
+
+    test('viewers cannot purge', async () => {
+      seedDeleted('r1', '2024-01-01T00:00:00Z')
+      const { secret } = await (await call('/admin/users', { method: 'POST', body: { name: 'Gran', role: 'viewer' } })).json()
+
+      expect((await call('/recipes/r1/purge', { secret, method: 'POST' })).status).toBe(403)
+      expect((await call('/trash/empty', { secret, method: 'POST' })).status).toBe(403)
+      expect(env._mockKV.has('r1')).toBe(true)
+    })
+
+    test('the cron trigger purges recipes deleted longer ago than the retention period', async () => {
+      const now = Date.parse('2025-03-01T00:00:00Z')
+      seedDeleted('expired', new Date(now - 31 * DAY).toISOString(), { photo: 'https://example.com/photos/p1' })
+      seedDeleted('recent', new Date(now - 5 * DAY).toISOString())
+      env._mockR2.set('photos/p1', { body: 'jpeg' })
+
+      await runCron(now)
+
+      expect(env._mockKV.has('expired')).toBe(false)
+      expect(env._mockR2.has('photos/p1')).toBe(false)
+      expect(env._mockKV.has('recent')).toBe(true)
+    })
+
+    test('the retention period can be configured', async () => {
+      const now = Date.parse('2025-03-01T00:00:00Z')
+      env.TRASH_RETENTION_DAYS = '3'
+      seedDeleted('recent', new Date(now - 5 * DAY).toISOString())
+
+      await runCron(now)
+
+      expect(env._mockKV.has('recent')).toBe(false)
+    })
+
+    test('recipes deleted before deletedAt existed start their retention period on the first sweep', async () => {
+      const now = Date.parse('2025-03-01T00:00:00Z')
+      seedDeleted('legacy', undefined)
+
+      await runCron(now)
+
+      expect(JSON.parse(env._mockKV.get('legacy')).deletedAt).toBe('2025-03-01T00:00:00.000Z')
+
+      await runCron(now + 31 * DAY)
+
+      expect(env._mockKV.has('legacy')).toBe(false)
+    })
+  })
+
+  describe('Delta sync', () => {
+    const DAY = 24 * 60 * 60 * 1000
+    const start = Date.parse('2025-03-01T12:00:00Z')
+    // Each call runs at its own time, so changes land either side of a sync cursor
+    const callAt = async (time, path, { method = 'GET', body } = {}) => {
+      vi.useFakeTimers({ now: time, toFake: ['Date'] })
+      try {
+        return await worker.fetch(createRequest(`https://example.com${path}`, {
+          method,
+          headers: { Authorization: 'test-secret', ...(body ? { 'Content-Type': 'application/json' } : {}) },
+          ...(body ? { body: JSON.stringify(body) } : {}),
+        }), env)
+      } finally {
+        vi.useRealTimers()
+      }
+    }
+    const changesAt = async (time, since) => (await callAt(time, `/recipes/changes${since ? `?since=${since}` : ''}`)).json()
+
+    beforeEach(() => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Scones', created: '2024-01-01T00:00:00Z' }))
+      env._mockKV.set('r2', JSON.stringify({ title: 'Bread', created: '2024-02-01T00:00:00Z' }))
+    })
+
+    test('a first sync returns every recipe in full, with an ETag each', async () => {
+      const changes = await changesAt(start)
+
+      expect(changes.reset).toBe(true)
+      expect(changes.deleted).toEqual([])
+      expect(changes.recipes.map(recipe => recipe.id)).toEqual(['r2', 'r1'])
+      expect(changes.recipes[0]).toEqual({ id: 'r2', title: 'Bread', created: '2024-02-01T00:00:00Z', etag: expect.stringMatching(/^"[0-9a-f]{32}"$/) })
+      expect(changes.cursor).toMatch(/^\d+$/)
+    })
+
+    test('later syncs return only what changed since the cursor', async () => {
+      const { cursor } = await changesAt(start)
+      await callAt(start + DAY, '/recipes/r1', { method: 'PATCH', body: { title: 'Cheese Scones' } })
+
+      const changes = await changesAt(start + DAY + 1000, cursor)
+
+      expect(changes.reset).toBe(false)
+      expect(changes.recipes).toEqual([expect.objectContaining({ id: 'r1', title: 'Cheese Scones', updated: new Date(start + DAY).toISOString() })])
+      expect(changes.deleted).toEqual([])
+    })
+
+    test('soft-deleted recipes come back as updates and purged ones as deleted ids', async () => {
+      await callAt(start - DAY, '/recipes/r2', { method: 'PATCH', body: { deleted: true } })
+      const { cursor } = await changesAt(start)
+      await callAt(start + DAY, '/recipes/r1', { method: 'PATCH', body: { deleted: true } })
+      await callAt(start + DAY, '/recipes/r2/purge', { method: 'POST' })
+
+      const changes = await changesAt(start + 2 * DAY, cursor)
+
+      expect(changes.recipes).toEqual([expect.objectContaining({ id: 'r1', deleted: true })])
+      expect(changes.deleted).toEqual(['r2'])
+    })
+
+    test('sharing counts as a change, without making open edits stale', async () => {
+      const before = await callAt(start, '/recipes/r1')
+      const { cursor } = await changesAt(start)
+      await callAt(start + DAY, '/recipes/r1/share', { method: 'POST' })
+
+      const changes = await changesAt(start + 2 * DAY, cursor)
+
+      expect(changes.recipes).toEqual([expect.objectContaining({ id: 'r1', shareToken: expect.any(String) })])
+      expect(changes.recipes[0].etag).toBe(before.headers.get('ETag'))
+    })
+
+    test('a cursor older than the tombstones go back starts over', async () => {
+      const { cursor } = await changesAt(start)
+
+      const changes = await changesAt(start + 90 * DAY, cursor)
+
+      expect(changes.reset).toBe(true)
+      expect(changes.recipes).toHaveLength(2)
+    })
+
+    test('rejects a since that is not a cursor', async () => {
+      const response = await callAt(start, '/recipes/changes?since=yesterday')
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({ error: 'since must be a cursor from an earlier sync' })
+    })
+  })
+
+  describe('Tags', () => {
+    test('POST stores normalised tags', async () => {
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({
+          title: 'Tagged',
+          text: 'Notes',
+          tags: JSON.stringify([' Dinner ', '#quick', 'dinner']),
+        }),
+      })
+
+      const data = await (await worker.fetch(request, env)).json()
+
+      expect(data.tags).toEqual(['dinner', 'quick'])
+      expect(JSON.parse(env._mockKV.get(data.id)).tags).toEqual(['dinner', 'quick'])
+    })
+
+    test('POST rejects invalid tags', async () => {
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: createFormData({ title: 'Bad tags', tags: JSON.stringify(['ok', 5]) }),
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.status).toBe(400)
+      expect(await response.json()).toEqual({
+        error: 'Invalid recipe data',
+        details: [{ field: 'tags[1]', message: 'must be a string' }],
+      })
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+
+    test('PATCH replaces tags', async () => {
+      env._mockKV.set('tagged', JSON.stringify({ title: 'Tagged', tags: ['old'] }))
+
+      const request = createRequest('https://example.com/recipes/tagged', {
+        method: 'PATCH',
+        headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: ['Vegan', 'Quick'] }),
+      })
+
+      const data = await (await worker.fetch(request, env)).json()
+
+      expect(data.tags).toEqual(['vegan', 'quick'])
+      expect(JSON.parse(env._mockKV.get('tagged')).tags).toEqual(['vegan', 'quick'])
+    })
+
+    test('PATCH rejects tags that are not an array', async () => {
+      env._mockKV.set('tagged', JSON.stringify({ title: 'Tagged' }))
+
+      const request = createRequest('https://example.com/recipes/tagged', {
+        method: 'PATCH',
+        headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: 'vegan' }),
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toEqual([{ field: 'tags', message: 'must be an array' }])
+    })
+
+    test('GET /tags counts tags on active recipes', async () => {
+      env._mockKV.set('a', JSON.stringify({ title: 'A', tags: ['dinner', 'quick'] }))
+      env._mockKV.set('b', JSON.stringify({ title: 'B', tags: ['dinner'] }))
+      env._mockKV.set('c', JSON.stringify({ title: 'C', tags: ['dinner', 'cake'], deleted: true }))
+      env._mockKV.set('d', JSON.stringify({ title: 'D' }))
+
+      const response = await worker.fetch(createRequest('https://example.com/tags', {
+        headers: { Authorization: 'test-secret' },
+      }), env)
+
+      expect(response.status).toBe(200)
+      expect(await response.json()).toEqual([
+        { tag: 'dinner', count: 2 },
+        { tag: 'quick', count: 1 },
+      ])
+    })
+  })
+
+  describe('Collections', () => {
+    const jsonRequest = (path, method, body) => createRequest(`https://example.com${path}`, {
+      method,
+      headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    const getRequest = path => createRequest(`https://example.com${path}`, {
+      headers: { Authorization: 'test-secret' },
+    })
+    const storeCollection = (id, collection) => env._mockKV.set(`collection:${id}`, JSON.stringify({
+      description: '',
+      coverImage: null,
+      recipeIds: [],
+      created: '2024-01-01T00:00:00Z',
+      updated: '2024-01-01T00:00:00Z',
+      ...collection,
+    }))
+
+    beforeEach(() => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Soup', created: '2024-01-01T00:00:00Z' }))
+      env._mockKV.set('r2', JSON.stringify({ title: 'Stew', created: '2024-01-02T00:00:00Z' }))
+      env._mockKV.set('r3', JSON.stringify({ title: 'Old Pie', created: '2024-01-03T00:00:00Z', deleted: true }))
+    })
+
+    test('POST /collections creates a collection in KV', async () => {
+      const response = await worker.fetch(jsonRequest('/collections', 'POST', {
+        name: ' Weeknight ',
+        description: 'Fast dinners',
+        coverImage: 'https://example.com/cover.jpg',
+        recipeIds: ['r2', 'r1'],
+      }), env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data).toMatchObject({
+        name: 'Weeknight',
+        description: 'Fast dinners',
+        coverImage: 'https://example.com/cover.jpg',
+        recipeIds: ['r2', 'r1'],
+      })
+      expect(JSON.parse(env._mockKV.get(`collection:${data.id}`)).name).toBe('Weeknight')
+    })
+
+    test('POST /collections rejects invalid data and unknown recipes', async () => {
+      const invalid = await worker.fetch(jsonRequest('/collections', 'POST', { name: '', coverImage: 'ftp://x' }), env)
+      expect(invalid.status).toBe(400)
+      expect((await invalid.json()).details).toEqual([
+        { field: 'name', message: 'is required' },
+        { field: 'coverImage', message: 'must be an http(s) URL' },
+      ])
+
+      const unknown = await worker.fetch(jsonRequest('/collections', 'POST', { name: 'X', recipeIds: ['r1', 'nope'] }), env)
+      expect(unknown.status).toBe(400)
+      expect((await unknown.json()).details).toEqual([{ field: 'recipeIds[1]', message: 'recipe not found' }])
+      expect(env.RECIPES.put).not.toHaveBeenCalled()
+    })
+
+    test('GET /collections lists active collections by name', async () => {
+      storeCollection('c1', { name: 'Weeknight' })
+      storeCollection('c2', { name: 'Christmas 2026' })
+      storeCollection('c3', { name: 'Gone', deleted: true })
+      env.RECIPES.list.mockResolvedValue({
+        keys: ['collection:c1', 'collection:c2', 'collection:c3'].map(name => ({ name })),
+      })
+
+      const data = await (await worker.fetch(getRequest('/collections'), env)).json()
+
+      expect(data.map(collection => [collection.id, collection.name])).toEqual([
+        ['c2', 'Christmas 2026'],
+        ['c1', 'Weeknight'],
+      ])
+      expect(env.RECIPES.list).toHaveBeenCalledWith({ prefix: 'collection:' })
+    })
+
+    test('GET /recipes and GET /tags ignore collection records', async () => {
+      storeCollection('c1', { name: 'Weeknight' })
+
+      const { recipes } = await (await worker.fetch(getRequest('/recipes'), env)).json()
+      expect(recipes.map(recipe => recipe.id)).toEqual(['r3', 'r2', 'r1'])
+
+      const response = await worker.fetch(getRequest('/recipes/collection:c1'), env)
+      expect(response.status).toBe(404)
+    })
+
+    test('GET /collections/:id returns members in order, keeping deleted and missing ones', async () => {
+      storeCollection('c1', { name: 'Favourites', recipeIds: ['r2', 'r3', 'gone', 'r1'] })
+
+      const response = await worker.fetch(getRequest('/collections/c1'), env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.name).toBe('Favourites')
+      expect(data.recipes).toEqual([
+        { id: 'r2', title: 'Stew', created: '2024-01-02T00:00:00Z' },
+        { id: 'r3', title: 'Old Pie', created: '2024-01-03T00:00:00Z', deleted: true },
+        { id: 'gone', missing: true },
+        { id: 'r1', title: 'Soup', created: '2024-01-01T00:00:00Z' },
+      ])
+    })
+
+    test('GET /collections/:id returns 404 for unknown or deleted collections', async () => {
+      storeCollection('c3', { name: 'Gone', deleted: true })
+
+      expect((await worker.fetch(getRequest('/collections/nope'), env)).status).toBe(404)
+      expect((await worker.fetch(getRequest('/collections/c3'), env)).status).toBe(404)
+    })
+
+    test('PATCH /collections/:id reorders, removes and adds recipes', async () => {
+      storeCollection('c1', { name: 'Favourites', recipeIds: ['r1', 'r2', 'r3'] })
+
+      const response = await worker.fetch(jsonRequest('/collections/c1', 'PATCH', {
+        name: 'Best',
+        recipeIds: ['r3', 'r2', 'r1'],
+        removeRecipeIds: ['r2'],
+      }), env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data).toMatchObject({ id: 'c1', name: 'Best', recipeIds: ['r3', 'r1'] })
+
+      await worker.fetch(jsonRequest('/collections/c1', 'PATCH', { addRecipeIds: ['r2', 'r1'] }), env)
+      expect(JSON.parse(env._mockKV.get('collection:c1')).recipeIds).toEqual(['r3', 'r1', 'r2'])
+    })
+
+    test('PATCH /collections/:id rejects a reorder that changes membership', async () => {
+      storeCollection('c1', { name: 'Favourites', recipeIds: ['r1', 'r2'] })
+
+      const response = await worker.fetch(jsonRequest('/collections/c1', 'PATCH', { recipeIds: ['r2'] }), env)
+
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toEqual([
+        { field: 'recipeIds', message: 'must contain exactly the recipes in the collection' },
+      ])
+    })
+
+    test('PATCH /collections/:id rejects adding unknown recipes', async () => {
+      storeCollection('c1', { name: 'Favourites' })
+
+      const response = await worker.fetch(jsonRequest('/collections/c1', 'PATCH', { addRecipeIds: ['nope'] }), env)
+
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toEqual([{ field: 'addRecipeIds[0]', message: 'recipe not found' }])
+    })
+
+    test('soft-deleting a recipe leaves collections intact', async () => {
+      storeCollection('c1', { name: 'Favourites', recipeIds: ['r1', 'r2'] })
+
+      await worker.fetch(jsonRequest('/recipes/r1', 'PATCH', { deleted: true }), env)
+      const data = await (await worker.fetch(getRequest('/collections/c1'), env)).json()
+
+      expect(data.recipeIds).toEqual(['r1', 'r2'])
+      expect(data.recipes[0]).toMatchObject({ id: 'r1', deleted: true })
+    })
+  })
+
+  describe('Error Handling', () => {
+    test('returns 404 for unknown routes', async () => {
+      const request = createRequest('https://example.com/unknown', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.status).toBe(404)
+      expect(await response.text()).toBe('Not Found')
+    })
+
+    test('handles KV errors gracefully', async () => {
+      env.RECIPES.list.mockRejectedValue(new Error('KV Error'))
+
+      const request = createRequest('https://example.com/recipes', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.status).toBe(500)
+      expect(await response.text()).toBe('KV Error')
+    })
+
+    test('rejects malformed JSON in PATCH requests as invalid', async () => {
+      env._mockKV.set('test-id', JSON.stringify({ title: 'Test' }))
+
+      const request = createRequest('https://example.com/recipes/test-id', {
+        method: 'PATCH',
+        headers: {
+          Authorization: 'test-secret',
+          'Content-Type': 'application/json',
+        },
+        body: 'invalid json',
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.status).toBe(400)
+      expect((await response.json()).details).toEqual([{ field: 'recipe', message: 'must be an object' }])
+      expect(JSON.parse(env._mockKV.get('test-id'))).toEqual({ title: 'Test' })
+    })
+
+    test('rejects malformed JSON on every route that takes a JSON body', async () => {
+      env._mockKV.set('r1', JSON.stringify({ title: 'Test' }))
+      env._mockKV.set('user:sam', JSON.stringify({ name: 'Sam', role: 'viewer', secretHash: 'x' }))
+      env._mockKV.set('collection:c1', JSON.stringify({ name: 'Pies', recipeIds: [] }))
+      const routes = [
+        ['/admin/users', 'POST', 'user'],
+        ['/admin/users/Sam', 'PATCH', 'user'],
+        ['/collections', 'POST', 'collection'],
+        ['/collections/c1', 'PATCH', 'collection'],
+        ['/recipes/r1/revert', 'POST', 'revision'],
+      ]
+
+      for (const [path, method, field] of routes) {
+        const response = await worker.fetch(createRequest(`https://example.com${path}`, {
+          method,
+          headers: { Authorization: 'test-secret', 'Content-Type': 'application/json' },
+          body: '{ not json',
+        }), env)
+
+        expect(response.status, path).toBe(400)
+        expect((await response.json()).details[0].field, path).toBe(field)
+      }
+    })
+  })
+
+  describe('Content Type Headers', () => {
+    test('returns JSON content type for API responses', async () => {
+      const request = createRequest('https://example.com/recipes', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      const response = await worker.fetch(request, env)
+
+      expect(response.headers.get('Content-Type')).toBe('application/json')
+    })
+
+    test('handles FormData content type correctly', async () => {
+      const formData = createFormData({ title: 'Test' })
+
+      const request = createRequest('https://example.com/recipes', {
+        method: 'POST',
+        headers: { Authorization: 'test-secret' },
+        body: formData,
+      })
+
+      const response = await worker.fetch(request, env)
 
       expect(response.status).toBe(200)
       expect(response.headers.get('Content-Type')).toBe('application/json')
@@ -1004,6 +2934,39 @@ describe('Cloudflare Worker', () => {
       expect(data.title).toBe('Recipe Title from Title Tag')
     })
 
+    test('falls back to JSON-LD recipe name before title tag', async () => {
+      const mockHtml = `
+        <html>
+        <head>
+          <script type="application/ld+json">{"@type": "Recipe", "name": "Recipe Name from JSON-LD"}</script>
+          <title>Fallback Title | Food Site</title>
+        </head>
+        </html>
+      `
+
+      global.fetch.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'text/html' },
+        body: {
+          getReader: () => ({
+            read: vi.fn()
+              .mockResolvedValueOnce({ done: false, value: new TextEncoder().encode(mockHtml) })
+              .mockResolvedValueOnce({ done: true })
+          })
+        }
+      })
+
+      const request = createRequest('https://example.com/extract-title?url=https://example.com/page', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(200)
+      expect(data.title).toBe('Recipe Name from JSON-LD')
+    })
+
     test('returns empty string when no title found', async () => {
       const mockHtml = `
         <html>
@@ -1110,6 +3073,20 @@ describe('Cloudflare Worker', () => {
       expect(data.error).toBe('Request timed out')
     })
 
+    test('returns error when the page cannot be fetched', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404, headers: { get: () => 'text/html' } })
+
+      const request = createRequest('https://example.com/extract-title?url=https://example.com/gone', {
+        headers: { Authorization: 'test-secret' },
+      })
+
+      const response = await worker.fetch(request, env)
+      const data = await response.json()
+
+      expect(response.status).toBe(400)
+      expect(data.error).toBe('Failed to fetch URL')
+    })
+
     test('handles non-HTML content type', async () => {
       global.fetch.mockResolvedValue({
         ok: true,
@@ -0,0 +1,182 @@
+// schema.org Recipe extraction from JSON-LD blocks embedded in recipe pages
+
+import { isDuration } from '../src/recipeSchema.js';
+
+// Basic HTML entity decoding, including numeric references
+export function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Strip markup and collapse whitespace in a JSON-LD text value
+function cleanText(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+    return decodeEntities(value.replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function hasType(node, type) {
+    if (!node || typeof node !== 'object') return false;
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.includes(type);
+}
+
+// Pull every JSON-LD script body out of the page and parse it, skipping invalid blocks
+function parseJsonLdBlocks(html) {
+    const blocks = [];
+    const scriptRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+
+    while ((match = scriptRegex.exec(html)) !== null) {
+        const body = match[1]
+            .replace(/^\s*<!\[CDATA\[/, '')
+            .replace(/\]\]>\s*$/, '')
+            .trim();
+        if (!body) continue;
+
+        try {
+            blocks.push(JSON.parse(body));
+        } catch {
+            console.warn('Skipping invalid JSON-LD block');
+        }
+    }
+
+    return blocks;
+}
+
+// Depth-first search for a Recipe node through arrays and @graph containers
+function findRecipeNode(node) {
+    if (Array.isArray(node)) {
+        for (const item of node) {
+            const found = findRecipeNode(item);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    if (!node || typeof node !== 'object') {
+        return null;
+    }
+
+    if (hasType(node, 'Recipe')) {
+        return node;
+    }
+
+    if (node['@graph']) {
+        return findRecipeNode(node['@graph']);
+    }
+
+    // Some sites wrap the recipe in a WebPage's mainEntity
+    if (node.mainEntity) {
+        return findRecipeNode(node.mainEntity);
+    }
+
+    return null;
+}
+
+function toStringList(value) {
+    if (value === null || value === undefined) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+        .map(cleanText)
+        .filter(Boolean);
+}
+
+function normalizeIngredients(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .filter(item => typeof item === 'string')
+        .map(cleanText)
+        .filter(Boolean);
+}
+
+// Flatten recipeInstructions, which may be a string, a list of strings,
+// HowToStep objects, or HowToSection/ItemList objects nesting further steps
+function normalizeInstructions(value) {
+    if (value === null || value === undefined) return [];
+
+    if (typeof value === 'string') {
+        return value
+            .split(/\r?\n|<br\s*\/?>|<\/p>|<\/li>/i)
+            .map(cleanText)
+            .filter(Boolean);
+    }
+
+    if (Array.isArray(value)) {
+        return value.flatMap(normalizeInstructions);
+    }
+
+    if (typeof value === 'object') {
+        if (value.itemListElement) {
+            return normalizeInstructions(value.itemListElement);
+        }
+        const text = cleanText(value.text) || cleanText(value.name);
+        return text ? [text] : [];
+    }
+
+    return [];
+}
+
+function normalizeYield(value) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+        if (typeof item === 'number') return String(item);
+        const text = cleanText(item);
+        if (text) return text;
+    }
+    return null;
+}
+
+// An image may be a URL, an ImageObject with a url or contentUrl, or a list of
+// either; the first URL found wins
+function normalizeImage(value) {
+    if (typeof value === 'string') return value.trim() || null;
+    if (Array.isArray(value)) {
+        for (const item of value) {
+            const image = normalizeImage(item);
+            if (image) return image;
+        }
+        return null;
+    }
+    if (value && typeof value === 'object') return normalizeImage(value.url) || normalizeImage(value.contentUrl);
+    return null;
+}
+
+// Times the recipe form can't store ("20 mins", "PT") are dropped
+function normalizeDuration(value) {
+    const text = cleanText(value);
+    return isDuration(text) ? text : null;
+}
+
+// Extract a normalised schema.org Recipe from the page's JSON-LD, or null if none is present
+export function extractRecipeFromHtml(html) {
+    const recipe = findRecipeNode(parseJsonLdBlocks(html));
+    if (!recipe) {
+        return null;
+    }
+
+    return {
+        name: cleanText(recipe.name) || null,
+        image: normalizeImage(recipe.image),
+        ingredients: normalizeIngredients(recipe.recipeIngredient || recipe.ingredients || []),
+        instructions: normalizeInstructions(recipe.recipeInstructions),
+        yield: normalizeYield(recipe.recipeYield),
+        prepTime: normalizeDuration(recipe.prepTime),
+        cookTime: normalizeDuration(recipe.cookTime),
+        totalTime: normalizeDuration(recipe.totalTime),
+        cuisine: toStringList(recipe.recipeCuisine),
+        category: toStringList(recipe.recipeCategory),
+        keywords: toStringList(recipe.keywords),
+    };
+}
@@ -0,0 +1,161 @@
+import { extractRecipeFromHtml, decodeEntities } from './jsonld.js'
+
+const wrap = (data) => `
+  <html>
+  <head>
+    <script type="application/ld+json">${JSON.stringify(data)}</script>
+  </head>
+  <body></body>
+  </html>
+`
+
+describe('JSON-LD Recipe Extraction', () => {
+  test('returns null when the page has no JSON-LD', () => {
+    expect(extractRecipeFromHtml('<html><head><title>Hi</title></head></html>')).toBeNull()
+  })
+
+  test('returns null when JSON-LD has no Recipe', () => {
+    const html = wrap({ '@context': 'https://schema.org', '@type': 'Organization', name: 'Acme' })
+    expect(extractRecipeFromHtml(html)).toBeNull()
+  })
+
+  test('extracts a top-level Recipe', () => {
+    const html = wrap({
+      '@context': 'https://schema.org',
+      '@type': 'Recipe',
+      name: 'Pancakes',
+      image: 'https://example.com/pancakes.jpg',
+      recipeIngredient: ['200g plain flour', '2 eggs', '300ml milk'],
+      recipeInstructions: [
+        { '@type': 'HowToStep', text: 'Whisk everything together.' },
+        { '@type': 'HowToStep', text: 'Fry in a hot pan.' },
+      ],
+      recipeYield: '8 pancakes',
+      prepTime: 'PT10M',
+      cookTime: 'PT20M',
+      totalTime: 'PT30M',
+      recipeCuisine: 'British',
+      recipeCategory: ['Breakfast', 'Dessert'],
+      keywords: 'quick, easy , vegetarian',
+    })
+
+    expect(extractRecipeFromHtml(html)).toEqual({
+      name: 'Pancakes',
+      image: 'https://example.com/pancakes.jpg',
+      ingredients: ['200g plain flour', '2 eggs', '300ml milk'],
+      instructions: ['Whisk everything together.', 'Fry in a hot pan.'],
+      yield: '8 pancakes',
+      prepTime: 'PT10M',
+      cookTime: 'PT20M',
+      totalTime: 'PT30M',
+      cuisine: ['British'],
+      category: ['Breakfast', 'Dessert'],
+      keywords: ['quick', 'easy', 'vegetarian'],
+    })
+  })
+
+  test('finds a Recipe inside an @graph array', () => {
+    const html = wrap({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebSite', name: 'Food Blog' },
+        { '@type': ['Recipe', 'NewsArticle'], name: 'Graph Recipe', recipeIngredient: ['1 onion'] },
+      ],
+    })
+
+    const recipe = extractRecipeFromHtml(html)
+    expect(recipe.name).toBe('Graph Recipe')
+    expect(recipe.ingredients).toEqual(['1 onion'])
+  })
+
+  test('finds a Recipe in a top-level array and skips invalid blocks', () => {
+    const html = `
+      <script type="application/ld+json">{ not json</script>
+      <script type="application/ld+json">${JSON.stringify([
+        { '@type': 'BreadcrumbList' },
+        { '@type': 'Recipe', name: 'Array Recipe' },
+      ])}</script>
+    `
+
+    expect(extractRecipeFromHtml(html).name).toBe('Array Recipe')
+  })
+
+  test('flattens HowToSection nesting', () => {
+    const html = wrap({
+      '@type': 'Recipe',
+      name: 'Sectioned',
+      recipeInstructions: [
+        {
+          '@type': 'HowToSection',
+          name: 'For the sauce',
+          itemListElement: [
+            { '@type': 'HowToStep', text: 'Melt the butter.' },
+            { '@type': 'HowToStep', text: 'Add the flour.' },
+          ],
+        },
+        {
+          '@type': 'HowToSection',
+          name: 'To assemble',
+          itemListElement: [{ '@type': 'HowToStep', name: 'Layer it up.' }],
+        },
+      ],
+    })
+
+    expect(extractRecipeFromHtml(html).instructions).toEqual([
+      'Melt the butter.',
+      'Add the flour.',
+      'Layer it up.',
+    ])
+  })
+
+  test('splits string instructions into steps and strips markup', () => {
+    const html = wrap({
+      '@type': 'Recipe',
+      name: 'Stringy',
+      recipeInstructions: '<p>Boil the pasta.</p><p>Drain &amp; serve.</p>',
+    })
+
+    expect(extractRecipeFromHtml(html).instructions).toEqual(['Boil the pasta.', 'Drain & serve.'])
+  })
+
+  test('normalises yield, image and list fields', () => {
+    const html = wrap({
+      '@type': 'Recipe',
+      name: 'Odd Shapes',
+      image: [{ '@type': 'ImageObject', url: 'https://example.com/a.jpg' }],
+      recipeYield: [4, '4 servings'],
+      recipeCuisine: 'Italian, Mediterranean',
+    })
+
+    const recipe = extractRecipeFromHtml(html)
+    expect(recipe.image).toBe('https://example.com/a.jpg')
+    expect(recipe.yield).toBe('4')
+    expect(recipe.cuisine).toEqual(['Italian', 'Mediterranean'])
+    expect(recipe.category).toEqual([])
+    expect(recipe.keywords).toEqual([])
+    expect(recipe.prepTime).toBeNull()
+  })
+
+  test.each([
+    ['a URL', ' https://example.com/a.jpg ', 'https://example.com/a.jpg'],
+    ['an ImageObject', { '@type': 'ImageObject', contentUrl: 'https://example.com/a.jpg' }, 'https://example.com/a.jpg'],
+    ['an ImageObject with a list of URLs', { url: ['https://example.com/a.jpg'] }, 'https://example.com/a.jpg'],
+    ['a list starting with an empty entry', [null, { url: 42 }, 'https://example.com/a.jpg'], 'https://example.com/a.jpg'],
+    ['something else', { width: 800 }, null],
+  ])('takes the image from %s', (_, image, expected) => {
+    expect(extractRecipeFromHtml(wrap({ '@type': 'Recipe', name: 'Pie', image })).image).toBe(expected)
+  })
+
+  test('drops times that are not ISO 8601 durations', () => {
+    const html = wrap({ '@type': 'Recipe', name: 'Pie', prepTime: '20 mins', cookTime: 'PT', totalTime: ' PT1H20M ' })
+
+    const recipe = extractRecipeFromHtml(html)
+    expect(recipe.prepTime).toBeNull()
+    expect(recipe.cookTime).toBeNull()
+    expect(recipe.totalTime).toBe('PT1H20M')
+  })
+
+  test('decodes HTML entities', () => {
+    expect(decodeEntities('Mac &amp; Cheese &#8211; &#x27;best&#x27;')).toBe("Mac & Cheese – 'best'")
+  })
+})
@@ -0,0 +1,166 @@
+// Uploaded photos are served publicly from this worker's origin, so what goes into R2
+// is checked: a size limit, and the type read from the file's first bytes rather than
+// trusted from the form. Only JPEG, PNG, WebP, GIF and HEIC/HEIF are accepted, and
+// they're served with headers that stop a browser treating them as anything else.
+// A recipe keeps its photos' URLs in photos[], with the first also as photo, the cover
+// (see recipePhotos in src/recipeSchema.js).
+
+import { isCollectionKey } from '../src/collections.js';
+import { recipePhotos } from '../src/recipeSchema.js';
+import { isHistoryKey } from './history.js';
+import { isRecipeKey, listAllKeys } from './recipeIndex.js';
+
+export const DEFAULT_MAX_PHOTO_MB = 10;
+export const MAX_PHOTOS = 20;
+// Room for the recipe's other form fields when checking a request's Content-Length
+const FORM_OVERHEAD_BYTES = 1024 * 1024;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/heic': 'heic',
+    'image/heif': 'heif',
+};
+// ISO base media file brands, from the "ftyp" box
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Megabytes allowed per photo, from env.MAX_PHOTO_MB when set
+export function maxPhotoMegabytes(env) {
+    const megabytes = Number(env.MAX_PHOTO_MB);
+    return env.MAX_PHOTO_MB && Number.isFinite(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_PHOTO_MB;
+}
+
+function ascii(bytes, start, end) {
+    return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+// The image type from a file's first bytes, or null when it isn't one we accept
+export function sniffPhotoType(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (ascii(bytes, 0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(bytes, 0, 6) === 'GIF87a' || ascii(bytes, 0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(bytes, 4, 8) === 'ftyp') {
+        const brand = ascii(bytes, 8, 12);
+        if (HEIC_BRANDS.includes(brand)) return 'image/heic';
+        if (HEIF_BRANDS.includes(brand)) return 'image/heif';
+    }
+    return null;
+}
+
+// Whether a request's body is too big to hold an allowed photo, before reading it
+export function isUploadTooLarge(request, env) {
+    const length = Number(request.headers.get('Content-Length'));
+    return length > maxPhotoMegabytes(env) * 1024 * 1024 + FORM_OVERHEAD_BYTES;
+}
+
+// Check an uploaded photo. Returns { type } with the sniffed content type, or
+// { status, error, details } to send back.
+export async function checkPhoto(photo, env) {
+    const megabytes = maxPhotoMegabytes(env);
+    if (photo.size > megabytes * 1024 * 1024) {
+        return {
+            status: 413,
+            error: 'Photo too large',
+            details: [{ field: 'photo', message: `must be at most ${megabytes} MB` }],
+        };
+    }
+    const type = sniffPhotoType(new Uint8Array(await photo.slice(0, 12).arrayBuffer()));
+    if (!type) {
+        return {
+            status: 415,
+            error: 'Unsupported photo type',
+            details: [{ field: 'photo', message: 'must be a JPEG, PNG, WebP, GIF or HEIC image' }],
+        };
+    }
+    return { type };
+}
+
+// Headers for serving a stored photo. Anything stored before uploads were checked that
+// isn't an accepted image type is sent as a download.
+export function photoHeaders(object) {
+    const stored = object.httpMetadata?.contentType || 'image/jpeg';
+    const extension = EXTENSIONS[stored];
+    return {
+        'Content-Type': extension ? stored : 'application/octet-stream',
+        'Content-Disposition': extension ? `inline; filename="photo.${extension}"` : 'attachment; filename="photo"',
+        'X-Content-Type-Options': 'nosniff',
+    };
+}
+
+// Store a checked photo in R2 and return the URL it's served from
+export async function storePhoto(env, photo, type, origin) {
+    const photoId = crypto.randomUUID();
+    await env.PHOTOS.put(`photos/${photoId}`, photo, {
+        httpMetadata: {
+            contentType: type,
+        }
+    });
+    return `${origin}/photos/${photoId}`;
+}
+
+// The R2 key for a photo uploaded through the worker, from its "/photos/<id>" URL
+export function photoKey(photoUrl) {
+    try {
+        const { pathname } = new URL(photoUrl);
+        return pathname.startsWith('/photos/') ? pathname.slice(1) : null;
+    } catch {
+        return null;
+    }
+}
+
+// `recipe` with its photos replaced by `photos`, keeping photo as the cover
+export function withPhotos(recipe, photos) {
+    const updated = { ...recipe };
+    delete updated.photo;
+    delete updated.photos;
+    if (photos.length > 0) {
+        updated.photo = photos[0];
+        updated.photos = photos;
+    }
+    return updated;
+}
+
+function stepPhotos(recipe) {
+    return (recipe?.steps || []).map(step => step?.photo).filter(Boolean);
+}
+
+// The photo URLs a stored record points at: a recipe's photos and step photos, a
+// collection's cover, and a saved revision's step photos, which come back on revert
+// (its photos don't; revert keeps the current ones)
+function referencedPhotos(key, record) {
+    if (isCollectionKey(key)) return [record?.coverImage];
+    if (isHistoryKey(key)) return stepPhotos(record?.recipe);
+    return [...recipePhotos(record), ...stepPhotos(record)];
+}
+
+// Which of `photoUrls` any stored recipe, revision or collection still points at
+async function photosInUse(env, photoUrls) {
+    const wanted = new Set(photoUrls);
+    const inUse = new Set();
+    for (const key of await listAllKeys(env)) {
+        if (!isRecipeKey(key) && !isCollectionKey(key) && !isHistoryKey(key)) continue;
+        const record = await env.RECIPES.get(key, { type: 'json' });
+        for (const photoUrl of referencedPhotos(key, record)) {
+            if (wanted.has(photoUrl)) inUse.add(photoUrl);
+        }
+        if (inUse.size === wanted.size) break;
+    }
+    return inUse;
+}
+
+// Delete uploaded photos from R2 once nothing stored points at them any more.
+// Call it after the records that dropped them have been written or deleted.
+export async function deleteUnusedPhotos(env, photoUrls) {
+    const uploaded = [...new Set(photoUrls)].filter(photoKey);
+    if (uploaded.length === 0) return [];
+    const inUse = await photosInUse(env, uploaded);
+    const unused = uploaded.filter(photoUrl => !inUse.has(photoUrl));
+    for (const photoUrl of unused) {
+        await env.PHOTOS.delete(photoKey(photoUrl));
+    }
+    return unused;
+}
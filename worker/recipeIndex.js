@@ -0,0 +1,141 @@
+// Newest-first listing index for recipes.
+// KV lists keys in lexicographic order, so every recipe gets an extra
+// "index:created:<inverted timestamp>:<id>" key that sorts newest first.
+// Each index key carries a summary of its recipe as list metadata, so a page
+// of the recipe list comes from a single KV list call with no per-recipe reads.
+
+import { isCollectionKey } from '../src/collections.js';
+import { isHistoryKey } from './history.js';
+import { isSessionKey } from './sessions.js';
+import { isShareKey } from './share.js';
+import { isUserKey } from './users.js';
+
+export const INDEX_KEY_PREFIX = 'index:';
+const CREATED_INDEX_PREFIX = `${INDEX_KEY_PREFIX}created:`;
+// Holds the version the index was last built with; a new version triggers a rebuild
+const INDEX_READY_KEY = `${INDEX_KEY_PREFIX}ready`;
+const INDEX_VERSION = '4';
+const MAX_TIMESTAMP = 9999999999999;
+// KV rejects list metadata over 1024 bytes once serialised
+const MAX_METADATA_BYTES = 1024;
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+// Fields copied into the index; enough to draw a recipe card.
+// photo and previewImage are the thumbnails, and photos fill the card's gallery;
+// updated is for delta sync (changes.js).
+export const SUMMARY_FIELDS = ['title', 'url', 'created', 'updated', 'deleted', 'tags', 'photo', 'photos', 'previewImage'];
+
+export function isIndexKey(key) {
+    return key.startsWith(INDEX_KEY_PREFIX);
+}
+
+// Recipe records share the namespace with collections, index entries, share links,
+// users, sessions and recipe history
+export function isRecipeKey(key) {
+    return !isCollectionKey(key)
+        && !isIndexKey(key)
+        && !isShareKey(key)
+        && !isUserKey(key)
+        && !isSessionKey(key)
+        && !isHistoryKey(key);
+}
+
+export function createdIndexKey(id, created) {
+    const time = Date.parse(created);
+    const inverted = MAX_TIMESTAMP - (Number.isNaN(time) ? 0 : time);
+    return `${CREATED_INDEX_PREFIX}${String(inverted).padStart(13, '0')}:${id}`;
+}
+
+function idFromIndexKey(key) {
+    return key.slice(CREATED_INDEX_PREFIX.length + 14);
+}
+
+export function recipeSummary(recipe) {
+    const summary = {};
+    for (const field of SUMMARY_FIELDS) {
+        if (recipe[field] !== undefined && recipe[field] !== null) {
+            summary[field] = recipe[field];
+        }
+    }
+    return summary;
+}
+
+// Write or move a recipe's index entry. Pass the stored record as `previous` on
+// updates so a changed creation date doesn't leave the old entry behind.
+export async function writeIndexEntry(env, id, recipe, previous = null) {
+    const key = createdIndexKey(id, recipe.created);
+    if (previous) {
+        const previousKey = createdIndexKey(id, previous.created);
+        if (previousKey !== key) {
+            await env.RECIPES.delete(previousKey);
+        }
+    }
+
+    // Summaries too big for metadata are left out; listing reads those records instead
+    const summary = recipeSummary(recipe);
+    const fits = new TextEncoder().encode(JSON.stringify(summary)).length <= MAX_METADATA_BYTES;
+    await env.RECIPES.put(key, id, fits ? { metadata: summary } : {});
+}
+
+// Every key in the namespace, following list cursors past KV's 1000-key pages
+export async function listAllKeys(env, options = {}) {
+    const keys = [];
+    let cursor;
+    do {
+        const page = await env.RECIPES.list({ ...options, cursor });
+        keys.push(...page.keys.map(key => key.name));
+        cursor = page.list_complete === false ? page.cursor : undefined;
+    } while (cursor);
+    return keys;
+}
+
+// Rewrite the index from the recipe records, dropping entries with no matching record.
+export async function rebuildRecipeIndex(env) {
+    const keys = await listAllKeys(env);
+    const expected = new Set();
+    let indexed = 0;
+    for (const id of keys.filter(isRecipeKey)) {
+        const recipe = await env.RECIPES.get(id, { type: 'json' });
+        if (recipe) {
+            await writeIndexEntry(env, id, recipe);
+            expected.add(createdIndexKey(id, recipe.created));
+            indexed++;
+        }
+    }
+
+    let removed = 0;
+    for (const key of keys.filter(key => key.startsWith(CREATED_INDEX_PREFIX))) {
+        if (!expected.has(key)) {
+            await env.RECIPES.delete(key);
+            removed++;
+        }
+    }
+
+    await env.RECIPES.put(INDEX_READY_KEY, INDEX_VERSION);
+    return { indexed, removed };
+}
+
+// Build the index if it predates the current version. Runs once per version.
+export async function ensureRecipeIndex(env) {
+    if (await env.RECIPES.get(INDEX_READY_KEY) === INDEX_VERSION) return;
+    await rebuildRecipeIndex(env);
+}
+
+// One page of recipe summaries, newest first. `cursor` is null on the last page.
+export async function listRecipeSummaries(env, { limit = DEFAULT_PAGE_SIZE, cursor } = {}) {
+    const page = await env.RECIPES.list({ prefix: CREATED_INDEX_PREFIX, limit, cursor });
+    const summaries = await Promise.all(page.keys.map(async key => {
+        const id = idFromIndexKey(key.name);
+        if (key.metadata) {
+            return { id, ...key.metadata };
+        }
+        const recipe = await env.RECIPES.get(id, { type: 'json' });
+        return recipe ? { id, ...recipeSummary(recipe) } : null;
+    }));
+    return {
+        recipes: summaries.filter(Boolean),
+        cursor: page.list_complete === false ? page.cursor : null,
+    };
+}
@@ -0,0 +1,50 @@
+import { createdIndexKey, isRecipeKey, listAllKeys, recipeSummary } from './recipeIndex.js'
+
+describe('Recipe index', () => {
+  test('index keys sort newest first', () => {
+    const keys = [
+      createdIndexKey('a', '2024-01-01T00:00:00Z'),
+      createdIndexKey('b', '2024-03-01T00:00:00Z'),
+      createdIndexKey('c', undefined),
+      createdIndexKey('d', '2023-12-31T23:59:59Z'),
+    ]
+
+    expect(keys.sort().map(key => key.slice(-1))).toEqual(['b', 'a', 'd', 'c'])
+  })
+
+  test('only plain keys are recipes', () => {
+    expect(isRecipeKey('3f2a')).toBe(true)
+    expect(isRecipeKey('collection:abc')).toBe(false)
+    expect(isRecipeKey('index:ready')).toBe(false)
+  })
+
+  test('summaries keep only the fields a list card needs', () => {
+    expect(recipeSummary({
+      title: 'Soup',
+      created: '2024-01-01T00:00:00Z',
+      text: 'Long notes',
+      ingredients: [],
+      tags: ['dinner'],
+      photo: 'https://example.com/photos/1',
+      previewImage: null,
+    })).toEqual({
+      title: 'Soup',
+      created: '2024-01-01T00:00:00Z',
+      tags: ['dinner'],
+      photo: 'https://example.com/photos/1',
+    })
+  })
+
+  test('listAllKeys follows cursors to the end', async () => {
+    const env = {
+      RECIPES: {
+        list: vi.fn()
+          .mockResolvedValueOnce({ keys: [{ name: 'a' }], list_complete: false, cursor: 'next' })
+          .mockResolvedValueOnce({ keys: [{ name: 'b' }], list_complete: true }),
+      },
+    }
+
+    expect(await listAllKeys(env, { prefix: 'x' })).toEqual(['a', 'b'])
+    expect(env.RECIPES.list).toHaveBeenLastCalledWith({ prefix: 'x', cursor: 'next' })
+  })
+})
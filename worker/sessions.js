@@ -0,0 +1,123 @@
+// Signed, expiring session tokens, so the app doesn't send a long-lived secret
+// with every request. POST /auth/login exchanges a secret for a token of the form
+// "<base64url payload>.<base64url HMAC-SHA256 signature>"; the payload holds the
+// session id, user name and expiry. Each live session is also stored as
+// "session:<lowercased name>:<session id>" so it can be revoked before it expires.
+
+import { BUILT_IN_OWNER, findUserBySecret, hashSecret, userKey } from './users.js';
+
+export const SESSION_KEY_PREFIX = 'session:';
+export const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const SESSION_ID_BYTES = 16;
+const BEARER_PREFIX = 'Bearer ';
+
+export function isSessionKey(key) {
+    return key.startsWith(SESSION_KEY_PREFIX);
+}
+
+// Prefix shared by every session of one user
+export function userSessionPrefix(name) {
+    return `${SESSION_KEY_PREFIX}${name.toLowerCase()}:`;
+}
+
+function sessionKey(name, sessionId) {
+    return `${userSessionPrefix(name)}${sessionId}`;
+}
+
+function base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+}
+
+// SESSION_SECRET signs tokens; without it they are signed with API_SECRET,
+// so changing that secret also ends every session.
+function signingKey(env) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(env.SESSION_SECRET || env.API_SECRET),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+// Start a session for a user who has just proved their secret. The session
+// remembers a hash of that secret, so rotating or removing it ends the session;
+// for the built-in owner, so does changing API_SECRET.
+export async function createSession(env, user, secretHash) {
+    const sessionId = base64UrlEncode(crypto.getRandomValues(new Uint8Array(SESSION_ID_BYTES)));
+    const now = Date.now();
+    const expires = Math.floor(now / 1000) + SESSION_TTL_SECONDS;
+
+    await env.RECIPES.put(
+        sessionKey(user.name, sessionId),
+        JSON.stringify({ name: user.name, secretHash, created: new Date(now).toISOString() }),
+        { expirationTtl: SESSION_TTL_SECONDS }
+    );
+
+    const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ sid: sessionId, sub: user.name, exp: expires })));
+    const signature = await crypto.subtle.sign('HMAC', await signingKey(env), new TextEncoder().encode(payload));
+    return {
+        token: `${payload}.${base64UrlEncode(new Uint8Array(signature))}`,
+        expires: new Date(expires * 1000).toISOString(),
+    };
+}
+
+// The user and session for a token, or null if it is forged, expired or revoked
+export async function verifySession(env, token) {
+    const [payload, signature, ...rest] = String(token).split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+
+    let claims;
+    try {
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            await signingKey(env),
+            base64UrlDecode(signature),
+            new TextEncoder().encode(payload)
+        );
+        if (!valid) return null;
+        claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    } catch {
+        return null;
+    }
+    if (typeof claims?.sub !== 'string' || typeof claims.sid !== 'string') return null;
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) return null;
+
+    const session = await env.RECIPES.get(sessionKey(claims.sub, claims.sid), { type: 'json' });
+    if (!session) return null;
+
+    // The built-in owner's secret is API_SECRET, so changing it ends their sessions
+    if (claims.sub === BUILT_IN_OWNER) {
+        if (!env.API_SECRET || session.secretHash !== await hashSecret(env.API_SECRET)) return null;
+        return { user: { name: BUILT_IN_OWNER, role: 'owner' }, session: { ...session, id: claims.sid } };
+    }
+    const user = await env.RECIPES.get(userKey(claims.sub), { type: 'json' });
+    if (!user || user.secretHash !== session.secretHash) return null;
+    return { user: { name: user.name, role: user.role }, session: { ...session, id: claims.sid } };
+}
+
+// Exchange a secret for a session; null if the secret is wrong
+export async function login(env, secret) {
+    const user = await findUserBySecret(env, secret);
+    if (!user) return null;
+    return { ...await createSession(env, user, await hashSecret(secret)), user };
+}
+
+// Resolve an Authorization header. "Bearer <token>" is a session; anything else
+// is treated as a secret, which scripts can still send directly.
+export async function authenticate(env, authorization) {
+    if (authorization?.startsWith(BEARER_PREFIX)) {
+        return verifySession(env, authorization.slice(BEARER_PREFIX.length));
+    }
+    const user = await findUserBySecret(env, authorization);
+    return user ? { user, session: null } : null;
+}
+
+export async function revokeSession(env, name, sessionId) {
+    await env.RECIPES.delete(sessionKey(name, sessionId));
+}
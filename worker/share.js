@@ -0,0 +1,168 @@
+// Public, read-only share links for single recipes.
+// Minting a link stores "share:<token>" -> { recipeId } and records the token on
+// the recipe as shareToken; revoking deletes both. Shared pages are plain HTML
+// with Open Graph tags and schema.org JSON-LD so messaging apps can preview them.
+
+import { upgradeRecipe } from '../src/recipeSchema.js';
+import { formatDuration, formatIngredient, groupIngredients } from '../src/recipeFormat.js';
+
+export const SHARE_KEY_PREFIX = 'share:';
+const TOKEN_BYTES = 24;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Only these fields are visible to someone holding a share link
+const PUBLIC_FIELDS = [
+    'title', 'url', 'text', 'created', 'yield', 'prepTime', 'cookTime', 'totalTime',
+    'cuisine', 'category', 'tags', 'photo', 'photos', 'previewImage', 'ingredients', 'steps', 'schemaVersion',
+];
+
+export function isShareKey(key) {
+    return key.startsWith(SHARE_KEY_PREFIX);
+}
+
+// 24 random bytes as URL-safe base64: 32 characters, 192 bits
+export function createShareToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+export function isShareToken(token) {
+    return TOKEN_PATTERN.test(token);
+}
+
+export function publicRecipe(recipe) {
+    const upgraded = upgradeRecipe(recipe);
+    const result = {};
+    for (const field of PUBLIC_FIELDS) {
+        if (upgraded[field] !== undefined && upgraded[field] !== null) {
+            result[field] = upgraded[field];
+        }
+    }
+    return result;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;');
+}
+
+// JSON inside <script> must not be able to close the tag
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function description(recipe) {
+    const source = recipe.text || recipe.steps?.[0]?.text || '';
+    const flattened = source.replace(/\s+/g, ' ').trim();
+    return flattened.length > 200 ? `${flattened.slice(0, 197)}...` : flattened;
+}
+
+function recipeJsonLd(recipe, pageUrl) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: recipe.title || 'Untitled',
+        url: pageUrl,
+    };
+    const image = recipe.photo || recipe.previewImage;
+    if (image) data.image = [image];
+    if (recipe.created) data.datePublished = recipe.created;
+    if (recipe.yield) data.recipeYield = recipe.yield;
+    for (const field of ['prepTime', 'cookTime', 'totalTime']) {
+        if (recipe[field]) data[field] = recipe[field];
+    }
+    if (recipe.cuisine?.length) data.recipeCuisine = recipe.cuisine;
+    if (recipe.category?.length) data.recipeCategory = recipe.category;
+    if (recipe.tags?.length) data.keywords = recipe.tags.join(', ');
+    if (recipe.ingredients?.length) data.recipeIngredient = recipe.ingredients.map(formatIngredient);
+    if (recipe.steps?.length) {
+        data.recipeInstructions = recipe.steps.map(step => ({ '@type': 'HowToStep', text: step.text }));
+    }
+    const summary = description(recipe);
+    if (summary) data.description = summary;
+    return data;
+}
+
+function page(head, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${head}
+<style>
+body { font-family: system-ui, sans-serif; max-width: 40em; margin: 0 auto; padding: 1em; line-height: 1.5; color: #222; }
+img { max-width: 100%; border-radius: 8px; }
+.meta { color: #666; }
+.notes { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Standalone HTML for a shared recipe; `recipe` should come from publicRecipe
+export function renderSharePage(recipe, pageUrl) {
+    const title = recipe.title || 'Untitled';
+    const image = recipe.photo || recipe.previewImage;
+    const summary = description(recipe);
+
+    const head = [
+        `<title>${escapeHtml(title)}</title>`,
+        `<meta property="og:type" content="article">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:url" content="${escapeHtml(pageUrl)}">`,
+        summary && `<meta property="og:description" content="${escapeHtml(summary)}">`,
+        summary && `<meta name="description" content="${escapeHtml(summary)}">`,
+        image && `<meta property="og:image" content="${escapeHtml(image)}">`,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="robots" content="noindex">`,
+        `<script type="application/ld+json">${scriptJson(recipeJsonLd(recipe, pageUrl))}</script>`,
+    ].filter(Boolean).join('\n');
+
+    const meta = [
+        recipe.yield && `Serves ${recipe.yield}`,
+        recipe.prepTime && `Prep ${formatDuration(recipe.prepTime)}`,
+        recipe.cookTime && `Cook ${formatDuration(recipe.cookTime)}`,
+        recipe.totalTime && `Total ${formatDuration(recipe.totalTime)}`,
+    ].filter(Boolean).join(' · ');
+
+    const ingredients = recipe.ingredients?.length
+        ? `<h2>Ingredients</h2>\n${groupIngredients(recipe.ingredients).map(group => [
+            group.name && `<h3>${escapeHtml(group.name)}</h3>`,
+            `<ul>${group.ingredients.map(ingredient => `<li>${escapeHtml(formatIngredient(ingredient))}</li>`).join('')}</ul>`,
+        ].filter(Boolean).join('\n')).join('\n')}`
+        : '';
+    const steps = recipe.steps?.length
+        ? `<h2>Method</h2>\n<ol>${recipe.steps.map(step => `<li>${escapeHtml(step.text)}</li>`).join('')}</ol>`
+        : '';
+
+    const body = [
+        `<h1>${escapeHtml(title)}</h1>`,
+        meta && `<p class="meta">${escapeHtml(meta)}</p>`,
+        image && `<img src="${escapeHtml(image)}" alt="${escapeHtml(title)}">`,
+        // The cover is shown above; any other photos follow it
+        ...(recipe.photos || []).slice(1).map((photo, index) => (
+            `<img src="${escapeHtml(photo)}" alt="${escapeHtml(`${title}, photo ${index + 2}`)}">`
+        )),
+        recipe.url && `<p><a href="${escapeHtml(recipe.url)}" rel="noopener noreferrer">Original recipe</a></p>`,
+        ingredients,
+        steps,
+        recipe.text && `<h2>Notes</h2>\n<p class="notes">${escapeHtml(recipe.text)}</p>`,
+    ].filter(Boolean).join('\n');
+
+    return page(head, body);
+}
+
+export function renderNotSharedPage() {
+    return page(
+        '<title>Recipe not available</title>\n<meta name="robots" content="noindex">',
+        '<h1>Recipe not available</h1>\n<p>This link has expired or was never shared.</p>'
+    );
+}
@@ -0,0 +1,80 @@
+// Trash: soft-deleted recipes are kept for a retention period, then purged for good.
+// Soft delete records `deletedAt`; a purge removes the recipe record, its index entry,
+// share link, history and any uploaded photos nothing else uses, and leaves a tombstone
+// for delta sync.
+// Recipes deleted before `deletedAt` existed are given one on the first sweep, so they
+// get the full retention period too.
+
+import { createdIndexKey, ensureRecipeIndex, listAllKeys, listRecipeSummaries } from './recipeIndex.js';
+import { SHARE_KEY_PREFIX } from './share.js';
+import { recipeHistoryPrefix } from './history.js';
+import { writeTombstone } from './changes.js';
+import { deleteUnusedPhotos } from './photos.js';
+import { recipePhotos } from '../src/recipeSchema.js';
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted recipe is kept, from env.TRASH_RETENTION_DAYS when set
+export function trashRetentionDays(env) {
+    const days = Number(env.TRASH_RETENTION_DAYS);
+    return env.TRASH_RETENTION_DAYS && Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Permanently remove a recipe and everything stored for it
+export async function purgeRecipe(env, id, recipe) {
+    if (recipe.shareToken) {
+        await env.RECIPES.delete(`${SHARE_KEY_PREFIX}${recipe.shareToken}`);
+    }
+    for (const historyKey of await listAllKeys(env, { prefix: recipeHistoryPrefix(id) })) {
+        await env.RECIPES.delete(historyKey);
+    }
+    await env.RECIPES.delete(createdIndexKey(id, recipe.created));
+    await env.RECIPES.delete(id);
+    await writeTombstone(env, id);
+    // Other recipes and collections may use the same photos
+    await deleteUnusedPhotos(env, recipePhotos(recipe));
+}
+
+// Every soft-deleted recipe as [id, record], found through the summary index
+async function listDeletedRecipes(env) {
+    await ensureRecipeIndex(env);
+    const deleted = [];
+    let cursor;
+    do {
+        const page = await listRecipeSummaries(env, { limit: 1000, cursor });
+        for (const summary of page.recipes.filter(recipe => recipe.deleted)) {
+            const recipe = await env.RECIPES.get(summary.id, { type: 'json' });
+            if (recipe?.deleted) {
+                deleted.push([summary.id, recipe]);
+            }
+        }
+        cursor = page.cursor;
+    } while (cursor);
+    return deleted;
+}
+
+// Purge every deleted recipe, whenever it was deleted
+export async function emptyTrash(env) {
+    const deleted = await listDeletedRecipes(env);
+    for (const [id, recipe] of deleted) {
+        await purgeRecipe(env, id, recipe);
+    }
+    return { purged: deleted.length };
+}
+
+// Purge recipes deleted more than the retention period before `now`. Run by the cron trigger.
+export async function purgeExpiredRecipes(env, now = Date.now()) {
+    const cutoff = now - trashRetentionDays(env) * DAY_MS;
+    let purged = 0;
+    for (const [id, recipe] of await listDeletedRecipes(env)) {
+        const deletedAt = Date.parse(recipe.deletedAt);
+        if (Number.isNaN(deletedAt)) {
+            await env.RECIPES.put(id, JSON.stringify({ ...recipe, deletedAt: new Date(now).toISOString() }));
+        } else if (deletedAt <= cutoff) {
+            await purgeRecipe(env, id, recipe);
+            purged++;
+        }
+    }
+    return { purged };
+}
@@ -0,0 +1,106 @@
+// Named users with their own secrets and roles.
+// A user is stored as "user:<lowercased name>" -> { name, role, secretHash, created, updated }.
+// Only a SHA-256 hash of each secret is kept; "credential:<hash>" -> { name } finds
+// the user for an Authorization header. env.API_SECRET keeps working as the built-in owner.
+
+export const USER_KEY_PREFIX = 'user:';
+export const CREDENTIAL_KEY_PREFIX = 'credential:';
+export const ROLES = ['owner', 'editor', 'viewer'];
+export const BUILT_IN_OWNER = 'owner';
+const SECRET_BYTES = 32;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.-]{0,39}$/;
+
+export function isUserKey(key) {
+    return key.startsWith(USER_KEY_PREFIX) || key.startsWith(CREDENTIAL_KEY_PREFIX);
+}
+
+export function userKey(name) {
+    return `${USER_KEY_PREFIX}${name.toLowerCase()}`;
+}
+
+export async function hashSecret(secret) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// 32 random bytes as URL-safe base64
+export function createSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(SECRET_BYTES));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Constant-time comparison so response timing doesn't leak the secret
+function secretsMatch(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+// The user for an Authorization header secret, or null
+export async function findUserBySecret(env, secret) {
+    if (!secret) return null;
+    if (secretsMatch(secret, env.API_SECRET)) {
+        return { name: BUILT_IN_OWNER, role: 'owner' };
+    }
+
+    const credential = await env.RECIPES.get(`${CREDENTIAL_KEY_PREFIX}${await hashSecret(secret)}`, { type: 'json' });
+    if (!credential) return null;
+    const user = await env.RECIPES.get(userKey(credential.name), { type: 'json' });
+    return user ? { name: user.name, role: user.role } : null;
+}
+
+function isPurgePath(pathname) {
+    return pathname === '/trash/empty' || /^\/recipes\/[^/]+\/purge$/.test(pathname);
+}
+
+// Viewers may only read; /admin routes and deleting for good are for owners, so an
+// editor's mistake can always be restored; extract-title fetches other sites on the
+// caller's behalf, so it is for people who can add recipes.
+export function roleAllows(role, method, pathname) {
+    if (role === 'owner') return true;
+    if (pathname.startsWith('/admin/') || isPurgePath(pathname)) return false;
+    if (role === 'editor') return true;
+    return role === 'viewer' && method === 'GET' && pathname !== '/extract-title';
+}
+
+export function validateUser(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ field: 'user', message: 'must be an object' }];
+    }
+
+    const errors = [];
+    if (!partial) {
+        if (typeof data.name !== 'string' || !NAME_PATTERN.test(data.name)) {
+            errors.push({ field: 'name', message: 'must be 1-40 letters, numbers, spaces, dots, dashes or underscores' });
+        } else if (data.name.toLowerCase() === BUILT_IN_OWNER) {
+            errors.push({ field: 'name', message: 'is reserved' });
+        }
+    }
+    if ((data.role !== undefined || !partial) && !ROLES.includes(data.role)) {
+        errors.push({ field: 'role', message: `must be one of ${ROLES.join(', ')}` });
+    }
+    return errors;
+}
+
+export async function revokeSecret(env, secretHash) {
+    await env.RECIPES.delete(`${CREDENTIAL_KEY_PREFIX}${secretHash}`);
+}
+
+// Store a fresh secret for a user, replacing the previous one. Returns the secret,
+// which is only ever shown in this response.
+export async function issueSecret(env, name, previousHash = null) {
+    if (previousHash) {
+        await revokeSecret(env, previousHash);
+    }
+    const secret = createSecret();
+    const secretHash = await hashSecret(secret);
+    await env.RECIPES.put(`${CREDENTIAL_KEY_PREFIX}${secretHash}`, JSON.stringify({ name }));
+    return { secret, secretHash };
+}
+
+export function publicUser(user) {
+    return { name: user.name, role: user.role, created: user.created, updated: user.updated };
+}